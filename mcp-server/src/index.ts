@@ -6,7 +6,10 @@
  * Simple browser automation: send a task, get back the result.
  * The browser agent in the Chrome extension handles everything autonomously.
  *
- * browser_start blocks until the task completes — no polling needed.
+ * browser_start blocks until the task completes — no polling needed. While it
+ * waits, each agent step is sent as a progress notification when the client
+ * supplied a progress token. Pass wait: false to get the session ID back
+ * immediately and poll browser_status instead.
  */
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
@@ -15,9 +18,12 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
   Tool,
+  type ProgressToken,
+  type ServerNotification,
 } from "@modelcontextprotocol/sdk/types.js";
 import { WebSocketClient } from "./ipc/websocket-client.js";
 import type { NativeMessage } from "./ipc/index.js";
+import { applySkillsSync, startKnowledgeSync } from "./memory/knowledge-sync.js";
 import { randomUUID } from "crypto";
 
 // --- Session tracking ---
@@ -27,11 +33,16 @@ interface Session {
   task: string;
   url?: string;
   context?: string;
+  outputSchema?: Record<string, unknown>;
   status: "running" | "complete" | "error" | "stopped";
   steps: string[];
   answer?: string;
+  structured?: unknown;
   error?: string;
+  budget?: unknown;
   resolve?: (value: void) => void;
+  onStep?: (step: string) => void;
+  onActivity?: () => void;
 }
 
 const sessions = new Map<string, Session>();
@@ -65,6 +76,19 @@ async function handleMessage(message: any): Promise<void> {
     return;
   }
 
+  // Page watch changes are not tied to a session — forward as a log notification
+  if (type === "watch_change") {
+    await server.sendLoggingMessage({ level: "notice", logger: "page-watch", data: data.change }).catch(() => {});
+    return;
+  }
+
+  // Domain skills edited in the extension go to the knowledge base
+  if (type === "skills_sync") {
+    const changed = await applySkillsSync(data, send);
+    if (changed.length > 0) console.error(`[MCP] Synced skills to knowledge base: ${changed.join(", ")}`);
+    return;
+  }
+
   // Handle batch results from polling
   if (type === "mcp_results" && Array.isArray(results)) {
     for (const result of results) processResult(result);
@@ -100,12 +124,15 @@ function processResult(result: any): void {
     case "task_update":
       if (step && step !== "thinking" && !step.startsWith("[thinking]")) {
         session.steps.push(step);
+        session.onStep?.(step);
+        session.onActivity?.();
       }
       break;
 
     case "task_complete":
       session.status = "complete";
       session.answer = step || session.steps[session.steps.length - 1];
+      if (data.result?.structured !== undefined) session.structured = data.result.structured;
       console.error(`[MCP] Session ${sessionId} complete`);
       session.resolve?.();
       break;
@@ -117,6 +144,10 @@ function processResult(result: any): void {
       session.resolve?.();
       break;
 
+    case "budget_update":
+      session.budget = data.budget;
+      break;
+
     case "screenshot":
       if (data.data) {
         const pending = pendingScreenshots.get(sessionId);
@@ -136,22 +167,62 @@ async function send(message: NativeMessage): Promise<void> {
 
 /**
  * Wait for a session to reach a terminal state (complete or error).
+ * With idleTimeout, the 5 minute limit restarts on every step instead of
+ * counting from the start.
  */
-function waitForSession(session: Session): Promise<void> {
+function waitForSession(session: Session, idleTimeout = false): Promise<void> {
   if (session.status !== "running") return Promise.resolve();
   return new Promise((resolve) => {
-    session.resolve = resolve;
+    let timer: NodeJS.Timeout | undefined;
     // Safety timeout
-    setTimeout(() => {
-      if (session.status === "running") {
-        session.status = "error";
-        session.error = "Task timed out after 5 minutes";
-        resolve();
-      }
-    }, TASK_TIMEOUT_MS);
+    const armTimeout = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (session.status === "running") {
+          session.status = "error";
+          session.error = idleTimeout ? "Task made no progress for 5 minutes" : "Task timed out after 5 minutes";
+          resolve();
+        }
+      }, TASK_TIMEOUT_MS);
+    };
+    session.resolve = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    if (idleTimeout) session.onActivity = armTimeout;
+    armTimeout();
   });
 }
 
+/**
+ * Wait for a session like waitForSession, forwarding each new step as an MCP
+ * progress notification when the client asked for progress (progressToken).
+ * Since the client sees the task advancing, the timeout only fires when no
+ * step arrives for 5 minutes.
+ */
+async function waitWithProgress(
+  session: Session,
+  progressToken: ProgressToken | undefined,
+  sendNotification: (notification: ServerNotification) => Promise<void>
+): Promise<void> {
+  if (progressToken === undefined) return waitForSession(session);
+
+  let progress = 0;
+  session.onStep = (step) => {
+    progress++;
+    sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress, message: step },
+    }).catch(() => {});
+  };
+  try {
+    await waitForSession(session, true);
+  } finally {
+    session.onStep = undefined;
+    session.onActivity = undefined;
+  }
+}
+
 function formatResult(session: Session): any {
   const result: any = {
     session_id: session.id,
@@ -159,7 +230,9 @@ function formatResult(session: Session): any {
     task: session.task,
   };
   if (session.answer) result.answer = session.answer;
+  if (session.structured !== undefined) result.structured = session.structured;
   if (session.error) result.error = session.error;
+  if (session.budget) result.budget = session.budget;
   if (session.steps.length > 0) {
     result.total_steps = session.steps.length;
     result.recent_steps = session.steps.slice(-5);
@@ -167,12 +240,32 @@ function formatResult(session: Session): any {
   return result;
 }
 
+/**
+ * Build the CallToolResult for a finished session.
+ * When an output schema was requested, the validated JSON is also returned as
+ * structuredContent (wrapped in { result } if it isn't an object).
+ */
+function buildToolResult(session: Session, isError: boolean): any {
+  const toolResult: any = {
+    content: [{ type: "text", text: JSON.stringify(formatResult(session), null, 2) }],
+    isError,
+  };
+  const structured = session.structured;
+  if (structured !== undefined) {
+    toolResult.structuredContent =
+      structured !== null && typeof structured === "object" && !Array.isArray(structured)
+        ? structured
+        : { result: structured };
+  }
+  return toolResult;
+}
+
 // --- Tool definitions ---
 
 const TOOLS: Tool[] = [
   {
     name: "browser_start",
-    description: `Run a browser automation task. Blocks until the task completes and returns the result.
+    description: `Run a browser automation task. Blocks until the task completes and returns the result. Each step is reported as a progress notification if you pass a progress token.
 
 The browser agent navigates, clicks, types, and fills forms autonomously.
 
@@ -183,7 +276,11 @@ Examples:
 
 Use this when you need to interact with websites through a real browser — especially for sites requiring login (the user's browser is already logged in), dynamic web apps, or tasks where no API exists.
 
-Pass specific information (form data, descriptions, preferences) in the context parameter.`,
+Pass specific information (form data, descriptions, preferences) in the context parameter.
+
+Pass output_schema (a JSON Schema) to get the final answer back as validated JSON in the "structured" field instead of free text.
+
+Pass wait: false for long tasks to get the session_id back immediately, then poll browser_status for steps and the result.`,
     inputSchema: {
       type: "object",
       properties: {
@@ -199,6 +296,14 @@ Pass specific information (form data, descriptions, preferences) in the context
           type: "string",
           description: "Extra information the agent needs (form data, content to paste, preferences).",
         },
+        output_schema: {
+          type: "object",
+          description: "Optional JSON Schema for the final answer. The agent's answer is validated against it (and retried on mismatch) and returned as structured JSON.",
+        },
+        wait: {
+          type: "boolean",
+          description: "Block until the task finishes (default true). false returns the session_id immediately.",
+        },
       },
       required: ["task"],
     },
@@ -213,13 +318,17 @@ Use this to continue a task, provide corrections, or give additional instruction
       properties: {
         session_id: { type: "string", description: "Session ID from browser_start" },
         message: { type: "string", description: "Follow-up instructions" },
+        wait: {
+          type: "boolean",
+          description: "Block until the agent finishes (default true). false returns immediately.",
+        },
       },
       required: ["session_id", "message"],
     },
   },
   {
     name: "browser_status",
-    description: "Check the status of active browser tasks.",
+    description: "Check the status of active browser tasks, including token/cost used and remaining budget when budgets are enabled.",
     inputSchema: {
       type: "object",
       properties: {
@@ -255,13 +364,14 @@ Use this to continue a task, provide corrections, or give additional instruction
 
 const server = new Server(
   { name: "llm-in-chrome", version: "1.0.0" },
-  { capabilities: { tools: { listChanged: false } } }
+  { capabilities: { tools: { listChanged: false }, logging: {} } }
 );
 
 server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
 
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
   const { name, arguments: args } = request.params;
+  const progressToken = request.params._meta?.progressToken;
 
   try {
     switch (name) {
@@ -269,10 +379,14 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const task = args?.task as string;
         const url = args?.url as string | undefined;
         const context = args?.context as string | undefined;
+        const outputSchema = args?.output_schema as Record<string, unknown> | undefined;
 
         if (!task?.trim()) {
           return { content: [{ type: "text", text: "Error: task cannot be empty" }], isError: true };
         }
+        if (outputSchema !== undefined && (outputSchema === null || typeof outputSchema !== "object" || Array.isArray(outputSchema))) {
+          return { content: [{ type: "text", text: "Error: output_schema must be a JSON Schema object" }], isError: true };
+        }
 
         // Check concurrency
         const activeCount = [...sessions.values()].filter((s) => s.status === "running").length;
@@ -291,22 +405,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           task,
           url,
           context,
+          outputSchema,
           status: "running",
           steps: [],
         };
         sessions.set(session.id, session);
 
         // Dispatch to browser extension
-        await send({ type: "mcp_start_task", sessionId: session.id, task, url, context });
+        await send({ type: "mcp_start_task", sessionId: session.id, task, url, context, outputSchema });
         console.error(`[MCP] Started task ${session.id}: ${task.slice(0, 80)}`);
 
+        if (args?.wait === false) {
+          return { content: [{ type: "text", text: JSON.stringify(formatResult(session), null, 2) }] };
+        }
+
         // Block until complete
-        await waitForSession(session);
+        await waitWithProgress(session, progressToken, extra.sendNotification);
 
-        return {
-          content: [{ type: "text", text: JSON.stringify(formatResult(session), null, 2) }],
-          isError: session.status === "error",
-        };
+        return buildToolResult(session, session.status === "error");
       }
 
       case "browser_message": {
@@ -324,19 +440,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         // Reset to running so we can wait again
         session.status = "running";
         session.answer = undefined;
+        session.structured = undefined;
         session.error = undefined;
 
         await send({ type: "mcp_send_message", sessionId, message });
         console.error(`[MCP] Message sent to ${sessionId}: ${message.slice(0, 80)}`);
 
+        if (args?.wait === false) {
+          return { content: [{ type: "text", text: JSON.stringify(formatResult(session), null, 2) }] };
+        }
+
         // Block until the agent finishes acting on it
-        await waitForSession(session);
+        await waitWithProgress(session, progressToken, extra.sendNotification);
 
-        const msgResult = formatResult(session);
-        return {
-          content: [{ type: "text", text: JSON.stringify(msgResult, null, 2) }],
-          isError: msgResult.status !== "complete",
-        };
+        return buildToolResult(session, (session.status as Session["status"]) !== "complete");
       }
 
       case "browser_status": {
@@ -425,6 +542,9 @@ async function main() {
   await connection.connect();
   console.error("[MCP] Connected to relay");
 
+  // Push knowledge base changes (e.g. from the Explorer Agent) to the extension's domain skills
+  await startKnowledgeSync(send);
+
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("[MCP] Server running");
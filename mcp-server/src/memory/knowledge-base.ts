@@ -13,6 +13,7 @@
  */
 
 import { readFile, writeFile, mkdir, readdir, stat, appendFile } from "fs/promises";
+import { watch } from "fs";
 import { join, dirname } from "path";
 import { fileURLToPath } from "url";
 import type { SiteKnowledge, KnowledgeLookupResult } from "../types/index.js";
@@ -25,6 +26,9 @@ const __dirname = dirname(__filename);
 // mcp-server/src/memory/knowledge-base.ts -> mcp-server/knowledge/sites/
 const KNOWLEDGE_DIR = join(__dirname, "..", "..", "knowledge", "sites");
 
+// Writes to one file within this window are reported as one change
+const WATCH_DEBOUNCE_MS = 300;
+
 /**
  * Normalize a domain for consistent lookups.
  * - Removes protocol (https://)
@@ -238,7 +242,7 @@ export async function listKnowledge(): Promise<string[]> {
  * Delete knowledge for a domain.
  *
  * @param domain - Domain to delete
- * @returns Whether deletion succeeded
+ * @returns Whether a knowledge file was deleted (false if there was none)
  */
 export async function deleteKnowledge(domain: string): Promise<boolean> {
   const filePath = getKnowledgePath(domain);
@@ -250,8 +254,8 @@ export async function deleteKnowledge(domain: string): Promise<boolean> {
     return true;
   } catch (error) {
     if ((error as NodeJS.ErrnoException).code === "ENOENT") {
-      // File didn't exist anyway
-      return true;
+      // Nothing to delete
+      return false;
     }
     console.error(`[KnowledgeBase] Error deleting ${filePath}:`, error);
     return false;
@@ -275,6 +279,37 @@ export async function hasKnowledge(domain: string): Promise<boolean> {
   }
 }
 
+/**
+ * Watch the knowledge files for changes from any source - the Explorer Agent,
+ * another process, or someone editing a file by hand.
+ *
+ * @param listener - Called with the domain of each added, changed or deleted file
+ * @returns Function that stops watching
+ *
+ * @example
+ * const stop = await watchKnowledge((domain) => console.log(`${domain} changed`));
+ */
+export async function watchKnowledge(listener: (domain: string) => void): Promise<() => void> {
+  await ensureKnowledgeDir();
+  const timers = new Map<string, NodeJS.Timeout>();
+
+  const watcher = watch(KNOWLEDGE_DIR, (_event, filename) => {
+    if (!filename?.endsWith(".md")) return;
+    const domain = filename.replace(/\.md$/, "");
+
+    clearTimeout(timers.get(domain));
+    timers.set(domain, setTimeout(() => {
+      timers.delete(domain);
+      listener(domain);
+    }, WATCH_DEBOUNCE_MS));
+  });
+
+  return () => {
+    watcher.close();
+    for (const timer of timers.values()) clearTimeout(timer);
+  };
+}
+
 /**
  * Get knowledge content as a string, or empty string if not found.
  * Useful for injecting into agent context.
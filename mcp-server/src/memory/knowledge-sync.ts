@@ -0,0 +1,112 @@
+/**
+ * Knowledge Sync Module
+ *
+ * Keeps the knowledge base and the extension's domain skills in step over the
+ * relay, so what the Explorer Agent learns reaches the browser agent and
+ * skills edited in the extension's side panel land in the knowledge files.
+ *
+ * Protocol:
+ * - extension → `skills_sync` {skills, deleted?, full?}
+ *   Every domain skill when the extension connects (full: true), the changed
+ *   ones after each edit. A skill newer than its knowledge file is written to
+ *   it; a full sync is answered with every knowledge file.
+ * - server → `mcp_knowledge_sync` {entries, deleted, full}
+ *   Sent when a knowledge file is added, changed or deleted, and in answer to a
+ *   full sync. The extension keeps each entry as a versioned domain skill
+ *   unless its own copy is newer.
+ *
+ * Only domain skills sync - knowledge files are per domain, so glob and regex
+ * skills stay in the extension. Identical content is never written, so a
+ * change does not echo back and forth.
+ */
+
+import {
+  getKnowledge,
+  saveKnowledge,
+  deleteKnowledge,
+  listKnowledge,
+  normalizeDomain,
+  watchKnowledge,
+} from "./knowledge-base.js";
+import type { NativeMessage } from "../ipc/index.js";
+import type { KnowledgeSyncEntry, SkillsSyncMessage } from "../types/index.js";
+
+type Send = (message: NativeMessage) => Promise<void>;
+
+/**
+ * Get a knowledge file as a sync entry.
+ *
+ * @param domain - Domain to look up
+ * @returns Entry, or null if there is no file
+ */
+async function getEntry(domain: string): Promise<KnowledgeSyncEntry | null> {
+  const knowledge = await getKnowledge(domain);
+  if (!knowledge) return null;
+  return { domain: knowledge.domain, content: knowledge.content, updatedAt: knowledge.lastUpdated };
+}
+
+/**
+ * Get every knowledge file as a sync entry.
+ *
+ * @returns Entries for all domains with knowledge
+ */
+export async function listKnowledgeEntries(): Promise<KnowledgeSyncEntry[]> {
+  const entries = await Promise.all((await listKnowledge()).map(getEntry));
+  return entries.filter((entry): entry is KnowledgeSyncEntry => entry !== null);
+}
+
+/**
+ * Write skills from the extension to the knowledge base.
+ *
+ * @param message - The extension's `skills_sync` message
+ * @param send - Sends a message to the extension (for the answer to a full sync)
+ * @returns Domains whose knowledge file was written or deleted
+ */
+export async function applySkillsSync(message: SkillsSyncMessage, send: Send): Promise<string[]> {
+  const changed: string[] = [];
+
+  for (const skill of message.skills || []) {
+    const domain = normalizeDomain(skill.domain || "");
+    const content = (skill.content || "").trim();
+    if (!domain || !content) continue;
+
+    const current = await getKnowledge(domain);
+    if (current && (current.content.trim() === content || current.lastUpdated > skill.updatedAt)) {
+      continue;
+    }
+    await saveKnowledge(domain, `${content}\n`);
+    changed.push(domain);
+  }
+
+  for (const domain of message.deleted || []) {
+    if (await deleteKnowledge(domain)) changed.push(normalizeDomain(domain));
+  }
+
+  if (message.full) {
+    await send({ type: "mcp_knowledge_sync", entries: await listKnowledgeEntries(), deleted: [], full: true });
+  }
+  return changed;
+}
+
+/**
+ * Push knowledge file changes to the extension as they happen.
+ *
+ * @param send - Sends a message to the extension (queued by the relay while it sleeps)
+ * @returns Function that stops syncing
+ */
+export async function startKnowledgeSync(send: Send): Promise<() => void> {
+  return watchKnowledge(async (domain) => {
+    try {
+      const entry = await getEntry(domain);
+      await send({
+        type: "mcp_knowledge_sync",
+        entries: entry ? [entry] : [],
+        deleted: entry ? [] : [domain],
+        full: false,
+      });
+      console.error(`[KnowledgeSync] Sent ${domain} to the extension`);
+    } catch (error) {
+      console.error(`[KnowledgeSync] Failed to send ${domain}:`, error);
+    }
+  });
+}
@@ -38,4 +38,6 @@ export type {
   KnowledgeLookupResult,
   ExplorationInput,
   ExplorationResult,
+  KnowledgeSyncEntry,
+  SkillsSyncMessage,
 } from "./knowledge.js";
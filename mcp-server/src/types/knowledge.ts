@@ -73,3 +73,28 @@ export interface ExplorationResult {
   /** Summary of what was learned */
   summary: string;
 }
+
+/**
+ * A knowledge file as exchanged with the extension, where it is kept as a
+ * domain skill (see memory/knowledge-sync.ts).
+ */
+export interface KnowledgeSyncEntry {
+  /** Normalized domain (e.g., "united.com") */
+  domain: string;
+  /** Markdown content */
+  content: string;
+  /** When this side last changed it (ISO timestamp) - the newer side wins */
+  updatedAt: string;
+}
+
+/**
+ * Domain skills sent by the extension to be written to the knowledge base.
+ */
+export interface SkillsSyncMessage {
+  /** Skills added or changed in the extension (every domain skill when full) */
+  skills?: KnowledgeSyncEntry[];
+  /** Domains whose skill was deleted in the extension */
+  deleted?: string[];
+  /** Sent on connect with every skill - answered with every knowledge file */
+  full?: boolean;
+}
@@ -0,0 +1,279 @@
+/**
+ * Analytics Manager
+ * Records every tool call the agent makes (tool, action, domain, outcome,
+ * latency, whether it retried a failed call) in IndexedDB and aggregates them
+ * across tasks, so the side panel can show which tools and sites fail most.
+ *
+ * Calls are linked to their task history entry, so a failure can be traced
+ * back to the run it happened in. Only the newest LIMITS.ANALYTICS_CALLS
+ * calls are kept.
+ */
+
+import { LIMITS } from '../modules/constants.js';
+import { createStoreAccessor } from '../modules/indexed-db.js';
+
+const DB_NAME = 'llm-in-chrome-analytics';
+const DB_VERSION = 1;
+const STORE = 'toolCalls';
+
+const ERROR_CHARS = 300;
+const TOP_ERRORS = 3;
+const RECENT_FAILURES = 5;
+const PRUNE_EVERY = 100; // Writes between prunes
+
+const withStore = createStoreAccessor({
+  dbName: DB_NAME,
+  version: DB_VERSION,
+  storeName: STORE,
+  upgrade: (db) => {
+    const store = db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('time', 'time');
+  },
+});
+
+let writesSincePrune = 0;
+
+/**
+ * Site a tool call acts on: the URL navigate goes to, else the tab's current page
+ * @param {string} toolName - Tool name
+ * @param {Object} toolInput - Tool input
+ * @returns {Promise<string|null>} Hostname, null for tools without a page
+ */
+async function getToolDomain(toolName, toolInput) {
+  try {
+    if (toolName === 'navigate' && /^https?:\/\//i.test(toolInput.url || '')) {
+      return new URL(toolInput.url).hostname;
+    }
+    if (!toolInput.tabId) return null;
+    const tab = await chrome.tabs.get(toolInput.tabId);
+    const url = new URL(tab.url);
+    return url.protocol.startsWith('http') ? url.hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save one tool call (failures are logged, never thrown - analytics must not break a task)
+ * @param {Object} call - {time, historyId, tool, action, domain, ok, error, durationMs, retry}
+ * @returns {Promise<void>}
+ */
+async function saveToolCall(call) {
+  try {
+    await withStore('readwrite', store => store.add(call));
+    if (++writesSincePrune >= PRUNE_EVERY) {
+      writesSincePrune = 0;
+      await pruneToolCalls();
+    }
+  } catch (error) {
+    console.error('[Analytics] Failed to record tool call:', error);
+  }
+}
+
+/**
+ * Drop the oldest calls beyond LIMITS.ANALYTICS_CALLS
+ * @returns {Promise<void>}
+ */
+async function pruneToolCalls() {
+  const count = await withStore('readonly', store => store.count());
+  let excess = count - LIMITS.ANALYTICS_CALLS;
+  if (excess <= 0) return;
+
+  await withStore('readwrite', store => {
+    const request = store.index('time').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && excess > 0) {
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      }
+    };
+    return request;
+  });
+}
+
+/**
+ * Create the tool call recorder of one agent run
+ * A call counts as a retry when it repeats the tool and action of a call that just failed.
+ * @param {string|null} historyId - Task history entry the run is saved to
+ * @returns {Function} start(toolName, toolInput) - call before running a tool; resolves
+ *   with finish(error) to call afterwards with the error text, or null if the call succeeded
+ */
+export function createToolCallRecorder(historyId) {
+  let previous = null;
+
+  return async function start(toolName, toolInput) {
+    const startedAt = Date.now();
+    const action = typeof toolInput?.action === 'string' ? toolInput.action : null;
+    const domain = await getToolDomain(toolName, toolInput || {});
+    const signature = `${toolName}:${action}`;
+
+    return async function finish(error) {
+      const retry = previous?.failed === true && previous.signature === signature;
+      previous = { signature, failed: Boolean(error) };
+      await saveToolCall({
+        time: new Date(startedAt).toISOString(),
+        historyId,
+        tool: toolName,
+        action,
+        domain,
+        ok: !error,
+        error: error ? String(error).substring(0, ERROR_CHARS) : null,
+        durationMs: Date.now() - startedAt,
+        retry,
+      });
+    };
+  };
+}
+
+/**
+ * Group similar error messages (element refs, numbers and quoted values vary)
+ * @param {string} error - Error text
+ * @returns {string}
+ */
+function normalizeError(error) {
+  return error.split('\n')[0]
+    .replace(/^Error:\s*/, '')
+    .replace(/"[^"]*"/g, '"…"')
+    .replace(/\bref_\d+\b/g, 'ref_N')
+    .replace(/\d+(\.\d+)?/g, 'N')
+    .substring(0, 120);
+}
+
+/**
+ * Empty statistics bucket
+ * @returns {Object}
+ */
+function createBucket() {
+  return { calls: 0, errors: 0, retries: 0, durations: [], errorCounts: new Map(), failures: [], historyIds: new Set() };
+}
+
+/**
+ * Add a call to a bucket
+ * @param {Object} bucket
+ * @param {Object} call - Stored call
+ */
+function addToBucket(bucket, call) {
+  bucket.calls++;
+  bucket.durations.push(call.durationMs);
+  if (call.retry) bucket.retries++;
+  if (call.historyId) bucket.historyIds.add(call.historyId);
+  if (!call.ok) {
+    bucket.errors++;
+    const message = normalizeError(call.error || 'Unknown error');
+    bucket.errorCounts.set(message, (bucket.errorCounts.get(message) || 0) + 1);
+    bucket.failures.push(call);
+  }
+}
+
+/**
+ * Value at a percentile of sorted numbers
+ * @param {Array<number>} sorted - Ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Turn a bucket into its reported statistics
+ * @param {Object} bucket
+ * @returns {Object} {calls, errors, errorRate, retries, tasks, avgMs, p95Ms, topErrors, recentFailures}
+ */
+function summarizeBucket(bucket) {
+  const sorted = [...bucket.durations].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, ms) => sum + ms, 0);
+  return {
+    calls: bucket.calls,
+    errors: bucket.errors,
+    errorRate: bucket.calls ? bucket.errors / bucket.calls : 0,
+    retries: bucket.retries,
+    tasks: bucket.historyIds.size,
+    avgMs: sorted.length ? Math.round(total / sorted.length) : 0,
+    p95Ms: percentile(sorted, 95),
+    topErrors: [...bucket.errorCounts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_ERRORS)
+      .map(([message, count]) => ({ message, count })),
+    recentFailures: bucket.failures
+      .slice(-RECENT_FAILURES)
+      .reverse()
+      .map(({ time, historyId, tool, action, domain, error }) => ({ time, historyId, tool, action, domain, error })),
+  };
+}
+
+/**
+ * Summarize a map of buckets, most failing first
+ * @param {Map<string, Object>} buckets - Key -> bucket
+ * @param {string} keyName - Property the key is reported as
+ * @returns {Array<Object>}
+ */
+function rankBuckets(buckets, keyName) {
+  return [...buckets]
+    .map(([key, bucket]) => ({ [keyName]: key, ...summarizeBucket(bucket) }))
+    .sort((a, b) => b.errors - a.errors || b.errorRate - a.errorRate || b.calls - a.calls);
+}
+
+/**
+ * Get the bucket for a key, creating it
+ * @param {Map<string, Object>} buckets
+ * @param {string} key
+ * @returns {Object}
+ */
+function bucketFor(buckets, key) {
+  if (!buckets.has(key)) buckets.set(key, createBucket());
+  return buckets.get(key);
+}
+
+/**
+ * Aggregate the recorded tool calls
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Only calls from the last N days
+ * @returns {Promise<Object>} {since, totals, tools: [{tool, actions, ...stats}], domains: [{domain, ...stats}]}
+ */
+export async function getToolAnalytics({ days = 30 } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const totals = createBucket();
+  const tools = new Map();
+  const actions = new Map(); // tool -> Map(action -> bucket)
+  const domains = new Map();
+
+  await withStore('readonly', store => {
+    const request = store.index('time').openCursor(IDBKeyRange.lowerBound(since));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const call = cursor.value;
+      addToBucket(totals, call);
+      addToBucket(bucketFor(tools, call.tool), call);
+      if (call.action) {
+        if (!actions.has(call.tool)) actions.set(call.tool, new Map());
+        addToBucket(bucketFor(actions.get(call.tool), call.action), call);
+      }
+      if (call.domain) addToBucket(bucketFor(domains, call.domain), call);
+      cursor.continue();
+    };
+    return request;
+  });
+
+  return {
+    since,
+    totals: summarizeBucket(totals),
+    tools: rankBuckets(tools, 'tool').map(tool => ({
+      ...tool,
+      actions: actions.has(tool.tool) ? rankBuckets(actions.get(tool.tool), 'action') : [],
+    })),
+    domains: rankBuckets(domains, 'domain'),
+  };
+}
+
+/**
+ * Delete all recorded tool calls
+ * @returns {Promise<void>}
+ */
+export async function clearToolAnalytics() {
+  await withStore('readwrite', store => store.clear());
+}
@@ -0,0 +1,246 @@
+/**
+ * Budget Manager
+ * Enforces token and estimated-dollar limits per task and per day
+ *
+ * runAgentLoop creates one task budget per run and records every API response
+ * in it, including compaction and the find tool's calls; spawn_subtasks
+ * children spend from their parent's budget. Usage also accumulates into a
+ * daily total (local date) shared by all tasks - side panel, MCP and scheduled -
+ * and by page watch checks. Crossing the warning threshold emits a
+ * warning once; reaching a limit pauses the loop until the user approves
+ * another budget-sized increment or stops the task.
+ *
+ * Settings live in chrome.storage.local under 'budgetSettings' (Settings → Budgets).
+ * A limit of 0 means unlimited. Costs are estimates from the usage-tracker price
+ * table plus optional per-model overrides.
+ */
+
+import { estimateCost } from './usage-tracker.js';
+
+const SETTINGS_KEY = 'budgetSettings';
+const DAILY_KEY = 'usage_daily';
+
+export const DEFAULT_BUDGET_SETTINGS = {
+  enabled: false,
+  taskMaxTokens: 0,
+  taskMaxCost: 0,
+  dayMaxTokens: 0,
+  dayMaxCost: 0,
+  warnAt: 0.8,   // Fraction of a limit that triggers the warning
+  prices: {},    // Model ID prefix -> {input, output} USD per 1M tokens
+};
+
+let cachedSettings = null;
+
+// Serializes read-modify-write of the daily total across concurrent tasks
+let dailyWrite = Promise.resolve();
+
+// Drop the cache when the settings change (Settings → Budgets saves through storage)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[SETTINGS_KEY]) {
+    cachedSettings = null;
+  }
+});
+
+/**
+ * Get budget settings merged with defaults
+ * @returns {Promise<Object>} Settings
+ */
+export async function getBudgetSettings() {
+  if (!cachedSettings) {
+    const stored = await chrome.storage.local.get([SETTINGS_KEY]);
+    cachedSettings = { ...DEFAULT_BUDGET_SETTINGS, ...stored[SETTINGS_KEY] };
+  }
+  return cachedSettings;
+}
+
+/**
+ * Local date as YYYY-MM-DD (the daily budget resets at local midnight)
+ * @returns {string}
+ */
+function today() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Get today's usage across all tasks
+ * @returns {Promise<{date: string, tokens: number, cost: number}>}
+ */
+export async function getDailyUsage() {
+  const stored = await chrome.storage.local.get([DAILY_KEY]);
+  const daily = stored[DAILY_KEY];
+  return daily?.date === today() ? daily : { date: today(), tokens: 0, cost: 0 };
+}
+
+/**
+ * Add usage to today's total
+ * @param {number} tokens - Tokens used
+ * @param {number} cost - Estimated cost in USD
+ * @returns {Promise<Object>} Updated daily usage
+ */
+function addDailyUsage(tokens, cost) {
+  dailyWrite = dailyWrite.catch(() => {}).then(async () => {
+    const daily = await getDailyUsage();
+    const updated = { date: daily.date, tokens: daily.tokens + tokens, cost: daily.cost + cost };
+    await chrome.storage.local.set({ [DAILY_KEY]: updated });
+    return updated;
+  });
+  return dailyWrite;
+}
+
+/**
+ * Total tokens in an API usage object
+ * @param {Object} usage - Usage from the API response
+ * @returns {number}
+ */
+function countTokens(usage) {
+  return (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+}
+
+/**
+ * Add the usage of an LLM call made outside any task (page watch checks) to
+ * today's total
+ * @param {Object} usage - Usage from the API response
+ * @param {string} [model] - Model that served it
+ * @returns {Promise<void>}
+ */
+export async function recordBackgroundUsage(usage, model) {
+  if (!usage) return;
+  const settings = await getBudgetSettings();
+  await addDailyUsage(countTokens(usage), estimateCost(model, usage, settings.prices));
+}
+
+/**
+ * Usage against one limit
+ * @param {number} used - Amount used
+ * @param {number} limit - Configured limit (0 = unlimited)
+ * @returns {{used: number, limit: number|null, remaining: number|null, ratio: number}}
+ */
+function measure(used, limit) {
+  if (!limit) return { used, limit: null, remaining: null, ratio: 0 };
+  return { used, limit, remaining: Math.max(0, limit - used), ratio: used / limit };
+}
+
+/**
+ * Round a dollar amount for display
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function roundCost(value) {
+  return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Create the budget for one agent run
+ * @param {string} model - Model ID used for cost estimates
+ * @returns {Promise<Object>} Task budget with record(), check(), extend() and snapshot()
+ */
+export async function createTaskBudget(model) {
+  const settings = await getBudgetSettings();
+  const task = { tokens: 0, cost: 0 };
+  let day = await getDailyUsage();
+  // Each approval at a limit grants one more increment of that limit for this task
+  let extensions = 0;
+  let warned = false;
+
+  const limitsFor = (base) => base * (1 + extensions);
+
+  /**
+   * Current usage against every configured limit
+   * @returns {Object} Measures keyed by limit name
+   */
+  const measures = () => ({
+    taskTokens: measure(task.tokens, limitsFor(settings.taskMaxTokens)),
+    taskCost: measure(task.cost, limitsFor(settings.taskMaxCost)),
+    dayTokens: measure(day.tokens, limitsFor(settings.dayMaxTokens)),
+    dayCost: measure(day.cost, limitsFor(settings.dayMaxCost)),
+  });
+
+  return {
+    enabled: settings.enabled,
+
+    /**
+     * Record one API response
+     * @param {Object} usage - Usage from the API response
+     * @param {string} [usedModel] - Model that served it, when not the task's model
+     *   (fast-tier turns, failover)
+     */
+    async record(usage, usedModel = model) {
+      if (!usage) return;
+      const tokens = countTokens(usage);
+      const cost = estimateCost(usedModel || model, usage, settings.prices);
+      task.tokens += tokens;
+      task.cost += cost;
+      day = await addDailyUsage(tokens, cost);
+    },
+
+    /**
+     * Compare usage with the limits
+     * @returns {{state: 'ok'|'warning'|'exceeded', message: string|null, notify: boolean}}
+     *   notify is true the first time a warning is reported
+     */
+    check() {
+      if (!settings.enabled) return { state: 'ok', message: null, notify: false };
+
+      const labels = {
+        taskTokens: 'task token', taskCost: 'task cost', dayTokens: 'daily token', dayCost: 'daily cost',
+      };
+      const entries = Object.entries(measures()).filter(([, m]) => m.limit !== null);
+      const describe = ([key, m]) => key.endsWith('Cost')
+        ? `${labels[key]} limit ($${m.used.toFixed(2)} of $${m.limit.toFixed(2)})`
+        : `${labels[key]} limit (${m.used.toLocaleString()} of ${m.limit.toLocaleString()} tokens)`;
+
+      const exceeded = entries.filter(([, m]) => m.ratio >= 1);
+      if (exceeded.length > 0) {
+        return { state: 'exceeded', message: `Reached the ${exceeded.map(describe).join(' and ')}`, notify: false };
+      }
+      const nearing = entries.filter(([, m]) => m.ratio >= settings.warnAt);
+      if (nearing.length > 0) {
+        const notify = !warned;
+        warned = true;
+        return { state: 'warning', message: `Approaching the ${nearing.map(describe).join(' and ')}`, notify };
+      }
+      return { state: 'ok', message: null, notify: false };
+    },
+
+    /**
+     * Allow the task to continue past the limit it reached
+     */
+    extend() {
+      extensions++;
+      warned = false;
+    },
+
+    /**
+     * Usage and remaining budget for status displays (browser_status, side panel)
+     * @returns {Object}
+     */
+    snapshot() {
+      const m = measures();
+      return {
+        enabled: settings.enabled,
+        model,
+        task: {
+          tokens: task.tokens,
+          cost: roundCost(task.cost),
+          maxTokens: m.taskTokens.limit,
+          maxCost: m.taskCost.limit,
+          remainingTokens: m.taskTokens.remaining,
+          remainingCost: roundCost(m.taskCost.remaining),
+        },
+        day: {
+          date: day.date,
+          tokens: day.tokens,
+          cost: roundCost(day.cost),
+          maxTokens: m.dayTokens.limit,
+          maxCost: m.dayCost.limit,
+          remainingTokens: m.dayTokens.remaining,
+          remainingCost: roundCost(m.dayCost.remaining),
+        },
+      };
+    },
+  };
+}
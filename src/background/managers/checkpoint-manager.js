@@ -0,0 +1,83 @@
+/**
+ * Checkpoint Manager
+ * Saves in-flight agent sessions so a restarted service worker can resume them
+ *
+ * MV3 stops the service worker at will, taking the agent loop's messages and
+ * the MCP session map with it. After every completed tool turn the running
+ * session (side panel task or MCP session) is written to IndexedDB; on startup
+ * the service worker rehydrates the checkpoints and continues each run from
+ * its last completed tool call. Checkpoints are removed when a run ends.
+ *
+ * Tab IDs are only valid for one browser session, so a marker in
+ * chrome.storage.session (which survives worker restarts but not browser
+ * restarts) tells a worker restart apart from a browser restart - after the
+ * latter, checkpoints are discarded instead of resumed.
+ */
+
+import { createStoreAccessor } from '../modules/indexed-db.js';
+
+const DB_NAME = 'llm-in-chrome-sessions';
+const DB_VERSION = 1;
+const STORE = 'checkpoints';
+const BROWSER_SESSION_KEY = 'checkpointBrowserSession';
+
+const withStore = createStoreAccessor({
+  dbName: DB_NAME,
+  version: DB_VERSION,
+  storeName: STORE,
+  upgrade: (db) => db.createObjectStore(STORE, { keyPath: 'id' }),
+});
+
+/**
+ * Save (or replace) the checkpoint of a running session
+ * @param {Object} checkpoint - Session state
+ * @param {string} checkpoint.id - 'ui-task' or the MCP session ID
+ * @param {string} checkpoint.kind - 'sidepanel' | 'mcp'
+ * @param {string} checkpoint.prompt - Task text of the current run
+ * @param {number} checkpoint.tabId - Tab the run started in
+ * @param {Array<Object>} checkpoint.messages - Conversation up to the last completed tool call
+ * @returns {Promise<void>}
+ */
+export async function saveCheckpoint(checkpoint) {
+  await withStore('readwrite', store => store.put({ ...checkpoint, updatedAt: new Date().toISOString() }));
+}
+
+/**
+ * Remove a session's checkpoint (run finished, failed or was stopped)
+ * @param {string} id - Checkpoint ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCheckpoint(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * List all checkpoints
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listCheckpoints() {
+  return (await withStore('readonly', store => store.getAll())) || [];
+}
+
+/**
+ * Get the checkpoints left by a previous service worker in this browser session
+ * Checkpoints from an earlier browser session are deleted and returned as stale,
+ * since their tab IDs may now belong to unrelated tabs.
+ * @returns {Promise<{resumable: Array<Object>, stale: Array<Object>}>}
+ */
+export async function takeInterruptedCheckpoints() {
+  const checkpoints = await listCheckpoints();
+  const stored = await chrome.storage.session.get([BROWSER_SESSION_KEY]);
+  const sameBrowserSession = !!stored[BROWSER_SESSION_KEY];
+  if (!sameBrowserSession) {
+    await chrome.storage.session.set({ [BROWSER_SESSION_KEY]: Date.now() });
+  }
+
+  if (sameBrowserSession) {
+    return { resumable: checkpoints, stale: [] };
+  }
+  for (const checkpoint of checkpoints) {
+    await deleteCheckpoint(checkpoint.id);
+  }
+  return { resumable: [], stale: checkpoints };
+}
@@ -9,8 +9,12 @@ import { LIMITS } from '../modules/constants.js';
 const attachedTabs = new Set(); // Set of tab IDs with debugger attached
 const networkEnabledTabs = new Set(); // Tabs with network tracking enabled
 const targetDiscoveryEnabled = new Set(); // Tabs with target discovery enabled
+const bodyCaptureTabs = new Map(); // tabId -> {mimeTypes, urlPattern} for opt-in response body capture
 let debuggerListenerRegistered = false;
 
+// MIME types whose bodies are captured when capture is enabled without a list (substring match)
+const DEFAULT_CAPTURE_MIME_TYPES = ['json', 'text/', 'xml'];
+
 // Popup tracking: maps popup tabId -> opener tabId
 const popupOpeners = new Map();
 
@@ -54,6 +58,43 @@ export function setPopupCallbacks(callbacks) {
   onPopupClosed = callbacks.onClosed;
 }
 
+/**
+ * Network request record for a Network.requestWillBeSent event
+ * @param {number} tabId - Tab the request belongs to
+ * @param {Object} params - CDP event parameters
+ * @returns {Object} Request record
+ */
+function describeRequest(tabId, params) {
+  return {
+    requestId: params.requestId,
+    tabId,
+    url: params.request.url,
+    method: params.request.method,
+    type: params.type,
+    requestHeaders: params.request.headers || {},
+    postData: params.request.postData,
+    timestamp: params.wallTime ? params.wallTime * 1000 : Date.now(),
+    startTime: params.timestamp, // Monotonic seconds, for durations
+  };
+}
+
+/**
+ * Response fields recorded on a request for a Network.responseReceived event
+ * @param {Object} response - CDP Network.Response
+ * @returns {Object} Fields to merge into the request record
+ */
+function describeResponse(response) {
+  return {
+    status: response.status,
+    responseUrl: response.url,
+    statusText: response.statusText,
+    mimeType: response.mimeType,
+    responseHeaders: response.headers || {},
+    protocol: response.protocol,
+    timing: response.timing,
+  };
+}
+
 /**
  * Register debugger event listeners
  */
@@ -87,13 +128,7 @@ function registerDebuggerListener() {
     }
 
     if (method === 'Network.requestWillBeSent') {
-      const request = {
-        requestId: params.requestId,
-        url: params.request.url,
-        method: params.request.method,
-        timestamp: Date.now(),
-      };
-      networkRequests.push(request);
+      networkRequests.push(describeRequest(source.tabId, params));
       if (networkRequests.length > LIMITS.NETWORK_REQUESTS) {
         networkRequests.splice(0, networkRequests.length - LIMITS.NETWORK_REQUESTS);
       }
@@ -102,14 +137,20 @@ function registerDebuggerListener() {
     if (method === 'Network.responseReceived') {
       const req = networkRequests.find(r => r.requestId === params.requestId);
       if (req) {
-        req.status = params.response.status;
-        req.responseUrl = params.response.url;
+        Object.assign(req, describeResponse(params.response));
       }
     }
 
     // Capture response body when loading finishes (body is now available)
     if (method === 'Network.loadingFinished') {
       const req = networkRequests.find(r => r.requestId === params.requestId);
+      if (req) {
+        req.endTime = params.timestamp;
+        req.encodedDataLength = params.encodedDataLength;
+        if (shouldCaptureBody(source.tabId, req)) {
+          captureResponseBody(source.tabId, req);
+        }
+      }
       if (req && req.responseUrl && req.responseUrl.includes('/captcha/challenge')) {
         (async () => {
           try {
@@ -140,6 +181,7 @@ function registerDebuggerListener() {
       if (req) {
         req.status = 0;
         req.error = params.errorText;
+        req.endTime = params.timestamp;
       }
     }
 
@@ -314,6 +356,7 @@ export async function detachDebugger(tabId = null) {
     attachedTabs.delete(tabId);
     networkEnabledTabs.delete(tabId);
     targetDiscoveryEnabled.delete(tabId);
+    bodyCaptureTabs.delete(tabId);
     // Clean up any popup relationships involving this tab
     popupOpeners.delete(tabId);
     for (const [popupId, openerId] of popupOpeners.entries()) {
@@ -331,6 +374,7 @@ export async function detachDebugger(tabId = null) {
     attachedTabs.clear();
     networkEnabledTabs.clear();
     targetDiscoveryEnabled.clear();
+    bodyCaptureTabs.clear();
     popupOpeners.clear();
   }
 }
@@ -408,3 +452,107 @@ export async function enableNetworkTracking(tabId) {
     networkEnabledTabs.add(tabId);
   }
 }
+
+// ============================================
+// RESPONSE BODY CAPTURE
+// Opt-in per tab: bodies are fetched when loading finishes, while Chrome still has them
+// ============================================
+
+/**
+ * Whether a finished request's body should be captured
+ * @param {number} tabId - Tab the request belongs to
+ * @param {Object} req - Network request record
+ * @returns {boolean}
+ */
+function shouldCaptureBody(tabId, req) {
+  const capture = bodyCaptureTabs.get(tabId);
+  if (!capture || !req.mimeType) return false;
+  if (capture.urlPattern && !req.url.includes(capture.urlPattern)) return false;
+  const mimeType = req.mimeType.toLowerCase();
+  return capture.mimeTypes.some(type => mimeType.includes(type));
+}
+
+/**
+ * Fetch and store a request's response body
+ * @param {number} tabId - Tab ID
+ * @param {Object} req - Network request record (body is stored on it)
+ */
+async function captureResponseBody(tabId, req) {
+  try {
+    const result = await chrome.debugger.sendCommand({ tabId }, 'Network.getResponseBody', { requestId: req.requestId });
+    req.bodyTruncated = result.body.length > LIMITS.NETWORK_BODY_CHARS;
+    req.body = req.bodyTruncated ? result.body.slice(0, LIMITS.NETWORK_BODY_CHARS) : result.body;
+    req.base64Encoded = result.base64Encoded;
+    trimCapturedBodies();
+  } catch (e) {
+    req.bodyError = e.message;
+  }
+}
+
+/**
+ * Drop the oldest captured bodies once they take more than LIMITS.NETWORK_BODIES_CHARS
+ */
+function trimCapturedBodies() {
+  let total = networkRequests.reduce((sum, r) => sum + (r.body?.length || 0), 0);
+  for (const req of networkRequests) {
+    if (total <= LIMITS.NETWORK_BODIES_CHARS) break;
+    if (req.body === undefined) continue;
+    total -= req.body.length;
+    delete req.body;
+    req.bodyError = 'Dropped to make room for newer bodies';
+  }
+}
+
+/**
+ * Enable or disable response body capture for a tab
+ * @param {number} tabId - Tab ID
+ * @param {Object|null} options - {mimeTypes, urlPattern}, or null to stop capturing
+ * @param {Array<string>} [options.mimeTypes] - MIME type substrings to capture (default: JSON, text and XML)
+ * @param {string} [options.urlPattern] - Only capture requests whose URL contains this string
+ * @returns {Object|null} The capture settings now in effect
+ */
+export function setBodyCapture(tabId, options) {
+  if (!options) {
+    bodyCaptureTabs.delete(tabId);
+    return null;
+  }
+  const settings = {
+    mimeTypes: (options.mimeTypes?.length ? options.mimeTypes : DEFAULT_CAPTURE_MIME_TYPES).map(t => t.toLowerCase()),
+    urlPattern: options.urlPattern || null,
+  };
+  bodyCaptureTabs.set(tabId, settings);
+  return settings;
+}
+
+/**
+ * Get a tab's response body capture settings
+ * @param {number} tabId - Tab ID
+ * @returns {Object|null} {mimeTypes, urlPattern}, or null when not capturing
+ */
+export function getBodyCapture(tabId) {
+  return bodyCaptureTabs.get(tabId) || null;
+}
+
+/**
+ * Get the response body of a request: the captured copy, or else whatever Chrome still has
+ * @param {number} tabId - Tab ID
+ * @param {string} requestId - CDP request ID (as listed by read_network_requests)
+ * @returns {Promise<{request: Object, body: string, base64Encoded: boolean, truncated: boolean}>}
+ * @throws {Error} If the request is unknown or its body is no longer available
+ */
+export async function getResponseBody(tabId, requestId) {
+  const request = networkRequests.find(r => r.requestId === requestId && r.tabId === tabId);
+  if (!request) {
+    throw new Error(`No request ${requestId} in tab ${tabId}. Use read_network_requests to list request IDs.`);
+  }
+  if (request.body !== undefined) {
+    return { request, body: request.body, base64Encoded: request.base64Encoded, truncated: request.bodyTruncated };
+  }
+  try {
+    const result = await sendDebuggerCommand(tabId, 'Network.getResponseBody', { requestId });
+    return { request, body: result.body, base64Encoded: result.base64Encoded, truncated: false };
+  } catch (e) {
+    const reason = request.bodyError || e.message;
+    throw new Error(`Body of ${requestId} is not available (${reason}). Enable capture_response_bodies before the request is made.`);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Download Manager
+ * Finds the downloads a task started, waits for them and reads their files
+ *
+ * A task's downloads are the ones Chrome started after the task did, minus
+ * files this extension saved itself (logs, HAR exports). chrome.downloads has
+ * no tab for a download, so tasks running side by side see each other's.
+ *
+ * Extensions can't read the downloads folder directly. A finished file is read
+ * from disk through its file:// URL (works when "Allow access to file URLs" is
+ * on), else from the page for blob: URLs (until the page revokes them), else by
+ * fetching its source URL again with the browser's cookies.
+ */
+
+import { DELAYS, LIMITS } from '../modules/constants.js';
+
+export const DEFAULT_WAIT_MS = 30000;
+const MAX_WAIT_MS = 120000;
+
+/**
+ * Whether a download was saved by this extension
+ * @param {Object} item - chrome.downloads.DownloadItem
+ * @returns {boolean}
+ */
+function isOwnDownload(item) {
+  return item.byExtensionId === chrome.runtime.id;
+}
+
+/**
+ * List the downloads started since a point in time, newest first
+ * @param {string} since - ISO time the session started
+ * @returns {Promise<Array<Object>>} DownloadItems
+ */
+export async function listSessionDownloads(since) {
+  const items = await chrome.downloads.search({ startedAfter: since, orderBy: ['-startTime'] });
+  return items.filter(item => !isOwnDownload(item));
+}
+
+/**
+ * Get one download of the session
+ * @param {number} downloadId - Download ID
+ * @param {string} since - ISO time the session started
+ * @returns {Promise<Object>} DownloadItem
+ * @throws {Error} If there is no such download in the session
+ */
+export async function getSessionDownload(downloadId, since) {
+  const [item] = await chrome.downloads.search({ id: downloadId });
+  if (!item || isOwnDownload(item) || new Date(item.startTime) < new Date(since)) {
+    throw new Error(`No download ${downloadId} in this session. Use action "list" to see the session's downloads.`);
+  }
+  return item;
+}
+
+/**
+ * Newest download of the session, skipping a finished one and everything before it
+ * @param {string} since - ISO time the session started
+ * @param {Object|null} previous - Download that had finished when the wait started
+ * @returns {Promise<Object|null>} DownloadItem
+ */
+async function findNewestDownload(since, previous) {
+  const items = await listSessionDownloads(since);
+  if (!previous) return items[0] || null;
+  return items.find(item => item.id !== previous.id &&
+    new Date(item.startTime) >= new Date(previous.startTime)) || null;
+}
+
+/**
+ * Wait until a download finishes (completes or is interrupted)
+ * Without an ID, waits for the newest download of the session if it is still
+ * running, else for the next one to start (e.g. right after clicking a
+ * download link): a download that had finished is from an earlier click.
+ * @param {number|null} downloadId - Download ID, or null for the newest
+ * @param {string} since - ISO time the session started
+ * @param {number} timeoutMs - How long to wait
+ * @returns {Promise<{item: Object|null, timedOut: boolean}>} Last seen state
+ */
+export async function waitForDownload(downloadId, since, timeoutMs) {
+  const deadline = Date.now() + Math.min(timeoutMs, MAX_WAIT_MS);
+  const [newest] = downloadId === null ? await listSessionDownloads(since) : [];
+  const previous = newest && newest.state !== 'in_progress' ? newest : null;
+  let item = null;
+  for (;;) {
+    item = downloadId === null
+      ? await findNewestDownload(since, previous)
+      : await getSessionDownload(downloadId, since);
+    if (item && item.state !== 'in_progress') return { item, timedOut: false };
+    if (Date.now() >= deadline) return { item, timedOut: true };
+    await new Promise(resolve => setTimeout(resolve, DELAYS.DOWNLOAD_POLL));
+  }
+}
+
+/**
+ * file:// URL of a path on disk (POSIX or Windows)
+ * @param {string} path - Absolute file path
+ * @returns {string}
+ */
+function toFileUrl(path) {
+  const normalized = path.replace(/\\/g, '/');
+  return encodeURI(`file://${normalized.startsWith('/') ? '' : '/'}${normalized}`);
+}
+
+/**
+ * Fetch a URL into bytes, refusing files over the read limit
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchBytes(url) {
+  const response = await fetch(url, { credentials: 'include' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const buffer = await response.arrayBuffer();
+  if (buffer.byteLength > LIMITS.DOWNLOAD_READ_BYTES) {
+    throw new Error(`file is larger than ${LIMITS.DOWNLOAD_READ_BYTES} bytes`);
+  }
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Read a blob: URL in the tab that created it
+ * @param {number} tabId - Tab ID
+ * @param {string} url - blob: URL
+ * @returns {Promise<Uint8Array>}
+ */
+async function fetchBlobInTab(tabId, url) {
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: async (blobUrl, maxBytes) => {
+      try {
+        const buffer = await (await fetch(blobUrl)).arrayBuffer();
+        if (buffer.byteLength > maxBytes) return { error: `file is larger than ${maxBytes} bytes` };
+        return { bytes: Array.from(new Uint8Array(buffer)) };
+      } catch (e) {
+        return { error: e.message };
+      }
+    },
+    args: [url, LIMITS.DOWNLOAD_READ_BYTES],
+  });
+  const value = result?.result;
+  if (!value?.bytes) throw new Error(value?.error || 'no result from the page');
+  return new Uint8Array(value.bytes);
+}
+
+/**
+ * Read a finished download's file
+ * @param {Object} item - DownloadItem (state 'complete')
+ * @param {number|null} tabId - Tab to read blob: URLs in
+ * @returns {Promise<Uint8Array>} File contents
+ * @throws {Error} Listing why each way of reading the file failed
+ */
+export async function readDownloadBytes(item, tabId) {
+  const sourceUrl = item.finalUrl || item.url;
+  const attempts = [['file on disk', () => fetchBytes(toFileUrl(item.filename))]];
+  if (sourceUrl.startsWith('blob:')) {
+    if (tabId) attempts.push(['page blob', () => fetchBlobInTab(tabId, sourceUrl)]);
+  } else {
+    attempts.push(['source URL', () => fetchBytes(sourceUrl)]);
+  }
+
+  const failures = [];
+  for (const [source, read] of attempts) {
+    try {
+      return await read();
+    } catch (e) {
+      failures.push(`${source}: ${e.message}`);
+    }
+  }
+  throw new Error(`Could not read ${item.filename} (${failures.join('; ')}). ` +
+    'Turning on "Allow access to file URLs" for the extension lets it read downloaded files directly.');
+}
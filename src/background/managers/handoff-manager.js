@@ -0,0 +1,116 @@
+/**
+ * Handoff Manager
+ * Pauses a task while the user does a step the agent can't (CAPTCHAs,
+ * hardware security keys, payment confirmations) and resumes it when they're done
+ *
+ * The tab is brought to the front with a banner showing the agent's
+ * instructions. The user resumes from the banner's button or from the side
+ * panel (both send HUMAN_HANDOFF_RESUME). Stopping the task, or nobody
+ * answering in time, ends the wait too.
+ */
+
+import { DELAYS } from '../modules/constants.js';
+import { showHandoffBanner, hideHandoffBanner } from './indicator-manager.js';
+
+// Waiting handoffs: id -> {sessionId, resolve}
+const pendingHandoffs = new Map();
+
+/**
+ * Bring a tab and its window to the front
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function focusTab(tabId) {
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  const window = await chrome.windows.get(tab.windowId);
+  await chrome.windows.update(tab.windowId, window.state === 'minimized'
+    ? { focused: true, state: 'normal' }
+    : { focused: true });
+}
+
+/**
+ * Tell the side panel about a handoff (no-op when it is closed)
+ * @param {Object} message - Runtime message
+ */
+async function notifySidePanel(message) {
+  try {
+    await chrome.runtime.sendMessage(message);
+  } catch (e) {
+    // No side panel - the banner in the page still offers Resume
+  }
+}
+
+/**
+ * Hand the task over to the user until they resume it
+ * @param {Object} request
+ * @param {number} request.tabId - Tab the user should act in
+ * @param {string} request.instructions - What the user should do
+ * @param {string|null} request.sessionId - MCP session ID (null for the side panel task)
+ * @param {string|null} [request.task] - Task text, shown in the side panel
+ * @param {number} [request.timeoutMs] - Give up after this long
+ * @returns {Promise<Object>} {status: 'resumed'|'stopped'|'timeout', note?}
+ */
+export async function requestHumanHandoff({ tabId, instructions, sessionId, task = null, timeoutMs = DELAYS.HUMAN_HANDOFF_TIMEOUT }) {
+  const id = `handoff_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  const outcome = new Promise(resolve => {
+    const timeoutId = setTimeout(() => resolve({ status: 'timeout' }), timeoutMs);
+    pendingHandoffs.set(id, {
+      sessionId,
+      resolve: (result) => {
+        clearTimeout(timeoutId);
+        resolve(result);
+      },
+    });
+  });
+
+  // The banner goes away when the user navigates (e.g. a CAPTCHA that submits
+  // a form) - show it again on each page that loads while we wait
+  const handoff = { id, instructions };
+  const onTabUpdated = (updatedTabId, changeInfo) => {
+    if (updatedTabId === tabId && changeInfo.status === 'complete') {
+      showHandoffBanner(tabId, handoff);
+    }
+  };
+  chrome.tabs.onUpdated.addListener(onTabUpdated);
+
+  try {
+    await focusTab(tabId);
+    await showHandoffBanner(tabId, handoff);
+    await notifySidePanel({ type: 'HUMAN_HANDOFF_REQUIRED', handoff: { ...handoff, tabId, sessionId, task } });
+    return await outcome;
+  } finally {
+    chrome.tabs.onUpdated.removeListener(onTabUpdated);
+    // Still pending if the tab couldn't be focused - clears the timeout
+    pendingHandoffs.get(id)?.resolve({ status: 'stopped' });
+    pendingHandoffs.delete(id);
+    await hideHandoffBanner(tabId);
+    await notifySidePanel({ type: 'HUMAN_HANDOFF_ENDED', id });
+  }
+}
+
+/**
+ * Resume a task after the user did their part
+ * @param {string} id - Handoff ID
+ * @param {string} [note] - What the user wants the agent to know
+ * @returns {boolean} Whether a handoff was waiting
+ */
+export function resumeHandoff(id, note) {
+  const pending = pendingHandoffs.get(id);
+  if (!pending) return false;
+  pending.resolve({ status: 'resumed', note: note?.trim() || null });
+  pendingHandoffs.delete(id);
+  return true;
+}
+
+/**
+ * End the handoffs of a stopped task
+ * @param {string|null} sessionId - MCP session ID, or null for the side panel task
+ */
+export function cancelHandoffs(sessionId) {
+  for (const [id, pending] of pendingHandoffs) {
+    if (pending.sessionId === sessionId) {
+      pending.resolve({ status: 'stopped' });
+      pendingHandoffs.delete(id);
+    }
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * History Manager
+ * Persists finished agent runs in IndexedDB so past tasks can be searched,
+ * reviewed and continued from the side panel.
+ *
+ * One entry per conversation: follow-up tasks in the same chat (or the same
+ * MCP session) are appended to the entry as additional runs. Entries keep the
+ * raw message history (images replaced by placeholders) so a conversation can
+ * be resumed by passing it back to runAgentLoop as existingHistory.
+ */
+
+import { buildCleanTurns } from './logging-manager.js';
+import { LIMITS } from '../modules/constants.js';
+import { createStoreAccessor } from '../modules/indexed-db.js';
+
+const DB_NAME = 'llm-in-chrome-history';
+const DB_VERSION = 1;
+const STORE = 'conversations';
+
+const withStore = createStoreAccessor({
+  dbName: DB_NAME,
+  version: DB_VERSION,
+  storeName: STORE,
+  upgrade: (db) => {
+    const store = db.createObjectStore(STORE, { keyPath: 'id' });
+    store.createIndex('updatedAt', 'updatedAt');
+  },
+});
+
+/**
+ * Create an ID for a new history entry
+ * Runs get theirs when they start, so what happens during the run (tool
+ * analytics) can point to the entry before it is saved.
+ * @returns {string}
+ */
+export function newHistoryId() {
+  return `hist_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Replace image blocks with text placeholders (screenshots are stored separately)
+ * @param {Array<Object>} messages - Raw messages
+ * @returns {Array<Object>} Messages safe to store and resume from
+ */
+function stripImages(messages) {
+  const stripBlocks = (content) => {
+    if (!Array.isArray(content)) return content;
+    return content.map(block => {
+      if (block.type === 'image') return { type: 'text', text: '[image omitted]' };
+      if (block.type === 'tool_result' && Array.isArray(block.content)) {
+        return { ...block, content: stripBlocks(block.content) };
+      }
+      return block;
+    });
+  };
+  return messages.map(msg => ({ ...msg, content: stripBlocks(msg.content) }));
+}
+
+/**
+ * Get the messages belonging to the latest run (from its task message on)
+ * @param {Array<Object>} messages - Full conversation
+ * @param {string} prompt - Task text of the run
+ * @returns {Array<Object>} Messages of the run
+ */
+function getRunMessages(messages, prompt) {
+  const isTaskMessage = (msg) => msg.role === 'user' && (msg.content === prompt ||
+    (Array.isArray(msg.content) && msg.content.some(b => b.type === 'text' && b.text === prompt)));
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (isTaskMessage(messages[i])) return messages.slice(i);
+  }
+  return messages;
+}
+
+/**
+ * Add two usage objects field by field
+ * @param {Object|null} total - Accumulated usage
+ * @param {Object|null} usage - Usage of one run
+ * @returns {Object|null}
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  const sum = { ...total };
+  for (const [key, value] of Object.entries(usage)) {
+    sum[key] = (sum[key] || 0) + (value || 0);
+  }
+  return sum;
+}
+
+/**
+ * Build the lowercase text that search matches against
+ * @param {Object} entry - History entry
+ * @returns {string}
+ */
+function buildSearchText(entry) {
+  const parts = [entry.title, entry.model];
+  for (const run of entry.runs) {
+    parts.push(run.prompt, run.answer, run.error);
+    for (const turn of run.turns) {
+      parts.push(turn.ai_response);
+      for (const tool of turn.tools) {
+        parts.push(tool.name, JSON.stringify(tool.input), tool.result);
+      }
+    }
+  }
+  return parts.filter(Boolean).join('\n').toLowerCase();
+}
+
+/**
+ * Summary of an entry for list views (no messages or screenshots)
+ * @param {Object} entry - History entry
+ * @returns {Object}
+ */
+function summarize(entry) {
+  const lastRun = entry.runs[entry.runs.length - 1];
+  return {
+    id: entry.id,
+    source: entry.source,
+    title: entry.title,
+    model: entry.model,
+    status: entry.status,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+    runCount: entry.runs.length,
+    answer: lastRun?.answer?.substring(0, 300) || null,
+    screenshotCount: entry.screenshots.length,
+  };
+}
+
+/**
+ * Record a finished run, appending to its conversation's entry
+ * @param {Object} run - Run data
+ * @param {string|null} run.conversationId - Entry to append to (null starts a new entry)
+ * @param {string} run.source - 'sidepanel' | 'mcp' | 'schedule'
+ * @param {string} run.prompt - Task text
+ * @param {string|null} run.model - Model ID
+ * @param {string} run.status - Outcome (completed, failed, error, stopped)
+ * @param {string} run.startTime - ISO timestamp
+ * @param {string} run.endTime - ISO timestamp
+ * @param {Array<Object>} run.messages - Full conversation after the run
+ * @param {string|null} [run.answer] - Final answer
+ * @param {string|null} [run.error] - Error message
+ * @param {Object|null} [run.usage] - Token usage
+ * @param {Array<string>} [run.screenshots] - Screenshot data URLs taken during the run
+ * @returns {Promise<string>} Entry ID
+ */
+export async function recordRun(run) {
+  const existing = run.conversationId
+    ? await withStore('readonly', store => store.get(run.conversationId))
+    : null;
+
+  const entry = existing || {
+    id: run.conversationId || newHistoryId(),
+    source: run.source,
+    title: run.prompt.substring(0, 200),
+    createdAt: run.startTime,
+    runs: [],
+    screenshots: [],
+    usage: null,
+  };
+
+  entry.runs.push({
+    prompt: run.prompt,
+    model: run.model,
+    status: run.status,
+    startTime: run.startTime,
+    endTime: run.endTime,
+    answer: run.answer || null,
+    error: run.error || null,
+    usage: run.usage || null,
+    turns: buildCleanTurns(getRunMessages(run.messages, run.prompt)),
+  });
+  entry.messages = stripImages(run.messages);
+  entry.screenshots = [...entry.screenshots, ...(run.screenshots || [])].slice(-LIMITS.HISTORY_SCREENSHOTS);
+  entry.usage = addUsage(entry.usage, run.usage);
+  entry.model = run.model;
+  entry.status = run.status;
+  entry.updatedAt = run.endTime;
+  entry.searchText = buildSearchText(entry);
+
+  await withStore('readwrite', store => store.put(entry));
+  await pruneHistory();
+  return entry.id;
+}
+
+/**
+ * Drop the oldest entries beyond LIMITS.HISTORY_ENTRIES
+ * @returns {Promise<void>}
+ */
+async function pruneHistory() {
+  const count = await withStore('readonly', store => store.count());
+  let excess = count - LIMITS.HISTORY_ENTRIES;
+  if (excess <= 0) return;
+
+  await withStore('readwrite', store => {
+    const request = store.index('updatedAt').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && excess > 0) {
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      }
+    };
+    return request;
+  });
+}
+
+/**
+ * Search history, newest first
+ * Every whitespace-separated query term must appear in the prompt, answers,
+ * AI responses or tool calls of the conversation.
+ * @param {string} [query] - Search text (empty lists everything)
+ * @param {number} [limit] - Maximum results
+ * @returns {Promise<Array<Object>>} Entry summaries
+ */
+export async function searchHistory(query = '', limit = 50) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const results = [];
+
+  await withStore('readonly', store => {
+    const request = store.index('updatedAt').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || results.length >= limit) return;
+      const entry = cursor.value;
+      if (terms.every(term => entry.searchText.includes(term))) {
+        results.push(summarize(entry));
+      }
+      cursor.continue();
+    };
+    return request;
+  });
+  return results;
+}
+
+/**
+ * Get a full history entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object|null>} Entry with runs, messages and screenshots
+ */
+export async function getHistoryEntry(id) {
+  const entry = await withStore('readonly', store => store.get(id));
+  if (!entry) return null;
+  const { searchText: _searchText, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * Delete a history entry
+ * @param {string} id - Entry ID
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntry(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Delete all history
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  await withStore('readwrite', store => store.clear());
+}
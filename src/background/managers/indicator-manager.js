@@ -70,6 +70,33 @@ async function restoreIndicatorAfterToolUse(tabId) {
   }
 }
 
+/**
+ * Show the human handoff banner (instructions and a Resume button) on a tab
+ * @param {number} tabId - Tab the user should act in
+ * @param {Object} handoff - {id, instructions}
+ * @returns {Promise<void>}
+ */
+async function showHandoffBanner(tabId, handoff) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'SHOW_HUMAN_HANDOFF', handoff });
+  } catch (e) {
+    // Tab might not have content script loaded - the side panel still offers Resume
+  }
+}
+
+/**
+ * Remove the human handoff banner
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function hideHandoffBanner(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'HIDE_HUMAN_HANDOFF' });
+  } catch (e) {
+    // Ignore - tab might be closed or not have content script
+  }
+}
+
 /**
  * Get the effective tab ID, validating it's in the same group
  * Get effective tab ID
@@ -93,6 +120,8 @@ export const indicatorManager = {
   hideAgentIndicators,
   hideIndicatorForToolUse,
   restoreIndicatorAfterToolUse,
+  showHandoffBanner,
+  hideHandoffBanner,
   getEffectiveTabId,
 };
 
@@ -102,6 +131,8 @@ export {
   hideAgentIndicators,
   hideIndicatorForToolUse,
   restoreIndicatorAfterToolUse,
+  showHandoffBanner,
+  hideHandoffBanner,
   getEffectiveTabId,
 };
 
@@ -0,0 +1,349 @@
+/**
+ * Scheduler Manager
+ * Stores scheduled task definitions, keeps chrome.alarms in sync with their
+ * recurrence, and records run history.
+ *
+ * Recurrence uses 5-field cron syntax (minute hour day-of-month month day-of-week)
+ * in the browser's local time, plus the shortcuts @hourly, @daily, @weekdays, @weekly.
+ * Example: "0 9 * * 1-5" runs every weekday at 9:00.
+ */
+
+const SCHEDULES_KEY = 'scheduled_tasks';
+const RUNS_KEY = 'scheduled_task_runs';
+const ALARM_PREFIX = 'schedule:';
+const MAX_RUNS = 100;
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 9 * * *',
+  '@weekdays': '0 9 * * 1-5',
+  '@weekly': '0 9 * * 1',
+};
+
+// [min, max] for each cron field (day of week 7 is also Sunday)
+const FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+const FIELD_NAMES = ['minute', 'hour', 'day of month', 'month', 'day of week'];
+
+// Stop searching for the next run after this many days (e.g., "0 0 31 2 *" never matches)
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// Serializes read-modify-write of the stored schedules and runs (alarms can fire together)
+let storageWrite = Promise.resolve();
+
+/**
+ * Run a read-modify-write of stored schedule data after the ones already queued
+ * @param {Function} change - async () => result
+ * @returns {Promise<*>} Result of change
+ */
+function queueWrite(change) {
+  storageWrite = storageWrite.catch(() => {}).then(change);
+  return storageWrite;
+}
+
+/**
+ * Parse the range part of a cron field item ("*", "5", "1-5")
+ * @param {string} rangeText - Range text (before any "/step")
+ * @param {boolean} stepped - Whether a step follows ("5/15" runs from 5 to the field's max)
+ * @param {number} index - Field position (0 = minute ... 4 = day of week)
+ * @returns {[number, number]} First and last value (NaN if not a number)
+ */
+function parseRange(rangeText, stepped, index) {
+  const [min, max] = FIELD_RANGES[index];
+  if (rangeText === '*') return [min, max];
+
+  const [a, b] = rangeText.split('-').map(n => parseInt(n, 10));
+  return [a, b === undefined ? (stepped ? max : a) : b];
+}
+
+/**
+ * Parse one cron field into the set of allowed values
+ * Supports *, numbers, lists (1,3,5), ranges (1-5) and steps (*\/15, 0-30/10).
+ * @param {string} field - Cron field text
+ * @param {number} index - Field position (0 = minute ... 4 = day of week)
+ * @returns {{values: Set<number>, any: boolean}} Allowed values
+ * @throws {Error} If the field is malformed or out of range
+ */
+function parseField(field, index) {
+  const [min, max] = FIELD_RANGES[index];
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    const [start, end] = parseRange(rangeText, stepText !== undefined, index);
+
+    if ([start, end, step].some(Number.isNaN) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${FIELD_NAMES[index]} field: "${field}"`);
+    }
+    for (let v = start; v <= end; v += step) values.add(index === 4 ? v % 7 : v);
+  }
+
+  return { values, any: field === '*' };
+}
+
+/**
+ * Parse a recurrence expression
+ * @param {string} expression - Cron expression or shortcut
+ * @returns {Array<{values: Set<number>, any: boolean}>} Parsed fields
+ * @throws {Error} If the expression is invalid
+ */
+export function parseRecurrence(expression) {
+  const normalized = SHORTCUTS[expression?.trim()] || expression?.trim() || '';
+  const fields = normalized.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Recurrence must have 5 fields (minute hour day month weekday), e.g. "0 9 * * 1-5"');
+  }
+  return fields.map((field, i) => parseField(field, i));
+}
+
+/**
+ * Compute the next run time strictly after a given time
+ * @param {string} expression - Cron expression or shortcut
+ * @param {Date} [from] - Start time (defaults to now)
+ * @returns {number|null} Timestamp (ms) of the next run, or null if none within a year
+ */
+export function getNextRunTime(expression, from = new Date()) {
+  const [minutes, hours, days, months, weekdays] = parseRecurrence(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  // Standard cron: if both day fields are restricted, either may match
+  const dayMatches = (d) => {
+    const dom = days.values.has(d.getDate());
+    const dow = weekdays.values.has(d.getDay());
+    if (days.any) return dow;
+    if (weekdays.any) return dom;
+    return dom || dow;
+  };
+
+  while (date.getTime() <= limit) {
+    if (!months.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!dayMatches(date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!hours.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!minutes.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * List scheduled task definitions
+ * @returns {Promise<Array<Object>>} Scheduled tasks
+ */
+export async function listScheduledTasks() {
+  const stored = await chrome.storage.local.get([SCHEDULES_KEY]);
+  return stored[SCHEDULES_KEY] || [];
+}
+
+/**
+ * Get a scheduled task by ID
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object|null>} Scheduled task or null
+ */
+export async function getScheduledTask(id) {
+  const schedules = await listScheduledTasks();
+  return schedules.find(s => s.id === id) || null;
+}
+
+/**
+ * Write schedules back to storage
+ * @param {Array<Object>} schedules - All scheduled tasks
+ * @returns {Promise<void>}
+ */
+async function writeSchedules(schedules) {
+  await chrome.storage.local.set({ [SCHEDULES_KEY]: schedules });
+}
+
+/**
+ * Create or clear the alarm for a schedule and record its next run time
+ * @param {Object} schedule - Scheduled task (mutated: nextRunAt)
+ * @returns {Promise<void>}
+ */
+async function syncAlarm(schedule) {
+  const alarmName = ALARM_PREFIX + schedule.id;
+  await chrome.alarms.clear(alarmName);
+
+  schedule.nextRunAt = schedule.enabled ? getNextRunTime(schedule.recurrence) : null;
+  if (schedule.nextRunAt) {
+    await chrome.alarms.create(alarmName, { when: schedule.nextRunAt });
+  }
+}
+
+/**
+ * Create or update a scheduled task
+ * @param {Object} input - Schedule fields
+ * @param {string} [input.id] - Existing schedule ID (omit to create)
+ * @param {string} input.name - Display name
+ * @param {string} input.prompt - Task prompt for the agent
+ * @param {string} [input.url] - Starting URL
+ * @param {Object|null} [input.model] - Model to use ({name, modelId, baseUrl, apiKey, authMethod}), null for current
+ * @param {string} input.recurrence - Cron expression or shortcut
+ * @param {boolean} [input.enabled] - Whether the schedule is active (default true)
+ * @returns {Promise<Object>} Saved schedule
+ * @throws {Error} If the prompt is missing or the recurrence is invalid
+ */
+export async function saveScheduledTask(input) {
+  if (!input?.prompt?.trim()) {
+    throw new Error('Task prompt is required');
+  }
+  if (getNextRunTime(input.recurrence) === null) {
+    throw new Error('Recurrence never matches within the next year');
+  }
+
+  return queueWrite(() => writeSavedSchedule(input));
+}
+
+/**
+ * Store a validated schedule and sync its alarm (see saveScheduledTask)
+ * @param {Object} input - Schedule fields
+ * @returns {Promise<Object>} Saved schedule
+ */
+async function writeSavedSchedule(input) {
+  const schedules = await listScheduledTasks();
+  const existing = schedules.find(s => s.id === input.id);
+  const schedule = {
+    ...existing,
+    id: existing?.id || `sched_${Date.now().toString(36)}`,
+    name: input.name?.trim() || input.prompt.trim().substring(0, 50),
+    prompt: input.prompt.trim(),
+    url: input.url?.trim() || null,
+    model: input.model || null,
+    recurrence: input.recurrence.trim(),
+    enabled: input.enabled !== false,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+  };
+
+  await syncAlarm(schedule);
+  await writeSchedules([...schedules.filter(s => s.id !== schedule.id), schedule]);
+  return schedule;
+}
+
+/**
+ * Delete a scheduled task and its alarm (run history is kept)
+ * @param {string} id - Schedule ID
+ * @returns {Promise<void>}
+ */
+export function deleteScheduledTask(id) {
+  return queueWrite(async () => {
+    await chrome.alarms.clear(ALARM_PREFIX + id);
+    const schedules = await listScheduledTasks();
+    await writeSchedules(schedules.filter(s => s.id !== id));
+  });
+}
+
+/**
+ * Get run history, newest first
+ * @param {string} [scheduleId] - Only runs of this schedule
+ * @returns {Promise<Array<Object>>} Run records
+ */
+export async function getRunHistory(scheduleId = null) {
+  const stored = await chrome.storage.local.get([RUNS_KEY]);
+  const runs = stored[RUNS_KEY] || [];
+  return scheduleId ? runs.filter(r => r.scheduleId === scheduleId) : runs;
+}
+
+/**
+ * Record a finished run (keeps the most recent MAX_RUNS)
+ * @param {Object} run - Run record {scheduleId, name, startedAt, endedAt, status, answer, steps}
+ * @returns {Promise<void>}
+ */
+function recordRun(run) {
+  return queueWrite(async () => {
+    const runs = await getRunHistory();
+    await chrome.storage.local.set({ [RUNS_KEY]: [run, ...runs].slice(0, MAX_RUNS) });
+  });
+}
+
+/**
+ * Update a stored schedule's fields (no-op if it was deleted meanwhile)
+ * @param {string} id - Schedule ID
+ * @param {Function} change - async (schedule) => void, mutates the stored schedule
+ * @returns {Promise<void>}
+ */
+function updateSchedule(id, change) {
+  return queueWrite(async () => {
+    const schedules = await listScheduledTasks();
+    const stored = schedules.find(s => s.id === id);
+    if (stored) {
+      await change(stored);
+      await writeSchedules(schedules);
+    }
+  });
+}
+
+/**
+ * Run a schedule now and record the result
+ * @param {Object} schedule - Scheduled task
+ * @param {Function} runTask - (schedule) => Promise<{status, answer, steps}>
+ * @returns {Promise<Object>} Run record
+ */
+export async function executeScheduledTask(schedule, runTask) {
+  const startedAt = new Date().toISOString();
+  let outcome;
+  try {
+    outcome = await runTask(schedule);
+  } catch (error) {
+    outcome = { status: 'error', answer: error.message, steps: 0 };
+  }
+
+  const run = {
+    id: `run_${Date.now().toString(36)}`,
+    scheduleId: schedule.id,
+    name: schedule.name,
+    startedAt,
+    endedAt: new Date().toISOString(),
+    ...outcome,
+  };
+  await recordRun(run);
+
+  await updateSchedule(schedule.id, (stored) => {
+    stored.lastRunAt = run.endedAt;
+    stored.lastStatus = run.status;
+  });
+
+  chrome.runtime.sendMessage({ type: 'SCHEDULE_RUN_COMPLETE', run }).catch(() => {});
+  return run;
+}
+
+/**
+ * Initialize the scheduler: re-create missing alarms and handle alarm events
+ * Alarms survive service worker restarts but are dropped when the extension
+ * is reloaded, so every enabled schedule is re-synced on startup.
+ * @param {Function} runTask - (schedule) => Promise<{status, answer, steps}>
+ * @returns {Promise<void>}
+ */
+export async function initScheduler(runTask) {
+  chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (!alarm.name.startsWith(ALARM_PREFIX)) return;
+
+    const schedule = await getScheduledTask(alarm.name.slice(ALARM_PREFIX.length));
+    if (!schedule?.enabled) return;
+
+    // Schedule the next occurrence before running (runs can take minutes)
+    await updateSchedule(schedule.id, syncAlarm);
+
+    await executeScheduledTask(schedule, runTask);
+  });
+
+  await queueWrite(async () => {
+    const schedules = await listScheduledTasks();
+    for (const schedule of schedules) {
+      const alarm = await chrome.alarms.get(ALARM_PREFIX + schedule.id);
+      if (schedule.enabled && !alarm) {
+        await syncAlarm(schedule);
+      }
+    }
+    await writeSchedules(schedules);
+  });
+}
@@ -0,0 +1,272 @@
+/**
+ * Skills Manager
+ * Stores the user's domain skills: Markdown guidance the agent gets on pages
+ * whose URL matches the skill's domain, glob or regex (see domain-skills.js),
+ * optionally turning on human-like input (antiBot) there.
+ *
+ * Every edit bumps a skill's version and keeps the previous one, so a change
+ * can be rolled back. Skills import from and export to JSON or Markdown packs
+ * (see skill-packs.js) so a team can share them.
+ *
+ * Domain skills also sync with the MCP server's knowledge base
+ * (mcp-server/knowledge/sites/{domain}.md) over the relay: what the server's
+ * Explorer Agent learns arrives as a new version of the domain's skill, and
+ * edits made here are written back. The newer side wins.
+ */
+
+import { LIMITS } from '../modules/constants.js';
+import { DOMAIN_SKILLS } from '../modules/domain-skills.js';
+import { normalizeSkill, parseSkillPack, serializeSkillPack } from '../modules/skill-packs.js';
+
+const SKILLS_KEY = 'domainSkills';
+const LEGACY_SKILLS_KEY = 'userSkills'; // Flat [{domain, skill}] list from Settings before skills had versions
+
+/**
+ * Create a skill ID
+ * @returns {string}
+ */
+function newSkillId() {
+  return `skill_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Create a stored skill at version 1
+ * @param {Object} fields - Normalized fields (see normalizeSkill)
+ * @returns {Object} Skill
+ */
+function createSkill(fields) {
+  const now = new Date().toISOString();
+  return { id: newSkillId(), ...fields, version: 1, createdAt: now, updatedAt: now, history: [] };
+}
+
+/**
+ * Whether two skills have the same versioned content (enabling a skill is not an edit)
+ * @param {Object} a - Skill
+ * @param {Object} b - Skill
+ * @returns {boolean}
+ */
+function sameContent(a, b) {
+  return a.name === b.name && a.skill === b.skill && a.antiBot === b.antiBot &&
+    a.match.type === b.match.type && a.match.pattern === b.match.pattern;
+}
+
+/**
+ * Apply an edit to a stored skill, keeping the current content as a previous version
+ * @param {Object} skill - Stored skill
+ * @param {Object} fields - Normalized fields
+ * @returns {Object} Updated skill (the same content only changes `enabled`)
+ */
+function applyEdit(skill, fields) {
+  if (sameContent(skill, fields)) {
+    return { ...skill, enabled: fields.enabled };
+  }
+  const { version, name, match, skill: text, antiBot, updatedAt } = skill;
+  return {
+    ...skill,
+    ...fields,
+    version: version + 1,
+    updatedAt: new Date().toISOString(),
+    history: [{ version, name, match, skill: text, antiBot, updatedAt }, ...skill.history].slice(0, LIMITS.SKILL_VERSIONS),
+  };
+}
+
+/**
+ * Write skills back to storage
+ * @param {Array<Object>} skills - All skills
+ * @returns {Promise<void>}
+ */
+async function writeSkills(skills) {
+  await chrome.storage.local.set({ [SKILLS_KEY]: skills });
+}
+
+/**
+ * List the user's skills (moving over the older flat list the first time)
+ * @returns {Promise<Array<Object>>} Skills
+ */
+export async function listSkills() {
+  const stored = await chrome.storage.local.get([SKILLS_KEY, LEGACY_SKILLS_KEY]);
+  if (stored[SKILLS_KEY]) return stored[SKILLS_KEY];
+
+  const skills = [];
+  for (const legacy of stored[LEGACY_SKILLS_KEY] || []) {
+    try {
+      skills.push(createSkill(normalizeSkill(legacy)));
+    } catch (error) {
+      console.warn('[Skills] Dropping invalid skill:', error.message);
+    }
+  }
+  await writeSkills(skills);
+  await chrome.storage.local.remove(LEGACY_SKILLS_KEY);
+  return skills;
+}
+
+/**
+ * Built-in skills, for display (a user skill for the same domain replaces one)
+ * @returns {Array<Object>} {domain, skill, antiBot}
+ */
+export function listBuiltInSkills() {
+  return DOMAIN_SKILLS.map(({ domain, skill, antiBot }) => ({ domain, skill, antiBot: antiBot === true }));
+}
+
+/**
+ * Create or update a skill
+ * @param {Object} input - Skill fields (see normalizeSkill)
+ * @param {string} [input.id] - Existing skill ID (omit to create)
+ * @returns {Promise<Object>} Saved skill
+ * @throws {Error} If the skill is invalid, not found, or another skill has the same pattern
+ */
+export async function saveSkill(input) {
+  const fields = normalizeSkill(input);
+  const skills = await listSkills();
+  const existing = input.id ? skills.find(s => s.id === input.id) : null;
+  if (input.id && !existing) {
+    throw new Error('Skill not found');
+  }
+  const duplicate = skills.find(s => s.id !== input.id &&
+    s.match.type === fields.match.type && s.match.pattern === fields.match.pattern);
+  if (duplicate) {
+    throw new Error(`"${duplicate.name}" already matches ${fields.match.pattern} - edit that skill instead`);
+  }
+
+  const skill = existing ? applyEdit(existing, fields) : createSkill(fields);
+  await writeSkills(existing ? skills.map(s => (s.id === skill.id ? skill : s)) : [...skills, skill]);
+  return skill;
+}
+
+/**
+ * Delete a skill
+ * @param {string} id - Skill ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSkill(id) {
+  const skills = await listSkills();
+  await writeSkills(skills.filter(s => s.id !== id));
+}
+
+/**
+ * Roll a skill back to a previous version (saved as a new version)
+ * @param {string} id - Skill ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} Saved skill
+ * @throws {Error} If the skill or version is not found
+ */
+export async function restoreSkillVersion(id, version) {
+  const skills = await listSkills();
+  const skill = skills.find(s => s.id === id);
+  const previous = skill?.history.find(h => h.version === version);
+  if (!previous) {
+    throw new Error(`Version ${version} of this skill not found`);
+  }
+  return saveSkill({ ...skill, name: previous.name, match: previous.match, skill: previous.skill, antiBot: previous.antiBot });
+}
+
+/**
+ * Import a JSON or Markdown skill pack
+ * A skill in the pack replaces the user's skill with the same name or pattern
+ * (as a new version); the rest are added.
+ * @param {string} content - File content
+ * @returns {Promise<Object>} {added, updated, unchanged} counts
+ * @throws {Error} If the pack is invalid (nothing is imported)
+ */
+export async function importSkills(content) {
+  const imported = parseSkillPack(content);
+  const skills = await listSkills();
+  const counts = { added: 0, updated: 0, unchanged: 0 };
+
+  for (const fields of imported) {
+    const index = skills.findIndex(s => s.name.toLowerCase() === fields.name.toLowerCase() ||
+      (s.match.type === fields.match.type && s.match.pattern === fields.match.pattern));
+    if (index < 0) {
+      skills.push(createSkill(fields));
+      counts.added++;
+    } else if (sameContent(skills[index], fields)) {
+      counts.unchanged++;
+    } else {
+      skills[index] = applyEdit(skills[index], fields);
+      counts.updated++;
+    }
+  }
+
+  await writeSkills(skills);
+  return counts;
+}
+
+/**
+ * Export skills as a pack
+ * @param {Object} [options]
+ * @param {string} [options.format='json'] - 'json' or 'markdown'
+ * @param {Array<string>} [options.ids] - Skills to export (default all)
+ * @returns {Promise<{content: string, filename: string}>}
+ * @throws {Error} If there are no skills to export
+ */
+export async function exportSkills({ format = 'json', ids } = {}) {
+  const skills = (await listSkills()).filter(s => !ids || ids.includes(s.id));
+  if (skills.length === 0) {
+    throw new Error('No skills to export');
+  }
+  return {
+    content: serializeSkillPack(skills, format),
+    filename: `llm-in-chrome-skills.${format === 'markdown' ? 'md' : 'json'}`,
+  };
+}
+
+/**
+ * Domain skills as knowledge base entries (glob and regex skills have no knowledge file)
+ * @param {Array<Object>} skills - Skills
+ * @returns {Array<Object>} {domain, content, updatedAt}
+ */
+export function toKnowledgeEntries(skills) {
+  return skills
+    .filter(s => s.match.type === 'domain')
+    .map(s => ({ domain: s.match.pattern, content: s.skill, updatedAt: s.updatedAt }));
+}
+
+/**
+ * Knowledge base changes between two skill lists
+ * @param {Array<Object>} before - Skills before a change
+ * @param {Array<Object>} after - Skills after it
+ * @returns {{skills: Array<Object>, deleted: Array<string>}} Changed entries, domains without a skill anymore
+ */
+export function diffKnowledgeEntries(before, after) {
+  const previous = new Map(toKnowledgeEntries(before).map(entry => [entry.domain, entry.content]));
+  const current = toKnowledgeEntries(after);
+  const domains = new Set(current.map(entry => entry.domain));
+  return {
+    skills: current.filter(entry => previous.get(entry.domain) !== entry.content),
+    deleted: [...previous.keys()].filter(domain => !domains.has(domain)),
+  };
+}
+
+/**
+ * Apply knowledge base files from the MCP server to the domain skills
+ * A file becomes a new version of the domain's skill unless the skill has the
+ * same text or was edited more recently; a deleted file deletes the skill.
+ * @param {Object} sync - {entries: [{domain, content, updatedAt}], deleted: [domain]}
+ * @returns {Promise<Object>} {added, updated, deleted} counts
+ */
+export async function applyKnowledgeSync({ entries = [], deleted = [] }) {
+  let skills = await listSkills();
+  const counts = { added: 0, updated: 0, deleted: 0 };
+
+  for (const entry of entries) {
+    const index = skills.findIndex(s => s.match.type === 'domain' && s.match.pattern === entry.domain);
+    const skill = skills[index];
+    const content = String(entry.content || '').trim();
+    if (!content || (skill && (skill.skill === content || skill.updatedAt >= entry.updatedAt))) continue;
+
+    if (skill) {
+      skills[index] = applyEdit(skill, { ...normalizeSkill(skill), skill: content });
+      counts.updated++;
+    } else {
+      skills.push(createSkill(normalizeSkill({ match: { type: 'domain', pattern: entry.domain }, skill: content })));
+      counts.added++;
+    }
+  }
+
+  const remaining = skills.filter(s => !(s.match.type === 'domain' && deleted.includes(s.match.pattern)));
+  counts.deleted = skills.length - remaining.length;
+  skills = remaining;
+
+  await writeSkills(skills);
+  return counts;
+}
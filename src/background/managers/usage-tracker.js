@@ -2,11 +2,8 @@
  * Usage Tracker
  * Tracks token usage and costs across tasks for overnight runs
  *
- * Cost reference (as of Jan 2025):
- * - Claude Opus 4.5: $15/1M input, $75/1M output
- * - Claude Sonnet 4: $3/1M input, $15/1M output
- * - Claude Haiku 4: $1/1M input, $5/1M output
- * - With OAuth: $0 (included in Claude subscription)
+ * Cost reference: see PRICING below (USD per 1M tokens).
+ * With OAuth: $0 (included in Claude subscription)
  */
 
 // Session-wide usage stats
@@ -30,18 +27,68 @@ let currentTaskUsage = {
   apiCalls: 0,
 };
 
-// Pricing per 1M tokens (USD) - Jan 2025 rates
+// Pricing per 1M tokens (USD). Keys are model ID prefixes - the longest match wins.
 const PRICING = {
-  // Claude 4 family
-  'claude-opus-4-5-20250514': { input: 15, output: 75 },
-  'claude-sonnet-4-20250514': { input: 3, output: 15 },
-  'claude-haiku-4-20250414': { input: 1, output: 5 },
-  // Legacy models
-  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
-  'claude-3-5-haiku-20241022': { input: 1, output: 5 },
+  // Claude
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  // OpenAI
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'o3': { input: 2, output: 8 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  // Google
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-3-pro': { input: 2, output: 12 },
   'default': { input: 3, output: 15 },
 };
 
+// Cache pricing relative to the input rate (Anthropic prompt caching)
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+/**
+ * Look up the price for a model
+ * @param {string} [model] - Model ID (OpenRouter-style "vendor/model" IDs are matched on the model part)
+ * @param {Object} [overrides] - Extra prefix -> {input, output} entries that take precedence
+ * @returns {{input: number, output: number}} USD per 1M tokens
+ */
+export function getPricing(model, overrides = {}) {
+  const id = (model || '').toLowerCase().split('/').pop();
+  for (const table of [overrides, PRICING]) {
+    const match = Object.keys(table)
+      .filter(prefix => prefix !== 'default' && id.startsWith(prefix.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    if (match) return table[match];
+  }
+  return PRICING.default;
+}
+
+/**
+ * Estimate the cost of one API response
+ * @param {string} model - Model ID
+ * @param {Object} usage - Usage object from the API response (input_tokens, output_tokens, cache_*)
+ * @param {Object} [overrides] - Price overrides for getPricing
+ * @returns {number} Cost in USD
+ */
+export function estimateCost(model, usage, overrides = {}) {
+  if (!usage) return 0;
+  const pricing = getPricing(model, overrides);
+  const input = (usage.input_tokens || 0)
+    + (usage.cache_creation_input_tokens || 0) * CACHE_WRITE_MULTIPLIER
+    + (usage.cache_read_input_tokens || 0) * CACHE_READ_MULTIPLIER;
+  return (input * pricing.input + (usage.output_tokens || 0) * pricing.output) / 1_000_000;
+}
+
 /**
  * Start a new tracking session
  */
@@ -127,7 +174,7 @@ export function getTaskUsage() {
  * @param {string} [model] - Model name for cost calculation
  */
 export function getSessionStats(model = 'default') {
-  const pricing = PRICING[model] || PRICING.default;
+  const pricing = getPricing(model);
 
   // Calculate cost (per 1M tokens)
   const inputCost = (sessionStats.totalInputTokens / 1_000_000) * pricing.input;
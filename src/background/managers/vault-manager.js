@@ -0,0 +1,371 @@
+/**
+ * Vault Manager
+ * Passphrase-locked credential vault: per-domain logins (username, password,
+ * TOTP secret) the agent can fill into login forms without seeing them
+ *
+ * The logins are stored in chrome.storage.local as one AES-GCM blob, under a
+ * key derived from the passphrase with PBKDF2. Unlocking keeps the derived key
+ * in chrome.storage.session - memory only, so it survives service worker
+ * restarts but not the browser closing - until the vault is locked or the
+ * auto-lock time passes. The passphrase itself is never stored.
+ *
+ * Passwords and TOTP codes must not reach the LLM. get_credential fills them
+ * without returning them, and redactVaultSecrets masks them in every tool
+ * result in case a page echoes a filled value back (read_page, get_page_text,
+ * javascript_tool). A script could also read a filled value back in a form
+ * masking can't recognize (encoded, reversed, split), so the action policy
+ * asks before javascript_tool runs in a tab that had a secret filled.
+ */
+
+import { parseTotpSecret } from '../modules/totp.js';
+
+const VAULT_KEY = 'credentialVault';
+const SESSION_KEY = 'credentialVaultSession';
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+export const AUTO_LOCK_MS = 8 * 60 * 60 * 1000;
+
+let cachedEntries = null;
+// Secrets filled into pages since the worker started, masked even once the vault locks
+const filledSecrets = new Set();
+// Tabs a secret was filled into, until they close
+const filledTabs = new Set();
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  filledTabs.delete(tabId);
+});
+
+// Another context (or auto-lock) changed the vault - decrypt again on next use
+chrome.storage.onChanged.addListener((changes, area) => {
+  if ((area === 'local' && changes[VAULT_KEY]) || (area === 'session' && changes[SESSION_KEY])) {
+    cachedEntries = null;
+  }
+});
+
+/**
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {string} Base64
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Derive the vault key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>} AES-GCM key (extractable, to keep it in session storage)
+ */
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/**
+ * Encrypt the logins
+ * @param {CryptoKey} key
+ * @param {Array<Object>} entries
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+async function encryptEntries(key, entries) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(entries)));
+  return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt the logins
+ * @param {CryptoKey} key
+ * @param {Object} vault - Stored vault
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} If the key is wrong (AES-GCM authentication fails)
+ */
+async function decryptEntries(key, vault) {
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+    return JSON.parse(new TextDecoder().decode(data));
+  } catch {
+    throw new Error('Wrong passphrase');
+  }
+}
+
+/**
+ * @returns {Promise<Object|null>} Stored vault
+ */
+async function getStoredVault() {
+  const stored = await chrome.storage.local.get([VAULT_KEY]);
+  return stored[VAULT_KEY] || null;
+}
+
+/**
+ * The unlocked key, or null when locked (auto-lock is applied here)
+ * @returns {Promise<CryptoKey|null>}
+ */
+async function getSessionKey() {
+  const stored = await chrome.storage.session.get([SESSION_KEY]);
+  const session = stored[SESSION_KEY];
+  if (!session) return null;
+  if (Date.now() > session.expiresAt) {
+    await lockVault();
+    return null;
+  }
+  return crypto.subtle.importKey('raw', fromBase64(session.key), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Keep a key unlocked for this browser session
+ * @param {CryptoKey} key
+ * @returns {Promise<void>}
+ */
+async function startSession(key) {
+  const raw = await crypto.subtle.exportKey('raw', key);
+  await chrome.storage.session.set({ [SESSION_KEY]: { key: toBase64(raw), expiresAt: Date.now() + AUTO_LOCK_MS } });
+}
+
+/**
+ * The decrypted logins
+ * @returns {Promise<Array<Object>>}
+ * @throws {Error} If there is no vault or it is locked
+ */
+async function getEntries() {
+  if (cachedEntries) return cachedEntries;
+  const vault = await getStoredVault();
+  if (!vault) throw new Error('No credential vault is set up');
+  const key = await getSessionKey();
+  if (!key) throw new Error('The credential vault is locked');
+  cachedEntries = await decryptEntries(key, vault);
+  return cachedEntries;
+}
+
+/**
+ * Encrypt and store the logins under the unlocked key
+ * @param {Array<Object>} entries
+ * @returns {Promise<void>}
+ */
+async function saveEntries(entries) {
+  const vault = await getStoredVault();
+  const key = await getSessionKey();
+  if (!vault || !key) throw new Error('Unlock the credential vault first');
+  await chrome.storage.local.set({ [VAULT_KEY]: { ...vault, ...(await encryptEntries(key, entries)) } });
+  cachedEntries = entries;
+}
+
+/**
+ * A login without its secrets, for the settings UI and the LLM
+ * @param {Object} entry
+ * @returns {{id: string, domain: string, username: string, hasPassword: boolean, hasTotp: boolean}}
+ */
+function describeEntry(entry) {
+  return {
+    id: entry.id,
+    domain: entry.domain,
+    username: entry.username,
+    hasPassword: Boolean(entry.password),
+    hasTotp: Boolean(entry.totp),
+  };
+}
+
+/**
+ * Normalize a domain as entered ("https://www.Example.com/login" -> "www.example.com")
+ * @param {string} domain
+ * @returns {string}
+ */
+function normalizeDomain(domain) {
+  const text = String(domain || '').trim().toLowerCase();
+  return text.replace(/^[a-z]+:\/\//, '').replace(/^\*\./, '').split(/[/?#]/)[0];
+}
+
+/**
+ * Vault state for the settings UI
+ * @returns {Promise<{exists: boolean, unlocked: boolean, expiresAt?: number, credentials?: Array<Object>}>}
+ */
+export async function getVaultStatus() {
+  if (!await getStoredVault()) return { exists: false, unlocked: false };
+  if (!await getSessionKey()) return { exists: true, unlocked: false };
+  const stored = await chrome.storage.session.get([SESSION_KEY]);
+  return {
+    exists: true,
+    unlocked: true,
+    expiresAt: stored[SESSION_KEY].expiresAt,
+    credentials: (await getEntries()).map(describeEntry),
+  };
+}
+
+/**
+ * Create an empty vault and unlock it
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If a vault exists or the passphrase is too short
+ */
+export async function createVault(passphrase) {
+  if (await getStoredVault()) throw new Error('A credential vault already exists');
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const encrypted = await encryptEntries(key, []);
+  await chrome.storage.local.set({ [VAULT_KEY]: { version: 1, salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, ...encrypted } });
+  await startSession(key);
+}
+
+/**
+ * Unlock the vault
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} If there is no vault or the passphrase is wrong
+ */
+export async function unlockVault(passphrase) {
+  const vault = await getStoredVault();
+  if (!vault) throw new Error('No credential vault is set up');
+  const key = await deriveKey(passphrase || '', fromBase64(vault.salt), vault.iterations);
+  cachedEntries = await decryptEntries(key, vault);
+  await startSession(key);
+}
+
+/**
+ * Lock the vault (forget the key)
+ * @returns {Promise<void>}
+ */
+export async function lockVault() {
+  cachedEntries = null;
+  await chrome.storage.session.remove(SESSION_KEY);
+}
+
+/**
+ * Delete the vault and every login in it
+ * @returns {Promise<void>}
+ */
+export async function deleteVault() {
+  await lockVault();
+  await chrome.storage.local.remove(VAULT_KEY);
+}
+
+/**
+ * Add or update a login
+ * Empty password or TOTP fields keep the saved ones when updating; pass
+ * clearTotp to remove a TOTP secret.
+ * @param {Object} credential - {id?, domain, username, password?, totp?, clearTotp?}
+ * @returns {Promise<Object>} The login without its secrets
+ * @throws {Error} If the vault is locked or the fields are invalid
+ */
+export async function saveCredential(credential) {
+  const domain = normalizeDomain(credential.domain);
+  if (!domain) throw new Error('Domain is required');
+  const entries = [...await getEntries()];
+  const index = credential.id ? entries.findIndex(e => e.id === credential.id) : -1;
+  const existing = index >= 0 ? entries[index] : null;
+
+  const entry = {
+    id: existing?.id || crypto.randomUUID(),
+    domain,
+    username: String(credential.username || '').trim(),
+    password: credential.password || existing?.password || '',
+    totp: existing && !credential.clearTotp ? existing.totp : null,
+  };
+  if (credential.totp) entry.totp = parseTotpSecret(credential.totp);
+  if (!entry.username && !entry.password) throw new Error('Enter a username or a password');
+
+  if (index >= 0) entries[index] = entry;
+  else entries.push(entry);
+  await saveEntries(entries);
+  return describeEntry(entry);
+}
+
+/**
+ * Remove a login
+ * @param {string} id - Login ID
+ * @returns {Promise<void>}
+ */
+export async function deleteCredential(id) {
+  await saveEntries((await getEntries()).filter(e => e.id !== id));
+}
+
+/**
+ * Find the logins for a page: those saved for its host or a parent domain,
+ * most specific domain first
+ * @param {string} url - Page URL
+ * @returns {Promise<Array<Object>>} Logins with their secrets
+ * @throws {Error} If there is no vault or it is locked
+ */
+export async function findCredentials(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return [];
+  }
+  return (await getEntries())
+    .filter(e => hostname === e.domain || hostname.endsWith(`.${e.domain}`))
+    .sort((a, b) => b.domain.length - a.domain.length);
+}
+
+/**
+ * Remember a secret that was filled into a page, so tool results mask it
+ * @param {string} secret - Password or TOTP code
+ * @param {number} tabId - Tab it was filled into
+ */
+export function rememberFilledSecret(secret, tabId) {
+  if (secret) filledSecrets.add(secret);
+  filledTabs.add(tabId);
+}
+
+/**
+ * Whether a vault secret was filled into a tab
+ * @param {number} tabId - Tab ID
+ * @returns {boolean}
+ */
+export function hasFilledSecret(tabId) {
+  return filledTabs.has(tabId);
+}
+
+/**
+ * Mask vault passwords and filled codes in a tool result
+ * @param {*} value - Tool result (string or object)
+ * @returns {Promise<*>} Masked copy, or the value unchanged when there is nothing to mask
+ */
+export async function redactVaultSecrets(value) {
+  const secrets = new Set(filledSecrets);
+  try {
+    for (const entry of await getEntries()) {
+      if (entry.password) secrets.add(entry.password);
+    }
+  } catch {
+    // No vault or locked: only secrets filled earlier are known
+  }
+  // Masking very short passwords would mangle ordinary text
+  const masked = [...secrets].filter(s => s.length >= 4);
+  return masked.length > 0 ? maskSecrets(value, masked) : value;
+}
+
+/**
+ * @param {*} value - String, array or object
+ * @param {Array<string>} secrets
+ * @returns {*}
+ */
+function maskSecrets(value, secrets) {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret).join('[REDACTED:credential]'), value);
+  }
+  if (Array.isArray(value)) return value.map(item => maskSecrets(item, secrets));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+      [key, key === 'base64Image' ? field : maskSecrets(field, secrets)]));
+  }
+  return value;
+}
@@ -0,0 +1,422 @@
+/**
+ * Watch Manager
+ * Periodically checks pages for content changes and raises alerts
+ *
+ * A watch is a URL plus a target: either a CSS selector (compared as text)
+ * or a natural-language description (the LLM extracts the matching content
+ * and decides whether a change is meaningful). Each check loads the page in a
+ * background tab, diffs against the last snapshot, and on change shows a
+ * Chrome notification and emits an event to connected MCP clients. LLM usage
+ * counts toward the daily budget.
+ */
+
+import { DELAYS } from '../modules/constants.js';
+import { normalizeText, diffLines, formatDiff } from '../modules/text-diff.js';
+import { recordBackgroundUsage } from './budget-manager.js';
+
+const WATCHES_KEY = 'page_watches';
+const EVENTS_KEY = 'page_watch_events';
+const ALARM_PREFIX = 'watch:';
+const NOTIFICATION_PREFIX = 'watch:';
+const MAX_EVENTS = 100;
+const MAX_SNAPSHOT_CHARS = 20000;
+const MIN_INTERVAL_MINUTES = 1;
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+
+/**
+ * Dependencies injected from service worker
+ */
+let deps = {
+  callLLMSimple: null,
+  getPageText: null,
+  sendWatchChange: null,
+  log: null,
+};
+
+// Serializes read-modify-write of the stored watches and events (alarms can fire together)
+let storageWrite = Promise.resolve();
+
+/**
+ * Run a read-modify-write of stored watch data after the ones already queued
+ * @param {Function} change - async () => result
+ * @returns {Promise<*>} Result of change
+ */
+function queueWrite(change) {
+  storageWrite = storageWrite.catch(() => {}).then(change);
+  return storageWrite;
+}
+
+/**
+ * List watches
+ * @returns {Promise<Array<Object>>} Watches
+ */
+export async function listWatches() {
+  const stored = await chrome.storage.local.get([WATCHES_KEY]);
+  return stored[WATCHES_KEY] || [];
+}
+
+/**
+ * Write watches back to storage
+ * @param {Array<Object>} watches - All watches
+ * @returns {Promise<void>}
+ */
+async function writeWatches(watches) {
+  await chrome.storage.local.set({ [WATCHES_KEY]: watches });
+}
+
+/**
+ * Update stored fields of one watch
+ * @param {string} id - Watch ID
+ * @param {Object} fields - Fields to merge
+ * @returns {Promise<void>}
+ */
+function updateWatch(id, fields) {
+  return queueWrite(async () => {
+    const watches = await listWatches();
+    const watch = watches.find(w => w.id === id);
+    if (watch) {
+      Object.assign(watch, fields);
+      await writeWatches(watches);
+    }
+  });
+}
+
+/**
+ * Get detected changes, newest first
+ * @returns {Promise<Array<Object>>} Change events
+ */
+export async function getWatchEvents() {
+  const stored = await chrome.storage.local.get([EVENTS_KEY]);
+  return stored[EVENTS_KEY] || [];
+}
+
+/**
+ * Create or clear the periodic alarm for a watch
+ * @param {Object} watch - Watch definition
+ * @returns {Promise<void>}
+ */
+async function syncAlarm(watch) {
+  const alarmName = ALARM_PREFIX + watch.id;
+  await chrome.alarms.clear(alarmName);
+  if (watch.enabled) {
+    await chrome.alarms.create(alarmName, {
+      delayInMinutes: watch.intervalMinutes,
+      periodInMinutes: watch.intervalMinutes,
+    });
+  }
+}
+
+/**
+ * Create or update a watch
+ * @param {Object} input - Watch fields
+ * @param {string} [input.id] - Existing watch ID (omit to create)
+ * @param {string} [input.name] - Display name
+ * @param {string} input.url - Page to watch
+ * @param {string} input.targetType - 'css' or 'description'
+ * @param {string} [input.target] - CSS selector or description (empty = whole page)
+ * @param {number} input.intervalMinutes - Minutes between checks
+ * @param {boolean} [input.enabled] - Whether the watch is active (default true)
+ * @returns {Promise<Object>} Saved watch
+ * @throws {Error} If the URL or interval is invalid
+ */
+export async function saveWatch(input) {
+  if (!/^https?:\/\//.test(input?.url || '')) {
+    throw new Error('Watch URL must start with http:// or https://');
+  }
+  const intervalMinutes = Number(input.intervalMinutes);
+  if (!(intervalMinutes >= MIN_INTERVAL_MINUTES)) {
+    throw new Error(`Check interval must be at least ${MIN_INTERVAL_MINUTES} minute(s)`);
+  }
+  return queueWrite(() => writeSavedWatch(input, intervalMinutes));
+}
+
+/**
+ * Store a validated watch (see saveWatch)
+ * @param {Object} input - Watch fields
+ * @param {number} intervalMinutes - Minutes between checks
+ * @returns {Promise<Object>} Saved watch
+ */
+async function writeSavedWatch(input, intervalMinutes) {
+  const watches = await listWatches();
+  const existing = watches.find(w => w.id === input.id);
+  const targetType = input.targetType === 'description' ? 'description' : 'css';
+  const target = input.target?.trim() || '';
+  const targetChanged = existing && (existing.url !== input.url || existing.targetType !== targetType || existing.target !== target);
+
+  const watch = {
+    ...existing,
+    id: existing?.id || `watch_${Date.now().toString(36)}`,
+    name: input.name?.trim() || new URL(input.url).hostname,
+    url: input.url.trim(),
+    targetType,
+    target,
+    intervalMinutes,
+    enabled: input.enabled !== false,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+  };
+  // A different page or target makes the old snapshot meaningless
+  if (targetChanged) {
+    watch.snapshot = null;
+  }
+
+  await syncAlarm(watch);
+  await writeWatches([...watches.filter(w => w.id !== watch.id), watch]);
+  return watch;
+}
+
+/**
+ * Delete a watch and its alarm
+ * @param {string} id - Watch ID
+ * @returns {Promise<void>}
+ */
+export async function deleteWatch(id) {
+  await chrome.alarms.clear(ALARM_PREFIX + id);
+  await queueWrite(async () => {
+    const watches = await listWatches();
+    await writeWatches(watches.filter(w => w.id !== id));
+  });
+}
+
+/**
+ * Wait for a tab to finish loading
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+async function waitForTabLoad(tabId) {
+  const deadline = Date.now() + PAGE_LOAD_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const tab = await chrome.tabs.get(tabId);
+    if (tab.status === 'complete') break;
+    await new Promise(resolve => setTimeout(resolve, DELAYS.WORKFLOW_RESOLVE_RETRY));
+  }
+  // Give client-rendered pages time to render their content
+  await new Promise(resolve => setTimeout(resolve, DELAYS.NAVIGATE_WAIT));
+}
+
+/**
+ * Send a prompt to the LLM and add its usage to the daily budget
+ * @param {string} prompt - Prompt text
+ * @param {number} maxTokens - Output token limit
+ * @returns {Promise<string>} Response text
+ */
+async function askLLM(prompt, maxTokens) {
+  const response = await deps.callLLMSimple({ messages: [{ role: 'user', content: prompt }], maxTokens });
+  await recordBackgroundUsage(response.usage, response.model);
+  return response.content?.find(b => b.type === 'text')?.text || '';
+}
+
+/**
+ * Ask the LLM for the part of the page a description refers to
+ * @param {string} pageText - Full page text
+ * @param {string} description - What to watch (e.g., "the price of the 16GB model")
+ * @returns {Promise<string>} Extracted content
+ */
+async function extractDescribedContent(pageText, description) {
+  const prompt = `Extract ONLY the content from this web page that matches: "${description}"
+Return the matching content as plain text lines, exactly as shown on the page, with no commentary.
+If nothing matches, return NOT_FOUND.
+
+Page text:
+${pageText.substring(0, 30000)}`;
+  const text = await askLLM(prompt, 1000);
+  return text.trim() === 'NOT_FOUND' ? '' : text;
+}
+
+/**
+ * Load a watch's page in a background tab and extract its target content
+ * @param {Object} watch - Watch definition
+ * @returns {Promise<string>} Normalized content snapshot
+ */
+async function captureContent(watch) {
+  const tab = await chrome.tabs.create({ url: watch.url, active: false });
+  try {
+    await waitForTabLoad(tab.id);
+
+    if (watch.targetType === 'css' && watch.target) {
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: (selector) => Array.from(document.querySelectorAll(selector))
+          .map(el => el.innerText)
+          .join('\n'),
+        args: [watch.target],
+      });
+      return normalizeText(result?.result).substring(0, MAX_SNAPSHOT_CHARS);
+    }
+
+    const pageResult = await deps.getPageText(tab.id);
+    if (pageResult?.error) {
+      throw new Error(pageResult.error);
+    }
+    const pageText = pageResult?.output || '';
+    const content = watch.targetType === 'description' && watch.target
+      ? await extractDescribedContent(pageText, watch.target)
+      : pageText;
+    return normalizeText(content).substring(0, MAX_SNAPSHOT_CHARS);
+  } finally {
+    await chrome.tabs.remove(tab.id).catch(() => {});
+  }
+}
+
+/**
+ * Ask the LLM whether a described target changed in a meaningful way
+ * @param {Object} watch - Watch definition
+ * @param {string} oldContent - Previous snapshot
+ * @param {string} newContent - Current snapshot
+ * @returns {Promise<{changed: boolean, summary: string}>} Verdict
+ */
+async function judgeSemanticChange(watch, oldContent, newContent) {
+  const prompt = `A user is watching "${watch.target}" on ${watch.url}.
+Previous content:
+${oldContent.substring(0, 5000)}
+
+Current content:
+${newContent.substring(0, 5000)}
+
+Ignore cosmetic differences (formatting, timestamps, ads, reordering). Has the watched information meaningfully changed?
+Reply with JSON only: {"changed": true|false, "summary": "<one sentence describing the change>"}`;
+  const text = await askLLM(prompt, 300);
+  try {
+    const verdict = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || '');
+    return { changed: !!verdict.changed, summary: String(verdict.summary || '') };
+  } catch (e) {
+    // Unparseable verdict - treat the text difference as a change
+    return { changed: true, summary: formatDiff(diffLines(oldContent, newContent), 3) };
+  }
+}
+
+/**
+ * Show a notification and notify MCP clients about a change
+ * @param {Object} event - Change event
+ */
+function announceChange(event) {
+  chrome.notifications.create(`${NOTIFICATION_PREFIX}${event.watchId}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon-128.png'),
+    title: `Change detected: ${event.name}`,
+    message: event.summary.substring(0, 300) || 'Content changed',
+    priority: 1,
+  });
+  deps.sendWatchChange?.(event);
+  chrome.runtime.sendMessage({ type: 'WATCH_CHANGE', event }).catch(() => {});
+}
+
+/**
+ * Record a failed check on the watch
+ * @param {Object} watch - Watch definition
+ * @param {string} checkedAt - ISO time of the check
+ * @param {Error} error - What went wrong
+ * @returns {Promise<{status: string, error: string}>} Check outcome
+ */
+async function recordCheckFailure(watch, checkedAt, error) {
+  await deps.log?.('WATCH', `Check failed for ${watch.name}`, { error: error.message });
+  await updateWatch(watch.id, { lastCheckedAt: checkedAt, lastError: error.message });
+  return { status: 'error', error: error.message };
+}
+
+/**
+ * Check a watch once: capture, diff against the last snapshot, alert on change
+ * The first check only stores a baseline snapshot.
+ * @param {string} id - Watch ID
+ * @returns {Promise<{status: string, summary?: string, error?: string}>} Check outcome
+ */
+export async function checkWatch(id) {
+  const watch = (await listWatches()).find(w => w.id === id);
+  if (!watch) {
+    return { status: 'error', error: `Watch not found: ${id}` };
+  }
+
+  const checkedAt = new Date().toISOString();
+  let content;
+  try {
+    content = await captureContent(watch);
+  } catch (error) {
+    return recordCheckFailure(watch, checkedAt, error);
+  }
+
+  const previous = watch.snapshot;
+  if (previous === null || previous === undefined) {
+    await updateWatch(id, { snapshot: content, lastCheckedAt: checkedAt, lastError: null });
+    return { status: 'baseline' };
+  }
+  if (previous === content) {
+    await updateWatch(id, { lastCheckedAt: checkedAt, lastError: null });
+    return { status: 'unchanged' };
+  }
+
+  const diff = diffLines(previous, content);
+  let summary = formatDiff(diff);
+  if (watch.targetType === 'description' && watch.target) {
+    let verdict;
+    try {
+      verdict = await judgeSemanticChange(watch, previous, content);
+    } catch (error) {
+      // The snapshot stays, so the next check judges the change again
+      return recordCheckFailure(watch, checkedAt, error);
+    }
+    if (!verdict.changed) {
+      // Keep the new snapshot so cosmetic churn doesn't accumulate
+      await updateWatch(id, { snapshot: content, lastCheckedAt: checkedAt, lastError: null });
+      return { status: 'unchanged' };
+    }
+    summary = verdict.summary || summary;
+  }
+
+  const event = {
+    id: `change_${Date.now().toString(36)}`,
+    watchId: id,
+    name: watch.name,
+    url: watch.url,
+    summary,
+    added: diff.added.slice(0, 20),
+    removed: diff.removed.slice(0, 20),
+    detectedAt: checkedAt,
+  };
+  await queueWrite(async () => {
+    const events = await getWatchEvents();
+    await chrome.storage.local.set({ [EVENTS_KEY]: [event, ...events].slice(0, MAX_EVENTS) });
+  });
+  await updateWatch(id, { snapshot: content, lastCheckedAt: checkedAt, lastChangedAt: checkedAt, lastError: null });
+
+  await deps.log?.('WATCH', `Change detected: ${watch.name}`, { summary });
+  announceChange(event);
+  return { status: 'changed', summary };
+}
+
+/**
+ * Initialize page watching
+ * @param {Object} dependencies - Functions from service worker
+ * @param {Function} dependencies.callLLMSimple - Simple LLM call ({messages, maxTokens}) => API response
+ * @param {Function} dependencies.getPageText - (tabId) => get_page_text tool result
+ * @param {Function} dependencies.sendWatchChange - Emit change event to MCP clients
+ * @param {Function} dependencies.log - Logging function
+ * @returns {Promise<void>}
+ */
+export async function initWatchManager(dependencies) {
+  deps = { ...deps, ...dependencies };
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name.startsWith(ALARM_PREFIX)) {
+      checkWatch(alarm.name.slice(ALARM_PREFIX.length)).catch((error) => {
+        console.error('[Watch] Check failed:', error);
+      });
+    }
+  });
+
+  // Clicking a change notification opens the watched page
+  chrome.notifications.onClicked.addListener(async (notificationId) => {
+    if (!notificationId.startsWith(NOTIFICATION_PREFIX)) return;
+    const watchId = notificationId.slice(NOTIFICATION_PREFIX.length).split(':')[0];
+    const watch = (await listWatches()).find(w => w.id === watchId);
+    if (watch) {
+      chrome.tabs.create({ url: watch.url });
+    }
+    chrome.notifications.clear(notificationId);
+  });
+
+  // Alarms are dropped when the extension reloads - restore them
+  for (const watch of await listWatches()) {
+    if (watch.enabled && !(await chrome.alarms.get(ALARM_PREFIX + watch.id))) {
+      await syncAlarm(watch);
+    }
+  }
+}
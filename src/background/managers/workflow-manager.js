@@ -0,0 +1,316 @@
+/**
+ * Workflow Manager
+ * Records tool calls from agent runs and replays them as parameterized workflows
+ *
+ * Recording: before each replayable tool call the agent loop captures a trace
+ * step. Ref-based and coordinate-based actions get a locator (see
+ * element-locator.js) so the target can be found again on a fresh page load.
+ *
+ * Replay: steps run deterministically through executeTool. Only when a step's
+ * target element cannot be resolved is the LLM asked to perform that one step.
+ */
+
+import { DELAYS, RETRIES } from '../modules/constants.js';
+import { describeElementByRef, describeElementAtPoint, resolveLocator, resolveMark } from '../modules/element-locator.js';
+import { screenshotContextManager, scaleCoordinates } from '../modules/screenshot-context.js';
+
+const WORKFLOWS_KEY = 'workflows';
+const LAST_RUN_KEY = 'workflow_last_run';
+
+// Computer actions that change page state (screenshots/zoom are observation only)
+const REPLAYABLE_COMPUTER_ACTIONS = [
+  'left_click', 'right_click', 'double_click', 'triple_click',
+  'type', 'key', 'scroll', 'scroll_to', 'hover', 'wait',
+];
+
+// Computer actions that target an element (by ref or coordinate)
+const TARGETED_COMPUTER_ACTIONS = [
+  'left_click', 'right_click', 'double_click', 'triple_click', 'scroll_to', 'hover',
+];
+
+/**
+ * Check whether a tool result is an error (same heuristic as the agent loop)
+ * @param {Object|string} result - Tool result
+ * @returns {boolean} True if the result represents an error
+ */
+function isErrorResult(result) {
+  return !!(result?.error || (typeof result === 'string' && result.includes('Error:')));
+}
+
+/**
+ * Build a trace step for a tool call, capturing a locator for its target
+ * Must be called BEFORE the tool executes (clicks can navigate away).
+ * @param {string} toolName - Tool name
+ * @param {Object} toolInput - Tool input
+ * @returns {Promise<Object|null>} Trace step, or null if the call is not replayable
+ */
+export async function buildTraceStep(toolName, toolInput) {
+  const { tabId, ...input } = toolInput || {};
+
+  if (toolName === 'navigate') {
+    return { tool: 'navigate', input };
+  }
+
+  if (toolName === 'form_input') {
+    const locator = await describeElementByRef(tabId, input.ref);
+    delete input.ref;
+    return { tool: 'form_input', input, locator };
+  }
+
+  if (toolName === 'computer' && REPLAYABLE_COMPUTER_ACTIONS.includes(input.action)) {
+    if (!TARGETED_COMPUTER_ACTIONS.includes(input.action)) {
+      return { tool: 'computer', input };
+    }
+
+    let locator = null;
+    const ref = input.ref || (input.mark && await resolveMark(tabId, input.mark));
+    if (ref) {
+      locator = await describeElementByRef(tabId, ref);
+    } else if (input.coordinate) {
+      // Coordinates are in screenshot space - scale to viewport like computer-core does
+      let [x, y] = input.coordinate;
+      const context = screenshotContextManager.getContext(tabId);
+      if (context) {
+        [x, y] = scaleCoordinates(x, y, context);
+      }
+      locator = await describeElementAtPoint(tabId, x, y);
+    }
+
+    // Keep the raw coordinate only when the element could not be described
+    if (locator) {
+      delete input.ref;
+      delete input.mark;
+      delete input.coordinate;
+    }
+    return { tool: 'computer', input, locator };
+  }
+
+  return null;
+}
+
+/**
+ * Persist the trace of the last successful run so it can be saved as a workflow
+ * @param {string} task - Task description
+ * @param {Array<Object>} trace - Trace steps from buildTraceStep
+ * @returns {Promise<void>}
+ */
+export async function saveLastRun(task, trace) {
+  await chrome.storage.local.set({
+    [LAST_RUN_KEY]: { task, trace, finishedAt: new Date().toISOString() },
+  });
+}
+
+/**
+ * Get the last successful run's trace
+ * @returns {Promise<Object|null>} {task, trace, finishedAt} or null
+ */
+export async function getLastRun() {
+  const stored = await chrome.storage.local.get([LAST_RUN_KEY]);
+  return stored[LAST_RUN_KEY] || null;
+}
+
+/**
+ * Turn a label into a parameter name (e.g., "Email address" -> "email_address")
+ * @param {string} label - Human-readable label
+ * @param {Set<string>} taken - Names already used in this workflow
+ * @returns {string} Unique parameter name
+ */
+function toParamName(label, taken) {
+  const base = (label || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 30)
+    || `param_${taken.size + 1}`;
+  let name = base;
+  for (let i = 2; taken.has(name); i++) {
+    name = `${base}_${i}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+/**
+ * Convert a recorded trace into a parameterized workflow
+ * Text typed or filled into fields becomes a {{param}} with the recorded value as default.
+ * @param {string} name - Workflow name
+ * @param {Object} run - Run from getLastRun()
+ * @returns {Object} Workflow {id, name, task, params, steps, createdAt}
+ */
+export function buildWorkflow(name, run) {
+  const taken = new Set();
+  const params = [];
+  let lastTarget = null;
+
+  const steps = run.trace.map(step => {
+    const input = { ...step.input };
+    if (step.locator) lastTarget = step.locator;
+
+    const isTextEntry = (step.tool === 'form_input' && typeof input.value === 'string')
+      || (step.tool === 'computer' && input.action === 'type');
+    if (isTextEntry) {
+      const field = step.tool === 'form_input' ? 'value' : 'text';
+      const target = step.locator || lastTarget;
+      const paramName = toParamName(target?.name || target?.placeholder || target?.nameAttr, taken);
+      params.push({ name: paramName, default: input[field], label: target?.name || paramName });
+      input[field] = `{{${paramName}}}`;
+    }
+
+    return { ...step, input };
+  });
+
+  return {
+    id: `wf_${Date.now().toString(36)}`,
+    name,
+    task: run.task,
+    params,
+    steps,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * List saved workflows
+ * @returns {Promise<Array<Object>>} Workflows
+ */
+export async function listWorkflows() {
+  const stored = await chrome.storage.local.get([WORKFLOWS_KEY]);
+  return stored[WORKFLOWS_KEY] || [];
+}
+
+/**
+ * Get a saved workflow by ID
+ * @param {string} id - Workflow ID
+ * @returns {Promise<Object|null>} Workflow or null
+ */
+export async function getWorkflow(id) {
+  const workflows = await listWorkflows();
+  return workflows.find(w => w.id === id) || null;
+}
+
+/**
+ * Save (insert or replace) a workflow
+ * @param {Object} workflow - Workflow to save
+ * @returns {Promise<void>}
+ */
+export async function saveWorkflow(workflow) {
+  const workflows = (await listWorkflows()).filter(w => w.id !== workflow.id);
+  await chrome.storage.local.set({ [WORKFLOWS_KEY]: [...workflows, workflow] });
+}
+
+/**
+ * Delete a workflow
+ * @param {string} id - Workflow ID
+ * @returns {Promise<void>}
+ */
+export async function deleteWorkflow(id) {
+  const workflows = (await listWorkflows()).filter(w => w.id !== id);
+  await chrome.storage.local.set({ [WORKFLOWS_KEY]: workflows });
+}
+
+/**
+ * Substitute {{param}} placeholders in a step input
+ * @param {Object} input - Step input
+ * @param {Object} values - Parameter values by name
+ * @returns {Object} Input with placeholders replaced
+ */
+function applyParams(input, values) {
+  const result = {};
+  for (const [key, value] of Object.entries(input)) {
+    result[key] = typeof value === 'string'
+      ? value.replace(/\{\{(\w+)\}\}/g, (match, name) => (name in values ? String(values[name]) : match))
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Describe a step in plain language (used for LLM fallback and progress)
+ * @param {Object} step - Workflow step (params already applied)
+ * @returns {string} Description
+ */
+export function describeStep(step) {
+  const target = step.locator
+    ? `the ${step.locator.role || step.locator.tag} "${step.locator.name || step.locator.nameAttr || step.locator.cssPath}"`
+    : 'the page';
+  const { input } = step;
+
+  if (step.tool === 'navigate') return `Navigate to ${input.url}`;
+  if (step.tool === 'form_input') return `Set ${target} to ${JSON.stringify(input.value)}`;
+  switch (input.action) {
+    case 'type': return `Type ${JSON.stringify(input.text)}`;
+    case 'key': return `Press ${input.text}`;
+    case 'scroll': return `Scroll ${input.scroll_direction || 'down'}`;
+    case 'wait': return `Wait ${input.duration || 1}s`;
+    case 'hover': return `Hover over ${target}`;
+    case 'scroll_to': return `Scroll to ${target}`;
+    default: return `${input.action.replace('_', ' ')} on ${target}`;
+  }
+}
+
+/**
+ * Resolve a locator, retrying while the page may still be loading
+ * @param {number} tabId - Tab ID
+ * @param {Object} locator - Element locator
+ * @returns {Promise<string|null>} Fresh ref or null
+ */
+async function resolveWithRetry(tabId, locator) {
+  for (let attempt = 0; attempt < RETRIES.MAX_WORKFLOW_RESOLVE; attempt++) {
+    const ref = await resolveLocator(tabId, locator);
+    if (ref) return ref;
+    await new Promise(resolve => setTimeout(resolve, DELAYS.WORKFLOW_RESOLVE_RETRY));
+  }
+  return null;
+}
+
+/**
+ * Replay a workflow deterministically
+ * @param {Object} workflow - Workflow to replay
+ * @param {Object} paramValues - Parameter values by name (missing ones use defaults)
+ * @param {Object} deps - Dependencies
+ * @param {number} deps.tabId - Tab to replay in
+ * @param {Function} deps.executeTool - (toolName, input) => Promise<result>
+ * @param {Function} deps.fallback - (step, description) => Promise<boolean>, asks the LLM to do one step
+ * @param {Function} deps.onProgress - Progress callback ({status, tool, input, result})
+ * @param {Function} deps.isCancelled - Returns true if replay should stop
+ * @param {Function} deps.log - Logging function
+ * @returns {Promise<{success: boolean, message: string, fallbacks: number}>}
+ */
+export async function replayWorkflow(workflow, paramValues, deps) {
+  const { tabId, executeTool, fallback, onProgress, isCancelled, log } = deps;
+  const values = Object.fromEntries(workflow.params.map(p => [p.name, p.default]));
+  Object.assign(values, paramValues || {});
+
+  let fallbacks = 0;
+  for (let i = 0; i < workflow.steps.length; i++) {
+    if (isCancelled()) {
+      return { success: false, message: 'Workflow stopped by user', fallbacks };
+    }
+
+    const step = { ...workflow.steps[i], input: applyParams(workflow.steps[i].input, values) };
+    const description = describeStep(step);
+    const input = { ...step.input, tabId };
+
+    if (step.locator) {
+      const ref = await resolveWithRetry(tabId, step.locator);
+      if (!ref) {
+        await log('WORKFLOW', `Step ${i + 1}: target not found, falling back to LLM`, { description, locator: step.locator });
+        fallbacks++;
+        const ok = await fallback(step, description);
+        if (!ok) {
+          return { success: false, message: `Step ${i + 1} failed: ${description}`, fallbacks };
+        }
+        continue;
+      }
+      input.ref = ref;
+    }
+
+    onProgress({ status: 'executing', tool: step.tool, input });
+    const result = await executeTool(step.tool, input);
+    const output = typeof result === 'string' ? result : (result?.output || result?.error || result?.message || '');
+    onProgress({ status: 'executed', tool: step.tool, input, result: String(output).substring(0, 100) });
+
+    if (isErrorResult(result)) {
+      await log('WORKFLOW', `Step ${i + 1} failed`, { description, result });
+      return { success: false, message: `Step ${i + 1} failed: ${description} (${output})`, fallbacks };
+    }
+  }
+
+  return { success: true, message: `Workflow "${workflow.name}" completed`, fallbacks };
+}
@@ -0,0 +1,345 @@
+/**
+ * Action Policy Module
+ * Per-domain rules for what the agent may do on a page, checked in executeTool
+ * before any handler runs.
+ *
+ * A policy is {id, domain, mode, confirmPattern, blockJavascript}:
+ * - mode 'full': everything allowed (confirmPattern/blockJavascript still apply)
+ * - mode 'ask': every page-changing action needs user confirmation
+ * - mode 'no_submit': navigation and input allowed, form submits blocked
+ * - mode 'read_only': only reading, scrolling, screenshots and navigation
+ * - confirmPattern: regex (case-insensitive) - clicks/submits whose target label
+ *   matches need confirmation, e.g. "Pay|Delete|Send". Enter and space presses
+ *   are checked against the focused element, drags against where they end.
+ * - blockJavascript: javascript_tool is never allowed
+ * - get_credential filling a saved login runs freely only in mode 'full'; it
+ *   needs confirmation in 'ask' and 'no_submit' and is denied in 'read_only'
+ *
+ * Whatever the policy, javascript_tool needs confirmation in a tab that had a
+ * vault secret filled (a script could read it back past the redaction).
+ *
+ * Domain "*" applies to every site; otherwise the most specific matching domain wins.
+ * Policies live in chrome.storage.local under 'actionPolicies' (Settings → Permissions).
+ */
+
+import { describeElementByRef, describeElementAtPoint, describeFocusedElement, resolveMark } from './element-locator.js';
+import { screenshotContextManager, scaleCoordinates } from './screenshot-context.js';
+import { hasFilledSecret } from '../managers/vault-manager.js';
+
+const POLICIES_KEY = 'actionPolicies';
+
+// computer actions that only observe the page
+const READ_COMPUTER_ACTIONS = ['screenshot', 'wait', 'scroll', 'scroll_to', 'zoom', 'hover'];
+const CLICK_ACTIONS = ['left_click', 'right_click', 'double_click', 'triple_click'];
+// Other tools that change page state (everything not listed here is read-only)
+const WRITE_TOOLS = ['form_input', 'file_upload', 'javascript_tool', 'solve_captcha'];
+
+const ENTER_KEY_PATTERN = /(^|[+\s])(enter|return|kp_enter)($|[+\s])/i;
+// Space activates a focused button like a click does
+const SPACE_KEY_PATTERN = /(^|[+\s])space($|[+\s])/i;
+// Kinds decided by inspecting the element the action lands on
+const TARGETED_KINDS = ['click', 'submit_key', 'press_key', 'drag'];
+
+let cachedPolicies = null;
+
+// Drop the cache when policies change (Settings → Permissions saves through storage)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[POLICIES_KEY]) {
+    cachedPolicies = null;
+  }
+});
+
+/**
+ * Get the configured action policies
+ * @returns {Promise<Array<Object>>} Policies
+ */
+export async function getActionPolicies() {
+  if (!cachedPolicies) {
+    const stored = await chrome.storage.local.get([POLICIES_KEY]);
+    cachedPolicies = stored[POLICIES_KEY] || [];
+  }
+  return cachedPolicies;
+}
+
+/**
+ * Find the policy that applies to a URL
+ * @param {string} url - Page URL
+ * @param {Array<Object>} policies - Configured policies
+ * @returns {Object|null} Most specific matching policy, "*" as fallback
+ */
+export function findPolicyForUrl(url, policies) {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    // Not a web URL - only a "*" policy can apply
+  }
+
+  let best = null;
+  let bestLength = -1;
+  for (const policy of policies) {
+    const domain = (policy.domain || '').trim().toLowerCase().replace(/^\*\./, '');
+    const matches = domain === '*' || (hostname && (hostname === domain || hostname.endsWith('.' + domain)));
+    const length = domain === '*' ? 0 : domain.length;
+    if (matches && length > bestLength) {
+      best = policy;
+      bestLength = length;
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the policy that applies to a tab's current page
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Matching policy or null
+ */
+async function getPolicyForTab(tabId) {
+  const policies = await getActionPolicies();
+  if (policies.length === 0) return null;
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return findPolicyForUrl(tab.url || '', policies);
+  } catch (e) {
+    // Tab closed - the handler will report it
+    return null;
+  }
+}
+
+/**
+ * Classify a computer key action by the keys it presses
+ * @param {string} text - Key or key combination, e.g. "Enter" or "ctrl+a"
+ * @returns {string} 'submit_key' | 'press_key' | 'input'
+ */
+function classifyKeyPress(text) {
+  if (ENTER_KEY_PATTERN.test(text)) return 'submit_key';
+  if (text === ' ' || SPACE_KEY_PATTERN.test(text)) return 'press_key';
+  return 'input';
+}
+
+/**
+ * Classify a tool call by what it does to the page
+ * @param {string} toolName - Tool name
+ * @param {Object} toolInput - Tool input
+ * @returns {string|null} 'javascript' | 'credential' | 'click' | 'submit_key' | 'press_key' | 'drag' | 'input',
+ *   or null for read-only calls
+ */
+export function classifyAction(toolName, toolInput) {
+  if (toolName === 'javascript_tool') return 'javascript';
+  if (toolName === 'get_credential') {
+    // Without refs it only reports what is saved for the site
+    return toolInput?.usernameRef || toolInput?.passwordRef || toolInput?.totpRef ? 'credential' : null;
+  }
+  if (WRITE_TOOLS.includes(toolName)) return 'input';
+  if (toolName !== 'computer') return null;
+
+  const action = toolInput?.action;
+  if (READ_COMPUTER_ACTIONS.includes(action)) return null;
+  if (CLICK_ACTIONS.includes(action)) return 'click';
+  if (action === 'key') return classifyKeyPress(toolInput.text || '');
+  if (action === 'left_click_drag') return 'drag';
+  if (action === 'type' && /\n/.test(toolInput.text || '')) return 'submit_key';
+  return 'input';
+}
+
+/**
+ * Describe the element a click, key press or drag will act on
+ * @param {number} tabId - Tab ID
+ * @param {string} kind - From classifyAction
+ * @param {Object} toolInput - Tool input
+ * @returns {Promise<Object|null>} Element descriptor from element-locator, or null
+ */
+async function describeTarget(tabId, kind, toolInput) {
+  if (kind === 'submit_key' || kind === 'press_key') {
+    return describeFocusedElement(tabId);
+  }
+  if (toolInput.ref) {
+    return describeElementByRef(tabId, toolInput.ref);
+  }
+  if (toolInput.mark) {
+    const ref = await resolveMark(tabId, toolInput.mark);
+    return ref ? describeElementByRef(tabId, ref) : null;
+  }
+  if (toolInput.coordinate) {
+    // For a drag this is where it ends. Coordinates are in screenshot space - scale to viewport like computer-core does
+    let [x, y] = toolInput.coordinate;
+    const context = screenshotContextManager.getContext(tabId);
+    if (context) {
+      [x, y] = scaleCoordinates(x, y, context);
+    }
+    return describeElementAtPoint(tabId, x, y);
+  }
+  return null;
+}
+
+/**
+ * Whether a described element is a button (or an input drawn as one)
+ * @param {Object} target - Element descriptor
+ * @returns {boolean}
+ */
+function isButton(target) {
+  return target.tag === 'button'
+    || (target.tag === 'input' && ['submit', 'image', 'button', 'reset'].includes(target.type));
+}
+
+/**
+ * Whether an action on a described element submits a form
+ * @param {string} kind - From classifyAction
+ * @param {Object} target - Element descriptor
+ * @returns {boolean}
+ */
+function isFormSubmit(kind, target) {
+  if (!target.inForm) return false;
+  // A submit button submits however it is activated
+  const submitControl = (target.tag === 'button' && (!target.type || target.type === 'submit'))
+    || (target.tag === 'input' && (target.type === 'submit' || target.type === 'image'));
+  if (submitControl) return true;
+  // Enter in a text field submits its form implicitly
+  return kind === 'submit_key' && target.tag === 'input' && !isButton(target);
+}
+
+/**
+ * Label and prompt text for a targeted action
+ * @param {string} kind - From classifyAction
+ * @param {Object} target - Element descriptor
+ * @param {Object} toolInput - computer tool input
+ * @returns {{label: string, description: string}}
+ */
+function describeTargetedAction(kind, target, toolInput) {
+  if (kind === 'submit_key' && !isButton(target)) {
+    // Enter in a field acts on its form's submit button
+    return {
+      label: target.submitLabel || target.name || '',
+      description: `Press Enter in "${target.name || target.tag}"`,
+    };
+  }
+  const label = target.name || '';
+  const name = label || target.tag;
+  if (kind === 'submit_key' || kind === 'press_key') {
+    return { label, description: `Press ${toolInput.text.trim() || 'space'} on "${name}"` };
+  }
+  return { label, description: kind === 'drag' ? `Drag onto "${name}"` : `Click "${name}"` };
+}
+
+/**
+ * Check whether a label matches a policy's confirmation pattern
+ * @param {string} pattern - Regex source
+ * @param {string} label - Element label
+ * @returns {boolean}
+ */
+function matchesConfirmPattern(pattern, label) {
+  if (!pattern || !label) return false;
+  try {
+    return new RegExp(pattern, 'i').test(label);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Decide on a click, key press or drag by inspecting the element it acts on
+ * @param {Object} policy - Matching policy
+ * @param {string} kind - One of TARGETED_KINDS
+ * @param {Object} toolInput - computer tool input
+ * @returns {Promise<{decision: string, reason?: string, domain?: string, target?: string}>}
+ */
+async function evaluateTargetedAction(policy, kind, toolInput) {
+  const domain = policy.domain;
+  const target = await describeTarget(toolInput.tabId, kind, toolInput);
+  if (!target) {
+    // Can't inspect the target (e.g. cross-origin frame) - let the user decide
+    return { decision: 'ask', domain, reason: `${toolInput.action} on an element that could not be inspected` };
+  }
+
+  const { label, description } = describeTargetedAction(kind, target, toolInput);
+
+  if (policy.mode === 'no_submit' && isFormSubmit(kind, target)) {
+    return { decision: 'deny', domain, reason: `form submits are blocked on ${domain}`, target: label };
+  }
+  if (policy.mode === 'ask' || matchesConfirmPattern(policy.confirmPattern, label)) {
+    return { decision: 'ask', domain, reason: description, target: label };
+  }
+  return { decision: 'allow' };
+}
+
+/**
+ * Describe a tool call for a confirmation prompt
+ * @param {string} toolName - Tool name
+ * @param {Object} toolInput - Tool input
+ * @returns {string}
+ */
+function describeAskedAction(toolName, toolInput) {
+  if (toolName === 'get_credential') return 'Fill a saved login from the vault';
+  return toolName === 'computer' ? `Run ${toolInput.action} (${toolName})` : `Run ${toolName}`;
+}
+
+/**
+ * Hostname of a tab's page
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<string>} Hostname, or '' when the tab is gone or not a web page
+ */
+async function getTabHostname(tabId) {
+  try {
+    return new URL((await chrome.tabs.get(tabId)).url).hostname;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Decide whether a tool call may run
+ * @param {string} toolName - Tool name
+ * @param {Object} toolInput - Tool input
+ * @returns {Promise<{decision: 'allow'|'ask'|'deny', reason?: string, domain?: string, target?: string}>}
+ */
+export async function evaluateAction(toolName, toolInput) {
+  const kind = classifyAction(toolName, toolInput);
+  if (!kind || !toolInput?.tabId) return { decision: 'allow' };
+
+  const verdict = await evaluatePolicy(kind, toolName, toolInput);
+  if (verdict.decision === 'allow' && kind === 'javascript' && hasFilledSecret(toolInput.tabId)) {
+    return {
+      decision: 'ask',
+      domain: await getTabHostname(toolInput.tabId),
+      reason: 'Run JavaScript on a page a saved password or code was filled into',
+    };
+  }
+  return verdict;
+}
+
+/**
+ * Decide on a page-changing tool call by the policy for its tab
+ * @param {string} kind - From classifyAction
+ * @param {string} toolName - Tool name
+ * @param {Object} toolInput - Tool input
+ * @returns {Promise<{decision: 'allow'|'ask'|'deny', reason?: string, domain?: string, target?: string}>}
+ */
+async function evaluatePolicy(kind, toolName, toolInput) {
+  const policy = await getPolicyForTab(toolInput.tabId);
+  if (!policy || (policy.mode === 'full' && !policy.confirmPattern && !policy.blockJavascript)) {
+    return { decision: 'allow' };
+  }
+
+  const domain = policy.domain;
+  if (policy.mode === 'read_only') {
+    return { decision: 'deny', domain, reason: `${domain} is read-only` };
+  }
+  if (kind === 'javascript') {
+    // Scripts can do anything, so they only run where nothing is restricted
+    if (policy.blockJavascript || policy.mode === 'no_submit') {
+      return { decision: 'deny', domain, reason: `javascript_tool is blocked on ${domain}` };
+    }
+    return policy.mode === 'ask'
+      ? { decision: 'ask', domain, reason: 'Run JavaScript on the page' }
+      : { decision: 'allow' };
+  }
+
+  if (TARGETED_KINDS.includes(kind) && (policy.mode !== 'full' || policy.confirmPattern)) {
+    return evaluateTargetedAction(policy, kind, toolInput);
+  }
+
+  if (policy.mode === 'ask' || (kind === 'credential' && policy.mode === 'no_submit')) {
+    return { decision: 'ask', domain, reason: describeAskedAction(toolName, toolInput) };
+  }
+  return { decision: 'allow' };
+}
@@ -5,9 +5,11 @@
 
 import { getToolsForUrl } from '../../tools/definitions.js';
 import { buildSystemPrompt } from './system-prompt.js';
-import { DOMAIN_SKILLS } from './domain-skills.js';
 import { createProvider } from './providers/provider-factory.js';
 import { getAccessToken, refreshAccessToken } from './oauth-manager.js';
+import {
+  getFailoverSettings, buildFailoverChain, classifyError, nextStep, backoffDelay, startCooldown, parseRetryAfter
+} from './provider-failover.js';
 
 // Configuration (loaded from storage)
 let config = {
@@ -33,14 +35,11 @@ let nativeHostPort = null;
 export async function loadConfig() {
   const stored = await chrome.storage.local.get([
     'apiBaseUrl', 'apiKey', 'model', 'maxSteps', 'maxTokens',
-    'providerKeys', 'customModels', 'currentModelIndex', 'userSkills', 'authMethod'
+    'providerKeys', 'customModels', 'currentModelIndex', 'authMethod',
+    'localProvider', 'toolMode', 'redactionSettings', 'actionPolicies', 'budgetSettings',
+    'failoverSettings', 'tierSettings'
   ]);
   config = { ...config, ...stored };
-
-  // Include built-in skills for UI display
-  config.builtInSkills = DOMAIN_SKILLS.map(s => ({ domain: s.domain, skill: s.skill }));
-  config.userSkills = stored.userSkills || [];
-
   return config;
 }
 
@@ -58,20 +57,45 @@ export function setConfig(newConfig) {
   config = { ...config, ...newConfig };
 }
 
+/**
+ * Load the config for one API call
+ * Every call works from its own frozen copy, so runs in flight at the same
+ * time (MCP sessions, subtasks, scheduled tasks) never send a request with
+ * another run's model, endpoint or key.
+ * @param {Object|null} [modelOverride] - Model to use instead of the selected one
+ *   ({modelId, baseUrl, apiKey, authMethod, toolMode})
+ * @returns {Promise<Object>} Frozen config
+ */
+async function loadCallConfig(modelOverride = null) {
+  const stored = await loadConfig();
+  if (!modelOverride?.modelId) {
+    return Object.freeze({ ...stored });
+  }
+  return Object.freeze({
+    ...stored,
+    model: modelOverride.modelId,
+    apiBaseUrl: modelOverride.baseUrl,
+    apiKey: modelOverride.apiKey,
+    authMethod: modelOverride.authMethod,
+    toolMode: modelOverride.toolMode,
+  });
+}
+
 /**
  * Get API headers based on the provider endpoint and auth method
  * Supports both OAuth tokens and API keys
+ * @param {Object} [callConfig] - Config of the call (default: the current config)
  */
-export async function getApiHeaders() {
+export async function getApiHeaders(callConfig = config) {
   // Create provider to get base headers (Anthropic-specific headers, etc.)
-  const provider = createProvider(config.apiBaseUrl || '', config);
+  const provider = createProvider(callConfig.apiBaseUrl || '', callConfig);
   const providerHeaders = await provider.getHeaders();
 
   // OAuth only applies to Anthropic - don't add OAuth headers to other providers
-  const isAnthropic = config.apiBaseUrl?.includes('anthropic.com');
+  const isAnthropic = callConfig.apiBaseUrl?.includes('anthropic.com');
 
   // Check if using OAuth authentication (only for Anthropic)
-  if (isAnthropic && config.authMethod === 'oauth') {
+  if (isAnthropic && callConfig.authMethod === 'oauth') {
     const accessToken = await getAccessToken();
 
     if (accessToken) {
@@ -175,7 +199,7 @@ const CODEX_MODEL_TIER_MAP = {
  * Returns the full API response when using messages array, or just text when using string prompt.
  */
 export async function callLLMSimple(promptOrOptions, maxTokensArg = 800) {
-  await loadConfig();
+  const callConfig = await loadCallConfig();
 
   // Support both call signatures
   let messages;
@@ -198,21 +222,28 @@ export async function callLLMSimple(promptOrOptions, maxTokensArg = 800) {
     maxTokens = maxTokensArg;
   }
 
+  // Local models never fall back to a cloud provider - page content must stay local
+  const provider = createProvider(callConfig.apiBaseUrl || '', callConfig);
+  if (provider.getName() === 'local') {
+    const result = await callLocalSimple(provider, messages, maxTokens, system);
+    return returnFullResponse ? result : (result.content?.find(b => b.type === 'text')?.text || '');
+  }
+
   // Determine which model to use
-  // This function always routes through the Anthropic API (via native host),
+  // Otherwise this function always routes through the Anthropic API (via native host),
   // so we must use a Claude model. If the user configured a non-Claude model
   // (e.g., gpt-5.1-codex), fall back to haiku.
-  const isClaudeModel = config.model?.startsWith('claude-');
+  const isClaudeModel = callConfig.model?.startsWith('claude-');
   const modelToUse = modelTier && MODEL_TIER_MAP[modelTier]
     ? MODEL_TIER_MAP[modelTier]
-    : isClaudeModel ? config.model : MODEL_TIER_MAP.fast;
+    : isClaudeModel ? callConfig.model : MODEL_TIER_MAP.fast;
 
   if (modelTier) {
     console.log(`[API] callLLMSimple: Using model tier "${modelTier}" → ${modelToUse}`);
   }
 
   // Claude Code credentials require streaming requests (non-streaming gets rejected)
-  const useStreaming = config.authMethod === 'oauth';
+  const useStreaming = callConfig.authMethod === 'oauth';
 
   const requestBody = {
     model: modelToUse,
@@ -237,6 +268,25 @@ export async function callLLMSimple(promptOrOptions, maxTokensArg = 800) {
   return result.content?.find(b => b.type === 'text')?.text || '';
 }
 
+/**
+ * Simple non-streaming call to a local OpenAI-compatible server
+ * @private
+ */
+async function callLocalSimple(provider, messages, maxTokens, system) {
+  const requestBody = provider.buildRequestBody(messages, system || '', [], false);
+  requestBody.max_tokens = maxTokens;
+
+  const response = await fetch(provider.buildUrl(false), {
+    method: 'POST',
+    headers: await provider.getHeaders(),
+    body: JSON.stringify(requestBody),
+  });
+  if (!response.ok) {
+    throw new Error(parseErrorResponse(await response.text(), response.status));
+  }
+  return provider.normalizeResponse(await response.json());
+}
+
 /**
  * Make API call through native host proxy
  * Handles both streaming and non-streaming responses.
@@ -365,12 +415,12 @@ function getNativeHostPort() {
  * Includes automatic retry on stream stalls
  * @private
  */
-async function callLLMThroughProxy(messages, onTextChunk = null, log = () => {}, currentUrl = null) {
+async function callLLMThroughProxy(messages, onTextChunk, log, currentUrl, callConfig) {
   const MAX_RETRIES = 2;
 
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      return await callLLMThroughProxyOnce(messages, onTextChunk, log, currentUrl);
+      return await callLLMThroughProxyOnce(messages, onTextChunk, log, currentUrl, callConfig);
     } catch (err) {
       const isRetryable = err.message.includes('Stream stalled') ||
                           err.message.includes('timed out') ||
@@ -390,8 +440,8 @@ async function callLLMThroughProxy(messages, onTextChunk = null, log = () => {},
  * Single attempt at making API call through proxy
  * @private
  */
-async function callLLMThroughProxyOnce(messages, onTextChunk = null, log = () => {}, currentUrl = null) {
-  const provider = createProvider(config.apiBaseUrl || '', config);
+async function callLLMThroughProxyOnce(messages, onTextChunk, log, currentUrl, callConfig) {
+  const provider = createProvider(callConfig.apiBaseUrl || '', callConfig);
   const isClaudeModel = provider.getName() === 'anthropic';
   const systemPrompt = buildSystemPrompt({ isClaudeModel });
   const useStreaming = onTextChunk !== null;
@@ -469,8 +519,8 @@ async function callLLMThroughProxyOnce(messages, onTextChunk = null, log = () =>
         port.onMessage.removeListener(messageListener);
         const duration = Date.now() - startTime;
 
-        await log('API', `#${callNumber} ${config.model} → ${streamResult.stop_reason}`, {
-          model: config.model,
+        await log('API', `#${callNumber} ${callConfig.model} → ${streamResult.stop_reason}`, {
+          model: callConfig.model,
           messages: messages.length,
           stopReason: streamResult.stop_reason,
           tokens: streamResult.usage,
@@ -482,8 +532,7 @@ async function callLLMThroughProxyOnce(messages, onTextChunk = null, log = () =>
         port.onMessage.removeListener(messageListener);
 
         if (message.status !== 200) {
-          const errorMessage = parseErrorResponse(message.body, message.status);
-          reject(new Error(errorMessage));
+          reject(createApiError(message.body, message.status, message.headers?.['retry-after']));
           return;
         }
 
@@ -491,8 +540,8 @@ async function callLLMThroughProxyOnce(messages, onTextChunk = null, log = () =>
           const result = JSON.parse(message.body);
           const duration = Date.now() - startTime;
 
-          await log('API', `#${callNumber} ${config.model} → ${result.stop_reason}`, {
-            model: config.model,
+          await log('API', `#${callNumber} ${callConfig.model} → ${result.stop_reason}`, {
+            model: callConfig.model,
             messages: messages.length,
             stopReason: result.stop_reason,
             tokens: result.usage,
@@ -543,13 +592,13 @@ async function callLLMThroughProxyOnce(messages, onTextChunk = null, log = () =>
  * @returns {Promise<Object>} Full API response
  */
 export async function callLLMSimpleViaProxyNoTools(messages, maxTokens = 2000) {
-  await loadConfig();
+  const callConfig = await loadCallConfig();
 
   const PROXY_TIMEOUT_MS = 60000; // 60 seconds for simple requests
 
   // Build simple request body without tools
   const requestBody = {
-    model: config.model,
+    model: callConfig.model,
     max_tokens: maxTokens,
     messages: messages,
     stream: false,  // Non-streaming for simple requests
@@ -833,24 +882,132 @@ function normalizeCodexResponse(response) {
 
 /**
  * Main LLM API call with tools and streaming support
+ * With failover enabled (Settings → Failover), failed calls are retried with
+ * backoff and moved along the fallback chain per error class; see
+ * provider-failover.js. A response that came from a fallback after an error
+ * carries `failover: {model, modelId, errorClass, error}`.
  * @param {Array} messages - Conversation messages
  * @param {Function|null} onTextChunk - Callback for streaming text chunks
  * @param {Function} log - Logging function
  * @param {string|null} currentUrl - Current tab URL (used to filter domain-specific tools)
+ * @param {Object|null} [modelOverride] - Model to use for this call instead of the selected one
+ *   ({modelId, baseUrl, apiKey, authMethod, toolMode}, e.g. from a scheduled task)
+ */
+export async function callLLM(messages, onTextChunk = null, log = () => {}, currentUrl = null, modelOverride = null) {
+  const callConfig = await loadCallConfig();
+  const settings = getFailoverSettings(callConfig.failoverSettings);
+  const primary = modelOverride?.modelId ? modelOverride : {
+    name: callConfig.model,
+    modelId: callConfig.model,
+    baseUrl: callConfig.apiBaseUrl,
+    apiKey: callConfig.apiKey,
+    authMethod: callConfig.authMethod,
+    toolMode: callConfig.toolMode,
+  };
+  // Local models never fall back to a cloud provider - page content must stay local
+  const isLocal = (model) => createProvider(model.baseUrl || '', callConfig).getName() === 'local';
+  const fallbacks = isLocal(primary) ? settings.fallbacks.filter(isLocal) : settings.fallbacks;
+  const chain = settings.enabled ? buildFailoverChain(primary, fallbacks) : [];
+  if (chain.length < 2) {
+    return await callLLMOnce(messages, onTextChunk, log, currentUrl, modelOverride);
+  }
+
+  let failover = null;
+  for (const [index, model] of chain.entries()) {
+    const history = createProvider(model.baseUrl, callConfig).adoptHistory(messages);
+    // The primary keeps modelOverride semantics (null = the selected model as stored)
+    const override = model === primary ? modelOverride : model;
+    const outcome = await callWithRetries(
+      () => callLLMOnce(history, onTextChunk, log, currentUrl, override), model, settings, log
+    );
+    if (outcome.result) {
+      return failover ? { ...outcome.result, failover } : outcome.result;
+    }
+
+    const next = chain[index + 1];
+    if (outcome.step === 'fail' || !next) {
+      throw outcome.error;
+    }
+    if (outcome.errorClass === 'rate_limit' || outcome.errorClass === 'overloaded') {
+      startCooldown(model, outcome.error, settings);
+    }
+    failover = {
+      model: next.name || next.modelId,
+      modelId: next.modelId,
+      errorClass: outcome.errorClass,
+      error: outcome.error.message,
+    };
+    await log('FAILOVER', `${model.name || model.modelId}: ${outcome.errorClass}, switching to ${failover.model}`, {
+      error: outcome.error.message,
+    });
+  }
+}
+
+/**
+ * Call one model of the failover chain, retrying it as the rules allow
+ * @private
+ * @param {Function} call - Makes the API call
+ * @param {Object} model - Model entry (for logging)
+ * @param {Object} settings - Failover settings
+ * @param {Function} log - Logging function
+ * @returns {Promise<Object>} {result} on success, else {error, errorClass, step: 'next'|'fail'}
+ */
+async function callWithRetries(call, model, settings, log) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { result: await call() };
+    } catch (error) {
+      const errorClass = classifyError(error);
+      const step = abortController?.signal.aborted ? 'fail' : nextStep(errorClass, attempt, settings);
+      if (step !== 'retry') {
+        return { error, errorClass, step };
+      }
+
+      const delay = backoffDelay(attempt, error, settings);
+      await log('FAILOVER', `${model.name || model.modelId}: ${errorClass}, retry ${attempt + 1}/${settings.maxRetries} in ${Math.round(delay)}ms`, {
+        error: error.message,
+      });
+      await sleep(delay);
+      if (abortController?.signal.aborted) {
+        return { error, errorClass, step: 'fail' };
+      }
+    }
+  }
+}
+
+/**
+ * Wait before a retry, ending early when the task is stopped
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  const signal = abortController?.signal;
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+/**
+ * Single LLM call to one model (no failover)
+ * @private
  */
-export async function callLLM(messages, onTextChunk = null, log = () => {}, currentUrl = null) {
-  await loadConfig();
+async function callLLMOnce(messages, onTextChunk, log, currentUrl, modelOverride) {
+  const callConfig = await loadCallConfig(modelOverride);
 
   // Debug: log config values
   console.log('[API] Config loaded:', {
-    apiBaseUrl: config.apiBaseUrl,
-    model: config.model,
-    hasApiKey: !!config.apiKey,
-    apiKeyPrefix: config.apiKey ? config.apiKey.substring(0, 10) + '...' : 'none',
+    apiBaseUrl: callConfig.apiBaseUrl,
+    model: callConfig.model,
+    hasApiKey: !!callConfig.apiKey,
+    apiKeyPrefix: callConfig.apiKey ? callConfig.apiKey.substring(0, 10) + '...' : 'none',
   });
 
   // Create provider instance
-  const provider = createProvider(config.apiBaseUrl || '', config);
+  const provider = createProvider(callConfig.apiBaseUrl || '', callConfig);
   const useStreaming = onTextChunk !== null;
   const signal = abortController?.signal;
   const isClaudeModel = provider.getName() === 'anthropic';
@@ -866,23 +1023,27 @@ export async function callLLM(messages, onTextChunk = null, log = () => {}, curr
 
   // If calling Anthropic API directly with OAuth, use native host proxy (bypasses CORS)
   // API key calls try direct fetch first (with dangerous-direct-browser-access header)
-  if (apiUrl.includes('api.anthropic.com') && config.authMethod === 'oauth') {
-    return await callLLMThroughProxy(messages, onTextChunk, log, currentUrl);
+  if (apiUrl.includes('api.anthropic.com') && callConfig.authMethod === 'oauth') {
+    return await callLLMThroughProxy(messages, onTextChunk, log, currentUrl, callConfig);
   }
 
   // If calling Codex API (ChatGPT backend), use the provider's native messaging call
   // CodexProvider has its own call() method that handles native messaging with OpenAI SSE format
   // Falls back to ccproxy if Codex subscription is expired (429)
-  if (apiUrl.includes('chatgpt.com') && config.authMethod === 'codex_oauth') {
+  let activeConfig = callConfig;
+  if (apiUrl.includes('chatgpt.com') && callConfig.authMethod === 'codex_oauth') {
     try {
       return await provider.call(messages, systemPrompt, tools, onTextChunk, log);
     } catch (e) {
       if (e.message.includes('429') || e.message.includes('usage_limit')) {
         console.log('[API] Codex limit reached, falling back to ccproxy');
-        // Switch to ccproxy for the rest of this session (in-memory only)
-        config.apiBaseUrl = 'http://127.0.0.1:8000/claude/v1/messages';
-        config.authMethod = '';
-        config.model = 'claude-haiku-4-5-20251001';
+        // Switch to ccproxy for this call
+        activeConfig = Object.freeze({
+          ...callConfig,
+          apiBaseUrl: 'http://127.0.0.1:8000/claude/v1/messages',
+          authMethod: '',
+          model: 'claude-haiku-4-5-20251001',
+        });
         // Fall through to direct fetch below with ccproxy URL
       } else {
         throw e;
@@ -891,7 +1052,7 @@ export async function callLLM(messages, onTextChunk = null, log = () => {}, curr
   }
 
   // Rebuild provider/request if config was changed by Codex fallback
-  const activeProvider = createProvider(config.apiBaseUrl || '', config);
+  const activeProvider = createProvider(activeConfig.apiBaseUrl || '', activeConfig);
   const activeIsClaudeModel = activeProvider.getName() === 'anthropic';
   const activeSystemPrompt = buildSystemPrompt({ isClaudeModel: activeIsClaudeModel });
   const activeTools = getToolsForUrl(currentUrl);
@@ -921,11 +1082,11 @@ export async function callLLM(messages, onTextChunk = null, log = () => {}, curr
     const callNumber = apiCallCounter;
     const startTime = Date.now();
 
-    let headers = await getApiHeaders();
+    let headers = await getApiHeaders(activeConfig);
     let response = await makeRequest(headers);
 
     // Handle 401 - try refreshing OAuth token and retry once
-    if (response.status === 401 && config.authMethod === 'oauth') {
+    if (response.status === 401 && activeConfig.authMethod === 'oauth') {
       console.log('[API] callLLM got 401, attempting token refresh...');
       let refreshFailed = false;
       let refreshErrorMsg = null;
@@ -938,7 +1099,7 @@ export async function callLLM(messages, onTextChunk = null, log = () => {}, curr
             oauthRefreshToken: tokens.refreshToken,
             oauthExpiresAt: Date.now() + (tokens.expiresIn * 1000)
           });
-          headers = await getApiHeaders();
+          headers = await getApiHeaders(activeConfig);
           response = await makeRequest(headers);
           console.log('[API] Token refresh successful, retried request');
         } else {
@@ -962,8 +1123,7 @@ export async function callLLM(messages, onTextChunk = null, log = () => {}, curr
 
     if (!response.ok) {
       const errorText = await response.text();
-      const errorMessage = parseErrorResponse(errorText, response.status);
-      throw new Error(errorMessage);
+      throw createApiError(errorText, response.status, response.headers.get('retry-after'));
     }
 
     // Handle response based on streaming mode
@@ -976,8 +1136,8 @@ export async function callLLM(messages, onTextChunk = null, log = () => {}, curr
     }
 
     const duration = Date.now() - startTime;
-    await log('API', `#${callNumber} ${config.model} → ${result.stop_reason}`, {
-      model: config.model,
+    await log('API', `#${callNumber} ${activeConfig.model} → ${result.stop_reason}`, {
+      model: activeConfig.model,
       messages: messages.length,
       stopReason: result.stop_reason,
       tokens: result.usage,
@@ -997,6 +1157,22 @@ export async function callLLM(messages, onTextChunk = null, log = () => {}, curr
   }
 }
 
+/**
+ * Error for a non-OK API response
+ * Carries the HTTP status and retry-after delay for the failover rules.
+ * @private
+ * @param {string} errorText - Response body
+ * @param {number} status - HTTP status
+ * @param {string|null} [retryAfter] - retry-after header value
+ * @returns {Error}
+ */
+function createApiError(errorText, status, retryAfter = null) {
+  const error = new Error(parseErrorResponse(errorText, status));
+  error.status = status;
+  error.retryAfterMs = parseRetryAfter(retryAfter);
+  return error;
+}
+
 /**
  * Parse error response from API
  * @private
@@ -13,6 +13,7 @@ import { KEY_DEFINITIONS } from './key-definitions.js';
 import { MAC_COMMANDS } from './mac-commands.js';
 import { screenshotContextManager } from './screenshot-context.js';
 import { indicatorManager } from '../managers/indicator-manager.js';
+import { blurSensitiveRegions, restoreBlurredRegions } from './redaction.js';
 
 // ============================================================================
 // ANTI-BOT CONFIGURATION
@@ -979,6 +980,21 @@ class CDPHelper {
   // SCREENSHOT (lines 5470-5692)
   // ============================================================================
 
+  /**
+   * Run Page.captureScreenshot with sensitive regions blurred for the duration of the capture
+   * @param {number} tabId - Tab ID
+   * @param {Object} params - Page.captureScreenshot parameters
+   * @returns {Promise<{data: string}>} CDP capture result
+   */
+  async captureScreenshot(tabId, params) {
+    const blurred = await blurSensitiveRegions(tabId);
+    try {
+      return await this.sendCommand(tabId, "Page.captureScreenshot", params);
+    } finally {
+      if (blurred) await restoreBlurredRegions(tabId);
+    }
+  }
+
   async screenshot(tabId, resizeParams) {
     const params = resizeParams || this.defaultResizeParams;
     await indicatorManager.hideIndicatorForToolUse(tabId);
@@ -1001,7 +1017,7 @@ class CDPHelper {
       const { width, height, devicePixelRatio } = viewportResult[0].result;
 
       // Capture screenshot via CDP (lines 5490-5498)
-      const captureResult = await this.sendCommand(tabId, "Page.captureScreenshot", {
+      const captureResult = await this.captureScreenshot(tabId, {
         format: "png",
         captureBeyondViewport: false,
         fromSurface: true,
@@ -9,11 +9,17 @@ export const DELAYS = {
   NAVIGATE_WAIT: 2000,
   TYPE_CHAR_MIN: 30,
   TYPE_CHAR_MAX: 80,
+  WORKFLOW_RESOLVE_RETRY: 500,
+  PERMISSION_PROMPT_TIMEOUT: 5 * 60 * 1000, // Unanswered "ask" prompts are denied
+  DOWNLOAD_POLL: 500, // Between checks while waiting for a download
+  HUMAN_HANDOFF_TIMEOUT: 15 * 60 * 1000, // request_human gives up if nobody resumes the task
 };
 
 export const RETRIES = {
   MAX_TAB_GROUP: 5,
   MAX_SCREENSHOT: 3,
+  MAX_WORKFLOW_RESOLVE: 6,
+  MAX_SESSION_RESUME: 3, // Service worker restarts a run survives before it is abandoned
 };
 
 export const LIMITS = {
@@ -23,6 +29,18 @@ export const LIMITS = {
   PAGE_TEXT_CHARS: 50000,
   CONSOLE_MESSAGES: 500,
   NETWORK_REQUESTS: 1000,
+  NETWORK_BODY_CHARS: 1000000, // Captured response bodies are cut off here
+  NETWORK_BODIES_CHARS: 20000000, // All captured bodies together; the oldest are dropped first
+  DOWNLOAD_READ_BYTES: 10 * 1024 * 1024, // Larger downloads are listed but not read
+  PDF_INFLATED_BYTES: 50 * 1024 * 1024, // Decompressed streams per PDF; the rest is dropped
+  MAX_SUBTASKS: 8,
+  MAX_PARALLEL_SUBTASKS: 4,
+  SUBTASK_ANSWER_CHARS: 4000,
+  HISTORY_ENTRIES: 500,
+  HISTORY_SCREENSHOTS: 30, // Per conversation, most recent kept
+  ANALYTICS_CALLS: 20000, // Tool calls kept for the analytics dashboard, most recent kept
+  SKILL_VERSIONS: 20, // Previous versions kept per domain skill
+  SCREENSHOT_MARKS: 100, // Elements numbered on a set-of-marks screenshot
 };
 
 export const VIEWPORT = {
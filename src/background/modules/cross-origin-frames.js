@@ -0,0 +1,299 @@
+/**
+ * Cross-Origin Frames Module
+ * Reads and acts on cross-origin iframes over CDP.
+ *
+ * The content script walks open shadow roots and same-origin iframes itself,
+ * but it cannot see into a cross-origin iframe. For those frames we create an
+ * isolated world over CDP, load the accessibility tree script into it and run
+ * the same functions there. Frames that share the tab's renderer are listed by
+ * Page.getFrameTree; out-of-process frames (cross-site iframes under site
+ * isolation) are reached through auto-attached child sessions.
+ *
+ * Every frame numbers its refs from ref_1, so refs from a cross-origin frame
+ * are qualified with the frame's label: x1:ref_3. A frame keeps its label
+ * while it exists; refs of a frame that is gone fail with a hint to re-read.
+ */
+
+import { ensureDebugger, sendDebuggerCommand } from '../managers/debugger-manager.js';
+
+const WORLD_NAME = 'llm-in-chrome';
+const TREE_SCRIPT = 'src/content/accessibility-tree.js';
+const FRAME_REF = /^(x\d+):(.+)$/;
+
+/** @type {Map<number, {nextLabel: number, frames: Map<string, Object>}>} Per-tab frame labels */
+const tabFrames = new Map();
+
+/** @type {Map<number, Set<string>>} Child CDP sessions (out-of-process iframes) per tab */
+const childSessions = new Map();
+
+let treeScriptSource = null;
+let listenerRegistered = false;
+
+/**
+ * Track child sessions from Target.setAutoAttach
+ */
+function registerSessionListener() {
+  if (listenerRegistered) return;
+  listenerRegistered = true;
+  chrome.debugger.onEvent.addListener((source, method, params) => {
+    if (!source.tabId) return;
+    const sessions = childSessions.get(source.tabId) || new Set();
+    if (method === 'Target.attachedToTarget' && params.targetInfo?.type === 'iframe') {
+      sessions.add(params.sessionId);
+      childSessions.set(source.tabId, sessions);
+    } else if (method === 'Target.detachedFromTarget') {
+      sessions.delete(params.sessionId);
+    }
+  });
+}
+
+/**
+ * Send a CDP command to the tab, or to one of its child sessions
+ * @param {number} tabId - Tab ID
+ * @param {string|null} sessionId - Child session, or null for the tab itself
+ * @param {string} method - CDP method
+ * @param {Object} [params] - CDP parameters
+ * @returns {Promise<Object>}
+ */
+function send(tabId, sessionId, method, params = {}) {
+  return sessionId
+    ? chrome.debugger.sendCommand({ tabId, sessionId }, method, params)
+    : sendDebuggerCommand(tabId, method, params);
+}
+
+/**
+ * Collect frames whose origin differs from their parent's
+ * @param {Object} node - Page.FrameTree node
+ * @param {string|null} parentOrigin - Parent frame's origin (null for a session's root)
+ * @param {string|null} sessionId - Session the tree came from
+ * @param {Array<Object>} out - Collected frames
+ */
+function collectCrossOriginFrames(node, parentOrigin, sessionId, out) {
+  const { id, url, securityOrigin } = node.frame;
+  const crossOrigin = parentOrigin === null ? sessionId !== null : securityOrigin !== parentOrigin;
+  if (crossOrigin && !/^(about|javascript|data):/i.test(url)) {
+    out.push({ frameId: id, url, sessionId, sessionRoot: parentOrigin === null });
+  }
+  for (const child of node.childFrames || []) {
+    collectCrossOriginFrames(child, securityOrigin, sessionId, out);
+  }
+}
+
+/**
+ * List the tab's cross-origin frames and give new ones a label
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Array<Object>>} Frames ({label, frameId, url, sessionId, contextId})
+ */
+async function listFrames(tabId) {
+  registerSessionListener();
+  if (!await ensureDebugger(tabId)) {
+    throw new Error('Could not attach the debugger to read cross-origin iframes');
+  }
+  try {
+    await send(tabId, null, 'Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: false, flatten: true });
+  } catch {
+    // Older Chrome: only frames in the tab's own renderer are reachable
+  }
+
+  const found = [];
+  const { frameTree } = await send(tabId, null, 'Page.getFrameTree');
+  collectCrossOriginFrames(frameTree, null, null, found);
+  for (const sessionId of childSessions.get(tabId) || []) {
+    try {
+      const child = await send(tabId, sessionId, 'Page.getFrameTree');
+      collectCrossOriginFrames(child.frameTree, null, sessionId, found);
+    } catch {
+      childSessions.get(tabId).delete(sessionId);
+    }
+  }
+
+  const state = tabFrames.get(tabId) || { nextLabel: 1, frames: new Map() };
+  tabFrames.set(tabId, state);
+  const byFrameId = new Map([...state.frames.values()].map(f => [f.frameId, f]));
+  state.frames = new Map();
+  for (const frame of found) {
+    const known = byFrameId.get(frame.frameId);
+    const entry = known ? { ...known, url: frame.url } : { ...frame, label: `x${state.nextLabel++}`, contextId: null };
+    state.frames.set(entry.label, entry);
+  }
+  return [...state.frames.values()];
+}
+
+/**
+ * Source of the accessibility tree script, loaded into each frame's world
+ * @returns {Promise<string>}
+ */
+async function getTreeScript() {
+  if (!treeScriptSource) {
+    const response = await fetch(chrome.runtime.getURL(TREE_SCRIPT));
+    treeScriptSource = await response.text();
+  }
+  return treeScriptSource;
+}
+
+/**
+ * Evaluate an expression in a frame's isolated world
+ * @param {number} tabId - Tab ID
+ * @param {Object} frame - Frame entry
+ * @param {string} expression - JavaScript expression
+ * @param {boolean} [retried] - Whether the world was just re-created
+ * @returns {Promise<*>} The expression's value
+ */
+async function evaluate(tabId, frame, expression, retried = false) {
+  if (!frame.contextId) {
+    const world = await send(tabId, frame.sessionId, 'Page.createIsolatedWorld', {
+      frameId: frame.frameId,
+      worldName: WORLD_NAME,
+    });
+    frame.contextId = world.executionContextId;
+    await send(tabId, frame.sessionId, 'Runtime.evaluate', {
+      expression: await getTreeScript(),
+      contextId: frame.contextId,
+    });
+  }
+
+  let response;
+  try {
+    response = await send(tabId, frame.sessionId, 'Runtime.evaluate', {
+      expression,
+      contextId: frame.contextId,
+      returnByValue: true,
+      awaitPromise: true,
+    });
+  } catch (err) {
+    // The frame navigated: its world is gone, and so are the refs in it
+    if (retried || !/context/i.test(err.message)) throw err;
+    frame.contextId = null;
+    return evaluate(tabId, frame, expression, true);
+  }
+  if (response.exceptionDetails) {
+    const details = response.exceptionDetails;
+    throw new Error(details.exception?.description || details.text || 'Script failed in frame');
+  }
+  return response.result?.value;
+}
+
+/**
+ * Call a self-contained function in a frame's isolated world
+ * @param {number} tabId - Tab ID
+ * @param {Object} frame - Frame entry
+ * @param {Function} func - Function (serialized, like chrome.scripting funcs)
+ * @param {Array} args - JSON-serializable arguments
+ * @returns {Promise<*>}
+ */
+function callInFrame(tabId, frame, func, args) {
+  return evaluate(tabId, frame, `(${func})(...${JSON.stringify(args)})`);
+}
+
+/**
+ * Qualify the refs in a frame's tree output with the frame's label
+ * @param {string} text - Tree output
+ * @param {string} label - Frame label
+ * @returns {string}
+ */
+function qualifyRefs(text, label) {
+  return text.replace(/\[((?:f\d+:)?ref_\d+)\]/g, `[${label}:$1]`);
+}
+
+/**
+ * Split a frame-qualified ref (x1:ref_3)
+ * @param {string} ref - Element reference
+ * @returns {{label: string, ref: string}|null} Frame label and the frame's own ref, or null for refs in the page itself
+ */
+export function parseFrameRef(ref) {
+  const match = typeof ref === 'string' && ref.match(FRAME_REF);
+  return match ? { label: match[1], ref: match[2] } : null;
+}
+
+/**
+ * Look up the frame behind a frame-qualified ref
+ * @param {number} tabId - Tab ID
+ * @param {string} label - Frame label
+ * @returns {Object} Frame entry
+ */
+function getFrame(tabId, label) {
+  const frame = tabFrames.get(tabId)?.frames.get(label);
+  if (!frame) {
+    throw new Error(`Frame ${label} is no longer on the page. Use read_page to get fresh refs.`);
+  }
+  return frame;
+}
+
+/**
+ * Read the accessibility trees of the tab's cross-origin iframes
+ * @param {number} tabId - Tab ID
+ * @param {Object} options - {filter, depth, maxChars} as for read_page
+ * @returns {Promise<string>} One section per frame, with qualified refs
+ */
+export async function readCrossOriginFrames(tabId, { filter = null, depth = null, maxChars = null } = {}) {
+  const sections = [];
+  for (const frame of await listFrames(tabId)) {
+    const header = `iframe (cross-origin) "${frame.url}" [${frame.label}]`;
+    try {
+      const tree = await callInFrame(tabId, frame,
+        (f, d, m) => window.__generateAccessibilityTree(f, d, m, null), [filter, depth, maxChars]);
+      const content = qualifyRefs(tree.pageContent, frame.label)
+        .split('\n').filter(Boolean).map(line => ` ${line}`).join('\n');
+      sections.push(content ? `${header}\n${content}` : header);
+    } catch (err) {
+      sections.push(`${header} - could not read: ${err.message}`);
+    }
+  }
+  return sections.join('\n');
+}
+
+/**
+ * Run a self-contained function for a frame-qualified ref, in that frame.
+ * The function gets the frame's own ref first, then args.
+ * @param {number} tabId - Tab ID
+ * @param {string} ref - Frame-qualified ref (x1:ref_3)
+ * @param {Function} func - (ref, ...args) => value
+ * @param {Array} [args] - JSON-serializable arguments
+ * @returns {Promise<*>} The function's value
+ */
+export async function runInFrame(tabId, ref, func, args = []) {
+  const { label, ref: frameRef } = parseFrameRef(ref);
+  return callInFrame(tabId, getFrame(tabId, label), func, [frameRef, ...args]);
+}
+
+/**
+ * Read the subtree under a frame-qualified ref (read_page with ref_id)
+ * @param {number} tabId - Tab ID
+ * @param {string} ref - Frame-qualified ref
+ * @param {Object} options - {filter, depth, maxChars}
+ * @returns {Promise<Object>} {pageContent, viewport} or {error}
+ */
+export async function readFrameSubtree(tabId, ref, { filter = null, depth = null, maxChars = null } = {}) {
+  const { label } = parseFrameRef(ref);
+  const tree = await runInFrame(tabId, ref,
+    (r, f, d, m) => window.__generateAccessibilityTree(f, d, m, r), [filter, depth, maxChars]);
+  return tree.error ? tree : { ...tree, pageContent: qualifyRefs(tree.pageContent, label) };
+}
+
+/**
+ * Position of a frame's viewport in the tab's viewport, scrolling its iframe into view first
+ * @param {number} tabId - Tab ID
+ * @param {string} label - Frame label
+ * @returns {Promise<{x: number, y: number}>}
+ */
+export async function getFrameOffset(tabId, label) {
+  const frame = getFrame(tabId, label);
+  // The iframe element lives in the tab's renderer or, for nested out-of-process frames, in a child session
+  for (const sessionId of [null, ...(childSessions.get(tabId) || [])]) {
+    let owner;
+    try {
+      owner = await send(tabId, sessionId, 'DOM.getFrameOwner', { frameId: frame.frameId });
+    } catch {
+      continue;
+    }
+    await send(tabId, sessionId, 'DOM.scrollIntoViewIfNeeded', { backendNodeId: owner.backendNodeId }).catch(() => {});
+    const { model } = await send(tabId, sessionId, 'DOM.getBoxModel', { backendNodeId: owner.backendNodeId });
+    const offset = { x: model.content[0], y: model.content[1] };
+    if (!sessionId) return offset;
+    // Box models in a child session are relative to that session's root frame
+    const parent = [...tabFrames.get(tabId).frames.values()].find(f => f.sessionId === sessionId && f.sessionRoot);
+    const parentOffset = parent ? await getFrameOffset(tabId, parent.label) : { x: 0, y: 0 };
+    return { x: offset.x + parentOffset.x, y: offset.y + parentOffset.y };
+  }
+  throw new Error(`Could not locate the iframe of frame ${label}`);
+}
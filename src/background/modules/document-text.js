@@ -0,0 +1,59 @@
+/**
+ * Document Text Module
+ * Turns the bytes of a downloaded or fetched document into text for the LLM.
+ * The type comes from the MIME type, falling back to the file extension
+ * (servers often send CSV and JSON as application/octet-stream).
+ */
+
+import { extractPdfPages, formatPdfPages } from './pdf-text.js';
+
+const TYPES_BY_EXTENSION = {
+  json: 'json',
+  csv: 'csv',
+  tsv: 'csv',
+  txt: 'text',
+  md: 'text',
+  log: 'text',
+  xml: 'text',
+  html: 'text',
+  htm: 'text',
+  pdf: 'pdf',
+};
+
+/**
+ * Which kind of document a file is
+ * @param {string} [mimeType] - MIME type
+ * @param {string} [filename] - File name or path
+ * @returns {'json'|'csv'|'text'|'pdf'|null} Document type, or null for files we can't read as text
+ */
+export function detectDocumentType(mimeType = '', filename = '') {
+  const mime = mimeType.toLowerCase();
+  if (mime.includes('json')) return 'json';
+  if (mime.includes('csv') || mime.includes('tab-separated-values')) return 'csv';
+  if (mime === 'application/pdf') return 'pdf';
+  if (mime.startsWith('text/') || mime.includes('xml')) return 'text';
+  const extension = filename.toLowerCase().match(/\.([a-z0-9]+)$/)?.[1];
+  return TYPES_BY_EXTENSION[extension] || null;
+}
+
+/**
+ * Extract a document's text
+ * @param {Uint8Array} bytes - File contents
+ * @param {'json'|'csv'|'text'|'pdf'} type - Document type (from detectDocumentType)
+ * @returns {Promise<string>} Text (JSON is pretty-printed when it parses, PDFs are split into pages)
+ * @throws {Error} For documents whose text can't be extracted
+ */
+export async function extractDocumentText(bytes, type) {
+  if (type === 'pdf') {
+    return formatPdfPages(await extractPdfPages(bytes));
+  }
+  const text = new TextDecoder('utf-8').decode(bytes);
+  if (type === 'json') {
+    try {
+      return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+      return text;
+    }
+  }
+  return text;
+}
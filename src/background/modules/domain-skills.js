@@ -381,52 +381,76 @@ If you encounter a new anti-bot challenge:
   },
 ];
 
+/**
+ * Convert a URL glob to a regular expression: * matches any run of characters, ? one character
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored, case-insensitive expression
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check whether a skill applies to a URL
+ * A skill's match is {type, pattern}: 'domain' matches the host and its subdomains,
+ * 'glob' the URL (without the scheme unless the pattern has one) and 'regex' the
+ * full URL, case-insensitively. Skills with only a `domain` match by domain.
+ * @param {Object} skill - Skill with `match` or `domain`
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+export function skillMatchesUrl(skill, url) {
+  const { type, pattern } = skill.match || { type: 'domain', pattern: skill.domain };
+  if (!pattern) return false;
+
+  try {
+    if (type === 'regex') {
+      return new RegExp(pattern, 'i').test(url);
+    }
+    if (type === 'glob') {
+      const target = pattern.includes('://') ? url : url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+      return globToRegExp(pattern).test(target);
+    }
+    const hostname = new URL(url).hostname.toLowerCase();
+    return hostname === pattern || hostname.endsWith('.' + pattern);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Get domain skills for a given URL
  * @param {string} url - The URL to check
- * @param {Array} userSkills - Optional array of user-defined skills [{ domain, skill }]
- * @returns {Array} - Array of matching domain skills (user skills override built-in)
+ * @param {Array} userSkills - Optional user-defined skills ({match, skill, antiBot, enabled}, or the older {domain, skill})
+ * @returns {Array} - Array of matching domain skills (a user skill for a built-in's domain replaces it)
  */
 export function getDomainSkills(url, userSkills = []) {
   if (!url) return [];
 
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.toLowerCase();
-
-    const matchSkill = (skill) => {
-      return hostname === skill.domain || hostname.endsWith('.' + skill.domain);
-    };
-
-    // Get matching built-in skills
-    const builtInMatches = DOMAIN_SKILLS.filter(matchSkill);
-
-    // Get matching user skills
-    const userMatches = userSkills.filter(matchSkill);
-
-    // Merge: user skills override built-in for same domain
-    const result = [...builtInMatches];
-    for (const userSkill of userMatches) {
-      const existingIndex = result.findIndex(s => s.domain === userSkill.domain);
-      if (existingIndex >= 0) {
-        // Override built-in with user skill
-        result[existingIndex] = userSkill;
-      } else {
-        result.push(userSkill);
-      }
-    }
+  const builtInMatches = DOMAIN_SKILLS.filter(skill => skillMatchesUrl(skill, url));
+  const userMatches = userSkills.filter(skill => skill.enabled !== false && skillMatchesUrl(skill, url));
 
-    return result;
-  } catch {
-    return [];
-  }
+  // Drop built-ins overridden by a user skill for the same domain
+  const overridden = new Set(userMatches
+    .map(skill => skill.match ? skill.match.type === 'domain' && skill.match.pattern : skill.domain)
+    .filter(Boolean));
+
+  return [...builtInMatches.filter(skill => !overridden.has(skill.domain)), ...userMatches];
 }
 
 /**
  * Check if anti-bot simulation is enabled for a given URL
  * @param {string} url - The URL to check
  * @param {Array} userSkills - Optional array of user-defined skills
- * @returns {boolean} - True if antiBot is enabled for this domain
+ * @returns {boolean} - True if a matching skill turns antiBot on
  */
 export function isAntiBotEnabled(url, userSkills = []) {
   const skills = getDomainSkills(url, userSkills);
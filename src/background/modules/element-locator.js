@@ -0,0 +1,251 @@
+/**
+ * Element Locator Module
+ *
+ * Refs (ref_1, ref_2, ...) only live as long as the page that produced them.
+ * A locator is a durable description of an element (role, accessible name,
+ * id, attributes, CSS path) that can be captured while a ref is valid and
+ * resolved back to a fresh ref on a later page load.
+ *
+ * Used by the workflow recorder to make recorded runs replayable.
+ */
+
+import { parseFrameRef, runInFrame } from './cross-origin-frames.js';
+
+/**
+ * Capture a locator for an element (runs in page context)
+ * Must be self-contained - injected via chrome.scripting.executeScript.
+ * Targets the element behind a ref, the element at viewport coordinates,
+ * or (with neither) the focused element.
+ * @param {string|null} refId - Element reference, or null to use coordinates
+ * @param {number|null} px - Viewport X (CSS pixels)
+ * @param {number|null} py - Viewport Y (CSS pixels)
+ * @returns {Object|null} Locator descriptor
+ */
+function describeElementInPage(refId, px, py) {
+  const findTarget = () => {
+    if (refId) {
+      return window.__getElementByRef ? window.__getElementByRef(refId) : null;
+    }
+    if (px === null || py === null) {
+      return document.activeElement === document.body ? null : document.activeElement;
+    }
+    const target = document.elementFromPoint(px, py);
+    // Prefer the nearest interactive ancestor (click on <span> inside <button>)
+    const interactive = target && target.closest('a, button, input, select, textarea, label, [role], [onclick], [tabindex]');
+    return interactive || target;
+  };
+  const element = findTarget();
+  if (!element) return null;
+
+  const tag = element.tagName.toLowerCase();
+  const attr = (name) => element.getAttribute(name) || null;
+
+  const root = element.getRootNode();
+  const label = element.id && (root.querySelector ? root : document).querySelector(`label[for="${CSS.escape(element.id)}"]`);
+  const text = (element.innerText || element.textContent || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+  const name = (attr('aria-label') || (label && label.textContent.trim()) || attr('placeholder') ||
+    attr('title') || attr('alt') || text || attr('name') || '').substring(0, 80);
+
+  // CSS path: tag:nth-of-type chain up to the nearest ancestor with an id
+  const buildCssPath = (target) => {
+    const parts = [];
+    let node = target;
+    while (node && node.nodeType === 1 && node !== document.body && parts.length < 8) {
+      if (node.id && node !== target) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const current = node;
+      const siblings = node.parentElement
+        ? Array.from(node.parentElement.children).filter(c => c.tagName === current.tagName)
+        : [];
+      const nodeTag = node.tagName.toLowerCase();
+      parts.unshift(siblings.length > 1 ? `${nodeTag}:nth-of-type(${siblings.indexOf(node) + 1})` : nodeTag);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  };
+
+  // Form context, used by action policies to recognize form submits
+  const form = element.closest('form');
+  const submitButton = form && form.querySelector('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]');
+  const describeButton = (button) =>
+    (button.getAttribute('aria-label') || button.innerText || button.value || '').replace(/\s+/g, ' ').trim().substring(0, 80);
+  const submitLabel = submitButton ? describeButton(submitButton) : null;
+
+  return {
+    tag,
+    role: attr('role'),
+    type: attr('type'),
+    name,
+    id: element.id || null,
+    nameAttr: attr('name'),
+    placeholder: attr('placeholder'),
+    ariaLabel: attr('aria-label'),
+    href: attr('href'),
+    cssPath: buildCssPath(element),
+    inForm: !!form,
+    submitLabel,
+  };
+}
+
+/**
+ * Capture a locator for a ref
+ * @param {number} tabId - Tab ID
+ * @param {string} ref - Element reference (e.g., "ref_1")
+ * @returns {Promise<Object|null>} Locator or null if the ref is not resolvable
+ */
+export async function describeElementByRef(tabId, ref) {
+  try {
+    if (parseFrameRef(ref)) {
+      return (await runInFrame(tabId, ref, describeElementInPage, [null, null])) || null;
+    }
+    const result = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'ISOLATED',  // Run in content script's world to access __elementRefMap
+      func: describeElementInPage,
+      args: [ref, null, null],
+    });
+    return result?.[0]?.result || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Capture a locator for the element at viewport coordinates
+ * @param {number} tabId - Tab ID
+ * @param {number} x - Viewport X (CSS pixels)
+ * @param {number} y - Viewport Y (CSS pixels)
+ * @returns {Promise<Object|null>} Locator or null if nothing is at that point
+ */
+export async function describeElementAtPoint(tabId, x, y) {
+  try {
+    const result = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'ISOLATED',
+      func: describeElementInPage,
+      args: [null, x, y],
+    });
+    return result?.[0]?.result || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Capture a locator for the focused element (e.g. the field a key press goes to)
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Locator or null if nothing is focused
+ */
+export async function describeFocusedElement(tabId) {
+  try {
+    const result = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'ISOLATED',
+      func: describeElementInPage,
+      args: [null, null, null],
+    });
+    return result?.[0]?.result || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Look up the ref behind a mark from the last set-of-marks screenshot
+ * @param {number} tabId - Tab ID
+ * @param {number} mark - Mark number
+ * @returns {Promise<string|null>} Ref ID, or null if the page has no such mark
+ */
+export async function resolveMark(tabId, mark) {
+  try {
+    const result = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'ISOLATED',
+      func: (markNumber) => (window.__markRefs && window.__markRefs[markNumber]) || null,
+      args: [mark],
+    });
+    return result?.[0]?.result || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve a locator to a fresh ref on the current page
+ * Tries id, then CSS path (verified against tag), then best attribute/name match.
+ * @param {number} tabId - Tab ID
+ * @param {Object} locator - Locator from describeElementByRef/describeElementAtPoint
+ * @returns {Promise<string|null>} New ref ID, or null if no matching element was found
+ */
+export async function resolveLocator(tabId, locator) {
+  try {
+    const result = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'ISOLATED',  // Register the ref in the content script's __elementRefMap
+      func: (loc) => {
+        const isVisible = (el) => {
+          const rect = el.getBoundingClientRect();
+          return rect.width > 0 && rect.height > 0;
+        };
+        const normalize = (s) => (s || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+        const matchesTag = (el) => (el && el.tagName.toLowerCase() === loc.tag ? el : null);
+        const byCssPath = () => {
+          try {
+            return matchesTag(document.querySelector(loc.cssPath));
+          } catch (e) {
+            return null; // Invalid selector on this page - fall through to scoring
+          }
+        };
+
+        // Score candidates of the same tag by how many attributes match
+        const weights = [['nameAttr', 'name', 3], ['ariaLabel', 'aria-label', 3], ['placeholder', 'placeholder', 2],
+          ['href', 'href', 2], ['type', 'type', 1], ['role', 'role', 1]];
+        const score = (el) => {
+          let total = 0;
+          for (const [key, attrName, weight] of weights) {
+            if (loc[key] && el.getAttribute(attrName) === loc[key]) total += weight;
+          }
+          const text = normalize(el.innerText || el.textContent || el.value);
+          if (loc.name && text && text === normalize(loc.name)) total += 3;
+          return total;
+        };
+        const byScore = () => {
+          let best = null;
+          let bestScore = 0;
+          for (const el of document.getElementsByTagName(loc.tag)) {
+            const elScore = isVisible(el) ? score(el) : 0;
+            if (elScore > bestScore) {
+              best = el;
+              bestScore = elScore;
+            }
+          }
+          // Require more than a type/role match to avoid clicking the wrong element
+          return bestScore >= 2 ? best : null;
+        };
+
+        const element = (loc.id && matchesTag(document.getElementById(loc.id)))
+          || (loc.cssPath && byCssPath())
+          || byScore();
+        if (!element) return null;
+
+        window.__elementRefMap = window.__elementRefMap || {};
+        window.__refCounter = window.__refCounter || 0;
+        for (const id in window.__elementRefMap) {
+          if (window.__elementRefMap[id].deref && window.__elementRefMap[id].deref() === element) {
+            return id;
+          }
+        }
+        const ref = 'ref_' + ++window.__refCounter;
+        window.__elementRefMap[ref] = new WeakRef(element);
+        return ref;
+      },
+      args: [locator],
+    });
+    return result?.[0]?.result || null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * HAR Module
+ * Builds HAR 1.2 archives (http://www.softwareishard.com/blog/har-12-spec/)
+ * from the network request records kept by the debugger manager.
+ *
+ * Records carry what CDP reported: request/response headers as objects (repeated
+ * headers joined by newlines), ResourceTiming relative to timing.requestTime, and
+ * monotonic start/end times in seconds. Fields CDP doesn't give us (cookies,
+ * header sizes) are left empty or -1 as the spec allows.
+ */
+
+const HTTP_VERSIONS = { 'http/1.0': 'HTTP/1.0', 'http/1.1': 'HTTP/1.1', h2: 'HTTP/2.0', h3: 'HTTP/3.0' };
+
+/**
+ * Convert a CDP headers object to HAR name/value pairs
+ * @param {Object} [headers] - CDP headers
+ * @returns {Array<{name: string, value: string}>}
+ */
+function toHarHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) =>
+    String(value).split('\n').map(v => ({ name, value: v })));
+}
+
+/**
+ * Find a header value regardless of case
+ * @param {Object} [headers] - CDP headers
+ * @param {string} name - Header name
+ * @returns {string|undefined}
+ */
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Query string of a URL as HAR name/value pairs
+ * @param {string} url - Request URL
+ * @returns {Array<{name: string, value: string}>}
+ */
+function toQueryString(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Duration of a timing phase, or -1 when it didn't happen
+ * @param {number} start - Phase start (ms, -1 if absent)
+ * @param {number} end - Phase end (ms)
+ * @returns {number}
+ */
+function phase(start, end) {
+  return start >= 0 && end >= start ? end - start : -1;
+}
+
+/**
+ * HAR timings and total time of a request
+ * @param {Object} req - Network request record
+ * @returns {{time: number, timings: Object}}
+ */
+function buildTimings(req) {
+  const total = req.endTime && req.startTime ? Math.max(0, (req.endTime - req.startTime) * 1000) : 0;
+  const t = req.timing;
+  if (!t) {
+    return { time: total, timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 } };
+  }
+  const finished = req.endTime ? (req.endTime - t.requestTime) * 1000 : t.receiveHeadersEnd;
+  const timings = {
+    blocked: -1,
+    dns: phase(t.dnsStart, t.dnsEnd),
+    connect: phase(t.connectStart, t.connectEnd),
+    ssl: phase(t.sslStart, t.sslEnd),
+    send: Math.max(0, t.sendEnd - t.sendStart),
+    wait: Math.max(0, t.receiveHeadersEnd - t.sendEnd),
+    receive: Math.max(0, finished - t.receiveHeadersEnd),
+  };
+  // ssl is already part of connect, so it isn't counted twice
+  const time = ['dns', 'connect', 'send', 'wait', 'receive'].reduce((sum, k) => sum + Math.max(0, timings[k]), 0);
+  return { time, timings };
+}
+
+/**
+ * Convert one network request record to a HAR entry
+ * @param {Object} req - Network request record
+ * @param {boolean} includeBodies - Include captured response bodies
+ * @returns {Object} HAR entry
+ */
+function toHarEntry(req, includeBodies) {
+  const httpVersion = HTTP_VERSIONS[req.protocol] || req.protocol || '';
+  const { time, timings } = buildTimings(req);
+
+  const request = {
+    method: req.method,
+    url: req.url,
+    httpVersion,
+    cookies: [],
+    headers: toHarHeaders(req.requestHeaders),
+    queryString: toQueryString(req.url),
+    headersSize: -1,
+    bodySize: req.postData ? req.postData.length : 0,
+  };
+  if (req.postData) {
+    request.postData = { mimeType: getHeader(req.requestHeaders, 'content-type') || '', text: req.postData };
+  }
+
+  const content = { size: req.body?.length ?? 0, mimeType: req.mimeType || '' };
+  if (includeBodies && req.body !== undefined) {
+    content.text = req.body;
+    if (req.base64Encoded) content.encoding = 'base64';
+    if (req.bodyTruncated) content.comment = 'Truncated';
+  }
+
+  const entry = {
+    startedDateTime: new Date(req.timestamp).toISOString(),
+    time,
+    request,
+    response: {
+      status: req.status || 0,
+      statusText: req.statusText || '',
+      httpVersion,
+      cookies: [],
+      headers: toHarHeaders(req.responseHeaders),
+      content,
+      redirectURL: getHeader(req.responseHeaders, 'location') || '',
+      headersSize: -1,
+      bodySize: req.encodedDataLength ?? -1,
+    },
+    cache: {},
+    timings,
+  };
+  if (req.type) entry._resourceType = req.type.toLowerCase();
+  if (req.error) entry._error = req.error;
+  return entry;
+}
+
+/**
+ * Build a HAR 1.2 archive
+ * @param {Array<Object>} requests - Network request records, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.creatorVersion] - Extension version for log.creator
+ * @param {boolean} [options.includeBodies] - Include captured response bodies (default: true)
+ * @returns {Object} HAR object ({log: {...}})
+ */
+export function buildHar(requests, { creatorVersion = '', includeBodies = true } = {}) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'LLM in Chrome', version: creatorVersion },
+      entries: requests.map(req => toHarEntry(req, includeBodies)),
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * IndexedDB Helper
+ * Minimal promise wrapper around one object store per database, shared by
+ * the managers that persist data too large for chrome.storage.
+ */
+
+/**
+ * Create an accessor for an object store
+ * The database is opened (and created via upgrade) on first use.
+ * @param {Object} options
+ * @param {string} options.dbName - Database name
+ * @param {number} options.version - Schema version
+ * @param {string} options.storeName - Object store to access
+ * @param {Function} options.upgrade - (db) => void, creates stores and indexes
+ * @returns {Function} withStore(mode, makeRequest) - runs (store) => IDBRequest in a
+ *   transaction and resolves with the request's result once it commits
+ */
+export function createStoreAccessor({ dbName, version, storeName, upgrade }) {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, version);
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+
+  return async function withStore(mode, makeRequest) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = makeRequest(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  };
+}
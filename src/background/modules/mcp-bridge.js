@@ -41,6 +41,8 @@ let onStartTask = null;
 let onSendMessage = null;
 let onStopTask = null;
 let onScreenshot = null;
+let onRelayConnected = null;
+let onKnowledgeSync = null;
 
 /**
  * Initialize MCP bridge with callbacks.
@@ -51,6 +53,8 @@ export function initMcpBridge(callbacks) {
   onSendMessage = callbacks.onSendMessage;
   onStopTask = callbacks.onStopTask;
   onScreenshot = callbacks.onScreenshot;
+  onRelayConnected = callbacks.onRelayConnected || null;
+  onKnowledgeSync = callbacks.onKnowledgeSync || null;
 
   console.log('[MCP Bridge] Initialized');
 
@@ -102,6 +106,8 @@ export function connectToRelay() {
 
       // WebSocket is faster — stop polling to reduce overhead
       stopMcpPolling();
+
+      onRelayConnected?.();
     };
 
     relaySocket.onmessage = (event) => {
@@ -175,6 +181,7 @@ function normalizeIncomingMessage(message) {
     'mcp_screenshot': 'screenshot',
     'mcp_get_info_response': 'get_info_response',
     'mcp_escalate_response': 'escalate_response',
+    'mcp_knowledge_sync': 'knowledge_sync',
     'mcp_poll_results': null, // Not applicable over WebSocket (push-based)
     'llm_request': 'llm_request',
   };
@@ -199,6 +206,20 @@ export function isRelayConnected() {
   return relaySocket && relaySocket.readyState === WebSocket.OPEN;
 }
 
+/**
+ * Wait for the relay WebSocket to connect, e.g. before resuming sessions after
+ * a service worker restart so their updates go out over the relay
+ * @param {number} [timeoutMs] - Maximum wait
+ * @returns {Promise<boolean>} Whether the relay is connected
+ */
+export async function waitForRelay(timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!isRelayConnected() && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return isRelayConnected();
+}
+
 /**
  * Start polling for MCP commands
  */
@@ -274,7 +295,7 @@ async function handleMcpCommand(command) {
         debugLog('Adding session to mcpSessions', command.sessionId);
         mcpSessions.set(command.sessionId, { status: 'starting', context: command.context });
         debugLog('mcpSessions now has', Array.from(mcpSessions.keys()));
-        onStartTask(command.sessionId, command.task, command.url, command.context);
+        onStartTask(command.sessionId, command.task, command.url, command.context, command.outputSchema);
       }
       break;
 
@@ -331,6 +352,11 @@ async function handleMcpCommand(command) {
       break;
     }
 
+    case 'knowledge_sync':
+      // Knowledge base files from the MCP server, kept as domain skills
+      onKnowledgeSync?.({ entries: command.entries, deleted: command.deleted });
+      break;
+
     case 'llm_request':
       // MCP server requesting LLM completion
       debugLog('llm_request received', { requestId: command.requestId, prompt: command.prompt?.substring(0, 50) });
@@ -416,6 +442,46 @@ export function sendMcpScreenshot(sessionId, data) {
   });
 }
 
+/**
+ * Send the task's budget usage to MCP server (shown in browser_status)
+ * @param {string} sessionId - Session ID
+ * @param {Object} budget - Budget snapshot {task, day} with used and remaining tokens/cost
+ */
+export function sendMcpBudget(sessionId, budget) {
+  sendToNativeHost({
+    type: 'mcp_budget_update',
+    sessionId,
+    budget,
+  });
+}
+
+/**
+ * Notify connected MCP clients that a page watch detected a change
+ * @param {Object} change - Change event {watchId, name, url, summary, added, removed, detectedAt}
+ */
+export function sendWatchChange(change) {
+  sendToNativeHost({
+    type: 'mcp_watch_change',
+    change,
+  });
+}
+
+/**
+ * Send domain skills to connected MCP servers for their knowledge base
+ * Relay only: while it is down nothing is sent, and the full sync on
+ * reconnect catches up.
+ * @param {Object} sync - {skills: [{domain, content, updatedAt}], deleted: [domain], full}
+ * @returns {boolean} Whether the relay was connected
+ */
+export function sendSkillsSync(sync) {
+  if (!isRelayConnected()) return false;
+  sendToNativeHost({
+    type: 'mcp_skills_sync',
+    ...sync,
+  });
+  return true;
+}
+
 /**
  * Query Mem0 for information via MCP server
  * This is used by the get_info tool to retrieve semantically relevant memories
@@ -561,6 +627,16 @@ export function getMcpSession(sessionId) {
   return mcpSessions.get(sessionId);
 }
 
+/**
+ * Re-register a session resumed from a checkpoint after a service worker restart
+ * (the bridge only forwards updates and stop commands for sessions it knows)
+ * @param {string} sessionId - Session ID
+ * @param {string} [context] - Task context
+ */
+export function restoreMcpSession(sessionId, context) {
+  mcpSessions.set(sessionId, { status: 'running', context });
+}
+
 /**
  * Send message to MCP server/CLI.
  * Routes through WebSocket relay when connected, falls back to native host.
@@ -608,6 +684,9 @@ function normalizeOutgoingMessage(message) {
     'mcp_get_info': 'mcp_get_info',
     'mcp_escalate': 'mcp_escalate',
     'mcp_llm_response': 'llm_response',
+    'mcp_watch_change': 'watch_change',
+    'mcp_budget_update': 'budget_update',
+    'mcp_skills_sync': 'skills_sync',
   };
 
   const mappedType = typeMap[type] || type;
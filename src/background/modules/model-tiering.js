@@ -0,0 +1,103 @@
+/**
+ * Model Tiering Module
+ * Picks a fast (cheap) or smart model for each agent turn, so routine steps of
+ * long tasks don't pay smart-model prices.
+ *
+ * The smart model is the task's model (the selected one, or an MCP/scheduled
+ * override); the fast model is chosen in Settings → Tiering. A turn goes to
+ * the fast model only when the previous turn was routine: every tool call in
+ * it was a routine action (scrolling, waiting, and - if enabled - simple
+ * clicks, typing and form input) and none failed. Everything else uses the
+ * smart model:
+ * - the first turn of a run, where the plan is made
+ * - turns after reading or searching the page, navigating or switching tabs
+ * - turns after a failed action, or after an ambiguous result (element not
+ *   found, several matches) when that option is on
+ * - every turn once the task has had `escalateAfterFailures` failed actions
+ *
+ * Settings live in chrome.storage.local under 'tierSettings' and are read
+ * through loadConfig.
+ */
+
+export const DEFAULT_TIER_SETTINGS = {
+  enabled: false,
+  fastModel: null,             // Model entry ({name, modelId, baseUrl, apiKey, authMethod, toolMode})
+  fastClicks: true,            // Clicks, typing and form input count as routine
+  escalateOnAmbiguity: true,   // Not-found / multiple-match results send the next turn to the smart model
+  escalateAfterFailures: 3,    // Failed actions after which the rest of the task stays on the smart model (0 = never)
+};
+
+const ROUTINE_ACTIONS = ['scroll', 'scroll_to', 'wait', 'hover'];
+const ROUTINE_INPUT_ACTIONS = ['left_click', 'double_click', 'triple_click', 'type', 'key'];
+
+const AMBIGUOUS_RESULT = /no (matching )?elements? (found|match)|not found|could not (find|locate)|multiple (elements|matches)|ambiguous/i;
+
+/**
+ * Merge stored settings with defaults
+ * @param {Object} [stored] - tierSettings from storage
+ * @returns {Object} Settings
+ */
+export function getTierSettings(stored) {
+  return { ...DEFAULT_TIER_SETTINGS, ...stored };
+}
+
+/**
+ * Whether a tool call is a routine action the fast model can follow up on
+ * @param {Object} toolUse - {name, input}
+ * @param {Object} settings - Tier settings
+ * @returns {boolean}
+ */
+export function isRoutineAction(toolUse, settings) {
+  if (toolUse.name === 'form_input') return settings.fastClicks;
+  if (toolUse.name !== 'computer') return false;
+  const action = toolUse.input?.action;
+  return ROUTINE_ACTIONS.includes(action) || (settings.fastClicks && ROUTINE_INPUT_ACTIONS.includes(action));
+}
+
+/**
+ * Create the tier router for one agent run
+ * @param {Object} [stored] - tierSettings from storage
+ * @returns {Object} Router with enabled, route() and recordTurn()
+ */
+export function createTierRouter(stored) {
+  const settings = getTierSettings(stored);
+  const enabled = settings.enabled && Boolean(settings.fastModel?.modelId);
+  let failures = 0;
+  let smartReason = 'first turn';
+
+  return {
+    enabled,
+
+    /**
+     * Tier for the next turn
+     * @returns {{tier: 'fast'|'smart', model: Object|null, reason: string}}
+     *   model is the fast model entry, or null for the task's own model
+     */
+    route() {
+      if (!enabled) return { tier: 'smart', model: null, reason: 'tiering off' };
+      if (settings.escalateAfterFailures > 0 && failures >= settings.escalateAfterFailures) {
+        return { tier: 'smart', model: null, reason: `${failures} failed actions` };
+      }
+      if (smartReason) return { tier: 'smart', model: null, reason: smartReason };
+      return { tier: 'fast', model: settings.fastModel, reason: 'routine step' };
+    },
+
+    /**
+     * Record the outcome of a turn's tool calls
+     * @param {Array<{toolUse: Object, isError: boolean, text: string}>} outcomes
+     */
+    recordTurn(outcomes) {
+      const failed = outcomes.filter(o => o.isError);
+      failures += failed.length;
+
+      if (failed.length > 0) {
+        smartReason = `${failed[0].toolUse.name} failed`;
+      } else if (settings.escalateOnAmbiguity && outcomes.some(o => AMBIGUOUS_RESULT.test(o.text || ''))) {
+        smartReason = 'ambiguous result';
+      } else {
+        const planning = outcomes.find(o => !isRoutineAction(o.toolUse, settings));
+        smartReason = planning ? `after ${planning.toolUse.input?.action || planning.toolUse.name}` : null;
+      }
+    },
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * Structured Output Module
+ *
+ * Lets MCP clients request the agent's final answer as a JSON object
+ * matching a JSON Schema (browser_start output_schema parameter).
+ *
+ * The agent is told about the schema up front, its final text response is
+ * parsed as JSON and validated, and on failure the agent is re-prompted with
+ * the validation errors.
+ *
+ * Supports the JSON Schema subset agents actually need: type (incl. arrays
+ * of types), properties, required, additionalProperties, items, enum, const,
+ * minimum/maximum, minLength/maxLength, minItems/maxItems, anyOf, oneOf
+ * (exactly one alternative must match).
+ */
+
+// Maximum number of re-prompts when the final answer fails validation
+export const MAX_OUTPUT_SCHEMA_RETRIES = 3;
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} One of: null, array, integer, number, string, boolean, object
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check whether a value satisfies a JSON Schema "type" keyword
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Expected type(s)
+ * @returns {boolean} True if value matches one of the types
+ */
+function matchesType(value, type) {
+  const actual = getJsonType(value);
+  const expected = Array.isArray(type) ? type : [type];
+  return expected.some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate object-specific keywords (properties, required, additionalProperties)
+ * @private
+ */
+function validateObject(value, schema, path, errors) {
+  for (const key of schema.required || []) {
+    if (!(key in value)) {
+      errors.push(`${path}: missing required property "${key}"`);
+    }
+  }
+
+  const properties = schema.properties || {};
+  for (const [key, propValue] of Object.entries(value)) {
+    if (properties[key]) {
+      collectErrors(propValue, properties[key], `${path}.${key}`, errors);
+    } else if (schema.additionalProperties === false) {
+      errors.push(`${path}: unexpected property "${key}"`);
+    } else if (typeof schema.additionalProperties === 'object') {
+      collectErrors(propValue, schema.additionalProperties, `${path}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Validate array-specific keywords (items, minItems, maxItems)
+ * @private
+ */
+function validateArray(value, schema, path, errors) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push(`${path}: expected at least ${schema.minItems} items, got ${value.length}`);
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push(`${path}: expected at most ${schema.maxItems} items, got ${value.length}`);
+  }
+  if (schema.items && typeof schema.items === 'object') {
+    value.forEach((item, i) => collectErrors(item, schema.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Validate scalar keywords (enum, const, numeric and string bounds)
+ * @private
+ */
+function validateScalar(value, schema, path, errors) {
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+}
+
+/**
+ * Count the alternative schemas (anyOf/oneOf) a value is valid against
+ * @private
+ */
+function countMatches(value, alternatives) {
+  return alternatives.filter(alt => validateAgainstSchema(value, alt).length === 0).length;
+}
+
+/**
+ * Recursively collect validation errors for a value
+ * @private
+ */
+function collectErrors(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.anyOf && countMatches(value, schema.anyOf) === 0) {
+    errors.push(`${path}: does not match any allowed schema`);
+    return;
+  }
+  if (schema.oneOf) {
+    const matches = countMatches(value, schema.oneOf);
+    if (matches !== 1) {
+      errors.push(matches === 0
+        ? `${path}: does not match any allowed schema`
+        : `${path}: matches ${matches} of the oneOf schemas, must match exactly one`);
+      return;
+    }
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.type)}, got ${getJsonType(value)}`);
+    return;
+  }
+
+  validateScalar(value, schema, path, errors);
+
+  const type = getJsonType(value);
+  if (type === 'object') {
+    validateObject(value, schema, path, errors);
+  } else if (type === 'array') {
+    validateArray(value, schema, path, errors);
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  collectErrors(value, schema, '$', errors);
+  return errors;
+}
+
+/**
+ * Extract a JSON value from the agent's final text response.
+ * Accepts bare JSON, a ```json fenced block, or JSON embedded in prose.
+ * @param {string} text - Final response text
+ * @returns {{value?: *, error?: string}} Parsed value or parse error
+ */
+export function extractJsonFromText(text) {
+  if (!text || !text.trim()) {
+    return { error: 'Response was empty' };
+  }
+
+  const candidates = [];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1]);
+  candidates.push(text);
+
+  // Outermost {...} or [...] span in case the JSON is surrounded by prose
+  const start = text.search(/[{[]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    candidates.push(text.substring(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate.trim()) };
+    } catch {
+      // Try next candidate
+    }
+  }
+  return { error: 'Response did not contain valid JSON' };
+}
+
+/**
+ * Parse and validate the agent's final answer
+ * @param {string} text - Final response text
+ * @param {Object} schema - JSON Schema the answer must match
+ * @returns {{valid: boolean, value?: *, errors: Array<string>}} Validation result
+ */
+export function checkStructuredOutput(text, schema) {
+  const parsed = extractJsonFromText(text);
+  if (parsed.error) {
+    return { valid: false, errors: [parsed.error] };
+  }
+  const errors = validateAgainstSchema(parsed.value, schema);
+  return { valid: errors.length === 0, value: parsed.value, errors };
+}
+
+/**
+ * Build the system-reminder that tells the agent how to format its final answer
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Reminder text
+ */
+export function buildOutputSchemaReminder(schema) {
+  return `<system-reminder>When the task is complete, your final response must be ONLY a JSON value matching this JSON Schema (no prose, no markdown outside a single \`\`\`json block):
+${JSON.stringify(schema, null, 2)}
+Use tools as usual until you have the information, then reply with the JSON.</system-reminder>`;
+}
+
+/**
+ * Build the re-prompt sent when the final answer fails validation
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Reminder text
+ */
+export function buildOutputSchemaRetryReminder(errors) {
+  return `<system-reminder>Your final response did not match the required output schema:
+${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}
+Reply again with ONLY the corrected JSON value. Use tools first if you are missing information.</system-reminder>`;
+}
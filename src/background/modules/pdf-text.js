@@ -0,0 +1,764 @@
+/**
+ * PDF Text Module
+ * Extracts the text of a PDF page by page, without a rendering engine.
+ *
+ * Covers what text extraction needs from the PDF format:
+ * - objects anywhere in the file, including compressed object streams (the
+ *   cross-reference table isn't needed; later definitions win, as with
+ *   incremental updates)
+ * - FlateDecode and ASCIIHexDecode streams
+ * - the page tree, with inherited resources and form XObjects
+ * - fonts with ToUnicode CMaps, and simple fonts with WinAnsi encoding and
+ *   /Differences
+ * Text is laid out by the text positioning operators: a new line when the
+ * baseline moves, a space for a horizontal gap. Encrypted PDFs are refused.
+ * Decompressed streams are capped per document (LIMITS.PDF_INFLATED_BYTES).
+ */
+
+import { LIMITS } from './constants.js';
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set('()<>[]{}/%'.split('').map(c => c.charCodeAt(0)));
+const MAX_FORM_DEPTH = 3;
+// TJ adjustments (thousandths of an em) below this are word gaps
+const TJ_SPACE_THRESHOLD = -200;
+
+// WinAnsiEncoding where it differs from Latin-1 (0x80-0x9F)
+const WIN_ANSI_HIGH = [
+  0x20AC, 0, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0, 0x017D, 0,
+  0, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0, 0x017E, 0x0178,
+];
+
+// Glyph names used in /Differences that aren't a single character or uniXXXX
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=',
+  greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', underscore: '_',
+  braceleft: '{', bar: '|', braceright: '}', asciitilde: '~', bullet: '•', endash: '–', emdash: '—',
+  quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚', quotedblbase: '„',
+  ellipsis: '…', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', Euro: '€', copyright: '©',
+  registered: '®', trademark: '™', degree: '°', minus: '−', section: '§',
+  paragraph: '¶', dagger: '†', daggerdbl: '‡', nbspace: ' ', sterling: '£', yen: '¥',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+};
+
+/**
+ * Character of a WinAnsiEncoding byte
+ * @param {number} code - Byte
+ * @returns {string}
+ */
+function winAnsiChar(code) {
+  if (code >= 0x80 && code <= 0x9F) {
+    const mapped = WIN_ANSI_HIGH[code - 0x80];
+    return mapped ? String.fromCharCode(mapped) : '';
+  }
+  return code < 32 ? '' : String.fromCharCode(code);
+}
+
+/**
+ * Unicode text of a glyph name
+ * @param {string} name - Glyph name (e.g. "quoteright", "uni2019", "a")
+ * @returns {string}
+ */
+function glyphToUnicode(name) {
+  if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+  if (name.length === 1) return name;
+  const uni = name.match(/^uni([0-9A-Fa-f]{4})/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  return uni ? String.fromCodePoint(parseInt(uni[1], 16)) : '';
+}
+
+/**
+ * Bytes as a string with one char per byte
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toByteString(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 8192) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+  }
+  return out;
+}
+
+/**
+ * Tokenizer for PDF objects and content streams, over a byte string
+ */
+class Lexer {
+  /**
+   * @param {string} src - Byte string
+   * @param {number} [pos] - Start position
+   */
+  constructor(src, pos = 0) {
+    this.src = src;
+    this.pos = pos;
+  }
+
+  code(offset = 0) {
+    return this.src.charCodeAt(this.pos + offset);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.src.length) {
+      const c = this.code();
+      if (WHITESPACE.has(c)) {
+        this.pos++;
+      } else if (c === 37) { // % comment
+        while (this.pos < this.src.length && this.code() !== 10 && this.code() !== 13) this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Next token: number, {name}, {str}, {punct} or {kw}; null at the end
+   * @returns {*}
+   */
+  next() {
+    this.skipWhitespace();
+    if (this.pos >= this.src.length) return null;
+    const ch = this.src[this.pos];
+    if (ch === '/') return { name: this.readName() };
+    if (ch === '(') return { str: this.readLiteralString() };
+    if (ch === '<' && this.src[this.pos + 1] === '<') {
+      this.pos += 2;
+      return { punct: '<<' };
+    }
+    if (ch === '>' && this.src[this.pos + 1] === '>') {
+      this.pos += 2;
+      return { punct: '>>' };
+    }
+    if (ch === '<') return { str: this.readHexString() };
+    if ('[]{}'.includes(ch)) {
+      this.pos++;
+      return { punct: ch };
+    }
+    const start = this.pos;
+    while (this.pos < this.src.length && !WHITESPACE.has(this.code()) && !DELIMITERS.has(this.code())) this.pos++;
+    if (this.pos === start) this.pos++; // Stray delimiter such as ')' or '>'
+    const word = this.src.slice(start, this.pos);
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(word) ? parseFloat(word) : { kw: word };
+  }
+
+  readName() {
+    const start = ++this.pos;
+    while (this.pos < this.src.length && !WHITESPACE.has(this.code()) && !DELIMITERS.has(this.code())) this.pos++;
+    return this.src.slice(start, this.pos).replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readLiteralString() {
+    let depth = 1;
+    let out = '';
+    this.pos++;
+    while (this.pos < this.src.length) {
+      const ch = this.src[this.pos++];
+      if (ch === '\\') {
+        out += this.readEscape();
+        continue;
+      }
+      if (ch === '(') depth++;
+      if (ch === ')' && --depth === 0) break;
+      out += ch;
+    }
+    return out;
+  }
+
+  /**
+   * Character of a backslash escape in a literal string
+   * @returns {string} Empty for line continuations
+   */
+  readEscape() {
+    const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+    const next = this.src[this.pos++];
+    if (escapes[next]) return escapes[next];
+    if (/[0-7]/.test(next)) {
+      let octal = next;
+      while (octal.length < 3 && /[0-7]/.test(this.src[this.pos])) octal += this.src[this.pos++];
+      return String.fromCharCode(parseInt(octal, 8) & 0xFF);
+    }
+    if (next === '\r') {
+      if (this.src[this.pos] === '\n') this.pos++;
+      return '';
+    }
+    return next === '\n' ? '' : next;
+  }
+
+  readHexString() {
+    const end = this.src.indexOf('>', this.pos);
+    const hex = this.src.slice(this.pos + 1, end < 0 ? this.src.length : end).replace(/[^0-9A-Fa-f]/g, '');
+    this.pos = end < 0 ? this.src.length : end + 1;
+    let out = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      out += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+    }
+    return out;
+  }
+
+  /**
+   * Parse one object: numbers, names, strings, arrays, dictionaries, refs
+   * @param {boolean} [allowRefs] - Recognize "n g R" (not in content streams)
+   * @returns {*} Value, {kw} for a keyword, or undefined at the end
+   */
+  parseObject(allowRefs = true) {
+    const token = this.next();
+    return token === null ? undefined : this.parseFrom(token, allowRefs);
+  }
+
+  parseFrom(token, allowRefs) {
+    if (typeof token === 'number') {
+      return allowRefs ? this.maybeRef(token) : token;
+    }
+    if (token.punct === '[') return this.parseArray(allowRefs);
+    if (token.punct === '<<') return this.parseDict(allowRefs);
+    if (token.kw === 'true' || token.kw === 'false') return token.kw === 'true';
+    if (token.kw === 'null') return null;
+    return token;
+  }
+
+  parseArray(allowRefs) {
+    const items = [];
+    for (;;) {
+      const next = this.next();
+      if (next === null || next.punct === ']') return items;
+      items.push(this.parseFrom(next, allowRefs));
+    }
+  }
+
+  parseDict(allowRefs) {
+    const dict = {};
+    for (;;) {
+      const key = this.next();
+      if (key === null || key.punct === '>>') return dict;
+      if (key.name !== undefined) dict[key.name] = this.parseObject(allowRefs);
+    }
+  }
+
+  maybeRef(num) {
+    const saved = this.pos;
+    const gen = this.next();
+    if (Number.isInteger(num) && Number.isInteger(gen)) {
+      const r = this.next();
+      if (r && r.kw === 'R') return { ref: num, gen };
+    }
+    this.pos = saved;
+    return num;
+  }
+}
+
+/**
+ * Inflate zlib data, keeping what decodes when the stream is damaged
+ * Output past maxBytes is dropped: a few KB of compressed data can expand to
+ * gigabytes.
+ * @param {Uint8Array} data
+ * @param {number} maxBytes - Most bytes to return
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(data, maxBytes) {
+  if (maxBytes <= 0) return new Uint8Array(0);
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+  const chunks = [];
+  let total = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = value.subarray(0, maxBytes - total);
+      chunks.push(chunk);
+      total += chunk.length;
+      if (total >= maxBytes) {
+        await reader.cancel();
+        break;
+      }
+    }
+  } catch {
+    // Truncated or corrupt stream: use the part that decoded
+  }
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+/**
+ * The objects of a PDF file
+ */
+class PdfDocument {
+  /**
+   * @param {Uint8Array} bytes - File contents
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.src = toByteString(bytes);
+    this.objects = new Map(); // Object number -> {value, data}
+    this.inflatedBytes = 0; // Decompressed so far, against LIMITS.PDF_INFLATED_BYTES
+  }
+
+  /**
+   * Find every "n g obj" in the file, then unpack object streams
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(this.src)) !== null) {
+      const lexer = new Lexer(this.src, pattern.lastIndex);
+      const value = lexer.parseObject();
+      const entry = { value, data: null };
+      lexer.skipWhitespace();
+      if (value && typeof value === 'object' && this.src.startsWith('stream', lexer.pos)) {
+        entry.data = this.readStreamData(lexer.pos + 6, value);
+        pattern.lastIndex = entry.data.end;
+      } else {
+        pattern.lastIndex = Math.max(pattern.lastIndex, lexer.pos);
+      }
+      this.objects.set(Number(match[1]), entry);
+    }
+
+    for (const entry of [...this.objects.values()]) {
+      if (entry.value?.Type?.name === 'ObjStm' && entry.data) {
+        await this.unpackObjectStream(entry);
+      }
+    }
+  }
+
+  /**
+   * Locate a stream's bytes
+   * @param {number} pos - Position right after the "stream" keyword
+   * @param {Object} dict - Stream dictionary
+   * @returns {{start: number, end: number}}
+   */
+  readStreamData(pos, dict) {
+    let start = pos;
+    if (this.src[start] === '\r') start++;
+    if (this.src[start] === '\n') start++;
+    const length = dict.Length;
+    if (Number.isInteger(length) && this.src.slice(start + length, start + length + 20).includes('endstream')) {
+      return { start, end: start + length };
+    }
+    // Length is indirect or wrong: the data runs to "endstream"
+    let end = this.src.indexOf('endstream', start);
+    if (end < 0) end = this.src.length;
+    if (this.src[end - 1] === '\n') end--;
+    if (this.src[end - 1] === '\r') end--;
+    return { start, end };
+  }
+
+  async unpackObjectStream(entry) {
+    const src = toByteString(await this.decodeStream(entry));
+    const header = new Lexer(src);
+    const count = this.resolve(entry.value.N) || 0;
+    const first = this.resolve(entry.value.First) || 0;
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      offsets.push([header.parseObject(false), header.parseObject(false)]);
+    }
+    for (const [num, offset] of offsets) {
+      if (this.objects.has(num)) continue; // Objects written directly take precedence
+      this.objects.set(num, { value: new Lexer(src, first + offset).parseObject(), data: null });
+    }
+  }
+
+  /**
+   * Follow a reference
+   * @param {*} value - Value or {ref}
+   * @returns {*}
+   */
+  resolve(value) {
+    let current = value;
+    for (let hops = 0; current && current.ref !== undefined && hops < 10; hops++) {
+      current = this.objects.get(current.ref)?.value;
+    }
+    return current;
+  }
+
+  /**
+   * Object entry behind a value ({value, data}) for streams
+   * @param {*} value - Value or {ref}
+   * @returns {Object|null}
+   */
+  entryOf(value) {
+    return value && value.ref !== undefined ? this.objects.get(value.ref) || null : null;
+  }
+
+  /**
+   * Decoded bytes of a stream object
+   * Once the document's streams have inflated to LIMITS.PDF_INFLATED_BYTES,
+   * the stream is cut off there (later streams decode to nothing).
+   * @param {Object} entry - {value, data}
+   * @returns {Promise<Uint8Array>}
+   * @throws {Error} For filters we can't decode (images, mostly)
+   */
+  async decodeStream(entry) {
+    let data = this.bytes.subarray(entry.data.start, entry.data.end);
+    const filter = this.resolve(entry.value.Filter);
+    const filters = (Array.isArray(filter) ? filter : [filter]).filter(Boolean).map(f => this.resolve(f).name);
+    for (const name of filters) {
+      if (name === 'FlateDecode' || name === 'Fl') {
+        data = await inflate(data, LIMITS.PDF_INFLATED_BYTES - this.inflatedBytes);
+        this.inflatedBytes += data.length;
+      } else if (name === 'ASCIIHexDecode' || name === 'AHx') {
+        data = Uint8Array.from(new Lexer(`<${toByteString(data)}`).readHexString(), c => c.charCodeAt(0));
+      } else {
+        throw new Error(`Unsupported stream filter ${name}`);
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Pages in order, with their inherited resources
+   * @returns {Array<{page: Object, resources: Object}>}
+   */
+  getPages() {
+    const catalog = [...this.objects.values()].map(e => e.value).reverse().find(v => v?.Type?.name === 'Catalog');
+    const pages = [];
+    const visited = new Set();
+    const walk = (nodeRef, inheritedResources) => {
+      const node = this.resolve(nodeRef);
+      if (!node || visited.has(node)) return;
+      visited.add(node);
+      const resources = this.resolve(node.Resources) || inheritedResources;
+      if (node.Type?.name === 'Page' || (!node.Kids && node.Contents)) {
+        pages.push({ page: node, resources });
+        return;
+      }
+      for (const kid of this.resolve(node.Kids) || []) walk(kid, resources);
+    };
+    if (catalog) walk(catalog.Pages, null);
+    if (pages.length > 0) return pages;
+    // No usable page tree: take page objects in object order
+    return [...this.objects.values()]
+      .filter(e => e.value?.Type?.name === 'Page')
+      .map(e => ({ page: e.value, resources: this.resolve(e.value.Resources) }));
+  }
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {string} text - CMap source
+ * @returns {{codeBytes: number, map: Map<number, string>}}
+ */
+function parseToUnicode(text) {
+  const map = new Map();
+  const hexToText = (hex) => {
+    let out = '';
+    for (let i = 0; i < hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4).padEnd(4, '0'), 16));
+    return out;
+  };
+  const codespace = text.match(/begincodespacerange\s*<([0-9A-Fa-f]+)>/);
+  const codeBytes = codespace ? Math.max(1, codespace[1].length / 2) : 2;
+
+  for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]*)>/g)) {
+      map.set(parseInt(src, 16), hexToText(dst));
+    }
+  }
+  for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const [, lo, hi, dst, list] of body.matchAll(/<([0-9A-Fa-f]+)>\s*<([0-9A-Fa-f]+)>\s*(?:<([0-9A-Fa-f]*)>|\[([^\]]*)\])/g)) {
+      const low = parseInt(lo, 16);
+      const high = parseInt(hi, 16);
+      if (list !== undefined) {
+        [...list.matchAll(/<([0-9A-Fa-f]*)>/g)].forEach(([, item], i) => map.set(low + i, hexToText(item)));
+        continue;
+      }
+      const base = hexToText(dst);
+      for (let code = low; code <= high && code - low < 65536; code++) {
+        const last = base.charCodeAt(base.length - 1) + (code - low);
+        map.set(code, base.slice(0, -1) + String.fromCharCode(last));
+      }
+    }
+  }
+  return { codeBytes, map };
+}
+
+/**
+ * Build the function that turns a font's string bytes into text
+ * @param {PdfDocument} doc
+ * @param {Object|null} font - Font dictionary
+ * @returns {Promise<Function>} (byteString) => text
+ */
+async function createFontDecoder(doc, font) {
+  const toUnicode = font && doc.entryOf(font.ToUnicode);
+  if (toUnicode?.data) {
+    try {
+      const { codeBytes, map } = parseToUnicode(toByteString(await doc.decodeStream(toUnicode)));
+      return (bytes) => {
+        let out = '';
+        for (let i = 0; i + codeBytes <= bytes.length; i += codeBytes) {
+          let code = 0;
+          for (let b = 0; b < codeBytes; b++) code = code * 256 + bytes.charCodeAt(i + b);
+          out += map.get(code) ?? (codeBytes === 1 ? winAnsiChar(code) : '');
+        }
+        return out;
+      };
+    } catch {
+      // Fall back to the font's encoding
+    }
+  }
+
+  if (font?.Subtype?.name === 'Type0') {
+    // Composite font without a ToUnicode map: codes are glyph IDs, often Unicode for system fonts
+    return (bytes) => {
+      let out = '';
+      for (let i = 0; i + 1 < bytes.length; i += 2) {
+        const code = bytes.charCodeAt(i) * 256 + bytes.charCodeAt(i + 1);
+        if (code >= 32) out += String.fromCharCode(code);
+      }
+      return out;
+    };
+  }
+
+  const differences = new Map();
+  const encoding = font && doc.resolve(font.Encoding);
+  let code = 0;
+  for (const item of (encoding && doc.resolve(encoding.Differences)) || []) {
+    if (typeof item === 'number') {
+      code = item;
+    } else if (item?.name !== undefined) {
+      differences.set(code++, glyphToUnicode(item.name));
+    }
+  }
+  return (bytes) => {
+    let out = '';
+    for (let i = 0; i < bytes.length; i++) {
+      const c = bytes.charCodeAt(i);
+      out += differences.has(c) ? differences.get(c) : winAnsiChar(c);
+    }
+    return out;
+  };
+}
+
+/**
+ * Collects text into lines as the content stream positions it
+ */
+class TextCollector {
+  constructor() {
+    this.lines = [];
+    this.current = '';
+  }
+
+  newline() {
+    if (this.current.trim()) this.lines.push(this.current);
+    this.current = '';
+  }
+
+  space() {
+    if (this.current && !this.current.endsWith(' ')) this.current += ' ';
+  }
+
+  add(text) {
+    this.current += text;
+  }
+
+  /**
+   * @returns {string} Lines with runs of spaces collapsed
+   */
+  text() {
+    this.newline();
+    return this.lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+  }
+}
+
+// Text operators, and inline images and XObjects whose content is skipped or followed
+const CONTENT_OPERATORS = {
+  Tf: 'setFont',
+  Td: 'moveText',
+  TD: 'moveText',
+  Tm: 'setTextMatrix',
+  'T*': 'nextLine',
+  Tj: 'showText',
+  "'": 'nextLineShowText',
+  '"': 'nextLineShowText',
+  TJ: 'showTextArray',
+  ID: 'skipInlineImage',
+  Do: 'drawXObject',
+};
+
+/**
+ * Runs a content stream's text operators into a TextCollector
+ */
+class ContentInterpreter {
+  /**
+   * @param {PdfDocument} doc
+   * @param {Object|null} resources - Resource dictionary
+   * @param {TextCollector} out - Collected text
+   * @param {number} depth - Form XObject nesting
+   */
+  constructor(doc, resources, out, depth) {
+    this.doc = doc;
+    this.resources = resources;
+    this.fonts = (resources && doc.resolve(resources.Font)) || {};
+    this.xobjects = (resources && doc.resolve(resources.XObject)) || {};
+    this.out = out;
+    this.depth = depth;
+    this.decoders = new Map();
+    this.decode = null;
+    this.lineY = null;
+  }
+
+  /**
+   * @param {string} content - Decoded content stream (byte string)
+   * @returns {Promise<void>}
+   */
+  async run(content) {
+    this.decode = await createFontDecoder(this.doc, null);
+    this.lexer = new Lexer(content);
+    let operands = [];
+    for (;;) {
+      const token = this.lexer.next();
+      if (token === null) break;
+      if (token.kw === undefined) {
+        operands.push(this.lexer.parseFrom(token, false));
+        continue;
+      }
+      const method = CONTENT_OPERATORS[token.kw];
+      if (method) await this[method](operands);
+      operands = [];
+    }
+  }
+
+  /**
+   * Move to a baseline: a new line when it changes, else a word gap
+   * @param {number} y - Baseline
+   * @param {number} x - Horizontal move
+   */
+  moveTo(y, x) {
+    if (this.lineY !== null && Math.abs(y - this.lineY) > 0.5) this.out.newline();
+    else if (x !== 0) this.out.space();
+    this.lineY = y;
+  }
+
+  show(str) {
+    this.out.add(this.decode(str || ''));
+  }
+
+  async setFont([font]) {
+    const name = font?.name;
+    if (!this.decoders.has(name)) {
+      this.decoders.set(name, await createFontDecoder(this.doc, this.doc.resolve(this.fonts[name])));
+    }
+    this.decode = this.decoders.get(name);
+  }
+
+  moveText([tx, ty]) {
+    this.moveTo((this.lineY ?? 0) + (ty || 0), tx || 0);
+  }
+
+  setTextMatrix(operands) {
+    this.moveTo(operands[5] || 0, 1);
+  }
+
+  nextLine() {
+    this.out.newline();
+  }
+
+  showText([str]) {
+    this.show(str?.str);
+  }
+
+  nextLineShowText(operands) {
+    this.out.newline();
+    this.show(operands[operands.length - 1]?.str);
+  }
+
+  showTextArray([items]) {
+    for (const item of items || []) {
+      if (item?.str !== undefined) this.show(item.str);
+      else if (typeof item === 'number' && item < TJ_SPACE_THRESHOLD) this.out.space();
+    }
+  }
+
+  skipInlineImage() {
+    // Image data runs to "EI"
+    const { src, pos } = this.lexer;
+    const end = src.slice(pos).search(/\sEI(\s|$)/);
+    this.lexer.pos = end < 0 ? src.length : pos + end + 3;
+  }
+
+  async drawXObject([name]) {
+    const entry = this.doc.entryOf(this.xobjects[name?.name]);
+    if (this.depth >= MAX_FORM_DEPTH || !entry?.data || entry.value.Subtype?.name !== 'Form') return;
+    try {
+      const form = toByteString(await this.doc.decodeStream(entry));
+      const resources = this.doc.resolve(entry.value.Resources) || this.resources;
+      await new ContentInterpreter(this.doc, resources, this.out, this.depth + 1).run(form);
+    } catch {
+      // Undecodable form: skip it
+    }
+  }
+}
+
+/**
+ * Extract the text of each page of a PDF
+ * @param {Uint8Array} bytes - PDF file
+ * @returns {Promise<Array<string>>} Text per page (index 0 = page 1)
+ * @throws {Error} If the file is not a PDF or is encrypted
+ */
+export async function extractPdfPages(bytes) {
+  const doc = new PdfDocument(bytes);
+  if (!doc.src.slice(0, 1024).includes('%PDF-')) {
+    throw new Error('Not a PDF file');
+  }
+  if (/\/Encrypt\s/.test(doc.src.slice(-4096)) || /trailer[\s\S]{0,500}\/Encrypt\s/.test(doc.src)) {
+    throw new Error('The PDF is encrypted; its text cannot be extracted');
+  }
+  await doc.load();
+
+  const texts = [];
+  for (const { page, resources } of doc.getPages()) {
+    const contents = doc.resolve(page.Contents);
+    const refs = Array.isArray(contents) ? contents : [page.Contents];
+    let content = '';
+    for (const ref of refs) {
+      const entry = doc.entryOf(ref);
+      if (!entry?.data) continue;
+      try {
+        content += toByteString(await doc.decodeStream(entry)) + '\n';
+      } catch {
+        // Unreadable part of the page: keep the rest
+      }
+    }
+    const out = new TextCollector();
+    await new ContentInterpreter(doc, resources, out, 0).run(content);
+    texts.push(out.text());
+  }
+  return texts;
+}
+
+/**
+ * Parse a page range such as "1-3,5,8-"
+ * @param {string} spec - Page range (1-based, inclusive; "8-" runs to the last page)
+ * @param {number} pageCount - Pages in the document
+ * @returns {Array<number>} Page numbers in order, without duplicates
+ * @throws {Error} For malformed ranges or pages outside the document
+ */
+export function parsePageRange(spec, pageCount) {
+  const pages = new Set();
+  for (const part of String(spec).split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+    if (!match) throw new Error(`Invalid page range "${part}". Use e.g. "3", "1-5" or "10-".`);
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : (match[2] === '' ? pageCount : Number(match[2]));
+    if (from < 1 || to > pageCount || from > to) {
+      throw new Error(`Pages ${part} are outside the document (pages 1-${pageCount}).`);
+    }
+    for (let page = from; page <= to; page++) pages.add(page);
+  }
+  return [...pages];
+}
+
+/**
+ * Format pages for the LLM, each headed by its page number
+ * @param {Array<string>} texts - Text per page
+ * @param {Array<number>} [pageNumbers] - Pages to include (default: all)
+ * @returns {string}
+ */
+export function formatPdfPages(texts, pageNumbers = texts.map((_, i) => i + 1)) {
+  return pageNumbers
+    .map(n => `[Page ${n}]\n${texts[n - 1] || '(no text on this page - it may be a scanned image)'}`)
+    .join('\n\n');
+}
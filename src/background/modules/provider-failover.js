@@ -0,0 +1,186 @@
+/**
+ * Provider Failover Module
+ * Rules for moving an API call along an ordered chain of models when the
+ * current one fails, used by callLLM.
+ *
+ * The chain is the selected model (or the task's model override) followed by
+ * the fallbacks from Settings → Failover, e.g. Claude OAuth → Anthropic API key
+ * → OpenRouter. A local primary only gets the local fallbacks. Each failure is classified and the rule for its class decides:
+ * - 'retry': back off and retry the same model, then fail
+ * - 'next': move to the next model right away
+ * - 'retry_then_next': back off and retry, then move to the next model
+ * - 'fail': fail the call
+ * Errors outside these classes (bad requests, aborts) always fail.
+ *
+ * Backoff is exponential with jitter and honors the provider's retry-after.
+ * A model that was rate limited or overloaded is skipped until its cooldown
+ * ends, so later turns of the same task don't wait on it again.
+ *
+ * Settings live in chrome.storage.local under 'failoverSettings' and are read
+ * through loadConfig. A fallback is a model entry as listed in the side panel
+ * ({name, modelId, baseUrl, apiKey, authMethod, toolMode}).
+ */
+
+export const ERROR_CLASSES = ['rate_limit', 'overloaded', 'server_error', 'timeout', 'auth'];
+
+export const DEFAULT_FAILOVER_SETTINGS = {
+  enabled: false,
+  fallbacks: [],
+  rules: {
+    rate_limit: 'retry_then_next',
+    overloaded: 'retry_then_next',
+    server_error: 'retry_then_next',
+    timeout: 'next',
+    auth: 'next',
+  },
+  maxRetries: 2,      // Retries per model before 'retry' fails / 'retry_then_next' moves on
+  baseDelayMs: 1000,  // First backoff; doubles with each retry
+  maxDelayMs: 30000,  // Cap for backoff and retry-after
+  cooldownMs: 60000,  // How long a rate-limited model is skipped without retry-after
+};
+
+// Model key -> timestamp until which the model is skipped
+const cooldowns = new Map();
+
+/**
+ * Merge stored settings with defaults
+ * @param {Object} [stored] - failoverSettings from storage
+ * @returns {Object} Settings
+ */
+export function getFailoverSettings(stored) {
+  return {
+    ...DEFAULT_FAILOVER_SETTINGS,
+    ...stored,
+    fallbacks: stored?.fallbacks || [],
+    rules: { ...DEFAULT_FAILOVER_SETTINGS.rules, ...stored?.rules },
+  };
+}
+
+/**
+ * HTTP status of a failed call, from the error or its "API error: NNN" message
+ * @param {Error} error
+ * @returns {number|null}
+ */
+function statusOf(error) {
+  if (error?.status) return error.status;
+  const match = error?.message?.match(/\b(?:API error|status)[:\s]+(\d{3})\b/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Classify a failed API call
+ * @param {Error} error - Error thrown by the provider call
+ * @returns {string|null} One of ERROR_CLASSES, or null when failing over would not help
+ */
+export function classifyError(error) {
+  if (!error || error.name === 'AbortError') return null;
+  const status = statusOf(error);
+  const message = error.message || '';
+
+  if (status === 429 || /rate.?limit|usage_limit|too many requests/i.test(message)) return 'rate_limit';
+  if (status === 529 || /overloaded/i.test(message)) return 'overloaded';
+  if (status >= 500) return 'server_error';
+  if (status === 401 || status === 403 || /authentication failed|invalid.{0,10}api.?key|unauthorized/i.test(message)) return 'auth';
+  if (/timed out|stream stalled|no data received|failed to fetch|networkerror|network error/i.test(message)) return 'timeout';
+  return null;
+}
+
+/**
+ * Parse a retry-after header value
+ * @param {string|null} value - Seconds or an HTTP date
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before retrying the same model
+ * @param {number} attempt - Retries already made on this model (0 for the first)
+ * @param {Error} error - The failure (its retryAfterMs wins when set)
+ * @param {Object} settings - Failover settings
+ * @returns {number} Delay in ms
+ */
+export function backoffDelay(attempt, error, settings) {
+  if (Number.isFinite(error?.retryAfterMs)) {
+    return Math.min(error.retryAfterMs, settings.maxDelayMs);
+  }
+  const exponential = settings.baseDelayMs * 2 ** attempt;
+  const jitter = Math.random() * 0.25 * exponential;
+  return Math.min(exponential + jitter, settings.maxDelayMs);
+}
+
+/**
+ * Decide what to do after a failure
+ * @param {string|null} errorClass - From classifyError
+ * @param {number} attempt - Retries already made on this model
+ * @param {Object} settings - Failover settings
+ * @returns {'retry'|'next'|'fail'}
+ */
+export function nextStep(errorClass, attempt, settings) {
+  const rule = errorClass ? settings.rules[errorClass] : 'fail';
+  const canRetry = attempt < settings.maxRetries;
+  switch (rule) {
+    case 'retry':
+      return canRetry ? 'retry' : 'fail';
+    case 'retry_then_next':
+      return canRetry ? 'retry' : 'next';
+    case 'next':
+      return 'next';
+    default:
+      return 'fail';
+  }
+}
+
+/**
+ * Identity of a model entry (same endpoint and model ID = same model)
+ * @param {Object} model - {modelId, baseUrl}
+ * @returns {string}
+ */
+function modelKey(model) {
+  return `${model.baseUrl || ''}|${model.modelId || ''}`;
+}
+
+/**
+ * Build the chain of models to try, in order
+ * Duplicates of the primary are dropped, and models in cooldown move to the
+ * end (they are still tried if everything before them fails).
+ * @param {Object} primary - The model the call would normally use
+ * @param {Array} fallbacks - Fallback model entries
+ * @returns {Array} Model entries
+ */
+export function buildFailoverChain(primary, fallbacks) {
+  const seen = new Set();
+  const chain = [primary, ...fallbacks].filter((model) => {
+    if (!model?.modelId || !model.baseUrl) return false;
+    const key = modelKey(model);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const now = Date.now();
+  const isCooling = (model) => (cooldowns.get(modelKey(model)) || 0) > now;
+  return [...chain.filter(m => !isCooling(m)), ...chain.filter(isCooling)];
+}
+
+/**
+ * Skip a model for a while after it was rate limited or overloaded
+ * @param {Object} model - Model entry
+ * @param {Error} error - The failure (retryAfterMs sets the cooldown when known)
+ * @param {Object} settings - Failover settings
+ */
+export function startCooldown(model, error, settings) {
+  const ms = Number.isFinite(error?.retryAfterMs) ? error.retryAfterMs : settings.cooldownMs;
+  cooldowns.set(modelKey(model), Date.now() + ms);
+}
+
+/**
+ * Forget all cooldowns
+ */
+export function clearCooldowns() {
+  cooldowns.clear();
+}
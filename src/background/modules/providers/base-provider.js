@@ -3,6 +3,14 @@
  * Each provider implements its own request/response format conversion
  */
 
+// Fields of each Anthropic content block type (see adoptHistory)
+const BLOCK_FIELDS = {
+  text: ['type', 'text'],
+  image: ['type', 'source'],
+  tool_use: ['type', 'id', 'name', 'input'],
+  tool_result: ['type', 'tool_use_id', 'content', 'is_error'],
+};
+
 export class BaseProvider {
   constructor(config) {
     this.config = config;
@@ -65,6 +73,50 @@ export class BaseProvider {
     throw new Error('Provider must implement handleStreaming()');
   }
 
+  /**
+   * Content block fields this provider reads beyond the Anthropic format
+   * (e.g. reasoning attached to tool calls)
+   * @returns {string[]}
+   */
+  getExtraBlockFields() {
+    return [];
+  }
+
+  /**
+   * Prepare a history that other providers may have written for this one
+   * Messages stay in Anthropic format; fields only another provider
+   * understands are dropped, as are the empty text placeholders some
+   * providers return (the Anthropic API rejects both).
+   * @param {Array} messages - Messages in Anthropic format
+   * @returns {Array} Copy safe to pass to buildRequestBody
+   */
+  adoptHistory(messages) {
+    const extraFields = this.getExtraBlockFields();
+
+    const adoptBlock = (block) => {
+      const fields = BLOCK_FIELDS[block.type];
+      if (!fields) return block;
+      const adopted = {};
+      for (const field of [...fields, ...extraFields]) {
+        if (block[field] !== undefined) adopted[field] = block[field];
+      }
+      if (block.type === 'tool_result' && Array.isArray(block.content)) {
+        adopted.content = block.content.map(adoptBlock);
+      }
+      return adopted;
+    };
+
+    return messages.map((message) => {
+      if (!Array.isArray(message.content)) {
+        return { role: message.role, content: message.content };
+      }
+      const content = message.content
+        .filter(block => block.type !== 'text' || block.text?.trim())
+        .map(adoptBlock);
+      return { role: message.role, content: content.length > 0 ? content : [{ type: 'text', text: '(empty)' }] };
+    });
+  }
+
   /**
    * Detect if a base URL belongs to this provider
    * @param {string} baseUrl - API base URL
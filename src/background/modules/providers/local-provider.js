@@ -0,0 +1,331 @@
+/**
+ * Local OpenAI-compatible Provider
+ * Handles self-hosted servers (Ollama, llama.cpp, LM Studio, vLLM) on localhost
+ * or the local network, so page content never leaves the machine/LAN.
+ *
+ * Two tool modes (config.toolMode):
+ * - 'native': OpenAI function calling, same as OpenAIProvider
+ * - 'text': for models without function calling - tools are described in the
+ *   system prompt and calls are parsed from <tool_call>{...}</tool_call> text
+ */
+
+import { OpenAIProvider } from './openai-provider.js';
+import { filterClaudeOnlyTools } from '../../../tools/definitions.js';
+
+// Timeout for discovery/probe requests (first request may load the model into memory)
+const PROBE_TIMEOUT_MS = 60000;
+
+const TOOL_CALL_PATTERN = /<tool_call>\s*([\s\S]*?)\s*<\/tool_call>/g;
+const FENCED_JSON_PATTERN = /```(?:json|tool_call)?\s*(\{[\s\S]*?\})\s*```/g;
+
+/**
+ * Check whether a hostname is loopback, link-local, private (RFC 1918) or mDNS
+ * @param {string} hostname - URL hostname
+ * @returns {boolean}
+ */
+function isLocalHostname(hostname) {
+  return hostname === 'localhost'
+    || hostname === '[::1]'
+    || hostname === '0.0.0.0'
+    || hostname === 'host.docker.internal'
+    || hostname.endsWith('.local')
+    || /^127\./.test(hostname)
+    || /^10\./.test(hostname)
+    || /^192\.168\./.test(hostname)
+    || /^172\.(1[6-9]|2\d|3[01])\./.test(hostname);
+}
+
+/**
+ * Normalize a user-entered server URL to its OpenAI API root (e.g. http://localhost:11434/v1)
+ * Accepts "http://localhost:11434", ".../v1" or ".../v1/chat/completions".
+ * @param {string} baseUrl - Server URL
+ * @returns {string} API root without trailing slash
+ */
+export function getLocalApiRoot(baseUrl) {
+  let root = (baseUrl || '').trim().replace(/\/+$/, '').replace(/\/chat\/completions$/, '');
+  if (!/\/v\d+$/.test(root)) {
+    root += '/v1';
+  }
+  return root;
+}
+
+/**
+ * Fetch with a timeout
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * List models served by a local server via GET /v1/models
+ * @param {string} baseUrl - Server URL
+ * @param {string} [apiKey] - Optional API key (LM Studio/vLLM can require one)
+ * @returns {Promise<Array<{id: string}>>} Models
+ * @throws {Error} If the server is unreachable or rejects the request
+ */
+export async function listLocalModels(baseUrl, apiKey = null) {
+  const root = getLocalApiRoot(baseUrl);
+  let response;
+  try {
+    response = await fetchWithTimeout(`${root}/models`, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    });
+  } catch (e) {
+    throw new Error(`Could not reach ${root} (${e.message}). Is the server running?`);
+  }
+  if (response.status === 403) {
+    throw new Error('Server rejected the extension origin. For Ollama, set OLLAMA_ORIGINS=chrome-extension://* and restart it.');
+  }
+  if (!response.ok) {
+    throw new Error(`GET ${root}/models failed: ${response.status} ${(await response.text()).substring(0, 200)}`);
+  }
+  const data = await response.json();
+  return (data.data || data.models || []).map(m => ({ id: m.id || m.name })).filter(m => m.id);
+}
+
+/**
+ * Detect whether a local model supports native function calling
+ * Uses Ollama's /api/show capabilities when available, otherwise sends a
+ * one-tool probe request and checks whether the model answers with a tool call.
+ * @param {string} baseUrl - Server URL
+ * @param {string} modelId - Model ID
+ * @param {string} [apiKey] - Optional API key
+ * @returns {Promise<boolean>} True if the model returned a native tool call
+ */
+export async function detectToolSupport(baseUrl, modelId, apiKey = null) {
+  const root = getLocalApiRoot(baseUrl);
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  // Ollama reports capabilities directly
+  try {
+    const show = await fetchWithTimeout(`${root.replace(/\/v\d+$/, '')}/api/show`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ model: modelId }),
+    });
+    if (show.ok) {
+      const info = await show.json();
+      if (Array.isArray(info.capabilities)) {
+        return info.capabilities.includes('tools');
+      }
+    }
+  } catch (e) {
+    // Not Ollama - fall through to the probe
+  }
+
+  try {
+    const response = await fetchWithTimeout(`${root}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: modelId,
+        max_tokens: 100,
+        stream: false,
+        messages: [{ role: 'user', content: 'What time is it? Use the get_time tool.' }],
+        tools: [{
+          type: 'function',
+          function: {
+            name: 'get_time',
+            description: 'Get the current time',
+            parameters: { type: 'object', properties: {} },
+          },
+        }],
+      }),
+    });
+    if (!response.ok) return false;
+    const data = await response.json();
+    return (data.choices?.[0]?.message?.tool_calls?.length || 0) > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Extract text-protocol tool calls from model output
+ * Recognizes <tool_call>{"name": ..., "arguments": {...}}</tool_call> and, as a
+ * fallback, fenced JSON blocks with the same shape naming a known tool.
+ * @param {string} text - Model output
+ * @param {Set<string>} toolNames - Valid tool names
+ * @returns {{text: string, calls: Array<{name: string, input: Object}>}} Remaining text and calls
+ */
+export function parseTextToolCalls(text, toolNames) {
+  const calls = [];
+  const toCall = (json) => {
+    try {
+      const parsed = JSON.parse(json);
+      const name = parsed.name || parsed.tool;
+      if (!toolNames.has(name)) return null;
+      let input = parsed.arguments ?? parsed.input ?? parsed.parameters ?? {};
+      if (typeof input === 'string') input = JSON.parse(input);
+      return { name, input };
+    } catch (e) {
+      return null;
+    }
+  };
+
+  let remaining = text.replace(TOOL_CALL_PATTERN, (match, json) => {
+    const call = toCall(json);
+    if (!call) return match;
+    calls.push(call);
+    return '';
+  });
+
+  if (calls.length === 0) {
+    remaining = remaining.replace(FENCED_JSON_PATTERN, (match, json) => {
+      const call = toCall(json);
+      if (!call) return match;
+      calls.push(call);
+      return '';
+    });
+  }
+
+  return { text: remaining.trim(), calls };
+}
+
+export class LocalProvider extends OpenAIProvider {
+  getName() {
+    return 'local';
+  }
+
+  static matchesUrl(baseUrl) {
+    try {
+      const url = new URL(baseUrl);
+      // Anthropic-format proxies on localhost (e.g. ccproxy's /claude/v1/messages) are not OpenAI-compatible
+      return isLocalHostname(url.hostname) && !url.pathname.endsWith('/messages');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  buildUrl(_useStreaming) {
+    return `${getLocalApiRoot(this.config.apiBaseUrl)}/chat/completions`;
+  }
+
+  /**
+   * Whether tools are described in the prompt instead of sent as functions
+   * @returns {boolean}
+   */
+  isTextToolMode() {
+    return this.config.toolMode === 'text';
+  }
+
+  buildRequestBody(messages, systemPrompt, tools, useStreaming) {
+    const availableTools = filterClaudeOnlyTools(tools || []);
+    const textMode = this.isTextToolMode() && availableTools.length > 0;
+    this._textTools = textMode ? availableTools : [];
+
+    // Extract text from systemPrompt array (Anthropic format)
+    let systemText = Array.isArray(systemPrompt)
+      ? systemPrompt.map(p => p.text).join('\n\n')
+      : (systemPrompt || '');
+    if (textMode) {
+      systemText += this._buildTextToolPrompt(availableTools);
+    }
+
+    const convertedMessages = this._convertMessages(textMode ? this._toolBlocksToText(messages) : messages);
+    const body = {
+      model: this.config.model,
+      // llama.cpp and older Ollama versions don't accept max_completion_tokens
+      max_tokens: this.config.maxTokens || 10000,
+      messages: systemText ? [{ role: 'system', content: systemText }, ...convertedMessages] : convertedMessages,
+      stream: useStreaming,
+    };
+    if (!textMode && availableTools.length > 0) {
+      body.tools = this._convertTools(availableTools);
+    }
+    return body;
+  }
+
+  normalizeResponse(response) {
+    return this._extractTextToolCalls(super.normalizeResponse(response));
+  }
+
+  async handleStreaming(response, onTextChunk, log) {
+    return this._extractTextToolCalls(await super.handleStreaming(response, onTextChunk, log));
+  }
+
+  /**
+   * Describe tools and the <tool_call> protocol for models without function calling
+   * @private
+   */
+  _buildTextToolPrompt(tools) {
+    const toolDocs = tools.map(tool =>
+      `### ${tool.name}\n${tool.description}\nParameters (JSON Schema): ${JSON.stringify(tool.input_schema)}`
+    ).join('\n\n');
+
+    return `
+
+# Tools
+You can call tools. To call a tool, reply with one or more blocks in EXACTLY this format and nothing after them:
+<tool_call>{"name": "tool_name", "arguments": {"param": "value"}}</tool_call>
+
+Tool results are returned in the next user message inside <tool_result> tags. When the task is done, reply with your final answer and no <tool_call> block.
+
+${toolDocs}`;
+  }
+
+  /**
+   * Rewrite tool_use/tool_result blocks as plain text so the history matches the text protocol
+   * @private
+   */
+  _toolBlocksToText(messages) {
+    return messages.map(msg => {
+      if (!Array.isArray(msg.content)) return msg;
+      const content = msg.content.map(block => {
+        if (block.type === 'tool_use') {
+          return { type: 'text', text: `\n<tool_call>${JSON.stringify({ name: block.name, arguments: block.input })}</tool_call>` };
+        }
+        if (block.type === 'tool_result') {
+          const text = typeof block.content === 'string'
+            ? block.content
+            : (block.content || []).filter(c => c.type === 'text').map(c => c.text).join('\n');
+          return { type: 'text', text: `<tool_result>\n${text}\n</tool_result>` };
+        }
+        return block;
+      });
+      return { ...msg, content };
+    });
+  }
+
+  /**
+   * In text tool mode, turn <tool_call> blocks in the response into tool_use blocks
+   * @private
+   */
+  _extractTextToolCalls(result) {
+    if (!this._textTools?.length) return result;
+
+    const toolNames = new Set(this._textTools.map(t => t.name));
+    const content = [];
+    const toolUses = [];
+    for (const block of result.content) {
+      if (block.type !== 'text') {
+        content.push(block);
+        continue;
+      }
+      const { text, calls } = parseTextToolCalls(block.text, toolNames);
+      if (text) content.push({ type: 'text', text });
+      for (const call of calls) {
+        toolUses.push({ type: 'tool_use', id: `call_${Date.now()}_${toolUses.length}`, name: call.name, input: call.input });
+      }
+    }
+
+    if (toolUses.length === 0) return result;
+    return {
+      ...result,
+      content: [...content, ...toolUses],
+      stop_reason: 'tool_use',
+    };
+  }
+}
@@ -31,6 +31,11 @@ export class OpenAIProvider extends BaseProvider {
     return this.config.apiBaseUrl;
   }
 
+  getExtraBlockFields() {
+    // Kimi K2.5 reasoning, sent back with its tool calls
+    return ['reasoning', 'reasoning_details'];
+  }
+
   buildRequestBody(messages, systemPrompt, tools, useStreaming) {
     const convertedMessages = this._convertMessages(messages);
 
@@ -8,6 +8,7 @@ import { OpenAIProvider } from './openai-provider.js';
 import { OpenRouterProvider } from './openrouter-provider.js';
 import { GoogleProvider } from './google-provider.js';
 import { CodexProvider } from './codex-provider.js';
+import { LocalProvider } from './local-provider.js';
 
 // List of all available providers
 const PROVIDERS = [
@@ -16,6 +17,7 @@ const PROVIDERS = [
   OpenRouterProvider,
   GoogleProvider,
   CodexProvider,
+  LocalProvider,  // Last: only matches localhost/private-network URLs not claimed above
 ];
 
 /**
@@ -0,0 +1,304 @@
+/**
+ * Redaction Module
+ * Masks sensitive data in tool results before they are sent to the LLM provider,
+ * and blurs matching page regions while screenshots are captured.
+ *
+ * Settings live in chrome.storage.local under 'redactionSettings' (edited in
+ * Settings → Privacy). Redaction is skipped on allowlisted domains.
+ */
+
+const SETTINGS_KEY = 'redactionSettings';
+
+export const DEFAULT_REDACTION_SETTINGS = {
+  enabled: false,
+  builtIn: { creditCard: true, ssn: true, apiKey: true, email: true },
+  customPatterns: [], // [{name, pattern}] - pattern is a JS regex source
+  allowlist: [],      // Domains where nothing is redacted (e.g. "example.com", "*.corp.example.com")
+  blurScreenshots: true,
+};
+
+// Built-in patterns as {source, flags} so they can be passed into page scripts
+const BUILT_IN_PATTERNS = {
+  creditCard: { label: 'credit_card', source: '\\b(?:\\d[ -]?){12,18}\\d\\b', flags: 'g' },
+  ssn: { label: 'ssn', source: '\\b\\d{3}-\\d{2}-\\d{4}\\b', flags: 'g' },
+  apiKey: {
+    label: 'api_key',
+    source: '\\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{16,}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,})',
+    flags: 'g',
+  },
+  email: { label: 'email', source: '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b', flags: 'g' },
+};
+
+// Result fields that carry binary data or identifiers, never text to redact
+const SKIP_FIELDS = new Set(['base64Image', 'imageId', 'imageFormat']);
+
+let cachedSettings = null;
+
+// Drop the cache when the settings change (Settings → Privacy saves through storage)
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[SETTINGS_KEY]) {
+    cachedSettings = null;
+  }
+});
+
+/**
+ * Get redaction settings merged with defaults
+ * @returns {Promise<Object>} Settings
+ */
+export async function getRedactionSettings() {
+  if (!cachedSettings) {
+    const stored = await chrome.storage.local.get([SETTINGS_KEY]);
+    const saved = stored[SETTINGS_KEY] || {};
+    cachedSettings = {
+      ...DEFAULT_REDACTION_SETTINGS,
+      ...saved,
+      builtIn: { ...DEFAULT_REDACTION_SETTINGS.builtIn, ...saved.builtIn },
+    };
+  }
+  return cachedSettings;
+}
+
+/**
+ * Check whether a URL's host is on the allowlist
+ * Entries match the domain and its subdomains; a leading "*." is optional.
+ * @param {string} url - Page URL
+ * @param {Array<string>} allowlist - Allowed domains
+ * @returns {boolean}
+ */
+export function isAllowlisted(url, allowlist) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return false;
+  }
+  return allowlist.some(entry => {
+    const domain = entry.trim().toLowerCase().replace(/^\*\./, '');
+    return domain && (hostname === domain || hostname.endsWith('.' + domain));
+  });
+}
+
+/**
+ * Collect the active patterns as serializable {label, source, flags}
+ * Invalid custom regexes are skipped.
+ * @param {Object} settings - Redaction settings
+ * @returns {Array<{label: string, source: string, flags: string}>}
+ */
+export function getActivePatterns(settings) {
+  const patterns = Object.entries(BUILT_IN_PATTERNS)
+    .filter(([key]) => settings.builtIn[key])
+    .map(([, pattern]) => pattern);
+
+  for (const custom of settings.customPatterns || []) {
+    try {
+      new RegExp(custom.pattern, 'g');
+      patterns.push({ label: custom.name || 'custom', source: custom.pattern, flags: 'g' });
+    } catch (e) {
+      // Invalid regex - the settings UI rejects these, skip if one slipped through
+    }
+  }
+  return patterns;
+}
+
+/**
+ * Luhn checksum - filters out order numbers and IDs that merely look like card numbers
+ * @param {string} value - Candidate card number (may contain spaces/dashes)
+ * @returns {boolean}
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Mask sensitive substrings in a string
+ * @param {string} text - Text to redact
+ * @param {Array<{label: string, source: string, flags: string}>} patterns - From getActivePatterns
+ * @returns {string} Text with matches replaced by [REDACTED:label]
+ */
+export function redactText(text, patterns) {
+  let result = text;
+  for (const { label, source, flags } of patterns) {
+    result = result.replace(new RegExp(source, flags), (match) => {
+      if (label === 'credit_card' && !passesLuhn(match)) return match;
+      return `[REDACTED:${label}]`;
+    });
+  }
+  return result;
+}
+
+/**
+ * Redact every text field of a tool result (strings, {output}, nested objects)
+ * @param {*} value - Tool result
+ * @param {Array<Object>} patterns - From getActivePatterns
+ * @returns {*} Redacted copy
+ */
+export function redactValue(value, patterns) {
+  if (typeof value === 'string') {
+    return redactText(value, patterns);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, patterns));
+  }
+  if (value && typeof value === 'object') {
+    const redacted = {};
+    for (const [key, field] of Object.entries(value)) {
+      redacted[key] = SKIP_FIELDS.has(key) ? field : redactValue(field, patterns);
+    }
+    return redacted;
+  }
+  return value;
+}
+
+/**
+ * Get the patterns to apply for a tab, or null if redaction is off for its page
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Array<Object>|null>} Active patterns or null
+ */
+async function getPatternsForTab(tabId) {
+  const settings = await getRedactionSettings();
+  if (!settings.enabled) return null;
+
+  let url = '';
+  try {
+    url = (await chrome.tabs.get(tabId)).url || '';
+  } catch (e) {
+    // Tab closed - still redact, nothing to allowlist against
+  }
+  if (isAllowlisted(url, settings.allowlist || [])) return null;
+
+  const patterns = getActivePatterns(settings);
+  return patterns.length > 0 ? patterns : null;
+}
+
+/**
+ * Redact a tool result (or any text) produced from a tab's content
+ * @param {number} tabId - Tab the content came from
+ * @param {*} value - Tool result or text
+ * @returns {Promise<*>} Redacted copy, or the value unchanged if redaction is off for this tab
+ */
+export async function redactForTab(tabId, value) {
+  const patterns = await getPatternsForTab(tabId);
+  return patterns ? redactValue(value, patterns) : value;
+}
+
+/**
+ * Blur page elements whose text or input value matches a sensitive pattern
+ * (runs in each frame's page context - must be self-contained)
+ *
+ * Text is matched per element, not per text node, so a value split across
+ * sibling elements (<span>4111</span><span>1111</span>...) is still found; the
+ * deepest element whose text matches is blurred. Open shadow roots are
+ * searched like the document.
+ * @param {Array<{label: string, source: string, flags: string}>} patterns - Active patterns
+ * @returns {number} Number of elements blurred
+ */
+function blurMatchingElementsInPage(patterns) {
+  const regexes = patterns.map(p => new RegExp(p.source, p.flags.replace('g', '')));
+  const matches = (text) => text && regexes.some(re => re.test(text));
+  const inViewport = (el) => {
+    const rect = el.getBoundingClientRect();
+    return rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+  };
+  const blur = (el) => {
+    if (el.hasAttribute('data-llm-redacted')) return 0;
+    el.setAttribute('data-llm-redacted', el.style.filter || '');
+    el.style.filter = 'blur(8px)';
+    return 1;
+  };
+  const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+  // A root and the open shadow roots below it
+  const withShadowRoots = (root) => [root, ...[...root.querySelectorAll('*')]
+    .filter(el => el.shadowRoot)
+    .flatMap(el => withShadowRoots(el.shadowRoot))];
+
+  let count = 0;
+  /**
+   * Blur the deepest elements under node whose text matches
+   * @param {Element|ShadowRoot} node - Element, or a shadow root (blurred through its host)
+   * @param {Element} target - Element to blur for node
+   * @returns {boolean} Whether node's text matches
+   */
+  const blurDeepest = (node, target) => {
+    if (!node || SKIPPED_TAGS.includes(node.tagName)) return false;
+    const text = typeof node.innerText === 'string' ? node.innerText : node.textContent;
+    if (!matches(text)) return false;
+    // Visit every child (no short-circuit), then blur here only if none matched
+    const childMatched = [...node.children].map(child => blurDeepest(child, child)).some(Boolean);
+    if (!childMatched && inViewport(target)) {
+      count += blur(target);
+    }
+    return true;
+  };
+  for (const root of withShadowRoots(document)) {
+    blurDeepest(root === document ? document.body : root, root.host || document.body);
+    for (const field of root.querySelectorAll('input, textarea')) {
+      const sensitiveType = field.type === 'password' || /^cc-/.test(field.autocomplete || '');
+      if ((sensitiveType || matches(field.value)) && inViewport(field)) {
+        count += blur(field);
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Blur sensitive regions of a tab before a screenshot is captured
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<boolean>} True if anything was blurred (call restoreBlurredRegions after capture)
+ */
+export async function blurSensitiveRegions(tabId) {
+  const settings = await getRedactionSettings();
+  if (!settings.blurScreenshots) return false;
+  const patterns = await getPatternsForTab(tabId);
+  if (!patterns) return false;
+
+  try {
+    // Every frame: iframes (same-site or not) are part of the screenshot too
+    const results = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: blurMatchingElementsInPage,
+      args: [patterns],
+    });
+    return results.some(result => (result?.result || 0) > 0);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Undo blurSensitiveRegions
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<void>}
+ */
+export async function restoreBlurredRegions(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => {
+        // Open shadow roots join the list as they are found
+        const roots = [document];
+        for (const root of roots) {
+          for (const el of root.querySelectorAll('*')) {
+            if (el.shadowRoot) roots.push(el.shadowRoot);
+            if (!el.hasAttribute('data-llm-redacted')) continue;
+            el.style.filter = el.getAttribute('data-llm-redacted');
+            el.removeAttribute('data-llm-redacted');
+          }
+        }
+      },
+    });
+  } catch (e) {
+    // Tab navigated or closed - nothing to restore
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Skill packs
+ * Validates domain skills and converts them to and from shareable files, so a
+ * team can keep its skills in one pack:
+ *
+ * - JSON: {"type": "llm-in-chrome-skills", "version": 1, "skills": [...]}
+ *   (a bare array of skills, or the older [{domain, skill}] list, also imports)
+ * - Markdown: one section per skill, each a front matter block followed by the
+ *   skill text:
+ *
+ *     ---
+ *     name: Jira
+ *     match: glob
+ *     pattern: *.atlassian.net/browse/*
+ *     antiBot: false
+ *     ---
+ *     - Open an issue's menu with the "..." button
+ *
+ *   A section starts at a `---` line directly followed by a `name:` line, so
+ *   `---` rules inside a skill's text are kept.
+ */
+
+export const SKILL_MATCH_TYPES = ['domain', 'glob', 'regex'];
+
+const PACK_TYPE = 'llm-in-chrome-skills';
+const PACK_VERSION = 1;
+
+/**
+ * Validate and clean up the editable fields of a skill
+ * @param {Object} input - {name, match: {type, pattern}, skill, antiBot, enabled}, or the older {domain, skill}
+ * @returns {Object} {name, match, skill, antiBot, enabled}
+ * @throws {Error} If the pattern or text is missing, or the regex is invalid
+ */
+export function normalizeSkill(input) {
+  const match = input?.match || { type: 'domain', pattern: input?.domain };
+  const type = SKILL_MATCH_TYPES.includes(match.type) ? match.type : 'domain';
+  let pattern = String(match.pattern || '').trim();
+  if (type === 'domain') {
+    pattern = pattern.toLowerCase().replace(/^\*?\./, '');
+  }
+  if (!pattern) {
+    throw new Error('A skill needs a domain or URL pattern');
+  }
+  if (type === 'regex') {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid regex ${pattern}: ${error.message}`);
+    }
+  }
+
+  const skill = String(input.skill || '').trim();
+  if (!skill) {
+    throw new Error(`The skill for ${pattern} has no text`);
+  }
+
+  return {
+    name: String(input.name || '').replace(/\s+/g, ' ').trim() || pattern,
+    match: { type, pattern },
+    skill,
+    antiBot: input.antiBot === true,
+    enabled: input.enabled !== false,
+  };
+}
+
+/**
+ * Markdown section of one skill
+ * @param {Object} skill - Stored skill
+ * @returns {string}
+ */
+function toMarkdownSection(skill) {
+  const lines = [
+    '---',
+    `name: ${skill.name}`,
+    `match: ${skill.match.type}`,
+    `pattern: ${skill.match.pattern}`,
+    `antiBot: ${skill.antiBot === true}`,
+  ];
+  if (skill.enabled === false) lines.push('enabled: false');
+  if (skill.version) lines.push(`version: ${skill.version}`);
+  return [...lines, '---', '', skill.skill].join('\n');
+}
+
+/**
+ * Write skills as a pack
+ * @param {Array<Object>} skills - Stored skills
+ * @param {string} [format='json'] - 'json' or 'markdown'
+ * @returns {string} File content
+ */
+export function serializeSkillPack(skills, format = 'json') {
+  if (format === 'markdown') {
+    return skills.map(toMarkdownSection).join('\n\n') + '\n';
+  }
+  return JSON.stringify({
+    type: PACK_TYPE,
+    version: PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    skills: skills.map(({ name, match, skill, antiBot, enabled, version }) => ({ name, match, antiBot, enabled, version, skill })),
+  }, null, 2) + '\n';
+}
+
+/**
+ * Skills listed in a JSON pack
+ * @param {string} text - File content
+ * @returns {Array<Object>} Raw skills
+ */
+function parseJsonPack(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  const skills = Array.isArray(data) ? data : data?.skills;
+  if (!Array.isArray(skills)) {
+    throw new Error('A JSON skill pack needs a "skills" list');
+  }
+  return skills;
+}
+
+/**
+ * Read the front matter block that starts at a `---` line
+ * @param {Array<string>} lines - File lines
+ * @param {number} start - Index of the opening `---`
+ * @returns {{fields: Object, end: number}} Fields by lowercased key, index of the closing `---`
+ */
+function readFrontMatter(lines, start) {
+  const fields = {};
+  for (let i = start + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '---') {
+      return { fields, end: i };
+    }
+    const separator = lines[i].indexOf(':');
+    if (separator > 0) {
+      fields[lines[i].slice(0, separator).trim().toLowerCase()] = lines[i].slice(separator + 1).trim();
+    }
+  }
+  throw new Error(`The front matter of skill "${fields.name}" has no closing ---`);
+}
+
+/**
+ * Skills in a Markdown pack
+ * @param {string} text - File content
+ * @returns {Array<Object>} Raw skills
+ */
+function parseMarkdownPack(text) {
+  const lines = text.split(/\r?\n/);
+  const skills = [];
+  let body = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim() === '---' && /^name\s*:/i.test(lines[i + 1] || '')) {
+      const { fields, end } = readFrontMatter(lines, i);
+      body = [];
+      skills.push({
+        name: fields.name,
+        match: { type: fields.match || 'domain', pattern: fields.pattern || fields.domain },
+        antiBot: fields.antibot === 'true',
+        enabled: fields.enabled !== 'false',
+        body,
+      });
+      i = end;
+    } else if (body) {
+      // Text before the first section (a title, say) is not part of any skill
+      body.push(lines[i]);
+    }
+  }
+
+  return skills.map(({ body: skillLines, ...skill }) => ({ ...skill, skill: skillLines.join('\n') }));
+}
+
+/**
+ * Read the skills in a JSON or Markdown pack
+ * @param {string} content - File content
+ * @returns {Array<Object>} Normalized skills (see normalizeSkill)
+ * @throws {Error} If the file is not a pack or a skill in it is invalid
+ */
+export function parseSkillPack(content) {
+  const text = String(content || '').replace(/^\uFEFF/, '').trim();
+  const skills = /^[[{]/.test(text) ? parseJsonPack(text) : parseMarkdownPack(text);
+  if (skills.length === 0) {
+    throw new Error('No skills found - expected a JSON skill pack or Markdown sections starting with ---, name:');
+  }
+  return skills.map(normalizeSkill);
+}
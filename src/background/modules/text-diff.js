@@ -0,0 +1,85 @@
+/**
+ * Text Diff Module
+ * Line-based diff for page snapshots (used by page watches)
+ */
+
+// Above this many lines per side, fall back to set comparison (LCS is O(n*m))
+const MAX_LCS_LINES = 1500;
+
+/**
+ * Normalize text for comparison: collapse whitespace, drop blank lines
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeText(text) {
+  return (text || '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Compute added and removed lines between two texts
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {{added: Array<string>, removed: Array<string>}} Changed lines in order
+ */
+export function diffLines(oldText, newText) {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+
+  if (a.length > MAX_LCS_LINES || b.length > MAX_LCS_LINES) {
+    const oldSet = new Set(a);
+    const newSet = new Set(b);
+    return {
+      added: b.filter(line => !oldSet.has(line)),
+      removed: a.filter(line => !newSet.has(line)),
+    };
+  }
+
+  // Longest common subsequence table (suffix lengths)
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  }
+  removed.push(...a.slice(i));
+  added.push(...b.slice(j));
+
+  return { added, removed };
+}
+
+/**
+ * Format a diff as a short +/- summary
+ * @param {{added: Array<string>, removed: Array<string>}} diff - Result of diffLines
+ * @param {number} [maxLines] - Maximum lines to include
+ * @returns {string} Summary text
+ */
+export function formatDiff(diff, maxLines = 10) {
+  const lines = [
+    ...diff.removed.map(line => `- ${line}`),
+    ...diff.added.map(line => `+ ${line}`),
+  ];
+  const shown = lines.slice(0, maxLines).map(line => line.substring(0, 200));
+  if (lines.length > maxLines) {
+    shown.push(`... ${lines.length - maxLines} more changed line(s)`);
+  }
+  return shown.join('\n');
+}
@@ -0,0 +1,96 @@
+/**
+ * TOTP Module
+ * Time-based one-time passwords (RFC 6238) for the credential vault.
+ *
+ * Secrets are entered as the base32 key sites show under "can't scan the QR
+ * code", or as the otpauth:// URI the QR code contains (which can also set
+ * the digits, period and algorithm).
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ALGORITHMS = { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA512: 'SHA-512' };
+
+export const DEFAULT_TOTP = { digits: 6, period: 30, algorithm: 'SHA-1' };
+
+/**
+ * Decode a base32 key (case, spaces and padding are ignored)
+ * @param {string} key - Base32 text
+ * @returns {Uint8Array}
+ * @throws {Error} If the key has characters outside the base32 alphabet
+ */
+export function base32Decode(key) {
+  const clean = key.toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const ch of clean) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index < 0) throw new Error(`Invalid character "${ch}" in the TOTP key`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((value >>> bits) & 0xFF);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Parse a TOTP secret: a base32 key or an otpauth://totp/ URI
+ * @param {string} input - Key or URI
+ * @returns {{secret: string, digits: number, period: number, algorithm: string}}
+ * @throws {Error} If the key or URI is invalid
+ */
+export function parseTotpSecret(input) {
+  const text = String(input || '').trim();
+  if (!text.toLowerCase().startsWith('otpauth:')) {
+    const secret = text.toUpperCase().replace(/[\s=-]/g, '');
+    if (base32Decode(secret).length < 10) throw new Error('The TOTP key is too short');
+    return { ...DEFAULT_TOTP, secret };
+  }
+
+  let uri;
+  try {
+    uri = new URL(text);
+  } catch {
+    throw new Error('Invalid otpauth:// URI');
+  }
+  if (uri.host.toLowerCase() !== 'totp') {
+    throw new Error('Only time-based (otpauth://totp/) codes are supported');
+  }
+  const params = uri.searchParams;
+  const algorithm = ALGORITHMS[(params.get('algorithm') || 'SHA1').toUpperCase()];
+  const digits = Number(params.get('digits') || DEFAULT_TOTP.digits);
+  const period = Number(params.get('period') || DEFAULT_TOTP.period);
+  if (!algorithm || ![6, 7, 8].includes(digits) || !(period > 0)) {
+    throw new Error('Unsupported algorithm, digits or period in the otpauth:// URI');
+  }
+  return { ...parseTotpSecret(params.get('secret') || ''), digits, period, algorithm };
+}
+
+/**
+ * Generate the TOTP code for a point in time
+ * @param {Object} totp - From parseTotpSecret
+ * @param {number} [now] - Time in ms (default: now)
+ * @returns {Promise<{code: string, expiresIn: number}>} Code and seconds until it changes
+ */
+export async function generateTotp(totp, now = Date.now()) {
+  const { secret, digits, period, algorithm } = { ...DEFAULT_TOTP, ...totp };
+  const seconds = Math.floor(now / 1000);
+  const counter = Math.floor(seconds / period);
+
+  const message = new Uint8Array(8);
+  new DataView(message.buffer).setUint32(0, Math.floor(counter / 2 ** 32));
+  new DataView(message.buffer).setUint32(4, counter >>> 0);
+
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: algorithm }, false, ['sign']);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+  const offset = hmac[hmac.length - 1] & 0x0F;
+  const binary = new DataView(hmac.buffer).getUint32(offset) & 0x7FFFFFFF;
+
+  return {
+    code: String(binary % 10 ** digits).padStart(digits, '0'),
+    expiresIn: period - (seconds % period),
+  };
+}
@@ -8,24 +8,52 @@
  * 4. Looping until task is complete
  */
 
-import { getDomainSkills } from './modules/domain-skills.js';
+import { getDomainSkills, skillMatchesUrl } from './modules/domain-skills.js';
 import {
   loadConfig, getConfig, setConfig,
   createAbortController, abortRequest,
   callLLM, callLLMSimple, resetApiCallCounter, getApiCallCount, isClaudeProvider
 } from './modules/api.js';
+import { DELAYS, LIMITS, RETRIES } from './modules/constants.js';
+import { listLocalModels, detectToolSupport } from './modules/providers/local-provider.js';
+import { redactForTab, blurSensitiveRegions, restoreBlurredRegions } from './modules/redaction.js';
+import { evaluateAction } from './modules/action-policy.js';
 import { getMemoryStats } from './modules/memory-manager.js';
 import { compactIfNeeded, calculateContextTokens } from './modules/conversation-compaction.js';
+import { createTierRouter } from './modules/model-tiering.js';
+import { MAX_OUTPUT_SCHEMA_RETRIES, checkStructuredOutput, buildOutputSchemaReminder, buildOutputSchemaRetryReminder } from './modules/output-schema.js';
 import { startOAuthLogin, importCLICredentials, logout, getAuthStatus } from './modules/oauth-manager.js';
 import { importCodexCredentials, logoutCodex, getCodexAuthStatus } from './modules/codex-oauth-manager.js';
 import { hasHandler, executeToolHandler } from './tool-handlers/index.js';
 import { log, clearLog, saveTaskLogs, initLogging } from './managers/logging-manager.js';
+import { recordRun, newHistoryId, searchHistory, getHistoryEntry, deleteHistoryEntry, clearHistory } from './managers/history-manager.js';
+import { createToolCallRecorder, getToolAnalytics, clearToolAnalytics } from './managers/analytics-manager.js';
 import { startSession, resetTaskUsage, recordApiCall, recordTaskCompletion, getTaskUsage } from './managers/usage-tracker.js';
-import { ensureDebugger, detachDebugger, sendDebuggerCommand, initDebugger, isNetworkTrackingEnabled, enableNetworkTracking, setPopupCallbacks } from './managers/debugger-manager.js';
+import { createTaskBudget } from './managers/budget-manager.js';
+import { resumeHandoff, cancelHandoffs } from './managers/handoff-manager.js';
+import {
+  listSkills, listBuiltInSkills, saveSkill, deleteSkill, restoreSkillVersion, importSkills, exportSkills,
+  toKnowledgeEntries, diffKnowledgeEntries, applyKnowledgeSync
+} from './managers/skills-manager.js';
+import { saveCheckpoint, deleteCheckpoint, takeInterruptedCheckpoints } from './managers/checkpoint-manager.js';
+import {
+  getVaultStatus, createVault, unlockVault, lockVault, deleteVault, saveCredential, deleteCredential, redactVaultSecrets
+} from './managers/vault-manager.js';
+import { ensureDebugger, detachDebugger, sendDebuggerCommand, initDebugger, isNetworkTrackingEnabled, enableNetworkTracking, setBodyCapture, getResponseBody, setPopupCallbacks } from './managers/debugger-manager.js';
 import { showAgentIndicators, hideAgentIndicators, hideIndicatorsForToolUse, showIndicatorsAfterToolUse } from './managers/indicator-manager.js';
 import { ensureTabGroup, addTabToGroup, validateTabInGroup, isTabManagedByAgent, registerTabCleanupListener, initTabManager } from './managers/tab-manager.js';
 import {
-  initMcpBridge, startMcpPolling, sendMcpUpdate, sendMcpComplete, sendMcpError, sendMcpScreenshot, queryMemory, sendEscalation
+  initScheduler, executeScheduledTask, listScheduledTasks, getScheduledTask, saveScheduledTask, deleteScheduledTask, getRunHistory
+} from './managers/scheduler-manager.js';
+import {
+  initWatchManager, listWatches, getWatchEvents, saveWatch, deleteWatch, checkWatch
+} from './managers/watch-manager.js';
+import {
+  buildTraceStep, saveLastRun, getLastRun, buildWorkflow, listWorkflows, getWorkflow, saveWorkflow, deleteWorkflow, replayWorkflow
+} from './managers/workflow-manager.js';
+import {
+  initMcpBridge, startMcpPolling, sendMcpUpdate, sendMcpComplete, sendMcpError, sendMcpScreenshot, queryMemory, sendEscalation, sendWatchChange, sendMcpBudget,
+  restoreMcpSession, waitForRelay, sendSkillsSync
 } from './modules/mcp-bridge.js';
 
 // ============================================
@@ -50,6 +78,7 @@ initLogging(taskDebugLog);
 let currentTask = null;
 let taskCancelled = false;
 let conversationHistory = []; // Persists across tasks in the same chat session
+let currentConversationId = null; // Task history entry for the side panel chat (set after its first run)
 
 // Screenshot storage for computer tool screenshots
 let capturedScreenshots = new Map();
@@ -63,6 +92,10 @@ let screenshotContexts = new Map();
 let pendingPlanResolve = null;
 let askBeforeActing = true;
 
+// Action policy confirmations waiting for the side panel (request ID -> {resolve, sessionId})
+// A map because parallel subtasks and MCP sessions can each be waiting on a prompt
+const pendingPermissionResolves = new Map();
+
 // Session metadata (removed - not used)
 
 // ARCHITECTURAL CHANGE: sessionTabGroupId removed from global state
@@ -81,6 +114,9 @@ const activeSessions = new Set();
 // Each session has its own chat history, tab, and status
 const mcpSessions = new Map(); // sessionId -> { tabId, task, messages, status, tabStack, ... }
 
+// Scheduled tasks currently running (schedule IDs) - prevents overlapping runs
+const runningSchedules = new Set();
+
 // Legacy compatibility: check if any session is active
 const isAnySessionActive = () => activeSessions.size > 0;
 
@@ -197,9 +233,9 @@ initTabManager({ agentOpenedTabs, isAnySessionActive, log });
 // DEBUGGER MANAGEMENT
 // Debugger and indicator management delegated to manager modules
 // Initialize debugger manager with shared state
-let consoleMessages = [];
-let networkRequests = [];
-let capturedCaptchaData = new Map();
+const consoleMessages = [];
+const networkRequests = [];
+const capturedCaptchaData = new Map();
 
 initDebugger({ consoleMessages, networkRequests, capturedCaptchaData, log });
 
@@ -338,6 +374,145 @@ function enhanceErrorMessage(errorMessage) {
 // TOOL EXECUTION
 // ============================================
 
+/**
+ * Ask the user in the side panel to confirm an action
+ * Denied if the side panel is closed, the user stops the task, or nobody answers in time.
+ * @param {Object} request - {tool, domain, reason}
+ * @param {string|null} sessionId - MCP session ID (null for side panel tasks)
+ * @returns {Promise<boolean>} Whether the user approved
+ */
+async function requestPermission(request, sessionId) {
+  const id = `perm_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  const approval = new Promise(resolve => {
+    const timeoutId = setTimeout(() => resolve(false), DELAYS.PERMISSION_PROMPT_TIMEOUT);
+    pendingPermissionResolves.set(id, {
+      sessionId,
+      resolve: (approved) => {
+        clearTimeout(timeoutId);
+        resolve(approved);
+      },
+    });
+  });
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'PERMISSION_REQUIRED', request: { id, sessionId, ...request } });
+  } catch (e) {
+    // No side panel to ask - deny
+    pendingPermissionResolves.get(id)?.resolve(false);
+  }
+
+  const approved = await approval;
+  pendingPermissionResolves.delete(id);
+  return approved;
+}
+
+/**
+ * Deny the pending permission prompts of a task (task stopped)
+ * @param {string|null} sessionId - MCP session ID, or null for the side panel task
+ */
+function denyPendingPermissions(sessionId) {
+  for (const [id, pending] of pendingPermissionResolves) {
+    if (pending.sessionId === sessionId) {
+      pending.resolve(false);
+      pendingPermissionResolves.delete(id);
+    }
+  }
+}
+
+/**
+ * Enforce per-domain action policies for a tool call
+ * @param {string} toolName - Tool name
+ * @param {Object} toolInput - Tool input
+ * @param {Object|null} mcpSession - MCP session (null for side panel tasks)
+ * @returns {Promise<string|null>} Error message if the call must not run, null if allowed
+ */
+async function enforceActionPolicy(toolName, toolInput, mcpSession) {
+  const verdict = await evaluateAction(toolName, toolInput);
+  if (verdict.decision === 'allow') {
+    return null;
+  }
+
+  if (verdict.decision === 'deny') {
+    await log('POLICY', `Blocked ${toolName}: ${verdict.reason}`, toolInput);
+    return `Error: Blocked by action policy - ${verdict.reason}. This is a user setting; do not try to work around it. Ask the user to do this step if it is needed.`;
+  }
+
+  await log('POLICY', `Asking user: ${verdict.reason}`, toolInput);
+  const approved = await requestPermission(
+    { tool: toolName, domain: verdict.domain, reason: verdict.reason, task: mcpSession?.task || null },
+    mcpSession?.sessionId || null
+  );
+  if (!approved) {
+    return `Error: User denied permission for "${verdict.reason}" on ${verdict.domain}.`;
+  }
+  return null;
+}
+
+/**
+ * Pause at a budget limit until the user approves another increment
+ * @param {Object} budget - Task budget from createTaskBudget
+ * @param {Object|null} mcpSession - MCP session (null for side panel tasks)
+ * @returns {Promise<string|null>} Stop message if the task must end, null to continue
+ */
+async function enforceBudget(budget, mcpSession) {
+  const status = budget.check();
+  if (status.state !== 'exceeded') {
+    return null;
+  }
+
+  await log('BUDGET', status.message, budget.snapshot());
+  const approved = await requestPermission(
+    { tool: null, domain: null, reason: `${status.message}. Continue the task?`, task: mcpSession?.task || null },
+    mcpSession?.sessionId || null
+  );
+  if (!approved) {
+    return `Stopped: ${status.message}. Raise the limit in Settings → Budgets or approve continuing when asked.`;
+  }
+  await log('BUDGET', 'User approved continuing past the limit');
+  budget.extend();
+  return null;
+}
+
+/**
+ * Record an API response in the task budget and report usage
+ * @param {Object} budget - Task budget from createTaskBudget
+ * @param {Object} usage - Usage from the API response
+ * @param {number} step - Current step
+ * @param {Function} onUpdate - runAgentLoop update callback
+ * @param {string} [model] - Model that served the response, when not the task's model
+ * @returns {Promise<void>}
+ */
+async function trackBudget(budget, usage, step, onUpdate, model = undefined) {
+  await budget.record(usage, model);
+  if (!budget.enabled) return;
+
+  onUpdate({ step, status: 'budget', budget: budget.snapshot() });
+  const status = budget.check();
+  if (status.notify) {
+    await log('BUDGET', status.message, budget.snapshot());
+    onUpdate({ step, status: 'message', text: `Budget warning: ${status.message}` });
+  }
+}
+
+/**
+ * Wrap an LLM call so every response's usage counts against a task budget
+ * Used for the calls a run makes besides its main turns (compaction, find).
+ * @param {Function} call - callLLM or callLLMSimple (messages form, which returns the response)
+ * @param {Object|null} budget - Task budget from createTaskBudget (null returns call as is)
+ * @returns {Function} Same signature as call
+ */
+function recordingUsage(call, budget) {
+  if (!budget) return call;
+  return async (...args) => {
+    const response = await call(...args);
+    if (response?.usage) {
+      recordApiCall(response.usage);
+      await budget.record(response.usage, response.model);
+    }
+    return response;
+  };
+}
+
 /**
  * Execute a tool and return its result
  * @param {string} toolName - Name of the tool to execute (e.g., 'computer', 'navigate', 'read_page')
@@ -347,16 +522,18 @@ function enhanceErrorMessage(errorMessage) {
  * @param {string} [toolInput.url] - URL to navigate to (for navigate tool)
  * @param {number|null} [sessionTabGroupId] - Current session tab group ID (from client)
  * @param {Object|null} [mcpSession] - MCP session with context for get_info tool
+ * @param {Object|null} [budget] - Budget of the running task, charged for the LLM calls tools make
  * @returns {Promise<Object|string>} Tool execution result or error message
  */
-async function executeTool(toolName, toolInput, sessionTabGroupId = null, mcpSession = null) {
+async function executeTool(toolName, toolInput, sessionTabGroupId = null, mcpSession = null, budget = null) {
   await log('TOOL', `Executing: ${toolName}`, toolInput);
   const tabId = toolInput.tabId;
 
   // Validate tab is in our group (for tools that use tabId)
   // Skip URL validation for navigate tool since it changes the URL anyway
   const tabTools = ['computer', 'read_page', 'find', 'form_input', 'get_page_text',
-                    'javascript_tool', 'file_upload', 'read_console_messages', 'read_network_requests', 'resize_window', 'solve_captcha'];
+                    'javascript_tool', 'file_upload', 'read_console_messages', 'read_network_requests', 'capture_response_bodies',
+                    'get_response_body', 'export_har', 'downloads', 'get_credential', 'request_human', 'resize_window', 'solve_captcha'];
   if (tabId && tabTools.includes(toolName)) {
     const validation = await validateTabInGroup(tabId, sessionTabGroupId);
     if (!validation.valid) {
@@ -376,6 +553,12 @@ async function executeTool(toolName, toolInput, sessionTabGroupId = null, mcpSes
     }
   }
 
+  // Per-domain action policies (may prompt the user in the side panel)
+  const policyError = await enforceActionPolicy(toolName, toolInput, mcpSession);
+  if (policyError) {
+    return policyError;
+  }
+
   // Use extracted handler if available
   if (hasHandler(toolName)) {
     const deps = {
@@ -394,20 +577,30 @@ async function executeTool(toolName, toolInput, sessionTabGroupId = null, mcpSes
       addTabToGroup,
       ensureContentScripts,
       getConfig,
-      callLLMSimple,
+      callLLMSimple: recordingUsage(callLLMSimple, budget),
       consoleMessages,
       networkRequests,
       isNetworkTrackingEnabled,
       enableNetworkTracking,
+      setBodyCapture,
+      getResponseBody,
       capturedCaptchaData,
       askBeforeActing,
       setPendingPlanResolve: (resolver) => { pendingPlanResolve = resolver; },
       mcpSession,  // For get_info tool to access task context
       queryMemory, // For get_info tool to query Mem0 via MCP server
       sendEscalation, // For escalate tool to send escalation via MCP bridge
-      sessionId: mcpSession?.sessionId, // For escalate tool to identify the session
+      sessionId: mcpSession?.sessionId, // For escalate and request_human to identify the session
+      // For spawn_subtasks (subtasks can't spawn their own subtasks)
+      runSubtask: mcpSession?.isSubtask ? null : (subtask, options) => runSubtask(subtask, options, sessionTabGroupId, mcpSession, budget),
+      redactForTab, // For find tool, which sends the page tree to the LLM itself
+      sessionStartTime: mcpSession?.startTime || currentTask?.startTime, // For downloads tool: the task's downloads
     };
-    return await executeToolHandler(toolName, toolInput, deps);
+    const result = await executeToolHandler(toolName, toolInput, deps);
+    // Mask sensitive data before the result reaches the LLM (no-op when disabled/allowlisted)
+    const redacted = tabId ? await redactForTab(tabId, result) : result;
+    // Vault passwords and filled codes are masked everywhere, whatever the redaction settings
+    return redactVaultSecrets(redacted);
   }
 
   // All tools have been migrated to handlers - this should never be reached
@@ -418,28 +611,100 @@ async function executeTool(toolName, toolInput, sessionTabGroupId = null, mcpSes
 // AGENT LOOP
 // ============================================
 
+/**
+ * Build the user message that starts a run
+ * @param {string} task - Task text
+ * @param {Array<string>} images - Base64 image data URLs
+ * @param {Object} tabInfo - Tab context {availableTabs, initialTabId, domainSkills}
+ * @param {Object|null} mcpSession - MCP session (context and outputSchema)
+ * @param {boolean} planningMode - Ask for a plan before acting (new side panel conversations)
+ * @returns {Promise<Object>} User message
+ */
+async function buildTaskMessage(task, images, tabInfo, mcpSession, planningMode) {
+  const userContent = [];
+
+  // Add images first if present
+  if (images && images.length > 0) {
+    for (const image of images) {
+      const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
+      const mediaType = image.match(/^data:(image\/\w+);/)?.[1] || 'image/png';
+      userContent.push({ type: 'image', source: { type: 'base64', media_type: mediaType, data: base64Data } });
+    }
+  }
+
+  // Add task text
+  userContent.push({ type: 'text', text: task });
+
+  // Add tab context as system-reminder
+  userContent.push({
+    type: 'text',
+    text: `<system-reminder>${JSON.stringify(tabInfo)}</system-reminder>`,
+  });
+
+  // Add MCP task context if provided (for filling forms, making decisions)
+  // This context contains information the agent needs to complete the task
+  if (mcpSession?.context) {
+    userContent.push({
+      type: 'text',
+      text: `<system-reminder>Task context (use this information when filling forms or making decisions):
+${mcpSession.context}</system-reminder>`,
+    });
+    await log('MCP', 'Task context injected', { contextLength: mcpSession.context.length });
+  }
+
+  // Add output schema requirement if the MCP client asked for structured output
+  if (mcpSession?.outputSchema) {
+    userContent.push({ type: 'text', text: buildOutputSchemaReminder(mcpSession.outputSchema) });
+    await log('MCP', 'Output schema injected', { schema: mcpSession.outputSchema });
+  }
+
+  // Add planning mode reminder if askBeforeActing is enabled AND this is a new conversation
+  // IMPORTANT: Only add for Claude models - update_plan is Claude-specific and filtered out for other providers
+  if (planningMode && isClaudeProvider()) {
+    userContent.push({
+      type: 'text',
+      text: '<system-reminder>You are in planning mode. Before executing any tools, you must first present a plan to the user using the update_plan tool. The plan should include: domains (list of domains you will visit) and approach (high-level steps you will take).</system-reminder>',
+    });
+  }
+
+  return { role: 'user', content: userContent };
+}
+
 /**
  * Main agent loop - coordinates with LLM to execute a task
  * @param {number} initialTabId - Tab ID to start the task in
- * @param {string} task - Natural language task description
+ * @param {string|null} task - Natural language task description, or null to resume existingHistory
+ *   from its last completed tool call without adding a task message
  * @param {Function} onUpdate - Callback for status updates (receives {status, message, data})
  * @param {Array<string>} [images] - Array of base64 image data URLs to include in initial message
  * @param {boolean} [askBeforeActing] - Whether to ask user before executing actions
  * @param {Array<Object>} [existingHistory] - Existing conversation history to continue from
- * @param {number|null} [initialTabGroupId] - Optional initial tab group ID from client
- * @returns {Promise<Object>} Task result with {success: boolean, message: string, error?: string}
+ * @param {Object} [options]
+ * @param {number|null} [options.tabGroupId] - Optional initial tab group ID from client
+ * @param {Object|null} [options.mcpSession] - MCP session state (per-session messages, context, outputSchema)
+ * @param {Function|null} [options.onCheckpoint] - Called after every completed tool turn with
+ *   {messages, step, tabGroupId} so the run can be resumed after a service worker restart
+ * @returns {Promise<Object>} Task result with {success: boolean, message: string, error?: string, structuredOutput?: *}
  */
-async function runAgentLoop(initialTabId, task, onUpdate, images = [], askBeforeActing = true, existingHistory = [], initialTabGroupId = null, mcpSession = null) {
-  await clearLog();
-  await log('START', 'Agent loop started', { tabId: initialTabId, task: task.substring(0, 100) });
+async function runAgentLoop(initialTabId, task, onUpdate, images = [], askBeforeActing = true, existingHistory = [], options = {}) {
+  const { mcpSession = null, onCheckpoint = null } = options;
+  // Subtasks share the parent's log; a resumed run keeps the log of its first part
+  if (!mcpSession?.isSubtask && task !== null) {
+    await clearLog();
+  }
+  await log('START', task === null ? 'Agent loop resumed' : 'Agent loop started', {
+    tabId: initialTabId,
+    task: task?.substring(0, 100),
+    historyMessages: existingHistory.length,
+  });
 
-  // Load config first to ensure userSkills and other settings are available
+  // Load config first to ensure settings are available
   await loadConfig();
 
   // Create or adopt tab group for this session (receives tabGroupId from client)
   // Skip tab grouping for MCP sessions with dedicated windows — chrome.tabs.group()
   // pulls tabs out of their window and into the main window's tab strip
-  let sessionTabGroupId = initialTabGroupId;
+  let sessionTabGroupId = options.tabGroupId ?? null;
   const hasDedicatedWindow = mcpSession && mcpSession.windowId;
   if (!hasDedicatedWindow) {
     const newGroupId = await ensureTabGroup(initialTabId, sessionTabGroupId);
@@ -466,59 +731,22 @@ async function runAgentLoop(initialTabId, task, onUpdate, images = [], askBefore
     }];
 
     // Add domain-specific skills if available for this site
-    const skills = getDomainSkills(tab.url, getConfig().userSkills || []);
+    const skills = getDomainSkills(tab.url, await listSkills());
     if (skills.length > 0) {
-      tabInfo.domainSkills = skills.map(s => ({ domain: s.domain, skill: s.skill }));
-      await log('SKILLS', `Loaded ${skills.length} domain skill(s) for ${tab.url}`, { domains: skills.map(s => s.domain) });
+      tabInfo.domainSkills = skills.map(s => ({ domain: s.domain || s.name, skill: s.skill }));
+      await log('SKILLS', `Loaded ${skills.length} domain skill(s) for ${tab.url}`, { domains: tabInfo.domainSkills.map(s => s.domain) });
     }
   } catch (e) {
     // Tab not accessible, use defaults
   }
 
-  // Build new user message with optional images and system-reminders
-  const userContent = [];
-
-  // Add images first if present
-  if (images && images.length > 0) {
-    for (const image of images) {
-      const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-      const mediaType = image.match(/^data:(image\/\w+);/)?.[1] || 'image/png';
-      userContent.push({ type: 'image', source: { type: 'base64', media_type: mediaType, data: base64Data } });
-    }
-  }
-
-  // Add task text
-  userContent.push({ type: 'text', text: task });
-
-  // Add tab context as system-reminder
-  userContent.push({
-    type: 'text',
-    text: `<system-reminder>${JSON.stringify(tabInfo)}</system-reminder>`,
-  });
-
-  // Add MCP task context if provided (for filling forms, making decisions)
-  // This context contains information the agent needs to complete the task
-  if (mcpSession?.context) {
-    userContent.push({
-      type: 'text',
-      text: `<system-reminder>Task context (use this information when filling forms or making decisions):
-${mcpSession.context}</system-reminder>`,
-    });
-    await log('MCP', 'Task context injected', { contextLength: mcpSession.context.length });
-  }
-
-  // Add planning mode reminder if askBeforeActing is enabled AND this is a new conversation
-  // IMPORTANT: Only add for Claude models - update_plan is Claude-specific and filtered out for other providers
-  if (askBeforeActing && existingHistory.length === 0 && isClaudeProvider()) {
-    userContent.push({
-      type: 'text',
-      text: '<system-reminder>You are in planning mode. Before executing any tools, you must first present a plan to the user using the update_plan tool. The plan should include: domains (list of domains you will visit) and approach (high-level steps you will take).</system-reminder>',
-    });
-  }
-
-  // Continue from existing history or start fresh
-  let messages = [...existingHistory, { role: 'user', content: userContent }];
+  // Continue from existing history or start fresh (a resumed run continues as-is)
+  const planningMode = askBeforeActing && existingHistory.length === 0;
+  let messages = task === null
+    ? [...existingHistory]
+    : [...existingHistory, await buildTaskMessage(task, images, tabInfo, mcpSession, planningMode)];
   let steps = 0;
+  const outputSchema = mcpSession?.outputSchema || null;
   // maxSteps: 0 means unlimited, otherwise use configured value or default to 100
   const configMaxSteps = getConfig().maxSteps;
   const maxSteps = configMaxSteps === 0 ? Infinity : (configMaxSteps || 100);
@@ -526,12 +754,33 @@ ${mcpSession.context}</system-reminder>`,
   // Track injected MCP messages (for mid-execution message injection)
   let mcpMessagesInjected = mcpSession ? mcpSession.messages.length : 0;
 
+  // Re-prompts used so far when the final answer fails output schema validation
+  let outputSchemaRetries = 0;
+
+  // Replayable tool calls from this run (saved as the last run for workflows)
+  const trace = [];
+
+  // Every tool call is recorded for the analytics dashboard, linked to the run's history entry
+  const startToolCall = createToolCallRecorder(historyIdFor(mcpSession));
+
+  // Token/cost limits for this run and the day (subtasks spend from their parent's)
+  const budget = mcpSession?.budget || await createTaskBudget(mcpSession?.modelConfig?.modelId || getConfig().model);
+
+  // Fast model for routine turns, the task's model for everything else
+  const tierRouter = createTierRouter(getConfig().tierSettings);
+
   while (steps < maxSteps) {
     // Check if task was cancelled (global or per-session)
     if (taskCancelled || mcpSession?.cancelled) {
       return { success: false, message: 'Task stopped by user', messages, steps };
     }
 
+    // Pause at a budget limit until the user approves continuing
+    const budgetStop = await enforceBudget(budget, mcpSession);
+    if (budgetStop) {
+      return { success: false, message: budgetStop, messages, steps };
+    }
+
     // Check for new MCP messages at start of each turn (handles turns with no tool calls)
     if (mcpSession && mcpSession.messages.length > mcpMessagesInjected) {
       const newMessages = mcpSession.messages.slice(mcpMessagesInjected);
@@ -570,15 +819,26 @@ ${mcpSession.context}</system-reminder>`,
 
     // Conversation compaction strategy
     // Triggers at 190K tokens, preserves last 3 screenshots + summary
-    messages = await compactIfNeeded(messages, callLLM, log);
+    messages = await compactIfNeeded(messages, recordingUsage(callLLM, budget), log);
+
+    const route = tierRouter.route();
+    if (tierRouter.enabled) {
+      await log('TIER', `Turn ${steps}: ${route.tier} model (${route.reason})`);
+    }
+    const turnModel = route.model || mcpSession?.modelConfig;
 
     let response;
     try {
-      response = await callLLM(messages, onTextChunk, log, currentTabUrl);
+      response = await callLLM(messages, onTextChunk, log, currentTabUrl, turnModel);
+      if (response.failover) {
+        const { model, errorClass } = response.failover;
+        onUpdate({ step: steps, status: 'message', text: `Switched to ${model} (${errorClass.replace('_', ' ')})` });
+      }
 
       // Track token usage for cost analysis
       if (response.usage) {
         recordApiCall(response.usage);
+        await trackBudget(budget, response.usage, steps, onUpdate, response.failover?.modelId || turnModel?.modelId);
       }
 
       // Log AI's complete response including reasoning
@@ -612,20 +872,57 @@ ${mcpSession.context}</system-reminder>`,
 
     if (toolUses.length === 0) {
       if (response.stop_reason === 'end_turn') {
-        return { success: true, message: 'Task completed', messages, steps };
+        if (!outputSchema) {
+          return { success: true, message: 'Task completed', messages, steps, trace };
+        }
+
+        // Validate final answer against the requested output schema
+        const finalText = response.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+        const check = checkStructuredOutput(finalText, outputSchema);
+        if (check.valid) {
+          await log('MCP', 'Structured output validated');
+          return { success: true, message: 'Task completed', messages, steps, trace, structuredOutput: check.value };
+        }
+
+        await log('MCP', `Structured output invalid (attempt ${outputSchemaRetries + 1})`, { errors: check.errors });
+        if (outputSchemaRetries >= MAX_OUTPUT_SCHEMA_RETRIES) {
+          return {
+            success: false,
+            message: `Final answer did not match output schema: ${check.errors.join('; ')}`,
+            messages,
+            steps,
+            trace,
+          };
+        }
+        outputSchemaRetries++;
+        messages.push({
+          role: 'user',
+          content: [{ type: 'text', text: buildOutputSchemaRetryReminder(check.errors) }],
+        });
       }
       continue;
     }
 
     const toolResults = [];
+    const outcomes = [];
     for (const toolUse of toolUses) {
       onUpdate({ step: steps, status: 'executing', tool: toolUse.name, input: toolUse.input });
 
-      const result = await executeTool(toolUse.name, toolUse.input, sessionTabGroupId, mcpSession);
+      // Capture target locator before executing (clicks may navigate away)
+      const traceStep = await buildTraceStep(toolUse.name, toolUse.input);
+
+      const finishToolCall = await startToolCall(toolUse.name, toolUse.input);
+      const result = await executeTool(toolUse.name, toolUse.input, sessionTabGroupId, mcpSession, budget);
 
       // Log structured tool result
       const isScreenshot = result && result.base64Image;
       const isError = result?.error || (typeof result === 'string' && result.includes('Error:'));
+      if (traceStep && !isError) {
+        trace.push(traceStep);
+      }
+      const outcome = { toolUse, isError: Boolean(isError), text: typeof result === 'string' ? result : result?.output || result?.error || '' };
+      outcomes.push(outcome);
+      await finishToolCall(isError ? outcome.text : null);
 
       // For logging, strip base64 data from result object
       const safeResult = isScreenshot ? {
@@ -710,6 +1007,7 @@ ${mcpSession.context}</system-reminder>`,
     }
 
     messages.push({ role: 'user', content: toolResults });
+    tierRouter.recordTurn(outcomes);
 
     // Check for new MCP messages injected during execution
     if (mcpSession && mcpSession.messages.length > mcpMessagesInjected) {
@@ -729,6 +1027,10 @@ ${mcpSession.context}</system-reminder>`,
         }
       }
     }
+
+    if (onCheckpoint) {
+      await onCheckpoint({ messages, step: steps, tabGroupId: sessionTabGroupId });
+    }
   }
 
   return { success: false, message: `Reached max steps (${maxSteps})`, messages, steps };
@@ -738,6 +1040,162 @@ ${mcpSession.context}</system-reminder>`,
 // TASK MANAGEMENT
 // ============================================
 
+/**
+ * Run one spawn_subtasks child: its own agent loop and message history in a new
+ * tab of the parent's session (tab group, or the parent's dedicated window)
+ * @param {Object} subtask - {task, url?, output_schema?}
+ * @param {Object} options - {keepTab: boolean}
+ * @param {number|null} parentTabGroupId - Parent session's tab group
+ * @param {Object|null} parentSession - Parent MCP/scheduled session, null for side panel tasks
+ * @param {Object} parentBudget - Parent run's task budget, shared with the subtask
+ * @returns {Promise<Object>} {task, url, tabId?, success, answer, data?, steps}
+ */
+async function runSubtask(subtask, { keepTab }, parentTabGroupId, parentSession, parentBudget) {
+  const windowId = parentSession?.windowId || null;
+  const tab = await chrome.tabs.create({
+    url: subtask.url || 'about:blank',
+    active: false,
+    ...(windowId && { windowId }),
+  });
+  agentOpenedTabs.add(tab.id);
+
+  // Same shape as an MCP session; cancelling the parent cancels the subtask
+  const session = {
+    tabId: tab.id,
+    windowId,
+    task: subtask.task,
+    messages: [],
+    status: 'running',
+    get cancelled() { return !!parentSession?.cancelled; },
+    screenshots: [],
+    steps: [],
+    isSubtask: true,
+    sessionId: parentSession?.sessionId,  // get_info/escalate go through the parent's MCP session
+    startTime: parentSession?.startTime || currentTask?.startTime,  // The downloads tool sees the parent task's downloads
+    historyId: historyIdFor(parentSession),  // Tool analytics point to the parent's history entry
+    context: parentSession?.context,
+    modelConfig: parentSession?.modelConfig,
+    outputSchema: subtask.output_schema || null,
+    budget: parentBudget,  // Subtasks spend from the parent task's limits
+  };
+
+  try {
+    if (subtask.url) {
+      await new Promise(resolve => setTimeout(resolve, DELAYS.NAVIGATE_WAIT));
+    }
+    await log('SUBTASK', `Starting subtask in tab ${tab.id}`, { task: subtask.task.substring(0, 100), url: subtask.url });
+
+    const taskText = `${subtask.task}
+
+<system-reminder>You are one of several agents working in parallel on parts of a larger task. Work only in tab ${tab.id}. Do not ask the user questions - finish with a concise final answer containing exactly what was asked for.</system-reminder>`;
+    const result = await runAgentLoop(tab.id, taskText, update => {
+      session.steps.push(update);
+    }, [], false, [], { tabGroupId: parentTabGroupId, mcpSession: session });
+
+    const finalTab = await chrome.tabs.get(tab.id).catch(() => null);
+    const outcome = {
+      task: subtask.task,
+      url: finalTab?.url || subtask.url || null,
+      success: result.success,
+      answer: (result.success ? getFinalAnswer(result) : result.message).substring(0, LIMITS.SUBTASK_ANSWER_CHARS),
+      steps: result.steps,
+    };
+    if (keepTab) outcome.tabId = tab.id;
+    if (result.structuredOutput !== undefined) outcome.data = result.structuredOutput;
+    return outcome;
+  } finally {
+    if (!keepTab) {
+      agentOpenedTabs.delete(tab.id);
+      await chrome.tabs.remove(tab.id).catch(() => {});
+    }
+  }
+}
+
+/**
+ * History entry a run is saved to
+ * @param {Object|null} mcpSession - MCP, scheduled or subtask session (null for the side panel task)
+ * @returns {string|null}
+ */
+function historyIdFor(mcpSession) {
+  if (!mcpSession) return currentTask?.historyId || null;
+  return mcpSession.historyId || (mcpSession.sessionId ? `mcp_${mcpSession.sessionId}` : null);
+}
+
+/**
+ * History entry of the side panel conversation
+ * A new conversation gets its ID when its first run starts, so the run's tool
+ * analytics can point to the entry before it is saved.
+ * @returns {string}
+ */
+function sidePanelHistoryId() {
+  return currentConversationId || newHistoryId();
+}
+
+/**
+ * Save a finished run to the task history (failures are logged, never thrown)
+ * @param {Object} run - Run data for recordRun (see history-manager.js)
+ * @returns {Promise<string|null>} History entry ID (the given conversationId if saving failed)
+ */
+async function recordTaskHistory(run) {
+  try {
+    return await recordRun({ model: getConfig().model || null, ...run });
+  } catch (error) {
+    console.error('[History] Failed to record run:', error);
+    return run.conversationId;
+  }
+}
+
+/**
+ * Build a runAgentLoop onCheckpoint callback that saves the run for resuming
+ * after a service worker restart
+ * @param {Object} run - Fields identifying the run (id, kind, prompt, tabId, ...)
+ * @param {Object|null} resumeFrom - Checkpoint the run was resumed from (carries the resume count)
+ * @returns {Function} ({messages, step, tabGroupId}) => Promise<void>
+ */
+function createCheckpointer(run, resumeFrom) {
+  const resumeCount = resumeFrom?.resumeCount || 0;
+  return async ({ messages, step, tabGroupId }) => {
+    try {
+      await saveCheckpoint({ ...run, resumeCount, tabGroupId, step, messages });
+    } catch (e) {
+      // Not fatal - the run just can't be resumed if the worker restarts
+      console.warn('[Checkpoint] Save failed:', e.message);
+    }
+  };
+}
+
+/**
+ * Save the finished side panel task (currentTask) to the task logs and history
+ * @param {Object} run
+ * @param {string} run.task - Task prompt
+ * @param {string} run.startTime - ISO start time
+ * @param {string} run.historyId - History entry of the conversation
+ * @param {Array<Object>} run.messages - Conversation messages
+ * @param {string|null} [run.answer] - Final answer
+ * @param {string|null} [run.error] - Error message
+ * @returns {Promise<void>}
+ */
+async function saveSidePanelRun({ task, startTime, historyId, messages, answer = null, error = null }) {
+  // Get task usage before recording completion
+  const usage = getTaskUsage();
+  const { status, endTime } = currentTask;
+
+  await saveTaskLogs({ task, status, startTime, endTime, messages, usage, error }, taskScreenshots);
+  currentConversationId = await recordTaskHistory({
+    conversationId: historyId,
+    source: 'sidepanel',
+    prompt: task,
+    status,
+    startTime,
+    endTime,
+    messages,
+    answer,
+    error,
+    usage,
+    screenshots: taskScreenshots,
+  });
+}
+
 /**
  * Start a new agent task
  * @param {number} tabId - Tab ID to start the task in
@@ -745,9 +1203,11 @@ ${mcpSession.context}</system-reminder>`,
  * @param {boolean} [shouldAskBeforeActing] - Whether to ask user before executing actions
  * @param {Array<string>} [images] - Array of base64 image data URLs to include
  * @param {number|null} [tabGroupId] - Optional tab group ID from client (UI manages this)
+ * @param {Object|null} [resumeFrom] - Checkpoint to continue from after a service worker restart
+ *   (conversationHistory must already hold its messages)
  * @returns {Promise<Object>} Task result with {success: boolean, message: string}
  */
-async function startTask(tabId, task, shouldAskBeforeActing = true, images = [], tabGroupId = null) {
+async function startTask(tabId, task, shouldAskBeforeActing = true, images = [], tabGroupId = null, resumeFrom = null) {
   // Reset state for new task (but preserve conversation history)
   // NOTE: tabGroupId is now passed from client, not stored globally
   agentOpenedTabs.clear();  // Clear tracked tabs from previous session
@@ -761,23 +1221,39 @@ async function startTask(tabId, task, shouldAskBeforeActing = true, images = [],
 
   // Create new abort controller for this task
   createAbortController();
-  const startTime = new Date().toISOString();
-  currentTask = { tabId, task, status: 'running', steps: [], startTime };
+  const startTime = resumeFrom?.startTime || new Date().toISOString();
+  const historyId = sidePanelHistoryId();
+  currentTask = { tabId, task, status: 'running', steps: [], startTime, historyId };
 
   // Show visual indicator on the tab
   await showAgentIndicators(tabId);
 
+  const checkpoint = createCheckpointer({
+    id: 'ui-task',
+    kind: 'sidepanel',
+    prompt: task,
+    tabId,
+    askBeforeActing,
+    conversationId: historyId,
+    startTime,
+  }, resumeFrom);
+
   try {
-    const result = await runAgentLoop(tabId, task, update => {
+    const result = await runAgentLoop(tabId, resumeFrom ? null : task, update => {
       currentTask.steps.push(update);
       chrome.runtime.sendMessage({ type: 'TASK_UPDATE', update }).catch(() => {});
-    }, images, askBeforeActing, conversationHistory, tabGroupId);
+    }, images, askBeforeActing, conversationHistory, { tabGroupId, onCheckpoint: checkpoint });
 
     // Update conversation history with the full message history from this run
     if (result.messages) {
       conversationHistory = result.messages;
     }
 
+    // Keep the trace so the run can be saved as a workflow
+    if (result.success && result.trace?.length > 0) {
+      await saveLastRun(task, result.trace);
+    }
+
     await detachDebugger();
     activeSessions.delete('ui-task');  // Mark UI session as inactive
     currentTask.status = result.success ? 'completed' : 'failed';
@@ -792,20 +1268,8 @@ async function startTask(tabId, task, shouldAskBeforeActing = true, images = [],
       turns: result.steps || 0,
     });
 
-    // Get task usage before recording completion
-    const taskUsage = getTaskUsage();
-
     // Save clean task log with usage
-    const logData = {
-      task,
-      status: currentTask.status,
-      startTime,
-      endTime: currentTask.endTime,
-      messages: result.messages || [],
-      usage: taskUsage,
-      error: null,
-    };
-    await saveTaskLogs(logData, taskScreenshots);
+    await saveSidePanelRun({ task, startTime, historyId, messages: result.messages || [], answer: getFinalAnswer(result) });
 
     // Hide visual indicators
     await hideAgentIndicators(tabId);
@@ -828,33 +1292,227 @@ async function startTask(tabId, task, shouldAskBeforeActing = true, images = [],
     currentTask.error = error.message;
     currentTask.endTime = new Date().toISOString();
 
-    // Get task usage before recording completion
-    const taskUsage = getTaskUsage();
-
     // Save log with conversation history (not empty)
-    const logData = {
+    await saveSidePanelRun({
       task,
-      status: currentTask.status,
       startTime,
-      endTime: currentTask.endTime,
+      historyId,
       messages: conversationHistory || [],
-      usage: taskUsage,
       error: isCancelled ? 'Stopped by user' : error.message,
-    };
-    await saveTaskLogs(logData, taskScreenshots);
+    });
 
     // Record failed task completion for usage stats
     recordTaskCompletion(false);
 
-    chrome.runtime.sendMessage({
-      type: isCancelled ? 'TASK_COMPLETE' : 'TASK_ERROR',
-      result: isCancelled ? { success: false, message: 'Task stopped by user' } : undefined,
-      error: isCancelled ? undefined : error.message
-    }).catch(() => {});
-
     if (!isCancelled) {
+      chrome.runtime.sendMessage({ type: 'TASK_ERROR', error: error.message }).catch(() => {});
       throw error;
     }
+    chrome.runtime.sendMessage({ type: 'TASK_COMPLETE', result: { success: false, message: 'Task stopped by user' } }).catch(() => {});
+  } finally {
+    await deleteCheckpoint('ui-task').catch(() => {});
+  }
+}
+
+/**
+ * Replay a saved workflow in a tab
+ * Steps run without the LLM; the agent loop is only used for steps whose
+ * target element can no longer be found.
+ * @param {number} tabId - Tab ID to replay in
+ * @param {string} workflowId - Saved workflow ID
+ * @param {Object} [params] - Parameter values by name
+ * @param {number|null} [tabGroupId] - Optional tab group ID from client
+ * @returns {Promise<Object>} Replay result with {success: boolean, message: string}
+ */
+async function runWorkflow(tabId, workflowId, params = {}, tabGroupId = null) {
+  const workflow = await getWorkflow(workflowId);
+  if (!workflow) {
+    throw new Error(`Workflow not found: ${workflowId}`);
+  }
+
+  agentOpenedTabs.clear();
+  activeSessions.add('ui-task');
+  taskCancelled = false;
+  createAbortController();
+  const startTime = new Date().toISOString();
+  currentTask = { tabId, task: `[Workflow] ${workflow.name}`, status: 'running', steps: [], startTime };
+
+  const sendUpdate = update => {
+    currentTask.steps.push(update);
+    chrome.runtime.sendMessage({ type: 'TASK_UPDATE', update }).catch(() => {});
+  };
+
+  const groupId = await ensureTabGroup(tabId, tabGroupId);
+  if (groupId !== tabGroupId) {
+    chrome.runtime.sendMessage({ type: 'SESSION_GROUP_UPDATE', tabGroupId: groupId }).catch(() => {});
+  }
+
+  await showAgentIndicators(tabId);
+  await log('WORKFLOW', `Replaying workflow: ${workflow.name}`, { workflowId, steps: workflow.steps.length });
+
+  try {
+    const result = await replayWorkflow(workflow, params, {
+      tabId,
+      executeTool: (toolName, toolInput) => executeTool(toolName, toolInput, groupId),
+      fallback: async (step, description) => {
+        const fallbackResult = await runAgentLoop(
+          tabId,
+          `You are replaying a recorded workflow and the next step's target could not be found automatically. Perform ONLY this step, then stop: ${description}`,
+          sendUpdate, [], false, [], { tabGroupId: groupId }
+        );
+        return fallbackResult.success;
+      },
+      onProgress: sendUpdate,
+      isCancelled: () => taskCancelled,
+      log,
+    });
+
+    const message = result.fallbacks > 0
+      ? `${result.message} (${result.fallbacks} step(s) needed the LLM)`
+      : result.message;
+    sendUpdate({ status: 'message', text: message });
+
+    currentTask.status = result.success ? 'completed' : 'failed';
+    currentTask.endTime = new Date().toISOString();
+    await log('WORKFLOW', message, { success: result.success });
+
+    const taskResult = { success: result.success, message };
+    chrome.runtime.sendMessage({ type: 'TASK_COMPLETE', result: taskResult }).catch(() => {});
+    return taskResult;
+  } catch (error) {
+    currentTask.status = 'error';
+    currentTask.error = error.message;
+    chrome.runtime.sendMessage({ type: 'TASK_ERROR', error: error.message }).catch(() => {});
+    throw error;
+  } finally {
+    await detachDebugger();
+    activeSessions.delete('ui-task');
+    await hideAgentIndicators(tabId);
+  }
+}
+
+// ============================================
+// SCHEDULED TASKS
+// ============================================
+
+/**
+ * Get the agent's final answer text from a run's message history
+ * @param {Object} result - Result from runAgentLoop
+ * @returns {string} Last assistant text, or the result message
+ */
+function getFinalAnswer(result) {
+  const lastAssistant = [...(result.messages || [])].reverse().find(m =>
+    m.role === 'assistant' && Array.isArray(m.content) && m.content.some(b => b.type === 'text'));
+  return lastAssistant
+    ? lastAssistant.content.filter(b => b.type === 'text').map(b => b.text).join('\n')
+    : result.message;
+}
+
+/**
+ * List a local server's models and detect which support native tool calling
+ * Probes run one at a time - local servers typically load one model at a time.
+ * @param {string} baseUrl - Server URL (e.g., http://localhost:11434/v1)
+ * @param {string} [apiKey] - Optional API key
+ * @returns {Promise<Array<{id: string, supportsTools: boolean}>>} Models
+ */
+async function discoverLocalModels(baseUrl, apiKey = null) {
+  const models = await listLocalModels(baseUrl, apiKey);
+  for (const model of models) {
+    model.supportsTools = await detectToolSupport(baseUrl, model.id, apiKey);
+  }
+  await log('LOCAL', `Discovered ${models.length} local model(s) at ${baseUrl}`, { models });
+  return models;
+}
+
+/**
+ * Run a scheduled task in its own window (called by the scheduler)
+ * @param {Object} schedule - Scheduled task definition
+ * @returns {Promise<{status: string, answer: string, steps: number}>} Run outcome
+ */
+async function runScheduledTask(schedule) {
+  if (runningSchedules.has(schedule.id)) {
+    return { status: 'skipped', answer: 'Previous run still in progress', steps: 0 };
+  }
+  runningSchedules.add(schedule.id);
+  const runSessionId = `schedule-${schedule.id}`;
+  activeSessions.add(runSessionId);
+
+  let windowId = null;
+  let tabId = null;
+  try {
+    const window = await chrome.windows.create({
+      url: schedule.url || 'about:blank',
+      type: 'normal',
+      focused: false,  // Don't steal focus from user's current work
+      state: 'normal'
+    });
+    windowId = window.id;
+    tabId = window.tabs[0].id;
+
+    if (schedule.url) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+
+    // Per-run state, same shape as an MCP session (no sessionId: get_info/escalate don't apply)
+    const session = {
+      tabId,
+      windowId,
+      task: schedule.prompt,
+      messages: [],
+      status: 'running',
+      cancelled: false,
+      createdAt: Date.now(),
+      screenshots: [],
+      debugLog: [],
+      steps: [],
+      openedTabs: new Set(),
+      tabStack: [],
+      startTime: new Date().toISOString(),
+      modelConfig: schedule.model,  // Per-schedule model (null = currently selected)
+      historyId: newHistoryId(),
+    };
+
+    await showAgentIndicators(tabId);
+    await log('SCHEDULE', `Running scheduled task: ${schedule.name}`, { scheduleId: schedule.id, tabId });
+    resetTaskUsage();  // Saved usage is this run's, not whatever ran before it
+
+    const result = await runAgentLoop(tabId, schedule.prompt, update => {
+      session.steps.push(update);
+    }, [], false, [], { mcpSession: session });
+
+    const status = result.success ? 'complete' : 'error';
+    const usage = getTaskUsage();
+    await saveTaskLogs({
+      task: `[Scheduled:${schedule.name}] ${schedule.prompt}`,
+      status,
+      startTime: session.startTime,
+      endTime: new Date().toISOString(),
+      messages: result.messages || [],
+      usage,
+      error: result.success ? null : result.message,
+    }, session.screenshots);
+    await recordTaskHistory({
+      conversationId: session.historyId,
+      source: 'schedule',
+      prompt: schedule.prompt,
+      model: schedule.model?.modelId || getConfig().model || null,
+      status,
+      startTime: session.startTime,
+      endTime: new Date().toISOString(),
+      messages: result.messages || [],
+      answer: getFinalAnswer(result),
+      error: result.success ? null : result.message,
+      usage,
+      screenshots: session.screenshots,
+    });
+
+    return { status, answer: getFinalAnswer(result), steps: result.steps || 0 };
+  } finally {
+    if (tabId) await detachDebugger(tabId);
+    // Close the run window - results live in the run history and saved logs
+    if (windowId) await chrome.windows.remove(windowId).catch(() => {});
+    activeSessions.delete(runSessionId);
+    runningSchedules.delete(schedule.id);
   }
 }
 
@@ -862,9 +1520,287 @@ async function startTask(tabId, task, shouldAskBeforeActing = true, images = [],
 // MESSAGE HANDLER
 // ============================================
 
+/**
+ * Task history messages (type -> async handler returning the response)
+ */
+const historyMessageHandlers = {
+  GET_TASK_HISTORY: async (payload) => ({
+    entries: await searchHistory(payload?.query || '', payload?.limit),
+  }),
+
+  GET_TASK_HISTORY_ENTRY: async (payload) => ({ entry: await getHistoryEntry(payload.id) }),
+
+  DELETE_TASK_HISTORY_ENTRY: async (payload) => {
+    await deleteHistoryEntry(payload.id);
+    if (currentConversationId === payload.id) currentConversationId = null;
+    return { success: true };
+  },
+
+  CLEAR_TASK_HISTORY: async () => {
+    await clearHistory();
+    currentConversationId = null;
+    return { success: true };
+  },
+
+  // Continue a past conversation: the next START_TASK runs with its messages as existingHistory
+  RESUME_TASK_HISTORY: async (payload) => {
+    if (currentTask?.status === 'running') {
+      return { success: false, error: 'A task is already running' };
+    }
+    const entry = await getHistoryEntry(payload.id);
+    if (!entry) {
+      return { success: false, error: 'History entry not found' };
+    }
+    conversationHistory = entry.messages || [];
+    // MCP and scheduled runs continue as a new side panel conversation
+    currentConversationId = entry.source === 'sidepanel' ? entry.id : null;
+    return { success: true, runs: entry.runs };
+  },
+};
+
+/**
+ * Credential vault messages from Settings → Vault (secrets only ever go in)
+ */
+const vaultMessageHandlers = {
+  GET_VAULT_STATUS: async () => ({ success: true, ...await getVaultStatus() }),
+
+  CREATE_VAULT: async (payload) => {
+    await createVault(payload.passphrase);
+    return { success: true, ...await getVaultStatus() };
+  },
+
+  UNLOCK_VAULT: async (payload) => {
+    await unlockVault(payload.passphrase);
+    return { success: true, ...await getVaultStatus() };
+  },
+
+  LOCK_VAULT: async () => {
+    await lockVault();
+    return { success: true, ...await getVaultStatus() };
+  },
+
+  DELETE_VAULT: async () => {
+    await deleteVault();
+    return { success: true, ...await getVaultStatus() };
+  },
+
+  SAVE_CREDENTIAL: async (payload) => {
+    await saveCredential(payload);
+    return { success: true, ...await getVaultStatus() };
+  },
+
+  DELETE_CREDENTIAL: async (payload) => {
+    await deleteCredential(payload.id);
+    return { success: true, ...await getVaultStatus() };
+  },
+};
+
+/**
+ * Tool analytics dashboard messages
+ */
+const analyticsMessageHandlers = {
+  GET_TOOL_ANALYTICS: async (payload) => ({ success: true, analytics: await getToolAnalytics({ days: payload?.days }) }),
+
+  CLEAR_TOOL_ANALYTICS: async () => {
+    await clearToolAnalytics();
+    return { success: true };
+  },
+};
+
+/**
+ * Domain skills messages from Settings → Domain Skills (each answers with the updated skill list)
+ */
+const skillsMessageHandlers = {
+  GET_SKILLS: async () => skillsResponse(),
+
+  SAVE_SKILL: async (payload) => {
+    const skill = await syncingSkills(() => saveSkill(payload));
+    return { ...await skillsResponse(), skill };
+  },
+
+  DELETE_SKILL: async (payload) => {
+    await syncingSkills(() => deleteSkill(payload.id));
+    return skillsResponse();
+  },
+
+  RESTORE_SKILL_VERSION: async (payload) => {
+    const skill = await syncingSkills(() => restoreSkillVersion(payload.id, payload.version));
+    return { ...await skillsResponse(), skill };
+  },
+
+  IMPORT_SKILLS: async (payload) => {
+    const imported = await syncingSkills(() => importSkills(payload.content));
+    return { ...await skillsResponse(), imported };
+  },
+
+  EXPORT_SKILLS: async (payload) => ({ success: true, ...await exportSkills(payload) }),
+
+  // Which skills, built-in or the user's, a URL gets - for checking a pattern
+  MATCH_SKILLS: async (payload) => ({
+    success: true,
+    matches: getDomainSkills(payload.url, await listSkills()).map(s => s.name || s.domain),
+    patternMatches: payload.skill ? skillMatchesUrl(payload.skill, payload.url) : null,
+  }),
+};
+
+/**
+ * Current skill list for the skills messages
+ * @returns {Promise<Object>} {success, skills, builtInSkills}
+ */
+async function skillsResponse() {
+  return { success: true, skills: await listSkills(), builtInSkills: listBuiltInSkills() };
+}
+
+/**
+ * Run a change to the user's skills, then send the domain skills it changed
+ * to connected MCP servers for their knowledge base
+ * @param {Function} change - Async change
+ * @returns {Promise<*>} The change's result
+ */
+async function syncingSkills(change) {
+  const before = await listSkills();
+  const result = await change();
+  const { skills, deleted } = diffKnowledgeEntries(before, await listSkills());
+  if (skills.length > 0 || deleted.length > 0) {
+    sendSkillsSync({ skills, deleted, full: false });
+  }
+  return result;
+}
+
+/**
+ * Send every domain skill when the relay connects; MCP servers answer with their knowledge files
+ */
+async function handleRelayConnected() {
+  sendSkillsSync({ skills: toKnowledgeEntries(await listSkills()), deleted: [], full: true });
+}
+
+/**
+ * Keep knowledge files from an MCP server as domain skills
+ * @param {Object} sync - {entries: [{domain, content, updatedAt}], deleted: [domain]}
+ */
+async function handleKnowledgeSync(sync) {
+  try {
+    const counts = await applyKnowledgeSync(sync);
+    if (counts.added + counts.updated + counts.deleted > 0) {
+      await log('SKILLS', 'Synced knowledge base from MCP server', counts);
+      chrome.runtime.sendMessage({ type: 'SKILLS_SYNCED', counts }).catch(() => {});
+    }
+  } catch (error) {
+    console.error('[Skills] Knowledge sync failed:', error);
+  }
+}
+
+/**
+ * Human handoff messages, from the banner in the page or the side panel
+ */
+const handoffMessageHandlers = {
+  HUMAN_HANDOFF_RESUME: async (payload) => ({ success: true, resumed: resumeHandoff(payload.id, payload.note) }),
+};
+
+/**
+ * Workflow messages from the side panel's Workflows panel
+ */
+const workflowMessageHandlers = {
+  GET_WORKFLOWS: async () => {
+    const [workflows, lastRun] = await Promise.all([listWorkflows(), getLastRun()]);
+    return { workflows, lastRun };
+  },
+
+  // Save the last successful run as a named workflow
+  SAVE_WORKFLOW: async (payload) => {
+    const lastRun = await getLastRun();
+    if (!lastRun?.trace?.length) {
+      throw new Error('No completed run with replayable steps to save');
+    }
+    const workflow = buildWorkflow(payload.name || lastRun.task.substring(0, 50), lastRun);
+    await saveWorkflow(workflow);
+    return { success: true, workflow };
+  },
+
+  DELETE_WORKFLOW: async (payload) => {
+    await deleteWorkflow(payload.id);
+    return { success: true };
+  },
+
+  RUN_WORKFLOW: async (payload) => ({
+    success: true,
+    result: await runWorkflow(payload.tabId, payload.workflowId, payload.params || {}, payload.tabGroupId || null),
+  }),
+};
+
+/**
+ * Scheduled task messages from the side panel's Scheduled tasks panel
+ */
+const scheduleMessageHandlers = {
+  GET_SCHEDULES: async () => {
+    const [schedules, runs] = await Promise.all([listScheduledTasks(), getRunHistory()]);
+    return { schedules, runs };
+  },
+
+  SAVE_SCHEDULE: async (payload) => ({ success: true, schedule: await saveScheduledTask(payload) }),
+
+  DELETE_SCHEDULE: async (payload) => {
+    await deleteScheduledTask(payload.id);
+    return { success: true };
+  },
+
+  // Respond immediately - completion is broadcast as SCHEDULE_RUN_COMPLETE
+  RUN_SCHEDULE_NOW: async (payload) => {
+    const schedule = await getScheduledTask(payload.id);
+    if (!schedule) {
+      return { success: false, error: `Schedule not found: ${payload.id}` };
+    }
+    executeScheduledTask(schedule, runScheduledTask);
+    return { success: true };
+  },
+};
+
+/**
+ * Page watch messages from the side panel's Page watches panel
+ */
+const watchMessageHandlers = {
+  GET_WATCHES: async () => {
+    const [watches, events] = await Promise.all([listWatches(), getWatchEvents()]);
+    // Snapshots can be large and the side panel doesn't need them
+    return { watches: watches.map(({ snapshot: _snapshot, ...w }) => w), events };
+  },
+
+  SAVE_WATCH: async (payload) => ({ success: true, watch: await saveWatch(payload) }),
+
+  DELETE_WATCH: async (payload) => {
+    await deleteWatch(payload.id);
+    return { success: true };
+  },
+
+  CHECK_WATCH_NOW: async (payload) => {
+    const result = await checkWatch(payload.id);
+    return { success: result.status !== 'error', ...result };
+  },
+};
+
+// Messages answered by a handler table; the rest are handled in the switch below
+const messageHandlers = {
+  ...historyMessageHandlers,
+  ...vaultMessageHandlers,
+  ...analyticsMessageHandlers,
+  ...handoffMessageHandlers,
+  ...skillsMessageHandlers,
+  ...workflowMessageHandlers,
+  ...scheduleMessageHandlers,
+  ...watchMessageHandlers,
+};
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   const { type, payload } = message;
 
+  const messageHandler = messageHandlers[type];
+  if (messageHandler) {
+    messageHandler(payload)
+      .then(sendResponse)
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   switch (type) {
     case 'START_TASK':
       startTask(
@@ -893,12 +1829,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       loadConfig().then(cfg => sendResponse(cfg));
       return true;
 
+    case 'DISCOVER_LOCAL_MODELS':
+      discoverLocalModels(payload.baseUrl, payload.apiKey)
+        .then(models => sendResponse({ success: true, models }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'GET_LOG':
       chrome.storage.local.get(['agent_log']).then(data => {
         sendResponse({ log: data['agent_log'] || [] });
       });
       return true;
 
+    case 'PERMISSION_RESPONSE':
+      pendingPermissionResolves.get(payload.id)?.resolve(payload.approved === true);
+      sendResponse({ success: true });
+      return false;
+
     case 'PLAN_APPROVAL_RESPONSE':
       if (pendingPlanResolve) {
         pendingPlanResolve(payload);
@@ -910,8 +1857,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'CLEAR_CONVERSATION':
       // Reset state for new conversation
       currentTask = null;
-      consoleMessages = [];
-      networkRequests = [];
+      // Also drop the model-side history (it may have been loaded from task history)
+      conversationHistory = [];
+      currentConversationId = null;
+      // Clear in place: the debugger manager holds the same arrays
+      consoleMessages.length = 0;
+      networkRequests.length = 0;
       capturedScreenshots.clear();
       clearLog();
       sendResponse({ success: true });
@@ -921,11 +1872,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       taskCancelled = true;
       // Abort any ongoing API call
       abortRequest();
-      // Also resolve any pending plan approval
+      // Also resolve any pending plan approval, this task's permission prompts and handoffs
       if (pendingPlanResolve) {
         pendingPlanResolve({ approved: false });
         pendingPlanResolve = null;
       }
+      denyPendingPermissions(null);
+      cancelHandoffs(null);
       sendResponse({ success: true });
       return false;
 
@@ -991,6 +1944,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     case 'CLEAR_CHAT':
       // Clear conversation history for new chat session
       conversationHistory = [];
+      currentConversationId = null;
       sendResponse({ success: true });
       return false;
 
@@ -1057,14 +2011,48 @@ setInterval(() => {
   }
 }, 5 * 60 * 1000); // Check every 5 minutes
 
+/**
+ * Create the per-session state of an MCP task
+ * @param {Object} fields - {sessionId, tabId, windowId, task, context, outputSchema}
+ *   plus, when resuming from a checkpoint, messages, createdAt and startTime
+ * @returns {Object} Session
+ */
+function createMcpSession({
+  sessionId, tabId, windowId, task, context, outputSchema,
+  messages = [], createdAt = Date.now(), startTime = new Date().toISOString(),
+}) {
+  return {
+    sessionId,          // Store sessionId for Mem0 lookup
+    historyId: `mcp_${sessionId}`, // Task history entry (tool analytics link to it)
+    tabId,
+    windowId,           // Track window for cleanup
+    task,
+    context,            // Task context for memory/info lookup
+    outputSchema,       // JSON Schema for structured final answer (optional)
+    messages,           // Per-session chat history
+    status: 'running',
+    cancelled: false,   // Per-session cancellation flag
+    createdAt,
+    // Per-session state for parallel execution:
+    screenshots: [],    // Screenshots collected during this task
+    debugLog: [],       // Debug log for this task
+    steps: [],          // Task steps
+    openedTabs: new Set(), // Tabs opened by this session
+    tabStack: [],       // Stack for popup navigation (push when popup opens, pop when closes)
+    startTime,
+    abortController: new AbortController(), // Per-session abort controller
+  };
+}
+
 /**
  * Start a task from MCP server
  * @param {string} sessionId - Unique session identifier
  * @param {string} task - Task description
  * @param {string} [url] - Optional starting URL
  * @param {string} [context] - Optional task context (info needed to complete the task)
+ * @param {Object} [outputSchema] - Optional JSON Schema the final answer must match
  */
-async function handleMcpStartTask(sessionId, task, url, context) {
+async function handleMcpStartTask(sessionId, task, url, context, outputSchema) {
   console.log(`[MCP] Starting task: ${sessionId}`, { task, url, hasContext: !!context });
 
   try {
@@ -1100,25 +2088,7 @@ async function handleMcpStartTask(sessionId, task, url, context) {
     }
 
     // Create session with per-session state (enables parallel execution)
-    mcpSessions.set(sessionId, {
-      sessionId,          // Store sessionId for Mem0 lookup
-      tabId,
-      windowId,           // Track window for cleanup
-      task,
-      context,            // Task context for memory/info lookup
-      messages: [],       // Per-session chat history
-      status: 'running',
-      cancelled: false,   // Per-session cancellation flag
-      createdAt: Date.now(),
-      // Per-session state for parallel execution:
-      screenshots: [],    // Screenshots collected during this task
-      debugLog: [],       // Debug log for this task
-      steps: [],          // Task steps
-      openedTabs: new Set(), // Tabs opened by this session
-      tabStack: [],       // Stack for popup navigation (push when popup opens, pop when closes)
-      startTime: new Date().toISOString(),
-      abortController: new AbortController(), // Per-session abort controller
-    });
+    mcpSessions.set(sessionId, createMcpSession({ sessionId, tabId, windowId, task, context, outputSchema }));
 
     // Start the task WITHOUT awaiting - enables parallel execution
     // Error handling is done inside startMcpTaskInternal
@@ -1132,10 +2102,114 @@ async function handleMcpStartTask(sessionId, task, url, context) {
   }
 }
 
+/**
+ * Describe a tool call for an MCP progress update
+ * Format: "read_page" or "computer: left_click at (100, 200)"
+ * @param {string} tool - Tool name
+ * @param {Object} [input] - Tool input
+ * @returns {string}
+ */
+function describeToolCall(tool, input) {
+  // Include input details for more context
+  if (input?.action) {
+    const at = input.coordinate ? ` at (${input.coordinate[0]}, ${input.coordinate[1]})` : '';
+    return `${tool}: ${input.action}${at}`;
+  }
+  if (input?.selector) return `${tool}: ${input.selector.substring(0, 40)}`;
+  if (input?.url) return `${tool}: ${input.url.substring(0, 50)}`;
+  if (input?.text) return `${tool}: "${input.text.substring(0, 30)}"`;
+  return tool;
+}
+
+/**
+ * Forward an agent loop update to the MCP server with an informative step description
+ * @param {string} sessionId - Session ID
+ * @param {Object} update - runAgentLoop update
+ */
+function sendMcpTaskUpdate(sessionId, update) {
+  // Debug: log to verify sessionId
+  console.log('[SW Debug] Sending MCP update:', { sessionId, status: update.status, tool: update.tool });
+
+  if (update.status === 'executing' && update.tool) {
+    sendMcpUpdate(sessionId, 'running', `[browser_agent:${update.tool}] ${describeToolCall(update.tool, update.input)}`);
+  } else if (update.status === 'executed' && update.tool) {
+    if (update.result) {
+      sendMcpUpdate(sessionId, 'running', `[browser_agent:${update.tool}] Done: ${update.result.substring(0, 80)}`);
+    }
+  } else if (update.status === 'thinking') {
+    sendMcpUpdate(sessionId, 'running', '[browser_agent:thinking]');
+  } else if (update.status === 'message') {
+    sendMcpUpdate(sessionId, 'running', `[browser_agent:message] ${update.text}`);
+  } else if (update.status === 'budget') {
+    sendMcpBudget(sessionId, update.budget);
+  }
+}
+
+/**
+ * Save a finished MCP task to the task logs and history (uses per-session screenshots)
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - MCP session
+ * @param {string} task - Task prompt of this run
+ * @param {Object} run
+ * @param {string} run.status - Final status
+ * @param {string} run.endTime - ISO end time
+ * @param {Array<Object>} run.messages - Conversation messages
+ * @param {string|null} [run.answer] - Final answer
+ * @param {string|null} [run.error] - Error message
+ * @returns {Promise<void>}
+ */
+async function saveMcpRun(sessionId, session, task, { status, endTime, messages, answer = null, error = null }) {
+  // Get task usage before recording completion
+  const usage = getTaskUsage();
+  const { startTime, screenshots } = session;
+
+  await saveTaskLogs({ task: `[MCP:${sessionId}] ${task}`, status, startTime, endTime, messages, usage, error }, screenshots);
+  await recordTaskHistory({
+    conversationId: `mcp_${sessionId}`,
+    source: 'mcp',
+    prompt: task,
+    model: session.modelConfig?.modelId || getConfig().model || null,
+    status,
+    startTime,
+    endTime,
+    messages,
+    answer,
+    error,
+    usage,
+    screenshots,
+  });
+}
+
+/**
+ * Tell the MCP server how a run ended
+ * A run that ended without success (budget stop, an answer that never matched
+ * the output schema) is an error for the client; one the user stopped completes.
+ * @param {string} sessionId - Session ID
+ * @param {Object} session - MCP session
+ * @param {Object} result - runAgentLoop result
+ * @param {number} steps - Steps taken
+ */
+function reportMcpResult(sessionId, session, result, steps) {
+  if (!result.success && !session.cancelled) {
+    sendMcpError(sessionId, result.message);
+    return;
+  }
+  sendMcpComplete(sessionId, {
+    success: result.success,
+    message: result.message,
+    steps,
+    structured: result.structuredOutput,
+  });
+}
+
 /**
  * Internal MCP task execution
+ * @param {string} sessionId - Session ID
+ * @param {number} tabId - Tab to run in
+ * @param {string} task - Task or follow-up message of this run
+ * @param {Object|null} [resumeFrom] - Checkpoint to continue from after a service worker restart
  */
-async function startMcpTaskInternal(sessionId, tabId, task) {
+async function startMcpTaskInternal(sessionId, tabId, task, resumeFrom = null) {
   const session = mcpSessions.get(sessionId);
   if (!session) {
     console.error(`[MCP] Session not found: ${sessionId}`);
@@ -1157,9 +2231,22 @@ async function startMcpTaskInternal(sessionId, tabId, task) {
 
   await log('MCP', `Starting task: ${sessionId}`, { task, tabId });
 
+  const checkpoint = createCheckpointer({
+    id: sessionId,
+    kind: 'mcp',
+    prompt: task,
+    task: session.task,
+    tabId,
+    windowId: session.windowId,
+    context: session.context,
+    outputSchema: session.outputSchema,
+    createdAt: session.createdAt,
+    startTime: session.startTime,
+  }, resumeFrom);
+
   try {
     // Use per-session messages instead of global conversationHistory
-    const result = await runAgentLoop(tabId, task, update => {
+    const result = await runAgentLoop(tabId, resumeFrom ? null : task, update => {
       currentTask.steps.push(update);
 
       // Log meaningful updates only (skip streaming chunks - they're redundant with AI_RESPONSE)
@@ -1172,45 +2259,19 @@ async function startMcpTaskInternal(sessionId, tabId, task) {
         });
       }
 
-      // Send update to MCP server with informative step descriptions
-      // Debug: log to verify sessionId
-      console.log('[SW Debug] Sending MCP update:', { sessionId, status: update.status, tool: update.tool });
-
-      if ((update.status === 'executing' || update.status === 'executed') && update.tool) {
-        // Format: "Using read_page" or "Using computer: click at (100, 200)"
-        let toolDesc = update.tool;
-        if (update.status === 'executing') {
-          // Include input details for more context
-          if (update.input?.action) {
-            toolDesc = `${update.tool}: ${update.input.action}`;
-            if (update.input.coordinate) {
-              toolDesc += ` at (${update.input.coordinate[0]}, ${update.input.coordinate[1]})`;
-            }
-          } else if (update.input?.selector) {
-            toolDesc = `${update.tool}: ${update.input.selector.substring(0, 40)}`;
-          } else if (update.input?.url) {
-            toolDesc = `${update.tool}: ${update.input.url.substring(0, 50)}`;
-          } else if (update.input?.text) {
-            toolDesc = `${update.tool}: "${update.input.text.substring(0, 30)}"`;
-          }
-          sendMcpUpdate(sessionId, 'running', `[browser_agent:${update.tool}] ${toolDesc}`);
-        } else if (update.status === 'executed' && update.result) {
-          sendMcpUpdate(sessionId, 'running', `[browser_agent:${update.tool}] Done: ${update.result.substring(0, 80)}`);
-        }
-      } else if (update.status === 'thinking') {
-        sendMcpUpdate(sessionId, 'running', '[browser_agent:thinking]');
-      } else if (update.status === 'message') {
-        sendMcpUpdate(sessionId, 'running', `[browser_agent:message] ${update.text}`);
-      }
+      sendMcpTaskUpdate(sessionId, update);
 
       // Also send to sidepanel if open
       chrome.runtime.sendMessage({ type: 'TASK_UPDATE', update }).catch(() => {});
-    }, [], false, session.messages, null, session);
+    }, [], false, session.messages, { mcpSession: session, onCheckpoint: checkpoint });
 
     // Store messages back in session (per-session history)
     if (result.messages) {
       session.messages = result.messages;
     }
+    if (result.success && result.trace?.length > 0) {
+      await saveLastRun(task, result.trace);
+    }
     session.status = result.success ? 'complete' : 'error';
     // Don't delete session - keep it for continuation
 
@@ -1222,30 +2283,19 @@ async function startMcpTaskInternal(sessionId, tabId, task) {
 
     await hideAgentIndicators(tabId);
 
-    // Get task usage before recording completion
-    const taskUsage = getTaskUsage();
-
     // Save MCP task logs (use per-session screenshots)
-    const logData = {
-      task: `[MCP:${sessionId}] ${task}`,
+    await saveMcpRun(sessionId, session, task, {
       status: currentTask.status,
-      startTime: session.startTime,
       endTime: currentTask.endTime,
       messages: result.messages || [],
-      usage: taskUsage,
-      error: null,
-    };
-    await saveTaskLogs(logData, session.screenshots);
+      answer: getFinalAnswer(result),
+    });
 
     // Record task completion for usage stats
     recordTaskCompletion(result.success);
 
     // Send completion to MCP server
-    sendMcpComplete(sessionId, {
-      success: result.success,
-      message: result.message,
-      steps: currentTask.steps.length
-    });
+    reportMcpResult(sessionId, session, result, currentTask.steps.length);
 
     // Leave task window open so user can review the result
 
@@ -1264,20 +2314,13 @@ async function startMcpTaskInternal(sessionId, tabId, task) {
       session.status = 'stopped';
     }
 
-    // Get task usage before recording completion
-    const taskUsage = getTaskUsage();
-
     // Save MCP task error logs (use per-session data)
-    const logData = {
-      task: `[MCP:${sessionId}] ${task}`,
-      status: isCancelled ? 'stopped' : 'error',
-      startTime: session.startTime,
+    await saveMcpRun(sessionId, session, task, {
+      status: session.status,
       endTime: new Date().toISOString(),
       messages: session.messages || [],
-      usage: taskUsage,
       error: errorMessage,
-    };
-    await saveTaskLogs(logData, session.screenshots);
+    });
     await log('ERROR', `[MCP] Task failed: ${errorMessage}`, { sessionId, error: error.stack });
 
     // Record failed task for usage stats
@@ -1290,6 +2333,8 @@ async function startMcpTaskInternal(sessionId, tabId, task) {
     }
 
     // Leave task window open so user can review the error state
+  } finally {
+    await deleteCheckpoint(sessionId).catch(() => {});
   }
 }
 
@@ -1349,6 +2394,8 @@ async function handleMcpStopTask(sessionId, remove = false) {
     pendingPlanResolve({ approved: false });
     pendingPlanResolve = null;
   }
+  denyPendingPermissions(sessionId);
+  cancelHandoffs(sessionId);
 
   if (remove) {
     // Clean up task window before removing session
@@ -1392,10 +2439,16 @@ async function handleMcpScreenshot(sessionId) {
     }
 
     await ensureDebugger(tabId);
-    const screenshot = await sendDebuggerCommand(tabId, 'Page.captureScreenshot', {
-      format: 'png',
-      quality: 80
-    });
+    const blurred = await blurSensitiveRegions(tabId);
+    let screenshot;
+    try {
+      screenshot = await sendDebuggerCommand(tabId, 'Page.captureScreenshot', {
+        format: 'png',
+        quality: 80
+      });
+    } finally {
+      if (blurred) await restoreBlurredRegions(tabId);
+    }
 
     sendMcpScreenshot(sessionId, screenshot.data);
   } catch (error) {
@@ -1403,19 +2456,149 @@ async function handleMcpScreenshot(sessionId) {
   }
 }
 
+// ============================================
+// SESSION RESUME
+// ============================================
+
+/**
+ * Give up on an interrupted run and tell whoever is waiting for it
+ * @param {Object} checkpoint - Checkpoint of the run
+ * @param {string} reason - Why it can't be resumed
+ */
+async function abandonCheckpoint(checkpoint, reason) {
+  await deleteCheckpoint(checkpoint.id).catch(() => {});
+  await log('RESUME', `Not resuming ${checkpoint.kind} task: ${reason}`, { id: checkpoint.id, step: checkpoint.step });
+  const error = `Task interrupted: ${reason}`;
+  if (checkpoint.kind === 'mcp') {
+    sendMcpError(checkpoint.id, error);
+  } else {
+    chrome.runtime.sendMessage({ type: 'TASK_ERROR', error }).catch(() => {});
+  }
+}
+
+/**
+ * Check whether an interrupted run can continue
+ * @param {Object} checkpoint - Checkpoint of the run
+ * @returns {Promise<string|null>} Reason it can't, or null
+ */
+async function getResumeBlocker(checkpoint) {
+  if ((checkpoint.resumeCount || 0) >= RETRIES.MAX_SESSION_RESUME) {
+    return `the extension restarted ${checkpoint.resumeCount + 1} times during this task`;
+  }
+  try {
+    await chrome.tabs.get(checkpoint.tabId);
+  } catch (e) {
+    return 'its tab was closed';
+  }
+  return null;
+}
+
+/**
+ * Continue a side panel task from its checkpoint
+ * @param {Object} checkpoint - Checkpoint of the run
+ */
+function resumeSidepanelTask(checkpoint) {
+  conversationHistory = checkpoint.messages;
+  currentConversationId = checkpoint.conversationId;
+  chrome.runtime.sendMessage({ type: 'TASK_RESUMED', step: checkpoint.step }).catch(() => {});
+  startTask(checkpoint.tabId, checkpoint.prompt, checkpoint.askBeforeActing, [], checkpoint.tabGroupId, checkpoint)
+    .catch(error => console.error('[Resume] Side panel task failed:', error));
+}
+
+/**
+ * Continue an MCP session from its checkpoint
+ * @param {Object} checkpoint - Checkpoint of the run
+ */
+function resumeMcpSession(checkpoint) {
+  const sessionId = checkpoint.id;
+  mcpSessions.set(sessionId, createMcpSession({
+    sessionId,
+    tabId: checkpoint.tabId,
+    windowId: checkpoint.windowId,
+    task: checkpoint.task,
+    context: checkpoint.context,
+    outputSchema: checkpoint.outputSchema,
+    messages: checkpoint.messages,
+    createdAt: checkpoint.createdAt,
+    startTime: checkpoint.startTime,
+  }));
+  restoreMcpSession(sessionId, checkpoint.context);
+  sendMcpUpdate(sessionId, 'running', `[browser_agent:resumed] Extension restarted - continuing after step ${checkpoint.step}`);
+
+  startMcpTaskInternal(sessionId, checkpoint.tabId, checkpoint.prompt, checkpoint).catch(error => {
+    console.error(`[MCP] Resumed task error:`, error);
+    sendMcpError(sessionId, error.message);
+  });
+}
+
+/**
+ * Resume runs interrupted by a service worker restart (see checkpoint-manager.js)
+ * @returns {Promise<void>}
+ */
+async function resumeInterruptedSessions() {
+  const { resumable, stale } = await takeInterruptedCheckpoints();
+  for (const checkpoint of stale) {
+    await abandonCheckpoint(checkpoint, 'the browser was restarted');
+  }
+
+  // Send the resumed sessions' updates over the relay rather than the native host fallback
+  if (resumable.some(checkpoint => checkpoint.kind === 'mcp')) {
+    await waitForRelay();
+  }
+
+  for (const checkpoint of resumable) {
+    const blocker = await getResumeBlocker(checkpoint);
+    if (blocker) {
+      await abandonCheckpoint(checkpoint, blocker);
+      continue;
+    }
+
+    // Count the attempt before running, so a run that keeps crashing the worker is eventually dropped
+    const resumed = { ...checkpoint, resumeCount: (checkpoint.resumeCount || 0) + 1 };
+    await saveCheckpoint(resumed);
+    await log('RESUME', `Resuming ${resumed.kind} task after service worker restart`, {
+      id: resumed.id,
+      step: resumed.step,
+      resumeCount: resumed.resumeCount,
+    });
+
+    if (resumed.kind === 'mcp') {
+      resumeMcpSession(resumed);
+    } else {
+      resumeSidepanelTask(resumed);
+    }
+  }
+}
+
 // Initialize MCP bridge with callbacks
 initMcpBridge({
   onStartTask: handleMcpStartTask,
   onSendMessage: handleMcpSendMessage,
   onStopTask: handleMcpStopTask,
-  onScreenshot: handleMcpScreenshot
+  onScreenshot: handleMcpScreenshot,
+  onRelayConnected: () => handleRelayConnected().catch(error => console.error('[Skills] Skill sync failed:', error)),
+  onKnowledgeSync: handleKnowledgeSync,
 });
 
 // Start polling for MCP commands
 startMcpPolling();
 
+// Continue tasks that were running when the previous service worker stopped
+resumeInterruptedSessions().catch(error => console.error('[Resume] Failed to resume sessions:', error));
+
 // Start usage tracking session
 startSession();
 
+// Re-sync scheduled task alarms and listen for them
+initScheduler(runScheduledTask);
+
+// Re-sync page watch alarms and listen for them
+initWatchManager({
+  callLLMSimple,
+  getPageText: async (tabId) => redactForTab(tabId, await executeToolHandler('get_page_text', { tabId }, {})),
+  sendWatchChange,
+  log,
+});
+
 console.log('[LLM in Chrome] Service worker loaded');
 console.log('[LLM in Chrome] MCP bridge initialized');
@@ -1,9 +1,11 @@
 /**
  * Agent tool handlers
- * Handles: update_plan, turn_answer_start, solve_captcha, resize_window
+ * Handles: update_plan, turn_answer_start, solve_captcha, resize_window, get_info, escalate, request_human, spawn_subtasks
  */
 
 import { solveCaptcha } from '../modules/captcha-solvers.js';
+import { DELAYS, LIMITS } from '../modules/constants.js';
+import { requestHumanHandoff } from '../managers/handoff-manager.js';
 
 /**
  * @typedef {Object} AgentToolDeps
@@ -89,8 +91,8 @@ export async function handleSolveCaptcha(toolInput, deps) {
   if (!isDropoutPage) {
     return JSON.stringify({
       success: false,
-      error: 'solve_captcha only works on the /dropout page. For other CAPTCHAs, solve visually by examining the images and clicking the correct ones.',
-      hint: 'Take a screenshot, identify the correct images based on the category, click them, then click Verify.'
+      error: 'solve_captcha only works on the /dropout page. For other CAPTCHAs, ask the user to solve them with request_human.',
+      hint: 'Call request_human with this tabId and instructions like "Please solve the CAPTCHA, then click Resume".'
     });
   }
 
@@ -234,6 +236,50 @@ export async function handleEscalate(toolInput, deps) {
   return typeof response === 'string' ? response : JSON.stringify(response);
 }
 
+/**
+ * Handle request_human tool - pause until the user does a step in the page
+ *
+ * @param {Object} toolInput - Tool input parameters
+ * @param {number} toolInput.tabId - Tab the user should act in
+ * @param {string} toolInput.instructions - What the user should do, shown on the page
+ * @param {Object} deps - Dependency injection object
+ * @param {string} [deps.sessionId] - MCP session ID (undefined for side panel tasks)
+ * @param {Object} [deps.mcpSession] - MCP session (its task is shown in the side panel)
+ * @param {Function} [deps.log] - Logging function
+ * @returns {Promise<string>} Whether the user resumed, and their note
+ */
+export async function handleRequestHuman(toolInput, deps) {
+  const { tabId, instructions } = toolInput;
+  const { sessionId = null, mcpSession, log } = deps;
+
+  if (!tabId) {
+    return 'Error: tabId is required';
+  }
+  if (!instructions?.trim()) {
+    return 'Error: instructions cannot be empty. Tell the user what to do, e.g. "Please solve the CAPTCHA, then click Resume".';
+  }
+
+  if (log) {
+    await log('HANDOFF', `Waiting for the user: ${instructions}`, { tabId });
+  }
+  let outcome;
+  try {
+    outcome = await requestHumanHandoff({ tabId, instructions: instructions.trim(), sessionId, task: mcpSession?.task || null });
+  } catch (err) {
+    return `Error: Could not hand tab ${tabId} to the user: ${err.message}`;
+  }
+
+  if (outcome.status === 'timeout') {
+    const minutes = Math.round(DELAYS.HUMAN_HANDOFF_TIMEOUT / 60000);
+    return `Error: The user did not resume the task within ${minutes} minutes. Check the page - they may have done the step without clicking Resume - or finish and tell the user what is left to do.`;
+  }
+  if (outcome.status === 'stopped') {
+    return 'Error: The task was stopped while waiting for the user.';
+  }
+  const note = outcome.note ? ` Their note: "${outcome.note}"` : '';
+  return `The user is done and resumed the task.${note} The page may have changed - take a screenshot or call read_page before continuing.`;
+}
+
 /**
  * Handle get_info tool - retrieve information from Mem0 semantic memory
  *
@@ -300,3 +346,57 @@ export async function handleGetInfo(toolInput, deps) {
 3. Mention in your response that you couldn't fill this field`;
   }
 }
+
+/**
+ * Handle spawn_subtasks tool - run independent subtasks concurrently, one agent per tab
+ *
+ * At most LIMITS.MAX_PARALLEL_SUBTASKS run at a time; results keep the input order.
+ *
+ * @param {Object} toolInput - Tool input parameters
+ * @param {Array<{task: string, url?: string, output_schema?: Object}>} toolInput.subtasks - Subtasks to run
+ * @param {boolean} [toolInput.keep_tabs] - Keep subtask tabs open afterwards
+ * @param {Object} deps - Dependency injection object
+ * @param {Function|null} deps.runSubtask - (subtask, {keepTab}) => Promise<Object>, null inside a subtask
+ * @param {Function} deps.log - Logging function
+ * @returns {Promise<string>} JSON-stringified results
+ */
+export async function handleSpawnSubtasks(toolInput, deps) {
+  const { subtasks, keep_tabs } = toolInput;
+  const { runSubtask, log } = deps;
+
+  if (!runSubtask) {
+    return 'Error: spawn_subtasks is not available inside a subtask. Complete this task directly.';
+  }
+  if (!Array.isArray(subtasks) || subtasks.length === 0) {
+    return 'Error: subtasks must be a non-empty array of {task, url?}';
+  }
+  if (subtasks.length > LIMITS.MAX_SUBTASKS) {
+    return `Error: at most ${LIMITS.MAX_SUBTASKS} subtasks can be spawned at once (got ${subtasks.length})`;
+  }
+  if (subtasks.some(s => typeof s?.task !== 'string' || !s.task.trim())) {
+    return 'Error: every subtask needs a non-empty "task"';
+  }
+
+  await log('SUBTASKS', `Spawning ${subtasks.length} subtask(s)`, { tasks: subtasks.map(s => s.task.substring(0, 80)) });
+
+  // Simple worker pool: each worker takes the next pending subtask until none are left
+  const results = new Array(subtasks.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < subtasks.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await runSubtask(subtasks[index], { keepTab: !!keep_tabs });
+      } catch (error) {
+        results[index] = { task: subtasks[index].task, success: false, answer: `Subtask failed: ${error.message}` };
+      }
+    }
+  };
+  const workerCount = Math.min(LIMITS.MAX_PARALLEL_SUBTASKS, subtasks.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  const succeeded = results.filter(r => r.success).length;
+  await log('SUBTASKS', `Subtasks finished: ${succeeded}/${results.length} succeeded`);
+
+  return JSON.stringify({ succeeded, failed: results.length - succeeded, results }, null, 2);
+}
@@ -11,6 +11,10 @@ import { cdpHelper } from '../modules/cdp-helper.js';
 import { screenshotContextManager, scaleCoordinates } from '../modules/screenshot-context.js';
 import { ensureDebugger } from '../managers/debugger-manager.js';
 import { isAntiBotEnabled } from '../modules/domain-skills.js';
+import { listSkills } from '../managers/skills-manager.js';
+import { resolveMark } from '../modules/element-locator.js';
+import { parseFrameRef, runInFrame, getFrameOffset } from '../modules/cross-origin-frames.js';
+import { LIMITS } from '../modules/constants.js';
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -55,59 +59,56 @@ async function securityCheck(tabId, originalUrl, actionName) {
     : null;
 }
 
+/**
+ * Scroll the element behind a ref into view and get its center (runs in page context)
+ * Must be self-contained - injected via chrome.scripting.executeScript or CDP.
+ * @param {string} refId - Element reference
+ * @returns {{success: boolean, coordinates?: [number, number], error?: string}}
+ */
+function getElementCenterInPage(refId) {
+  try {
+    // __getElementRect resolves refs in shadow roots and same-origin iframes
+    const rect = window.__getElementRect ? window.__getElementRect(refId) : null;
+    if (!rect) {
+      return {
+        success: false,
+        error: `No element found with reference: "${refId}". The element may have been removed from the page.`,
+      };
+    }
+    return { success: true, coordinates: [rect.centerX, rect.centerY] };
+  } catch (err) {
+    return {
+      success: false,
+      error: `Error getting element coordinates: ${
+        err instanceof Error ? err.message : "Unknown error"
+      }`,
+    };
+  }
+}
+
 /**
  * Get element coordinates from ref
  * Resolves element reference to screen coordinates for clicking
  *
  * @param {number} tabId - Tab ID
- * @param {string} ref - Element reference (e.g., "ref_1")
+ * @param {string} ref - Element reference (e.g., "ref_1", or "x1:ref_3" in a cross-origin iframe)
  * @returns {Promise<{success: boolean, coordinates?: [number, number], error?: string}>}
  */
 async function getElementFromRef(tabId, ref) {
   try {
+    const frameRef = parseFrameRef(ref);
+    if (frameRef) {
+      const result = await runInFrame(tabId, ref, getElementCenterInPage);
+      if (!result?.success) return result;
+      const offset = await getFrameOffset(tabId, frameRef.label);
+      const [x, y] = result.coordinates;
+      return { success: true, coordinates: [x + offset.x, y + offset.y] };
+    }
+
     const result = await chrome.scripting.executeScript({
       target: { tabId },
       world: 'ISOLATED',  // Run in content script's world to access __elementRefMap
-      func: (refId) => {
-        try {
-          let element = null;
-          if (window.__elementRefMap && window.__elementRefMap[refId]) {
-            element = window.__elementRefMap[refId].deref() || null;
-
-            if (!element || !document.contains(element)) {
-              delete window.__elementRefMap[refId];
-              element = null;
-            }
-          }
-          if (!element) {
-            return {
-              success: false,
-              error: `No element found with reference: "${refId}". The element may have been removed from the page.`,
-            };
-          }
-
-          element.scrollIntoView({
-            behavior: "instant",
-            block: "center",
-            inline: "center",
-          });
-
-          if (element instanceof HTMLElement) {
-            element.offsetHeight; // Force reflow
-          }
-
-          const rect = element.getBoundingClientRect();
-          const centerX = rect.left + rect.width / 2;
-          return { success: true, coordinates: [centerX, rect.top + rect.height / 2] };
-        } catch (err) {
-          return {
-            success: false,
-            error: `Error getting element coordinates: ${
-              err instanceof Error ? err.message : "Unknown error"
-            }`,
-          };
-        }
-      },
+      func: getElementCenterInPage,
       args: [ref],
     });
     return result && result.length !== 0
@@ -276,22 +277,74 @@ async function handleClick(tabId, input, clickCount = 1, originalUrl, antiBot =
   }
 }
 
+/**
+ * Draw or remove the set-of-marks overlay (accessibility-tree.js)
+ *
+ * @param {number} tabId - Tab ID
+ * @param {boolean} draw - true to draw the marks, false to remove them
+ * @returns {Promise<{marks: Array<{mark: number, ref: string, role: string, name: string}>}|null>}
+ */
+async function setMarksOverlay(tabId, draw) {
+  const result = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'ISOLATED',  // Run in content script's world to access __drawMarks
+    func: (shouldDraw, maxMarks) => {
+      if (!shouldDraw) {
+        window.__clearMarks?.();
+        return null;
+      }
+      if (typeof window.__drawMarks !== 'function') {
+        throw new Error('Page content script is not loaded - reload the page and try again');
+      }
+      return window.__drawMarks(maxMarks);
+    },
+    args: [draw, LIMITS.SCREENSHOT_MARKS],
+  });
+  return result?.[0]?.result || null;
+}
+
+/**
+ * Format one set-of-marks entry for the screenshot output
+ * @param {{mark: number, ref: string, role: string, name: string}} m
+ * @returns {string} e.g. [3] button "Buy now" (ref_7)
+ */
+function formatMark(m) {
+  const name = m.name ? ` "${m.name}"` : '';
+  return `[${m.mark}] ${m.role}${name} (${m.ref})`;
+}
+
 /**
  * Handle screenshot action
  * Captures viewport screenshot with proper DPR handling
+ * With marks, interactive elements are numbered on the image and the output
+ * maps each mark to its element, so later actions can target `mark: N`.
  *
  * @param {number} tabId - Tab ID
+ * @param {boolean} [marks] - Overlay set-of-marks labels
  * @returns {Promise<{output?: string, base64Image?: string, imageFormat?: string, imageId?: string, error?: string}>}
  */
-async function handleScreenshot(tabId) {
+async function handleScreenshot(tabId, marks = false) {
   try {
-    const result = await cdpHelper.screenshot(tabId);
+    const drawn = marks ? await setMarksOverlay(tabId, true) : null;
+    let result;
+    try {
+      result = await cdpHelper.screenshot(tabId);
+    } finally {
+      if (drawn) await setMarksOverlay(tabId, false);
+    }
     const imageId = generateScreenshotId();
     console.info(`[Computer Tool] Generated screenshot ID: ${imageId}`);
     console.info(`[Computer Tool] Screenshot dimensions: ${result.width}x${result.height}`);
 
+    let output = `Successfully captured screenshot (${result.width}x${result.height}, ${result.format}) - ID: ${imageId}`;
+    if (drawn) {
+      output += drawn.marks.length === 0
+        ? '\nNo interactive elements in view to mark.'
+        : `\nMarks (use mark: N to click, hover or scroll_to):\n${drawn.marks.map(formatMark).join('\n')}`;
+    }
+
     return {
-      output: `Successfully captured screenshot (${result.width}x${result.height}, ${result.format}) - ID: ${imageId}`,
+      output,
       base64Image: result.base64,
       imageFormat: result.format,
       imageId,
@@ -317,6 +370,8 @@ async function handleScreenshot(tabId) {
  * @param {number} input.tabId - Tab ID
  * @param {Array<number>} [input.coordinate] - [x, y] coordinates
  * @param {string} [input.ref] - Element reference
+ * @param {number} [input.mark] - Mark number from a screenshot with marks (resolved to its ref)
+ * @param {boolean} [input.marks] - Overlay set-of-marks labels on a screenshot
  * @param {string} [input.text] - Text for type/key actions
  * @param {number} [input.duration] - Wait duration
  * @param {string} [input.scroll_direction] - Scroll direction
@@ -329,7 +384,7 @@ async function handleScreenshot(tabId) {
  */
 export async function handleComputer(input) {
   try {
-    const toolInput = input || {};
+    let toolInput = input || {};
     if (!toolInput.action) {
       throw new Error("Action parameter is required");
     }
@@ -346,9 +401,20 @@ export async function handleComputer(input) {
     // Ensure debugger is attached BEFORE any action (prevents "not attached" errors)
     await ensureDebugger(tabId);
 
+    // A mark from a set-of-marks screenshot stands in for its element's ref
+    if (toolInput.mark && !toolInput.ref) {
+      const ref = await resolveMark(tabId, toolInput.mark);
+      if (!ref) {
+        return {
+          error: `No mark ${toolInput.mark} on this page. Take a screenshot with marks: true first - marks are lost when the page changes.`,
+        };
+      }
+      toolInput = { ...toolInput, ref };
+    }
+
     const originalUrl = tab.url;
     // Check if anti-bot simulation is needed for this domain
-    const antiBot = isAntiBotEnabled(originalUrl);
+    const antiBot = isAntiBotEnabled(originalUrl, await listSkills());
     let result;
 
     switch (toolInput.action) {
@@ -395,7 +461,7 @@ export async function handleComputer(input) {
       }
 
       case "screenshot": {
-        result = await handleScreenshot(tabId);
+        result = await handleScreenshot(tabId, toolInput.marks === true);
         break;
       }
 
@@ -687,7 +753,7 @@ export async function handleComputer(input) {
           const regionWidth = x1 - x0;
           const regionHeight = y1 - y0;
 
-          const captureResult = await cdpHelper.sendCommand(tabId, "Page.captureScreenshot", {
+          const captureResult = await cdpHelper.captureScreenshot(tabId, {
             format: "png",
             captureBeyondViewport: false,
             fromSurface: true,
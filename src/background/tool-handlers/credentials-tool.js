@@ -0,0 +1,204 @@
+/**
+ * Credentials tool handler
+ * Handles: get_credential (fill a saved login into the page's form)
+ */
+
+import { getVaultStatus, findCredentials, rememberFilledSecret } from '../managers/vault-manager.js';
+import { generateTotp } from '../modules/totp.js';
+import { handleFormInput } from './form-core.js';
+import { describeElementByRef } from '../modules/element-locator.js';
+import { parseFrameRef } from '../modules/cross-origin-frames.js';
+
+// A code about to expire may be rejected by the time the form is submitted
+const MIN_TOTP_VALIDITY_S = 5;
+
+// Input types each field may be filled into (null: no type attribute, i.e. text)
+const FIELD_INPUT_TYPES = {
+  username: [null, 'text', 'email', 'tel'],
+  password: ['password'],
+  'TOTP code': [null, 'text', 'tel', 'number', 'password'],
+};
+
+/**
+ * Whether a page may receive secrets: HTTPS, or a local development server
+ * @param {string} url - Page URL
+ * @returns {boolean}
+ */
+function isSecurePage(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' || (protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(hostname));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Pick the login to use on a page
+ * @param {Array<Object>} logins - From findCredentials, most specific first
+ * @param {string} hostname - Page host
+ * @param {string} [username] - Account to use when several are saved
+ * @returns {Object} Login
+ * @throws {Error} When there is no login or the choice is ambiguous
+ */
+function chooseLogin(logins, hostname, username) {
+  if (logins.length === 0) {
+    throw new Error(`No saved login for ${hostname}. Ask the user to add one in Settings → Vault, or escalate.`);
+  }
+  if (username) {
+    const login = logins.find(l => l.username.toLowerCase() === username.toLowerCase());
+    if (!login) throw new Error(`No saved login for ${hostname} with username "${username}".`);
+    return login;
+  }
+  const domain = logins[0].domain;
+  const candidates = logins.filter(l => l.domain === domain);
+  if (candidates.length > 1) {
+    const usernames = candidates.map(l => JSON.stringify(l.username)).join(', ');
+    throw new Error(`Several logins are saved for ${domain} (${usernames}). ` +
+      'Pass username to choose one.');
+  }
+  return logins[0];
+}
+
+/**
+ * Current TOTP code, waiting for the next one if it is about to expire
+ * @param {Object} totp - Login's TOTP settings
+ * @returns {Promise<string>}
+ */
+async function currentTotpCode(totp) {
+  const { code, expiresIn } = await generateTotp(totp);
+  if (expiresIn >= MIN_TOTP_VALIDITY_S) return code;
+  await new Promise(resolve => setTimeout(resolve, expiresIn * 1000));
+  return (await generateTotp(totp)).code;
+}
+
+/**
+ * What a login holds, without its secrets
+ * @param {Object} login
+ * @returns {string}
+ */
+function describeLogin(login) {
+  const parts = [login.username ? `username "${login.username}"` : null, login.password ? 'password' : null, login.totp ? 'TOTP code' : null];
+  return `Saved login for ${login.domain}: ${parts.filter(Boolean).join(', ')}.`;
+}
+
+/**
+ * Check that the requested fields can be filled on this page
+ * @param {Object} login - Chosen login
+ * @param {Object} toolInput - {usernameRef, passwordRef, totpRef}
+ * @param {string} url - Page URL
+ * @throws {Error} If the page is not secure or the login lacks a requested field
+ */
+function checkFillable(login, { usernameRef, passwordRef, totpRef }, url) {
+  if ((passwordRef || totpRef) && !isSecurePage(url)) {
+    throw new Error(`Refusing to fill secrets into ${url}: the page is not HTTPS.`);
+  }
+  const missing = [
+    usernameRef && !login.username && 'username',
+    passwordRef && !login.password && 'password',
+    totpRef && !login.totp && 'TOTP secret',
+  ].find(Boolean);
+  if (missing) throw new Error(`The login for ${login.domain} has no ${missing} saved.`);
+}
+
+/**
+ * Check that a ref is an input of the right kind in the page itself
+ * Refs into cross-origin frames are refused: the frame may belong to another
+ * site. Secrets only go into inputs, never a visible text area or
+ * contenteditable, where they would show up in screenshots.
+ * @param {number} tabId
+ * @param {string} ref - Element reference
+ * @param {string} label - Field name (a FIELD_INPUT_TYPES key)
+ * @returns {Promise<void>}
+ * @throws {Error} If the ref cannot receive the field
+ */
+async function checkTarget(tabId, ref, label) {
+  if (parseFrameRef(ref)) {
+    throw new Error(`Refusing to fill the ${label} into ${ref}: it is in a frame from another site.`);
+  }
+  const target = await describeElementByRef(tabId, ref);
+  if (!target) {
+    throw new Error(`No element found with reference "${ref}". Use read_page to get fresh refs.`);
+  }
+  const type = target.type ? target.type.toLowerCase() : null;
+  if (target.tag !== 'input' || !FIELD_INPUT_TYPES[label].includes(type)) {
+    const found = target.tag === 'input' ? `an input of type "${type || 'text'}"` : `a <${target.tag}>`;
+    const expected = label === 'password' ? 'a password input' : 'a text input';
+    throw new Error(`Refusing to fill the ${label} into ${ref}: it is ${found}, not ${expected}.`);
+  }
+}
+
+/**
+ * Fill one field with a value from the vault
+ * @param {number} tabId
+ * @param {string} ref - Element reference
+ * @param {string} value
+ * @param {string} label - Field name for errors
+ * @returns {Promise<void>}
+ * @throws {Error} If the field could not be filled (the value is not included)
+ */
+async function fillField(tabId, ref, value, label) {
+  const result = await handleFormInput({ tabId, ref, value });
+  if (result?.error) {
+    throw new Error(`Could not fill the ${label} into ${ref}: ${result.error.split(value).join('[hidden]')}`);
+  }
+}
+
+/**
+ * Handle get_credential tool - fill a saved login into the page
+ * Without refs, reports what is saved for the page's site.
+ * @param {Object} toolInput - Tool input parameters
+ * @param {number} toolInput.tabId - Tab with the login form
+ * @param {string} [toolInput.username] - Account to use when several are saved for the site
+ * @param {string} [toolInput.usernameRef] - Username/email field
+ * @param {string} [toolInput.passwordRef] - Password field
+ * @param {string} [toolInput.totpRef] - One-time code field
+ * @returns {Promise<string>} Result or error (never the password or code)
+ */
+export async function handleGetCredential(toolInput) {
+  const { tabId, usernameRef, passwordRef, totpRef } = toolInput;
+  try {
+    if (!tabId) throw new Error('tabId is required');
+    const status = await getVaultStatus();
+    if (!status.exists) {
+      throw new Error("No credential vault is set up. Ask the user to create one in Settings → Vault and add this site's login, or escalate.");
+    }
+    if (!status.unlocked) {
+      throw new Error('The credential vault is locked. Ask the user to unlock it in Settings → Vault, or escalate, then try again.');
+    }
+    const tab = await chrome.tabs.get(tabId);
+    const hostname = new URL(tab.url).hostname;
+    const login = chooseLogin(await findCredentials(tab.url), hostname, toolInput.username);
+
+    if (!usernameRef && !passwordRef && !totpRef) {
+      return `${describeLogin(login)} Call get_credential again with usernameRef, passwordRef and/or totpRef to fill them in.`;
+    }
+    checkFillable(login, toolInput, tab.url);
+    const fields = [[usernameRef, 'username'], [passwordRef, 'password'], [totpRef, 'TOTP code']].filter(([ref]) => ref);
+    for (const [ref, label] of fields) {
+      await checkTarget(tabId, ref, label);
+    }
+
+    const filled = [];
+    if (usernameRef) {
+      await fillField(tabId, usernameRef, login.username, 'username');
+      filled.push('username');
+    }
+    if (passwordRef) {
+      rememberFilledSecret(login.password, tabId);
+      await fillField(tabId, passwordRef, login.password, 'password');
+      filled.push('password');
+    }
+    if (totpRef) {
+      const code = await currentTotpCode(login.totp);
+      rememberFilledSecret(code, tabId);
+      await fillField(tabId, totpRef, code, 'TOTP code');
+      filled.push('TOTP code');
+    }
+    const account = login.username ? ` (${login.username})` : '';
+    return `Filled the ${filled.join(', ')} for ${login.domain}${account}. ` +
+      'Secrets are filled without being shown to you. Submit the form to continue.';
+  } catch (err) {
+    return `Error: ${err.message}`;
+  }
+}
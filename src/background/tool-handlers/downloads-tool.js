@@ -0,0 +1,154 @@
+/**
+ * Downloads tool handler
+ * Handles: downloads (list, wait, read)
+ */
+
+import {
+  listSessionDownloads, getSessionDownload, waitForDownload, readDownloadBytes, DEFAULT_WAIT_MS,
+} from '../managers/download-manager.js';
+import { detectDocumentType, extractDocumentText } from '../modules/document-text.js';
+
+const DEFAULT_READ_CHARS = 20000;
+
+/**
+ * @typedef {Object} DownloadsToolDeps
+ * @property {string} [sessionStartTime] - ISO time the current task started
+ */
+
+/**
+ * Human-readable file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * One-line summary of a download
+ * @param {Object} item - chrome.downloads.DownloadItem
+ * @returns {string}
+ */
+function describeDownload(item) {
+  const name = item.filename.split(/[\\/]/).pop() || item.url;
+  const mime = item.mime ? `, ${item.mime}` : '';
+  if (item.state === 'in_progress') {
+    const total = item.totalBytes > 0 ? ` of ${formatSize(item.totalBytes)}` : '';
+    return `#${item.id} ${name} - downloading, ${formatSize(item.bytesReceived)}${total}${mime}`;
+  }
+  if (item.state === 'interrupted') {
+    return `#${item.id} ${name} - failed (${item.error || 'interrupted'})${mime}`;
+  }
+  return `#${item.id} ${name} - complete, ${formatSize(item.fileSize || item.bytesReceived)}${mime}`;
+}
+
+/**
+ * Details of one download: summary, path and source
+ * @param {Object} item - DownloadItem
+ * @returns {string}
+ */
+function describeDownloadDetails(item) {
+  return `${describeDownload(item)}\nSaved to: ${item.filename}\nFrom: ${item.finalUrl || item.url}`;
+}
+
+/**
+ * List the session's downloads
+ * @param {string} since - Session start
+ * @returns {Promise<string>}
+ */
+async function listDownloads(since) {
+  const items = await listSessionDownloads(since);
+  if (items.length === 0) {
+    return 'No downloads in this session yet. Click a download link, then use action "wait".';
+  }
+  return `${items.length} download(s) in this session, newest first:\n${items.map(describeDownload).join('\n')}`;
+}
+
+/**
+ * Wait for a download to finish
+ * @param {Object} toolInput - {downloadId, timeout}
+ * @param {string} since - Session start
+ * @returns {Promise<string>}
+ */
+async function waitDownload(toolInput, since) {
+  const timeoutMs = toolInput.timeout ? toolInput.timeout * 1000 : DEFAULT_WAIT_MS;
+  const { item, timedOut } = await waitForDownload(toolInput.downloadId ?? null, since, timeoutMs);
+  if (!item) {
+    return `Error: No download started within ${Math.round(timeoutMs / 1000)}s. ` +
+      'Downloads that finished before the wait are shown by action "list".';
+  }
+  if (timedOut) {
+    return `Still downloading after ${Math.round(timeoutMs / 1000)}s:\n${describeDownload(item)}\n` +
+      'Wait again with a longer timeout, or check the page for a problem.';
+  }
+  if (item.state === 'interrupted') {
+    return `Error: Download failed:\n${describeDownloadDetails(item)}`;
+  }
+  return `Download finished:\n${describeDownloadDetails(item)}`;
+}
+
+/**
+ * Read a finished download's contents
+ * @param {Object} toolInput - {downloadId, tabId, maxChars}
+ * @param {string} since - Session start
+ * @returns {Promise<string>}
+ */
+async function readDownload(toolInput, since) {
+  const item = toolInput.downloadId === undefined
+    ? (await listSessionDownloads(since))[0]
+    : await getSessionDownload(toolInput.downloadId, since);
+  if (!item) {
+    return 'Error: No downloads in this session yet.';
+  }
+  if (item.state !== 'complete') {
+    return `Error: Download #${item.id} is not complete (${describeDownload(item)}). Use action "wait" first.`;
+  }
+
+  const type = detectDocumentType(item.mime, item.filename);
+  if (!type) {
+    return `${describeDownloadDetails(item)}\nThis file type can't be read as text. ` +
+      'Use file_upload with the saved path to pass it to a page.';
+  }
+
+  const text = await extractDocumentText(await readDownloadBytes(item, toolInput.tabId ?? null), type);
+  const maxChars = toolInput.maxChars || DEFAULT_READ_CHARS;
+  const cut = text.length > maxChars
+    ? `\n[Showing the first ${maxChars} of ${text.length} characters; raise maxChars to see more]`
+    : '';
+  return `${describeDownloadDetails(item)}\n\n${text.slice(0, maxChars)}${cut}`;
+}
+
+/**
+ * Handle downloads tool - list, wait for and read the session's downloads
+ * @param {Object} toolInput - Tool input parameters
+ * @param {string} toolInput.action - 'list' | 'wait' | 'read'
+ * @param {number} [toolInput.downloadId] - Download to wait for or read (default: the newest)
+ * @param {number} [toolInput.timeout] - Seconds to wait (action 'wait', default 30, max 120)
+ * @param {number} [toolInput.tabId] - Tab that started the download (to read blob: downloads)
+ * @param {number} [toolInput.maxChars] - Maximum characters of content to return (action 'read')
+ * @param {DownloadsToolDeps} deps - Dependency injection object
+ * @returns {Promise<string>} Result or error
+ */
+export async function handleDownloads(toolInput, deps) {
+  // Without a start time every download in the browser's history would count
+  const since = deps.sessionStartTime;
+  if (!since) {
+    return 'Error: The downloads tool only works in a running task.';
+  }
+  try {
+    switch (toolInput.action) {
+      case 'list':
+        return await listDownloads(since);
+      case 'wait':
+        return await waitDownload(toolInput, since);
+      case 'read':
+        return await readDownload(toolInput, since);
+      default:
+        return `Error: Unknown downloads action "${toolInput.action}". Use list, wait or read.`;
+    }
+  } catch (err) {
+    return `Error: ${err.message}`;
+  }
+}
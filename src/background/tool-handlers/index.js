@@ -25,7 +25,12 @@ import {
 import {
   handleReadConsoleMessages,
   handleReadNetworkRequests,
+  handleCaptureResponseBodies,
+  handleGetResponseBody,
+  handleExportHar,
 } from './monitoring-tool.js';
+import { handleDownloads } from './downloads-tool.js';
+import { handleGetCredential } from './credentials-tool.js';
 import {
   handleUpdatePlan,
   handleTurnAnswerStart,
@@ -33,6 +38,8 @@ import {
   handleResizeWindow,
   handleGetInfo,
   handleEscalate,
+  handleRequestHuman,
+  handleSpawnSubtasks,
 } from './agent-tool.js';
 
 /**
@@ -54,12 +61,19 @@ export const toolHandlers = {
   view_screenshot: handleViewScreenshot,
   read_console_messages: handleReadConsoleMessages,
   read_network_requests: handleReadNetworkRequests,
+  capture_response_bodies: handleCaptureResponseBodies,
+  get_response_body: handleGetResponseBody,
+  export_har: handleExportHar,
+  downloads: handleDownloads,
+  get_credential: handleGetCredential,
   update_plan: handleUpdatePlan,
   turn_answer_start: handleTurnAnswerStart,
   solve_captcha: handleSolveCaptcha,
   resize_window: handleResizeWindow,
   get_info: handleGetInfo,
   escalate: handleEscalate,
+  request_human: handleRequestHuman,
+  spawn_subtasks: handleSpawnSubtasks,
 };
 
 /**
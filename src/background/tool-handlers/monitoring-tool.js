@@ -1,17 +1,41 @@
 /**
  * Monitoring tool handlers
- * Handles: read_console_messages, read_network_requests
+ * Handles: read_console_messages, read_network_requests, capture_response_bodies,
+ * get_response_body, export_har
  */
 
+import { buildHar } from '../modules/har.js';
+
+const DEFAULT_BODY_CHARS = 20000;
+
 /**
  * @typedef {Object} MonitoringToolDeps
  * @property {Function} ensureDebugger - Attach debugger to tab if needed
  * @property {Function} isNetworkTrackingEnabled - Check if network tracking is enabled
  * @property {Function} enableNetworkTracking - Enable network tracking
+ * @property {Function} setBodyCapture - Enable/disable response body capture for a tab
+ * @property {Function} getResponseBody - Get a request's response body
  * @property {Array<Object>} consoleMessages - Shared array of console messages
  * @property {Array<Object>} networkRequests - Shared array of network requests
  */
 
+/**
+ * Attach the debugger and make sure the tab's network traffic is recorded
+ * @param {number} tabId - Tab ID
+ * @param {MonitoringToolDeps} deps - Dependency injection object
+ * @returns {Promise<string|null>} Error message, or null when tracking is on
+ */
+async function ensureNetworkTracking(tabId, deps) {
+  await deps.ensureDebugger(tabId);
+  if (deps.isNetworkTrackingEnabled(tabId)) return null;
+  try {
+    await deps.enableNetworkTracking(tabId);
+    return null;
+  } catch (err) {
+    return `Error enabling network tracking: ${err.message}`;
+  }
+}
+
 /**
  * Handle read_console_messages tool - read browser console messages
  * @param {Object} toolInput - Tool input parameters
@@ -70,27 +94,23 @@ export async function handleReadConsoleMessages(toolInput, deps) {
  */
 export async function handleReadNetworkRequests(toolInput, deps) {
   const { tabId } = toolInput;
-  const { ensureDebugger, isNetworkTrackingEnabled, enableNetworkTracking, networkRequests } = deps;
+  const { networkRequests } = deps;
 
-  await ensureDebugger(tabId);
-  if (!isNetworkTrackingEnabled()) {
-    try {
-      await enableNetworkTracking(tabId);
-    } catch (err) {
-      return `Error enabling network tracking: ${err.message}`;
-    }
-  }
+  const trackingError = await ensureNetworkTracking(tabId, deps);
+  if (trackingError) return trackingError;
 
   const pattern = toolInput.urlPattern;
   const limit = toolInput.limit || 100;
-  let requests = [...networkRequests];
+  let requests = networkRequests.filter(r => r.tabId === tabId);
 
   if (pattern) {
     requests = requests.filter(r => r.url.includes(pattern));
   }
 
   if (toolInput.clear) {
-    networkRequests.length = 0; // Clear array in place
+    // Clear this tab's requests in place (the array is shared with the debugger manager)
+    const others = networkRequests.filter(r => r.tabId !== tabId);
+    networkRequests.splice(0, networkRequests.length, ...others);
   }
 
   requests = requests.slice(-limit);
@@ -101,7 +121,111 @@ export async function handleReadNetworkRequests(toolInput, deps) {
 
   const requestList = requests.map(r => {
     const statusText = r.status ? ' (' + r.status + ')' : '';
-    return '[' + r.method + '] ' + r.url + statusText;
+    const mimeType = r.mimeType ? ' ' + r.mimeType : '';
+    const body = r.body !== undefined ? ' [body captured]' : '';
+    return '[' + r.method + '] ' + r.url + statusText + mimeType + ' id=' + r.requestId + body;
   }).join('\n');
   return `Found ${requests.length} requests:\n${requestList}`;
 }
+
+/**
+ * Handle capture_response_bodies tool - opt in to response body capture for a tab
+ * @param {Object} toolInput - Tool input parameters
+ * @param {number} toolInput.tabId - Tab ID to capture bodies in
+ * @param {boolean} [toolInput.enabled] - false stops capturing (default: true)
+ * @param {Array<string>} [toolInput.mimeTypes] - MIME type substrings to capture
+ * @param {string} [toolInput.urlPattern] - Only capture requests whose URL contains this
+ * @param {MonitoringToolDeps} deps - Dependency injection object
+ * @returns {Promise<string>} Capture status or error
+ */
+export async function handleCaptureResponseBodies(toolInput, deps) {
+  const { tabId } = toolInput;
+
+  if (toolInput.enabled === false) {
+    deps.setBodyCapture(tabId, null);
+    return `Stopped capturing response bodies in tab ${tabId}. Bodies captured so far are kept.`;
+  }
+
+  const trackingError = await ensureNetworkTracking(tabId, deps);
+  if (trackingError) return trackingError;
+
+  const capture = deps.setBodyCapture(tabId, { mimeTypes: toolInput.mimeTypes, urlPattern: toolInput.urlPattern });
+  const urlText = capture.urlPattern ? ` from URLs containing "${capture.urlPattern}"` : '';
+  return `Capturing ${capture.mimeTypes.join(', ')} response bodies${urlText} in tab ${tabId}. ` +
+    'Only requests made from now on are captured: reload the page or repeat the action, ' +
+    'then use read_network_requests to find the request and get_response_body to read it.';
+}
+
+/**
+ * Handle get_response_body tool - read the response body of one request
+ * @param {Object} toolInput - Tool input parameters
+ * @param {number} toolInput.tabId - Tab ID the request was made in
+ * @param {string} toolInput.requestId - Request ID from read_network_requests
+ * @param {number} [toolInput.maxChars] - Maximum body characters to return (default: 20000)
+ * @param {MonitoringToolDeps} deps - Dependency injection object
+ * @returns {Promise<string>} Response body or error
+ */
+export async function handleGetResponseBody(toolInput, deps) {
+  const { tabId, requestId } = toolInput;
+  const maxChars = toolInput.maxChars || DEFAULT_BODY_CHARS;
+
+  let response;
+  try {
+    response = await deps.getResponseBody(tabId, requestId);
+  } catch (err) {
+    return `Error: ${err.message}`;
+  }
+
+  const { request, body, base64Encoded, truncated } = response;
+  const header = `[${request.method}] ${request.url} (${request.status || 'pending'}) ${request.mimeType || ''}`.trim();
+  if (base64Encoded) {
+    return `${header}\nBinary body (${body.length} base64 characters), not shown. Use export_har to save it.`;
+  }
+  const cut = body.length > maxChars;
+  const notes = [
+    cut ? `Showing the first ${maxChars} of ${body.length} characters; raise maxChars to see more.` : null,
+    truncated ? 'The captured body was itself cut off at the capture limit.' : null,
+  ].filter(Boolean);
+  return [header, ...notes, '', cut ? body.slice(0, maxChars) : body].join('\n');
+}
+
+/**
+ * Handle export_har tool - save a tab's recorded traffic as a HAR 1.2 file
+ * @param {Object} toolInput - Tool input parameters
+ * @param {number} toolInput.tabId - Tab ID whose traffic to export
+ * @param {string} [toolInput.urlPattern] - Only export requests whose URL contains this
+ * @param {boolean} [toolInput.includeBodies] - Include captured response bodies (default: true)
+ * @param {MonitoringToolDeps} deps - Dependency injection object
+ * @returns {Promise<string>} Saved file or error
+ */
+export async function handleExportHar(toolInput, deps) {
+  const { tabId, urlPattern } = toolInput;
+  const includeBodies = toolInput.includeBodies !== false;
+
+  let requests = deps.networkRequests.filter(r => r.tabId === tabId);
+  if (urlPattern) {
+    requests = requests.filter(r => r.url.includes(urlPattern));
+  }
+  if (requests.length === 0) {
+    return 'No network requests recorded' + (urlPattern ? ` matching "${urlPattern}"` : '') +
+      '. Requests are recorded once read_network_requests or capture_response_bodies has been used in the tab.';
+  }
+
+  const har = buildHar(requests, { creatorVersion: chrome.runtime.getManifest().version, includeBodies });
+  const content = JSON.stringify(har, null, 2);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filename = `browser-agent/network-${timestamp}.har`;
+
+  try {
+    await chrome.downloads.download({
+      url: 'data:application/json;base64,' + btoa(unescape(encodeURIComponent(content))),
+      filename,
+      saveAs: false,
+    });
+  } catch (err) {
+    return `Error saving HAR: ${err.message}`;
+  }
+
+  const withBodies = includeBodies ? har.log.entries.filter(e => e.response.content.text !== undefined).length : 0;
+  return `Saved ${requests.length} requests (${withBodies} with response bodies) to Downloads/${filename}`;
+}
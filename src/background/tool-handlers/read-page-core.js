@@ -3,6 +3,65 @@
  * Generates accessibility tree representation of the page
  */
 
+import { parseFrameRef, readCrossOriginFrames, readFrameSubtree } from '../modules/cross-origin-frames.js';
+
+/**
+ * Read a tab's accessibility tree, including cross-origin iframes
+ * The content script covers the page, its open shadow roots and same-origin
+ * iframes; cross-origin iframes are read over CDP and listed after the page.
+ *
+ * @param {number} tabId - Tab ID
+ * @param {Object} [options]
+ * @param {string|null} [options.filter] - 'interactive' or 'all'
+ * @param {number|null} [options.depth] - Max tree depth
+ * @param {number|null} [options.maxChars] - Max output chars
+ * @param {string|null} [options.refId] - Only the subtree under this ref
+ * @returns {Promise<{pageContent: string, viewport: Object, error?: string}>}
+ */
+export async function readPageTree(tabId, { filter = null, depth = null, maxChars = null, refId = null } = {}) {
+  if (parseFrameRef(refId)) {
+    return readFrameSubtree(tabId, refId, { filter, depth, maxChars });
+  }
+
+  const result = await chrome.scripting.executeScript({
+    target: { tabId },
+    world: 'ISOLATED',  // Run in content script's world to access __generateAccessibilityTree
+    func: (filterArg, depthArg, maxCharsArg, refIdArg) => {
+      if (typeof window.__generateAccessibilityTree !== "function") {
+        throw new Error(
+          "Accessibility tree function not found. Please refresh the page."
+        );
+      }
+      return window.__generateAccessibilityTree(filterArg, depthArg, maxCharsArg, refIdArg);
+    },
+    args: [filter, depth, maxChars, refId],
+  });
+
+  if (!result || result.length === 0) {
+    throw new Error("No results returned from page script");
+  }
+  if ("error" in result[0] && result[0].error) {
+    throw new Error(
+      `Script execution failed: ${result[0].error.message || "Unknown error"}`
+    );
+  }
+  if (!result[0].result) {
+    throw new Error("Page script returned empty result");
+  }
+
+  const pageResult = result[0].result;
+  if (pageResult.crossOriginFrames > 0) {
+    let frames;
+    try {
+      frames = await readCrossOriginFrames(tabId, { filter, depth, maxChars });
+    } catch (err) {
+      frames = `(cross-origin iframes could not be read: ${err.message})`;
+    }
+    if (frames) pageResult.pageContent = `${pageResult.pageContent}\n${frames}`;
+  }
+  return pageResult;
+}
+
 /**
  * Handle read_page tool - get accessibility tree representation
  *
@@ -27,38 +86,12 @@ export async function handleReadPage(input) {
   }
 
   try {
-    const result = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      world: 'ISOLATED',  // Run in content script's world to access __generateAccessibilityTree
-      func: (filterArg, depthArg, maxCharsArg, refIdArg) => {
-        if (typeof window.__generateAccessibilityTree !== "function") {
-          throw new Error(
-            "Accessibility tree function not found. Please refresh the page."
-          );
-        }
-        return window.__generateAccessibilityTree(filterArg, depthArg, maxCharsArg, refIdArg);
-      },
-      args: [
-        filter || null,
-        depth ?? null,
-        max_chars ?? 50000,
-        ref_id ?? null,
-      ],
+    const pageResult = await readPageTree(tab.id, {
+      filter: filter || null,
+      depth: depth ?? null,
+      maxChars: max_chars ?? 50000,
+      refId: ref_id ?? null,
     });
-
-    if (!result || result.length === 0) {
-      throw new Error("No results returned from page script");
-    }
-    if ("error" in result[0] && result[0].error) {
-      throw new Error(
-        `Script execution failed: ${result[0].error.message || "Unknown error"}`
-      );
-    }
-    if (!result[0].result) {
-      throw new Error("Page script returned empty result");
-    }
-
-    const pageResult = result[0].result;
     if (pageResult.error) {
       return { error: pageResult.error };
     }
@@ -4,6 +4,9 @@
  */
 
 import { cdpHelper } from '../modules/cdp-helper.js';
+import { readPageTree } from './read-page-core.js';
+import { extractPdfPages, parsePageRange, formatPdfPages } from '../modules/pdf-text.js';
+import { LIMITS } from '../modules/constants.js';
 
 // ============================================================================
 // FIND TOOL
@@ -21,6 +24,7 @@ import { cdpHelper } from '../modules/cdp-helper.js';
  * @param {number} input.tabId - Tab ID
  * @param {Object} deps - Dependencies
  * @param {Function} deps.callLLMSimple - Function to call LLM
+ * @param {Function} [deps.redactForTab] - (tabId, text) => Promise<string>, masks sensitive data
  * @returns {Promise<{output?: string, error?: string}>}
  */
 export async function handleFind(input, deps) {
@@ -38,34 +42,15 @@ export async function handleFind(input, deps) {
       throw new Error("Active tab has no ID");
     }
 
-    // Get accessibility tree
-    const treeResult = await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      world: 'ISOLATED',  // Run in content script's world to access __generateAccessibilityTree
-      func: () => {
-        if (typeof window.__generateAccessibilityTree !== "function") {
-          throw new Error(
-            "Accessibility tree function not found. Please refresh the page."
-          );
-        }
-        return window.__generateAccessibilityTree("all");
-      },
-      args: [],
-    });
-
-    if (!treeResult || treeResult.length === 0) {
-      throw new Error("No results returned from page script");
+    // Get accessibility tree (including shadow roots and iframes)
+    const pageData = await readPageTree(tab.id, { filter: "all" });
+    if (pageData.error) {
+      throw new Error(pageData.error);
     }
-    if ("error" in treeResult[0] && treeResult[0].error) {
-      throw new Error(
-        `Script execution failed: ${treeResult[0].error.message || "Unknown error"}`
-      );
-    }
-    if (!treeResult[0].result) {
-      throw new Error("Page script returned empty result");
-    }
-
-    const pageData = treeResult[0].result;
+    // The tree is sent to the LLM below, before the normal tool-result redaction runs
+    const pageContent = deps?.redactForTab
+      ? await deps.redactForTab(tab.id, pageData.pageContent)
+      : pageData.pageContent;
 
     // Use LLM to find matching elements
     if (!deps?.callLLMSimple) {
@@ -82,7 +67,7 @@ export async function handleFind(input, deps) {
           content: `You are helping find elements on a web page. The user wants to find: "${query}"
 
 Here is the accessibility tree of the page:
-${pageData.pageContent}
+${pageContent}
 
 Find ALL elements that match the user's query. Return up to 20 most relevant matches, ordered by relevance.
 
@@ -130,7 +115,7 @@ ERROR: explanation of why no elements were found`,
         errorMsg = line.substring(6).trim();
       } else if (line.startsWith("MORE:")) {
         hasMore = true;
-      } else if (line.includes("|") && line.startsWith("ref_")) {
+      } else if (line.includes("|") && /^([fx]\d+:)*ref_\d+/.test(line)) {
         const parts = line.split("|").map((p) => p.trim());
         if (parts.length >= 4) {
           matches.push({
@@ -180,22 +165,83 @@ ERROR: explanation of why no elements were found`,
 // Source: lines 7145-7342 (he constant)
 // ============================================================================
 
+/**
+ * Whether a tab shows a PDF in Chrome's viewer
+ * The viewer's document reports the PDF's content type; when the viewer
+ * refuses scripts, the URL is the only hint left.
+ * @param {Object} tab - chrome.tabs.Tab
+ * @returns {Promise<boolean>}
+ */
+async function isPdfTab(tab) {
+  try {
+    const [result] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => document.contentType,
+    });
+    if (result?.result) return result.result === "application/pdf";
+  } catch {
+    // Fall through to the URL check
+  }
+  return /\.pdf([?#]|$)/i.test(tab.url || "");
+}
+
+/**
+ * Read the PDF a tab shows, page by page
+ * The document is fetched again with the browser's cookies, so PDFs behind a
+ * login read the same as public ones.
+ * @param {Object} tab - chrome.tabs.Tab
+ * @param {string} [pages] - Page range such as "1-3,5" (default: all pages)
+ * @param {number} maxChars - Max chars of page text
+ * @returns {Promise<{output?: string, error?: string}>}
+ */
+async function readPdfTab(tab, pages, maxChars) {
+  const response = await fetch(tab.url, { credentials: "include" });
+  if (!response.ok) {
+    throw new Error(`Could not fetch the PDF (HTTP ${response.status})`);
+  }
+  const buffer = await response.arrayBuffer();
+  if (buffer.byteLength > LIMITS.DOWNLOAD_READ_BYTES) {
+    throw new Error(`The PDF is larger than ${LIMITS.DOWNLOAD_READ_BYTES} bytes`);
+  }
+
+  const texts = await extractPdfPages(new Uint8Array(buffer));
+  const pageNumbers = pages ? parsePageRange(pages, texts.length) : texts.map((_, i) => i + 1);
+  const text = formatPdfPages(texts, pageNumbers);
+  if (text.length > maxChars) {
+    return {
+      error: `Output exceeds ${maxChars} character limit (${text.length} characters for ${pageNumbers.length} of ${texts.length} pages). Use pages to read part of the document (e.g. "1-3"), or increase max_chars.`,
+    };
+  }
+
+  const shown = pages ? `, showing pages ${pages}` : "";
+  return {
+    output: `Title: ${tab.title}\nURL: ${tab.url}\nSource: PDF (${texts.length} pages${shown})\n---\n${text}`,
+  };
+}
+
 /**
  * Handle get_page_text tool - extract raw text content from page
+ * PDF tabs are read from the document itself, with page numbers.
  *
  * @param {Object} input - Tool input
  * @param {number} input.tabId - Tab ID
  * @param {number} [input.max_chars] - Max chars (default: 50000)
+ * @param {string} [input.pages] - Page range for PDFs, e.g. "1-3,5" (default: all)
  * @returns {Promise<{output?: string, error?: string}>}
  */
 export async function handleGetPageText(input) {
-  const { tabId, max_chars } = input || {};
+  const { tabId, max_chars, pages } = input || {};
 
   if (!tabId) {
     throw new Error("No active tab found");
   }
 
   try {
+    const tab = await chrome.tabs.get(tabId);
+    if (await isPdfTab(tab)) {
+      return await readPdfTab(tab, pages, max_chars ?? 50000);
+    }
+
     const result = await chrome.scripting.executeScript({
       target: { tabId },
       func: (maxChars) => {
@@ -9,6 +9,11 @@
 // Element reference map for tool handlers
 window.__elementRefMap || (window.__elementRefMap = {});
 window.__refCounter || (window.__refCounter = 0);
+// Mark number -> ref from the last set-of-marks screenshot
+window.__markRefs || (window.__markRefs = {});
+// Same-origin iframe -> frame number, used to qualify the refs of its elements (f1:ref_5)
+window.__frameNumbers || (window.__frameNumbers = new WeakMap());
+window.__frameCounter || (window.__frameCounter = 0);
 
 /**
  * Get element's ARIA role or infer from tag
@@ -80,7 +85,8 @@ function getName(element) {
 
   // Try associated label
   if (element.id) {
-    var label = document.querySelector('label[for="' + element.id + '"]');
+    var root = element.getRootNode ? element.getRootNode() : document;
+    var label = (root.querySelector ? root : document).querySelector('label[for="' + element.id + '"]');
     if (label && label.textContent && label.textContent.trim())
       return label.textContent.trim();
   }
@@ -91,7 +97,8 @@ function getName(element) {
     var inputType = element.getAttribute("type") || "";
     var value = element.getAttribute("value");
     if ("submit" === inputType && value && value.trim()) return value.trim();
-    if (input.value && input.value.length < 50 && input.value.trim())
+    // Never name a field by what was typed into a password field
+    if ("password" !== input.type && input.value && input.value.length < 50 && input.value.trim())
       return input.value.trim();
   }
 
@@ -134,7 +141,8 @@ function getName(element) {
  * Check if element is visible
  */
 function isVisible(element) {
-  var style = window.getComputedStyle(element);
+  var view = element.ownerDocument.defaultView || window;
+  var style = view.getComputedStyle(element);
   return "none" !== style.display &&
          "hidden" !== style.visibility &&
          "0" !== style.opacity &&
@@ -166,6 +174,85 @@ function hasSemantic(element) {
          null !== element.getAttribute("role");
 }
 
+/**
+ * Get the iframe an element lives in, if it is below this script's own document
+ */
+function getFrameElement(element) {
+  var view = element.ownerDocument.defaultView;
+  return view && view !== window ? view.frameElement : null;
+}
+
+/**
+ * Get the offset of an element's frame from this document's viewport
+ * (sum of the enclosing same-origin iframes' positions)
+ */
+function getFrameOffset(element) {
+  var offset = { x: 0, y: 0 };
+  for (var frame = getFrameElement(element); frame; frame = getFrameElement(frame)) {
+    var rect = frame.getBoundingClientRect();
+    offset.x += rect.left + frame.clientLeft;
+    offset.y += rect.top + frame.clientTop;
+  }
+  return offset;
+}
+
+/**
+ * Check if any part of the element is inside the viewport
+ */
+function isInViewport(element) {
+  var rect = element.getBoundingClientRect();
+  var offset = getFrameOffset(element);
+  return rect.top + offset.y < window.innerHeight && rect.bottom + offset.y > 0 &&
+         rect.left + offset.x < window.innerWidth && rect.right + offset.x > 0;
+}
+
+/**
+ * Get the document of a same-origin iframe, or null if it is cross-origin or not loaded
+ */
+function getFrameDocument(frame) {
+  try {
+    var doc = frame.contentDocument || (frame.contentWindow && frame.contentWindow.document);
+    return doc && doc.body ? doc : null;
+  } catch (e) {
+    return null; // Cross-origin
+  }
+}
+
+/**
+ * Check if an iframe shows a cross-origin page (one we can't read from here)
+ */
+function isCrossOriginFrame(frame) {
+  var src = frame.getAttribute("src") || "";
+  return !getFrameDocument(frame) && "" !== src && !/^(about|javascript):/i.test(src);
+}
+
+/**
+ * Child elements to walk: the open shadow root's children first, then light DOM children
+ * (slotted children show up there; unslotted ones fail the visibility check)
+ */
+function getChildElements(element) {
+  var children = Array.prototype.slice.call(element.children || []);
+  if (element.shadowRoot) {
+    children = Array.prototype.slice.call(element.shadowRoot.children).concat(children);
+  }
+  return children;
+}
+
+/**
+ * Call fn for every element under root, descending into open shadow roots
+ * and same-origin iframes
+ */
+function forEachElement(root, fn) {
+  var children = getChildElements(root);
+  for (var i = 0; i < children.length; i++) {
+    var child = children[i];
+    fn(child);
+    var tag = child.tagName.toLowerCase();
+    var frameDoc = ("iframe" === tag || "frame" === tag) ? getFrameDocument(child) : null;
+    forEachElement(frameDoc ? frameDoc.body : child, fn);
+  }
+}
+
 /**
  * Decide if element should be included in tree
  */
@@ -185,12 +272,8 @@ function shouldInclude(element, options) {
     return false;
 
   // Skip off-screen unless filter is "all" or we're focused on refId
-  if ("all" !== options.filter && !options.refId) {
-    var rect = element.getBoundingClientRect();
-    if (!(rect.top < window.innerHeight && rect.bottom > 0 &&
-          rect.left < window.innerWidth && rect.right > 0))
-      return false;
-  }
+  if ("all" !== options.filter && !options.refId && !isInViewport(element))
+    return false;
 
   // Include interactive elements
   if (isInteractive(element)) return true;
@@ -230,6 +313,25 @@ window.__generateAccessibilityTree = function(filter, maxDepth, maxChars, refId)
     var output = [];
     var treeDepth = null != maxDepth ? maxDepth : 15;
     var options = { filter: filter || "all", refId: refId };
+    var crossOriginFrames = 0;
+
+    /**
+     * Add a line for an iframe and walk its document if it is same-origin.
+     * Cross-origin iframes are only marked here; read_page reads them over CDP.
+     */
+    // eslint-disable-next-line no-inner-declarations
+    function visitFrame(frame, depth, options) {
+      if ("all" !== options.filter && !isVisible(frame)) return;
+      var src = frame.getAttribute("src") || frame.id || "anonymous";
+      var frameDoc = getFrameDocument(frame);
+      if (frameDoc) {
+        output.push(" ".repeat(depth) + "iframe [" + src + "]");
+        buildTree(frameDoc.body, depth + 1, options);
+      } else if (isCrossOriginFrame(frame)) {
+        crossOriginFrames++;
+        output.push(" ".repeat(depth) + "iframe (cross-origin) [" + src + "]");
+      }
+    }
 
     /**
      * Recursively build tree
@@ -239,6 +341,12 @@ window.__generateAccessibilityTree = function(filter, maxDepth, maxChars, refId)
       if (depth > treeDepth) return;
       if (!element || !element.tagName) return;
 
+      var tag = element.tagName.toLowerCase();
+      if ("iframe" === tag || "frame" === tag) {
+        visitFrame(element, depth, options);
+        return;
+      }
+
       var include = shouldInclude(element, options) ||
                     (null !== options.refId && 0 === depth);
 
@@ -246,19 +354,7 @@ window.__generateAccessibilityTree = function(filter, maxDepth, maxChars, refId)
         var role = getRole(element);
         var name = getName(element);
 
-        // Get or create ref ID
-        var ref = null;
-        for (var id in window.__elementRefMap) {
-          if (window.__elementRefMap[id].deref &&
-              window.__elementRefMap[id].deref() === element) {
-            ref = id;
-            break;
-          }
-        }
-        if (!ref) {
-          ref = "ref_" + ++window.__refCounter;
-          window.__elementRefMap[ref] = new WeakRef(element);
-        }
+        var ref = getOrCreateRef(element);
 
         // Build line: indent + role + name + ref + attributes
         var line = " ".repeat(depth) + role;
@@ -281,7 +377,7 @@ window.__generateAccessibilityTree = function(filter, maxDepth, maxChars, refId)
         output.push(line);
 
         // Special handling for select - include options
-        if ("select" === element.tagName.toLowerCase()) {
+        if ("select" === tag) {
           var opts = element.options;
           for (var i = 0; i < opts.length; i++) {
             var opt = opts[i];
@@ -299,126 +395,11 @@ window.__generateAccessibilityTree = function(filter, maxDepth, maxChars, refId)
         }
       }
 
-      // Process children
-      if (element.children && depth < treeDepth) {
-        for (var j = 0; j < element.children.length; j++) {
-          buildTree(element.children[j], include ? depth + 1 : depth, options);
-        }
-      }
-    }
-
-    /**
-     * Process iframes and add their content to the tree
-     */
-    // eslint-disable-next-line no-inner-declarations
-    function processIframes(baseDepth, frameOffsetX, frameOffsetY) {
-      var iframes = document.querySelectorAll('iframe');
-      for (var i = 0; i < iframes.length; i++) {
-        var iframe = iframes[i];
-        try {
-          // Check if iframe is same-origin (we can access its content)
-          var iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-          if (!iframeDoc || !iframeDoc.body) continue;
-
-          // Get iframe position for coordinate offset
-          var iframeRect = iframe.getBoundingClientRect();
-          var offsetX = frameOffsetX + iframeRect.x;
-          var offsetY = frameOffsetY + iframeRect.y;
-
-          // Add iframe marker
-          output.push(" ".repeat(baseDepth) + "iframe [" + (iframe.src || iframe.id || "anonymous") + "]");
-
-          // Store iframe offset for elements inside
-          var iframeOptions = Object.assign({}, options, {
-            iframeOffsetX: offsetX,
-            iframeOffsetY: offsetY,
-            iframeDoc: iframeDoc
-          });
-
-          // Process iframe body
-          buildTreeInIframe(iframeDoc.body, baseDepth + 1, iframeOptions, iframeDoc);
-        } catch (e) {
-          // Cross-origin iframe - can't access content
-          output.push(" ".repeat(baseDepth) + "iframe (cross-origin) [" + (iframe.src || "anonymous") + "]");
-        }
-      }
-    }
-
-    /**
-     * Build tree for elements inside an iframe
-     */
-    // eslint-disable-next-line no-inner-declarations
-    function buildTreeInIframe(element, depth, options, doc) {
-      if (depth > treeDepth) return;
-      if (!element || !element.tagName) return;
-
-      var include = shouldInclude(element, options);
-
-      if (include) {
-        var role = getRole(element);
-        var name = getName(element);
-
-        // Get or create ref ID (use special prefix for iframe elements)
-        var ref = null;
-        for (var id in window.__elementRefMap) {
-          if (window.__elementRefMap[id].deref &&
-              window.__elementRefMap[id].deref() === element) {
-            ref = id;
-            break;
-          }
-        }
-        if (!ref) {
-          ref = "ref_" + ++window.__refCounter;
-          // Store element with iframe offset info
-          window.__elementRefMap[ref] = new WeakRef(element);
-          window.__elementOffsets = window.__elementOffsets || {};
-          window.__elementOffsets[ref] = {
-            x: options.iframeOffsetX || 0,
-            y: options.iframeOffsetY || 0
-          };
-        }
-
-        // Build line
-        var line = " ".repeat(depth) + role;
-        if (name) {
-          name = name.replace(/\s+/g, " ").substring(0, 100);
-          line += ' "' + name.replace(/"/g, '\\"') + '"';
-        }
-        line += " [" + ref + "]";
-
-        // Add relevant attributes
-        if (element.getAttribute("href"))
-          line += ' href="' + element.getAttribute("href") + '"';
-        if (element.getAttribute("type"))
-          line += ' type="' + element.getAttribute("type") + '"';
-        if (element.getAttribute("placeholder"))
-          line += ' placeholder="' + element.getAttribute("placeholder") + '"';
-
-        output.push(line);
-
-        // Special handling for select
-        if ("select" === element.tagName.toLowerCase()) {
-          var opts = element.options;
-          for (var i = 0; i < opts.length; i++) {
-            var opt = opts[i];
-            var optLine = " ".repeat(depth + 1) + "option";
-            var optText = opt.textContent ? opt.textContent.trim() : "";
-            if (optText) {
-              optText = optText.replace(/\s+/g, " ").substring(0, 100);
-              optLine += ' "' + optText.replace(/"/g, '\\"') + '"';
-            }
-            if (opt.selected) optLine += " (selected)";
-            if (opt.value && opt.value !== optText)
-              optLine += ' value="' + opt.value.replace(/"/g, '\\"') + '"';
-            output.push(optLine);
-          }
-        }
-      }
-
-      // Process children
-      if (element.children && depth < treeDepth) {
-        for (var j = 0; j < element.children.length; j++) {
-          buildTreeInIframe(element.children[j], include ? depth + 1 : depth, options, doc);
+      // Process children, including the open shadow root
+      if (depth < treeDepth) {
+        var children = getChildElements(element);
+        for (var j = 0; j < children.length; j++) {
+          buildTree(children[j], include ? depth + 1 : depth, options);
         }
       }
     }
@@ -445,8 +426,6 @@ window.__generateAccessibilityTree = function(filter, maxDepth, maxChars, refId)
     } else {
       // Start from body
       if (document.body) buildTree(document.body, 0, options);
-      // Also process iframes
-      processIframes(0, 0, 0);
     }
 
     // Clean up dead references
@@ -479,7 +458,8 @@ window.__generateAccessibilityTree = function(filter, maxDepth, maxChars, refId)
     return {
       pageContent: result + truncationNote,
       viewport: { width: window.innerWidth, height: window.innerHeight },
-      truncated: truncated
+      truncated: truncated,
+      crossOriginFrames: crossOriginFrames
     };
 
   } catch (err) {
@@ -494,7 +474,8 @@ window.__getElementByRef = function(refId) {
   var weakRef = window.__elementRefMap[refId];
   if (weakRef && weakRef.deref) {
     var element = weakRef.deref();
-    if (element && document.contains(element)) {
+    // isConnected also holds for elements in shadow roots and same-origin iframes
+    if (element && element.isConnected) {
       return element;
     }
     // Element was garbage collected or removed
@@ -506,7 +487,7 @@ window.__getElementByRef = function(refId) {
 /**
  * Get bounding rect for a ref ID (for coordinate-based actions)
  * Scrolls element into view first, then returns coordinates.
- * Includes iframe offset for elements inside iframes.
+ * Includes the offset of same-origin iframes the element is inside.
  */
 window.__getElementRect = function(refId) {
   var element = window.__getElementByRef(refId);
@@ -522,8 +503,7 @@ window.__getElementRect = function(refId) {
 
   var rect = element.getBoundingClientRect();
 
-  // Check if this element has iframe offset
-  var offset = (window.__elementOffsets && window.__elementOffsets[refId]) || { x: 0, y: 0 };
+  var offset = getFrameOffset(element);
 
   return {
     x: rect.x + offset.x,
@@ -540,8 +520,118 @@ window.__getElementRect = function(refId) {
  */
 window.__clearRefMappings = function() {
   window.__elementRefMap = {};
-  window.__elementOffsets = {};
   window.__refCounter = 0;
+  window.__markRefs = {};
+  window.__frameNumbers = new WeakMap();
+  window.__frameCounter = 0;
+};
+
+/**
+ * Get the ref ID for an element, assigning a new one if needed.
+ * Elements inside a same-origin iframe get a ref qualified with the frame's number (f1:ref_5).
+ */
+function getOrCreateRef(element) {
+  for (var id in window.__elementRefMap) {
+    if (window.__elementRefMap[id].deref &&
+        window.__elementRefMap[id].deref() === element) {
+      return id;
+    }
+  }
+  var frame = getFrameElement(element);
+  var prefix = "";
+  if (frame) {
+    if (!window.__frameNumbers.has(frame)) window.__frameNumbers.set(frame, ++window.__frameCounter);
+    prefix = "f" + window.__frameNumbers.get(frame) + ":";
+  }
+  var ref = prefix + "ref_" + ++window.__refCounter;
+  window.__elementRefMap[ref] = new WeakRef(element);
+  return ref;
+}
+
+/**
+ * Check that nothing covers the element's center (modal backdrops, sticky headers)
+ */
+function isUncovered(element, rect) {
+  var view = element.ownerDocument.defaultView || window;
+  var cx = Math.min(Math.max(rect.left + rect.width / 2, 0), view.innerWidth - 1);
+  var cy = Math.min(Math.max(rect.top + rect.height / 2, 0), view.innerHeight - 1);
+  var root = element.getRootNode();
+  var hit = (root.elementFromPoint ? root : element.ownerDocument).elementFromPoint(cx, cy);
+  if (!hit || element.contains(hit)) return true;
+  // The hit may be an ancestor, or the shadow host the element is inside
+  for (var node = element; node; node = node.parentNode || node.host) {
+    if (node === hit) return true;
+  }
+  return false;
+}
+
+var MARK_COLORS = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#008080", "#9a6324", "#800000"];
+
+/**
+ * Overlay numbered marks on the interactive elements in the viewport
+ * (set-of-marks screenshots). Each mark maps to the element's ref, so marks
+ * and read_page refs point at the same elements. The overlay ignores the
+ * pointer; remove it with __clearMarks once the screenshot is taken.
+ *
+ * @param {number} maxMarks - Maximum number of marks (default: 100)
+ * @returns {Object} { marks: [{mark, ref, role, name}], viewport }
+ */
+window.__drawMarks = function(maxMarks) {
+  window.__clearMarks();
+  var limit = maxMarks || 100;
+  var marks = [];
+  var overlay = document.createElement("div");
+  overlay.id = "__llm_marks";
+  overlay.setAttribute("aria-hidden", "true");
+  overlay.style.cssText = "position:fixed;inset:0;pointer-events:none;z-index:2147483647;";
+
+  var elements = [];
+  if (document.body) forEachElement(document.body, function(el) { elements.push(el); });
+  for (var i = 0; i < elements.length && marks.length < limit; i++) {
+    var element = elements[i];
+    if (!isInteractive(element) || !isVisible(element) || element.closest("[aria-hidden=true]")) continue;
+    if (!isInViewport(element)) continue;
+
+    var rect = element.getBoundingClientRect();
+    if (!isUncovered(element, rect)) continue;
+    var offset = getFrameOffset(element);
+
+    var mark = marks.length + 1;
+    var color = MARK_COLORS[(mark - 1) % MARK_COLORS.length];
+    var box = document.createElement("div");
+    box.style.cssText = "position:fixed;box-sizing:border-box;border:2px solid " + color + ";" +
+      "left:" + (rect.left + offset.x) + "px;top:" + (rect.top + offset.y) + "px;" +
+      "width:" + rect.width + "px;height:" + rect.height + "px;";
+    var label = document.createElement("span");
+    label.textContent = String(mark);
+    label.style.cssText = "position:absolute;left:-2px;top:-2px;transform:translateY(-100%);" +
+      "background:" + color + ";color:#fff;font:bold 12px/14px sans-serif;padding:0 3px;border-radius:2px;";
+    if (rect.top + offset.y < 16) label.style.transform = "none";
+    box.appendChild(label);
+    overlay.appendChild(box);
+
+    marks.push({
+      mark: mark,
+      ref: getOrCreateRef(element),
+      role: getRole(element),
+      name: getName(element).replace(/\s+/g, " ").substring(0, 80),
+    });
+  }
+
+  window.__markRefs = {};
+  for (var j = 0; j < marks.length; j++) {
+    window.__markRefs[marks[j].mark] = marks[j].ref;
+  }
+  (document.body || document.documentElement).appendChild(overlay);
+  return { marks: marks, viewport: { width: window.innerWidth, height: window.innerHeight } };
+};
+
+/**
+ * Remove the marks overlay (the mark -> ref mapping stays until the next __drawMarks)
+ */
+window.__clearMarks = function() {
+  var overlay = document.getElementById("__llm_marks");
+  if (overlay) overlay.remove();
 };
 
 // Expose for debugging
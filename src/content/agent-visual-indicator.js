@@ -5,6 +5,8 @@
  * - Pulsing teal glow border around the viewport
  * - "Stop" button at the bottom of the page
  * - Static indicator when agent is active in tab group
+ * - Handoff banner with the agent's instructions and a "Resume" button
+ *   while the user does a step for the agent (request_human)
  */
 
 (function() {
@@ -12,6 +14,7 @@
   let glowBorder = null;
   let stopContainer = null;
   let staticIndicator = null;
+  let handoffBanner = null;
   let isShowingGlow = false;
   let isShowingStatic = false;
   let wasShowingGlow = false;
@@ -207,6 +210,90 @@
     return el;
   }
 
+  // Create the handoff banner (instructions come from the agent - set as text, never HTML)
+  function createHandoffBanner(handoff) {
+    const el = document.createElement('div');
+    el.id = 'agent-handoff-banner';
+    el.style.cssText = `
+      position: fixed;
+      top: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 16px;
+      max-width: min(640px, calc(100vw - 32px));
+      box-sizing: border-box;
+      padding: 12px 12px 12px 16px;
+      background: #FAF9F5;
+      color: #141413;
+      border: 0.5px solid rgba(31, 30, 29, 0.4);
+      border-radius: 12px;
+      box-shadow:
+        0 40px 80px rgba(93, 154, 154, 0.24),
+        0 4px 14px rgba(93, 154, 154, 0.24);
+      z-index: 2147483647;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+      font-size: 14px;
+      line-height: 1.4;
+    `;
+
+    const text = document.createElement('div');
+    text.style.cssText = 'flex: 1; min-width: 0;';
+    const title = document.createElement('div');
+    title.style.cssText = 'font-weight: 600; margin-bottom: 2px;';
+    title.textContent = 'The agent needs your help';
+    const instructions = document.createElement('div');
+    instructions.id = 'agent-handoff-instructions';
+    instructions.style.cssText = 'white-space: pre-wrap; overflow-wrap: anywhere;';
+    instructions.textContent = handoff.instructions;
+    text.appendChild(title);
+    text.appendChild(instructions);
+
+    const button = document.createElement('button');
+    button.id = 'agent-handoff-resume';
+    button.textContent = 'Resume';
+    button.style.cssText = `
+      flex-shrink: 0;
+      padding: 8px 16px;
+      background: #5D9A9A;
+      color: #FFFFFF;
+      border: none;
+      border-radius: 8px;
+      font: inherit;
+      font-weight: 600;
+      cursor: pointer;
+    `;
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        await chrome.runtime.sendMessage({ type: 'HUMAN_HANDOFF_RESUME', payload: { id: handoff.id } });
+      } catch (e) {
+        console.error('[AgentIndicator] Failed to send resume message:', e);
+        button.disabled = false;
+      }
+    });
+
+    el.appendChild(text);
+    el.appendChild(button);
+    return el;
+  }
+
+  // Show the handoff banner (replaces one already shown)
+  function showHandoffBanner(handoff) {
+    hideHandoffBanner();
+    handoffBanner = createHandoffBanner(handoff);
+    document.body.appendChild(handoffBanner);
+  }
+
+  // Hide the handoff banner
+  function hideHandoffBanner() {
+    if (handoffBanner && handoffBanner.parentNode) {
+      handoffBanner.parentNode.removeChild(handoffBanner);
+    }
+    handoffBanner = null;
+  }
+
   // Show the pulsing glow indicator
   function showGlowIndicator() {
     isShowingGlow = true;
@@ -346,6 +433,16 @@
         hideStaticIndicator();
         sendResponse({ success: true });
         break;
+
+      case 'SHOW_HUMAN_HANDOFF':
+        showHandoffBanner(message.handoff);
+        sendResponse({ success: true });
+        break;
+
+      case 'HIDE_HUMAN_HANDOFF':
+        hideHandoffBanner();
+        sendResponse({ success: true });
+        break;
     }
   });
 
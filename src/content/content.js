@@ -26,6 +26,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
 
     case 'SCROLL_TO_REF':
+    case 'SCROLL_TO_ELEMENT':
       handleScrollToRef(payload, sendResponse);
       return true;
 
@@ -37,10 +38,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       handleGetPageText(sendResponse);
       return true;
 
-    case 'SCROLL_TO_ELEMENT':
-      handleScrollToElement(payload, sendResponse);
-      return true;
-
     case 'UPLOAD_IMAGE':
       handleUploadImage(payload, sendResponse);
       return true;
@@ -98,15 +95,8 @@ function handleFormInput(payload, sendResponse) {
   try {
     const { ref, value } = payload;
 
-    // Get element by ref
-    let element = null;
-    if (window.__elementMap && window.__elementMap[ref]) {
-      element = window.__elementMap[ref].deref() || null;
-      if (element && !document.contains(element)) {
-        delete window.__elementMap[ref];
-        element = null;
-      }
-    }
+    // Get element by ref (also finds elements in shadow roots and same-origin iframes)
+    const element = window.__getElementByRef(ref);
 
     if (!element) {
       sendResponse({
@@ -116,6 +106,9 @@ function handleFormInput(payload, sendResponse) {
       return;
     }
 
+    // Elements in same-origin iframes come from that frame's realm
+    const { HTMLSelectElement, HTMLInputElement, HTMLTextAreaElement } = element.ownerDocument.defaultView || window;
+
     // Scroll element into view first
     element.scrollIntoView({ behavior: 'smooth', block: 'center' });
 
@@ -364,7 +357,7 @@ function generateUniqueSelector(element) {
 }
 
 /**
- * Handle scroll to element
+ * Handle scroll to element (SCROLL_TO_REF and the scroll_to action)
  */
 function handleScrollToRef(payload, sendResponse) {
   try {
@@ -443,34 +436,6 @@ function handleGetPageText(sendResponse) {
   }
 }
 
-/**
- * Handle scroll_to action
- */
-function handleScrollToElement(payload, sendResponse) {
-  try {
-    const { ref } = payload;
-
-    let element = null;
-    if (window.__elementMap && window.__elementMap[ref]) {
-      element = window.__elementMap[ref].deref() || null;
-      if (element && !document.contains(element)) {
-        delete window.__elementMap[ref];
-        element = null;
-      }
-    }
-
-    if (!element) {
-      sendResponse({ success: false, error: `Element ${ref} not found` });
-      return;
-    }
-
-    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    sendResponse({ success: true });
-  } catch (error) {
-    sendResponse({ success: false, error: error.message });
-  }
-}
-
 /**
  * Handle upload_image tool
  */
@@ -491,14 +456,7 @@ function handleUploadImage(payload, sendResponse) {
 
     // If ref is provided, upload to file input
     if (ref) {
-      let element = null;
-      if (window.__elementMap && window.__elementMap[ref]) {
-        element = window.__elementMap[ref].deref() || null;
-        if (element && !document.contains(element)) {
-          delete window.__elementMap[ref];
-          element = null;
-        }
-      }
+      const element = window.__getElementByRef(ref);
 
       if (!element) {
         sendResponse({ success: false, error: `Element ${ref} not found` });
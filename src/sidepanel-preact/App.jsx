@@ -1,18 +1,42 @@
 import { useState } from 'preact/hooks';
 import { useConfig } from './hooks/useConfig';
 import { useChat } from './hooks/useChat';
+import { useWorkflows } from './hooks/useWorkflows';
+import { useSchedules } from './hooks/useSchedules';
+import { useWatches } from './hooks/useWatches';
+import { useHistory } from './hooks/useHistory';
+import { useAnalytics } from './hooks/useAnalytics';
 import { Header } from './components/Header';
 import { MessageList } from './components/MessageList';
 import { InputArea } from './components/InputArea';
 import { SettingsModal } from './components/SettingsModal';
 import { PlanModal } from './components/PlanModal';
+import { PermissionModal } from './components/PermissionModal';
+import { HandoffModal } from './components/HandoffModal';
+import { WorkflowsModal } from './components/WorkflowsModal';
+import { SchedulesModal } from './components/SchedulesModal';
+import { WatchesModal } from './components/WatchesModal';
+import { HistoryModal } from './components/HistoryModal';
+import { AnalyticsModal } from './components/AnalyticsModal';
 import { EmptyState } from './components/EmptyState';
 
 export function App() {
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isWorkflowsOpen, setIsWorkflowsOpen] = useState(false);
+  const [isSchedulesOpen, setIsSchedulesOpen] = useState(false);
+  const [isWatchesOpen, setIsWatchesOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  // History entry to open directly (from a failure in the analytics dashboard)
+  const [historyEntryId, setHistoryEntryId] = useState(null);
+  const [isAnalyticsOpen, setIsAnalyticsOpen] = useState(false);
   const [suggestedText, setSuggestedText] = useState('');
   const config = useConfig();
   const chat = useChat();
+  const workflows = useWorkflows();
+  const schedules = useSchedules();
+  const watches = useWatches();
+  const history = useHistory();
+  const analytics = useAnalytics();
 
   if (config.isLoading) {
     return (
@@ -32,6 +56,11 @@ export function App() {
         currentModelIndex={config.currentModelIndex}
         onModelSelect={config.selectModel}
         onNewChat={chat.clearChat}
+        onOpenWorkflows={() => setIsWorkflowsOpen(true)}
+        onOpenSchedules={() => setIsSchedulesOpen(true)}
+        onOpenWatches={() => setIsWatchesOpen(true)}
+        onOpenHistory={() => setIsHistoryOpen(true)}
+        onOpenAnalytics={() => setIsAnalyticsOpen(true)}
         onOpenSettings={() => setIsSettingsOpen(true)}
       />
 
@@ -65,6 +94,55 @@ export function App() {
         />
       )}
 
+      {isWorkflowsOpen && (
+        <WorkflowsModal
+          workflows={workflows}
+          isRunning={chat.isRunning}
+          onRun={chat.runWorkflow}
+          onClose={() => setIsWorkflowsOpen(false)}
+        />
+      )}
+
+      {isSchedulesOpen && (
+        <SchedulesModal
+          schedules={schedules}
+          availableModels={config.availableModels}
+          onClose={() => setIsSchedulesOpen(false)}
+        />
+      )}
+
+      {isWatchesOpen && (
+        <WatchesModal
+          watches={watches}
+          onClose={() => setIsWatchesOpen(false)}
+        />
+      )}
+
+      {isHistoryOpen && (
+        <HistoryModal
+          history={history}
+          isRunning={chat.isRunning}
+          openEntryId={historyEntryId}
+          onResume={chat.loadConversation}
+          onClose={() => {
+            setIsHistoryOpen(false);
+            setHistoryEntryId(null);
+          }}
+        />
+      )}
+
+      {isAnalyticsOpen && (
+        <AnalyticsModal
+          analytics={analytics}
+          onOpenTask={(id) => {
+            setIsAnalyticsOpen(false);
+            setHistoryEntryId(id);
+            setIsHistoryOpen(true);
+          }}
+          onClose={() => setIsAnalyticsOpen(false)}
+        />
+      )}
+
       {chat.pendingPlan && (
         <PlanModal
           plan={chat.pendingPlan}
@@ -72,6 +150,26 @@ export function App() {
           onCancel={chat.cancelPlan}
         />
       )}
+
+      {chat.pendingPermissions.length > 0 && (
+        <PermissionModal
+          request={chat.pendingPermissions[0]}
+          queued={chat.pendingPermissions.length - 1}
+          onAllow={() => chat.respondToPermission(chat.pendingPermissions[0].id, true)}
+          onDeny={() => chat.respondToPermission(chat.pendingPermissions[0].id, false)}
+        />
+      )}
+
+      {/* Stop only reaches the side panel's own task, not MCP tasks */}
+      {chat.pendingHandoffs.length > 0 && (
+        <HandoffModal
+          key={chat.pendingHandoffs[0].id}
+          handoff={chat.pendingHandoffs[0]}
+          queued={chat.pendingHandoffs.length - 1}
+          onResume={(note) => chat.resumeHandoff(chat.pendingHandoffs[0].id, note)}
+          onStop={chat.pendingHandoffs[0].sessionId ? null : chat.stopTask}
+        />
+      )}
     </div>
   );
 }
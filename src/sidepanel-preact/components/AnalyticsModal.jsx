@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'preact/hooks';
+
+const RANGE_OPTIONS = [
+  { label: 'Last 7 days', value: 7 },
+  { label: 'Last 30 days', value: 30 },
+  { label: 'Last 90 days', value: 90 },
+];
+
+const formatRate = (rate) => `${Math.round(rate * 100)}%`;
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+export function AnalyticsModal({ analytics, onOpenTask, onClose }) {
+  const [activeTab, setActiveTab] = useState('tools');
+  const [days, setDays] = useState(30);
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  useEffect(() => {
+    analytics.loadAnalytics(days);
+  }, [days]);
+
+  const handleClear = () => {
+    if (confirm('Delete all recorded tool calls?')) {
+      analytics.clearAnalytics();
+    }
+  };
+
+  const data = analytics.analytics;
+  const rows = activeTab === 'tools' ? data?.tools : data?.domains;
+
+  return (
+    <div class="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div class="modal settings-modal">
+        <div class="modal-header">
+          <span>Tool Analytics</span>
+          <button class="close-btn" onClick={onClose}>&times;</button>
+        </div>
+
+        <div class="tabs">
+          <button
+            class={`tab ${activeTab === 'tools' ? 'active' : ''}`}
+            onClick={() => setActiveTab('tools')}
+          >
+            Tools
+          </button>
+          <button
+            class={`tab ${activeTab === 'domains' ? 'active' : ''}`}
+            onClick={() => setActiveTab('domains')}
+          >
+            Sites
+          </button>
+        </div>
+
+        <div class="modal-body">
+          <div class="tab-content">
+            <div class="skill-form">
+              <select class="form-select" value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))}>
+                {RANGE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {data?.totals.calls > 0 && (
+              <p class="tab-desc">
+                {data.totals.calls} tool calls in {data.totals.tasks} tasks · {formatRate(data.totals.errorRate)} failed
+                {` · ${data.totals.retries} retries · avg ${formatMs(data.totals.avgMs)}`}
+              </p>
+            )}
+
+            <div class="skills-list">
+              {!rows || rows.length === 0 ? (
+                <div class="empty-skills">
+                  {analytics.isLoading ? 'Loading...' : 'No tool calls recorded yet'}
+                </div>
+              ) : (
+                rows.map((row) => {
+                  const key = row.tool || row.domain;
+                  return (
+                    <StatsRow
+                      key={key}
+                      name={key}
+                      stats={row}
+                      actions={row.actions}
+                      isExpanded={expandedKey === key}
+                      onToggle={() => setExpandedKey(expandedKey === key ? null : key)}
+                      onOpenTask={onOpenTask}
+                    />
+                  );
+                })
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div class="modal-footer">
+          {data?.totals.calls > 0 && (
+            <button class="btn btn-secondary" onClick={handleClear}>Clear</button>
+          )}
+          <button class="btn btn-secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function StatsRow({ name, stats, actions, isExpanded, onToggle, onOpenTask }) {
+  return (
+    <div class="skill-item" onClick={onToggle}>
+      <div class="skill-info">
+        <div class="skill-domain">
+          {name}
+          {stats.errors > 0 && <span class="status-badge">{formatRate(stats.errorRate)} failed</span>}
+        </div>
+        <div class="skill-preview">
+          {stats.calls} calls · {stats.errors} errors · {stats.retries} retries
+          {` · avg ${formatMs(stats.avgMs)} · p95 ${formatMs(stats.p95Ms)}`}
+        </div>
+        {/* Per-action breakdown, e.g. how often computer clicks miss */}
+        {actions?.length > 1 && (
+          <div class="skill-preview">
+            {actions.map(a => `${a.action} ${a.errors}/${a.calls}`).join(' · ')}
+          </div>
+        )}
+        {isExpanded && (
+          <div class="schedule-run-answer">
+            {stats.topErrors.length === 0 ? 'No errors' : stats.topErrors.map((error) => (
+              <div key={error.message}>{error.count}× {error.message}</div>
+            ))}
+            {stats.recentFailures.map((failure, i) => (
+              <div key={i} class="analytics-failure">
+                {new Date(failure.time).toLocaleString()} · {failure.domain || failure.tool}
+                {failure.historyId && (
+                  <button
+                    class="btn-link"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onOpenTask(failure.historyId);
+                    }}
+                  >
+                    View task
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
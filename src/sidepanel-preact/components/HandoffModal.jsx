@@ -0,0 +1,51 @@
+import { useState } from 'preact/hooks';
+
+export function HandoffModal({ handoff, queued, onResume, onStop }) {
+  const [note, setNote] = useState('');
+
+  // Focus the tab again in case the user switched away
+  const showTab = () => {
+    chrome.tabs.update(handoff.tabId, { active: true }).catch(() => {});
+  };
+
+  return (
+    <div class="modal-overlay">
+      <div class="modal">
+        <div class="modal-header">Your Turn</div>
+        <div class="modal-body">
+          <div class="plan-section">
+            <h4>The agent needs you to:</h4>
+            <p class="permission-reason">{handoff.instructions}</p>
+            {handoff.task && <p class="tab-desc">Task: {handoff.task}</p>}
+            <p class="tab-desc">
+              Do this in the <a href="#" onClick={(e) => { e.preventDefault(); showTab(); }}>agent's tab</a>, then click Resume.
+            </p>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label">Note for the agent (optional)</label>
+            <input
+              type="text"
+              class="form-input"
+              value={note}
+              onInput={(e) => setNote(e.target.value)}
+              placeholder="e.g. Paid with the card ending 4242"
+            />
+          </div>
+
+          {queued > 0 && <p class="tab-desc">{queued} more waiting</p>}
+        </div>
+        <div class="modal-footer">
+          {onStop && (
+            <button class="btn btn-secondary" onClick={onStop}>
+              Stop Task
+            </button>
+          )}
+          <button class="btn btn-primary" onClick={() => onResume(note)}>
+            Resume
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -6,6 +6,11 @@ export function Header({
   currentModelIndex,
   onModelSelect,
   onNewChat,
+  onOpenWorkflows,
+  onOpenSchedules,
+  onOpenWatches,
+  onOpenHistory,
+  onOpenAnalytics,
   onOpenSettings,
 }) {
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
@@ -74,6 +79,40 @@ export function Header({
           </svg>
         </button>
 
+        <button class="icon-btn" onClick={onOpenWorkflows} title="Workflows">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M5 3l14 9-14 9V3z" />
+          </svg>
+        </button>
+
+        <button class="icon-btn" onClick={onOpenSchedules} title="Scheduled tasks">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <circle cx="12" cy="12" r="9" />
+            <path d="M12 7v5l3 3" />
+          </svg>
+        </button>
+
+        <button class="icon-btn" onClick={onOpenWatches} title="Page watches">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z" />
+            <circle cx="12" cy="12" r="3" />
+          </svg>
+        </button>
+
+        <button class="icon-btn" onClick={onOpenHistory} title="Task history">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M3 12a9 9 0 103-6.7L3 8" />
+            <path d="M3 3v5h5" />
+            <path d="M12 7v5l4 2" />
+          </svg>
+        </button>
+
+        <button class="icon-btn" onClick={onOpenAnalytics} title="Tool analytics">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M4 20V10M10 20V4M16 20v-7M22 20H2" />
+          </svg>
+        </button>
+
         <button class="icon-btn" onClick={onOpenSettings} title="Settings">
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <circle cx="12" cy="12" r="3" />
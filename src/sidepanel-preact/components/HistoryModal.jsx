@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'preact/hooks';
+
+const SOURCE_LABELS = { sidepanel: 'Chat', mcp: 'MCP', schedule: 'Scheduled' };
+const SUCCESS_STATUSES = ['completed', 'complete'];
+
+export function HistoryModal({ history, isRunning, openEntryId, onResume, onClose }) {
+  const [searchText, setSearchText] = useState(history.query);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    history.search(history.query);
+    if (openEntryId) {
+      handleOpen(openEntryId);
+    }
+  }, []);
+
+  // Debounce typing so each keystroke doesn't rescan the database
+  useEffect(() => {
+    if (searchText === history.query) return undefined;
+    const timeoutId = setTimeout(() => history.search(searchText), 250);
+    return () => clearTimeout(timeoutId);
+  }, [searchText]);
+
+  const handleOpen = async (id) => {
+    const entry = await history.getEntry(id);
+    if (!entry) {
+      alert('This task is no longer in the history.');
+      return;
+    }
+    setSelected(entry);
+  };
+
+  const handleResume = async () => {
+    try {
+      const runs = await history.resume(selected.id);
+      onResume(runs);
+      onClose();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleClearAll = () => {
+    if (confirm('Delete all task history?')) {
+      history.clearAll();
+    }
+  };
+
+  return (
+    <div class="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div class="modal settings-modal">
+        <div class="modal-header">
+          <span>{selected ? selected.title : 'Task History'}</span>
+          <button class="close-btn" onClick={onClose}>&times;</button>
+        </div>
+
+        <div class="modal-body">
+          {selected ? (
+            <HistoryDetail entry={selected} />
+          ) : (
+            <div class="tab-content">
+              <div class="skill-form history-search">
+                <input
+                  type="text"
+                  placeholder="Search prompts, answers and actions..."
+                  value={searchText}
+                  onInput={(e) => setSearchText(e.target.value)}
+                />
+              </div>
+
+              <div class="skills-list">
+                {history.entries.length === 0 ? (
+                  <div class="empty-skills">
+                    {history.isLoading ? 'Loading...' : (history.query ? 'No matching tasks' : 'No tasks yet')}
+                  </div>
+                ) : (
+                  history.entries.map((entry) => (
+                    <div key={entry.id} class="skill-item" onClick={() => handleOpen(entry.id)}>
+                      <div class="skill-info">
+                        <div class="skill-domain">
+                          {entry.title}
+                          <span class={`status-badge ${SUCCESS_STATUSES.includes(entry.status) ? 'connected' : ''}`}>{entry.status}</span>
+                        </div>
+                        <div class="skill-preview">
+                          {new Date(entry.updatedAt).toLocaleString()} · {SOURCE_LABELS[entry.source] || entry.source}
+                          {entry.runCount > 1 && ` · ${entry.runCount} tasks`}
+                          {entry.model && ` · ${entry.model}`}
+                        </div>
+                        {entry.answer && <div class="skill-preview">{entry.answer}</div>}
+                      </div>
+                      <div class="skill-actions">
+                        <button
+                          class="delete-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            history.deleteEntry(entry.id);
+                          }}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div class="modal-footer">
+          {selected ? (
+            <>
+              <button class="btn btn-secondary" onClick={() => setSelected(null)}>Back</button>
+              <button class="btn btn-primary" onClick={handleResume} disabled={isRunning}>Continue Task</button>
+            </>
+          ) : (
+            <>
+              {history.entries.length > 0 && !history.query && (
+                <button class="btn btn-secondary" onClick={handleClearAll}>Clear All</button>
+              )}
+              <button class="btn btn-secondary" onClick={onClose}>Close</button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function HistoryDetail({ entry }) {
+  const [previewIndex, setPreviewIndex] = useState(null);
+  const usage = entry.usage;
+
+  return (
+    <div class="tab-content">
+      <p class="tab-desc">
+        {new Date(entry.createdAt).toLocaleString()} · {SOURCE_LABELS[entry.source] || entry.source}
+        {usage && ` · ${(usage.inputTokens || 0) + (usage.outputTokens || 0)} tokens in ${usage.apiCalls || 0} calls`}
+      </p>
+
+      {entry.runs.map((run, i) => (
+        <div key={i} class="plan-section">
+          <h4>
+            Task {entry.runs.length > 1 ? i + 1 : ''}
+            <span class={`status-badge ${SUCCESS_STATUSES.includes(run.status) ? 'connected' : ''}`}>{run.status}</span>
+          </h4>
+          <div class="history-prompt">{run.prompt}</div>
+          <ol class="plan-steps">
+            {run.turns.flatMap(turn => turn.tools).map((tool, j) => (
+              <li key={j}>
+                <code>{tool.name}</code> {tool.input?.action || tool.input?.url || ''}
+                {tool.result && <div class="skill-preview">{String(tool.result).substring(0, 150)}</div>}
+              </li>
+            ))}
+          </ol>
+          {(run.answer || run.error) && <div class="schedule-run-answer">{run.answer || run.error}</div>}
+        </div>
+      ))}
+
+      {entry.screenshots.length > 0 && (
+        <div class="plan-section">
+          <h4>Screenshots</h4>
+          <div class="history-screenshots">
+            {entry.screenshots.map((src, i) => (
+              <img key={i} src={src} alt={`Screenshot ${i + 1}`} onClick={() => setPreviewIndex(previewIndex === i ? null : i)} />
+            ))}
+          </div>
+          {previewIndex !== null && <img class="history-screenshot-preview" src={entry.screenshots[previewIndex]} alt="" />}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+export function PermissionModal({ request, queued, onAllow, onDeny }) {
+  return (
+    <div class="modal-overlay">
+      <div class="modal">
+        <div class="modal-header">Confirm Action</div>
+        <div class="modal-body">
+          {request.domain && (
+            <div class="plan-section">
+              <h4>Domain:</h4>
+              <ul class="plan-domains">
+                <li>{request.domain}</li>
+              </ul>
+            </div>
+          )}
+
+          <div class="plan-section">
+            <h4>The agent wants to:</h4>
+            <p class="permission-reason">{request.reason}</p>
+            {request.tool && <p class="tab-desc">Tool: {request.tool}</p>}
+            {request.task && <p class="tab-desc">Task: {request.task}</p>}
+          </div>
+
+          {queued > 0 && <p class="tab-desc">{queued} more waiting</p>}
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" onClick={onDeny}>
+            Deny
+          </button>
+          <button class="btn btn-primary" onClick={onAllow}>
+            Allow
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
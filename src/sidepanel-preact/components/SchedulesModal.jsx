@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'preact/hooks';
+
+const EMPTY_FORM = { isOpen: false, id: null, name: '', prompt: '', url: '', modelIndex: -1, recurrence: '0 9 * * 1-5' };
+
+const RECURRENCE_PRESETS = [
+  { label: 'Weekdays 9am', value: '0 9 * * 1-5' },
+  { label: 'Daily 9am', value: '0 9 * * *' },
+  { label: 'Hourly', value: '0 * * * *' },
+  { label: 'Mondays 9am', value: '0 9 * * 1' },
+];
+
+export function SchedulesModal({ schedules, availableModels, onClose }) {
+  const [activeTab, setActiveTab] = useState('tasks');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+
+  useEffect(() => {
+    schedules.loadSchedules();
+  }, []);
+
+  const handleEdit = (schedule) => {
+    const modelIndex = availableModels.findIndex(m =>
+      m.modelId === schedule.model?.modelId && m.baseUrl === schedule.model?.baseUrl);
+    setForm({
+      isOpen: true,
+      id: schedule.id,
+      name: schedule.name,
+      prompt: schedule.prompt,
+      url: schedule.url || '',
+      modelIndex,
+      recurrence: schedule.recurrence,
+    });
+  };
+
+  const handleSave = async () => {
+    const model = availableModels[form.modelIndex];
+    try {
+      await schedules.saveSchedule({
+        id: form.id,
+        name: form.name,
+        prompt: form.prompt,
+        url: form.url,
+        recurrence: form.recurrence,
+        model: model
+          ? { name: model.name, modelId: model.modelId, baseUrl: model.baseUrl, apiKey: model.apiKey, authMethod: model.authMethod, toolMode: model.toolMode }
+          : null,
+      });
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleToggle = (schedule) => {
+    schedules.saveSchedule({ ...schedule, enabled: !schedule.enabled }).catch(error => alert(error.message));
+  };
+
+  const handleRunNow = (schedule) => {
+    schedules.runNow(schedule.id).catch(error => alert(error.message));
+  };
+
+  return (
+    <div class="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div class="modal settings-modal">
+        <div class="modal-header">
+          <span>Scheduled Tasks</span>
+          <button class="close-btn" onClick={onClose}>&times;</button>
+        </div>
+
+        <div class="tabs">
+          <button
+            class={`tab ${activeTab === 'tasks' ? 'active' : ''}`}
+            onClick={() => setActiveTab('tasks')}
+          >
+            Schedules
+          </button>
+          <button
+            class={`tab ${activeTab === 'history' ? 'active' : ''}`}
+            onClick={() => setActiveTab('history')}
+          >
+            Run History
+          </button>
+        </div>
+
+        <div class="modal-body">
+          {activeTab === 'tasks' && (
+            <div class="tab-content">
+              <p class="tab-desc">Run tasks automatically in a background window on a recurring schedule</p>
+
+              <button class="btn btn-secondary" onClick={() => setForm({ ...EMPTY_FORM, isOpen: true })}>
+                + Add Schedule
+              </button>
+
+              {form.isOpen && (
+                <ScheduleForm
+                  form={form}
+                  setForm={setForm}
+                  availableModels={availableModels}
+                  onSave={handleSave}
+                />
+              )}
+
+              <div class="skills-list">
+                {schedules.schedules.length === 0 ? (
+                  <div class="empty-skills">No scheduled tasks yet</div>
+                ) : (
+                  schedules.schedules.map((schedule) => (
+                    <div key={schedule.id} class={`skill-item ${schedule.enabled ? '' : 'builtin'}`}>
+                      <div class="skill-info">
+                        <div class="skill-domain">{schedule.name}</div>
+                        <div class="skill-preview">
+                          <code>{schedule.recurrence}</code>
+                          {schedule.model && ` · ${schedule.model.name}`}
+                          {schedule.enabled && schedule.nextRunAt && ` · next ${new Date(schedule.nextRunAt).toLocaleString()}`}
+                          {schedule.lastStatus && ` · last ${schedule.lastStatus}`}
+                        </div>
+                      </div>
+                      <div class="skill-actions">
+                        <button onClick={() => handleRunNow(schedule)}>Run</button>
+                        <button onClick={() => handleToggle(schedule)}>{schedule.enabled ? 'Pause' : 'Resume'}</button>
+                        <button onClick={() => handleEdit(schedule)}>Edit</button>
+                        <button class="delete-btn" onClick={() => schedules.deleteSchedule(schedule.id)}>Delete</button>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'history' && (
+            <div class="tab-content">
+              <div class="skills-list">
+                {schedules.runs.length === 0 ? (
+                  <div class="empty-skills">No runs yet</div>
+                ) : (
+                  schedules.runs.map((run) => (
+                    <div key={run.id} class="skill-item" onClick={() => setExpandedRunId(expandedRunId === run.id ? null : run.id)}>
+                      <div class="skill-info">
+                        <div class="skill-domain">
+                          {run.name}
+                          <span class={`status-badge ${run.status === 'complete' ? 'connected' : ''}`}>{run.status}</span>
+                        </div>
+                        <div class="skill-preview">
+                          {new Date(run.startedAt).toLocaleString()} · {run.steps} steps
+                        </div>
+                        {expandedRunId === run.id && <div class="schedule-run-answer">{run.answer}</div>}
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div class="modal-footer">
+          <button class="btn btn-secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ScheduleForm({ form, setForm, availableModels, onSave }) {
+  return (
+    <div class="skill-form">
+      <input
+        type="text"
+        placeholder="Name (e.g., Jira morning summary)"
+        value={form.name}
+        onInput={(e) => setForm({ ...form, name: e.target.value })}
+      />
+      <textarea
+        placeholder="Task (e.g., Summarize my unread Jira tickets)"
+        value={form.prompt}
+        onInput={(e) => setForm({ ...form, prompt: e.target.value })}
+        rows={3}
+      />
+      <input
+        type="text"
+        placeholder="Start URL (optional)"
+        value={form.url}
+        onInput={(e) => setForm({ ...form, url: e.target.value })}
+      />
+      <select
+        class="form-select"
+        value={form.modelIndex}
+        onChange={(e) => setForm({ ...form, modelIndex: parseInt(e.target.value, 10) })}
+      >
+        <option value={-1}>Currently selected model</option>
+        {availableModels.map((model, i) => (
+          <option key={i} value={i}>{model.name}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        placeholder="Cron: minute hour day month weekday"
+        value={form.recurrence}
+        onInput={(e) => setForm({ ...form, recurrence: e.target.value })}
+      />
+      <div class="schedule-presets">
+        {RECURRENCE_PRESETS.map((preset) => (
+          <button key={preset.value} class="example-chip" onClick={() => setForm({ ...form, recurrence: preset.value })}>
+            {preset.label}
+          </button>
+        ))}
+      </div>
+      <div class="skill-form-actions">
+        <button class="btn btn-secondary" onClick={() => setForm({ ...form, isOpen: false })}>
+          Cancel
+        </button>
+        <button class="btn btn-primary" onClick={onSave}>
+          {form.id ? 'Update' : 'Add'}
+        </button>
+      </div>
+    </div>
+  );
+}
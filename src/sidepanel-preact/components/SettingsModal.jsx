@@ -1,12 +1,14 @@
 import { useState } from 'preact/hooks';
-import { PROVIDERS } from '../config/providers';
+import { PROVIDERS, LOCAL_PROVIDER } from '../config/providers';
+import { useVault } from '../hooks/useVault';
+import { useSkills } from '../hooks/useSkills';
+import { formatMarkdown } from '../utils/format';
 
 export function SettingsModal({ config, onClose }) {
   const [activeTab, setActiveTab] = useState('providers');
   const [selectedProvider, setSelectedProvider] = useState(null);
   const [localKeys, setLocalKeys] = useState({ ...config.providerKeys });
   const [newCustomModel, setNewCustomModel] = useState({ name: '', baseUrl: '', modelId: '', apiKey: '' });
-  const [skillForm, setSkillForm] = useState({ domain: '', skill: '', isOpen: false, editIndex: -1 });
 
   const handleSave = async () => {
     // Update provider keys
@@ -28,20 +30,6 @@ export function SettingsModal({ config, onClose }) {
     setNewCustomModel({ name: '', baseUrl: '', modelId: '', apiKey: '' });
   };
 
-  const handleAddSkill = () => {
-    if (!skillForm.domain || !skillForm.skill) {
-      alert('Please fill in both domain and tips/guidance');
-      return;
-    }
-    config.addUserSkill({ domain: skillForm.domain.toLowerCase(), skill: skillForm.skill });
-    setSkillForm({ domain: '', skill: '', isOpen: false, editIndex: -1 });
-  };
-
-  const handleEditSkill = (index) => {
-    const skill = config.userSkills[index];
-    setSkillForm({ domain: skill.domain, skill: skill.skill, isOpen: true, editIndex: index });
-  };
-
   return (
     <div class="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
       <div class="modal settings-modal">
@@ -69,6 +57,42 @@ export function SettingsModal({ config, onClose }) {
           >
             Domain Skills
           </button>
+          <button
+            class={`tab ${activeTab === 'privacy' ? 'active' : ''}`}
+            onClick={() => setActiveTab('privacy')}
+          >
+            Privacy
+          </button>
+          <button
+            class={`tab ${activeTab === 'vault' ? 'active' : ''}`}
+            onClick={() => setActiveTab('vault')}
+          >
+            Vault
+          </button>
+          <button
+            class={`tab ${activeTab === 'permissions' ? 'active' : ''}`}
+            onClick={() => setActiveTab('permissions')}
+          >
+            Permissions
+          </button>
+          <button
+            class={`tab ${activeTab === 'budgets' ? 'active' : ''}`}
+            onClick={() => setActiveTab('budgets')}
+          >
+            Budgets
+          </button>
+          <button
+            class={`tab ${activeTab === 'failover' ? 'active' : ''}`}
+            onClick={() => setActiveTab('failover')}
+          >
+            Failover
+          </button>
+          <button
+            class={`tab ${activeTab === 'tiering' ? 'active' : ''}`}
+            onClick={() => setActiveTab('tiering')}
+          >
+            Tiering
+          </button>
         </div>
 
         <div class="modal-body">
@@ -92,15 +116,45 @@ export function SettingsModal({ config, onClose }) {
             />
           )}
 
-          {activeTab === 'skills' && (
-            <SkillsTab
-              userSkills={config.userSkills}
-              builtInSkills={config.builtInSkills}
-              skillForm={skillForm}
-              setSkillForm={setSkillForm}
-              onAdd={handleAddSkill}
-              onEdit={handleEditSkill}
-              onRemove={config.removeUserSkill}
+          {activeTab === 'skills' && <SkillsTab />}
+
+          {activeTab === 'privacy' && (
+            <PrivacyTab
+              settings={config.redactionSettings}
+              setSettings={config.setRedactionSettings}
+            />
+          )}
+
+          {activeTab === 'vault' && <VaultTab />}
+
+          {activeTab === 'permissions' && (
+            <PermissionsTab
+              policies={config.actionPolicies}
+              setPolicies={config.setActionPolicies}
+            />
+          )}
+
+          {activeTab === 'budgets' && (
+            <BudgetsTab
+              settings={config.budgetSettings}
+              setSettings={config.setBudgetSettings}
+            />
+          )}
+
+          {activeTab === 'failover' && (
+            <FailoverTab
+              settings={config.failoverSettings}
+              setSettings={config.setFailoverSettings}
+              availableModels={config.availableModels}
+            />
+          )}
+
+          {activeTab === 'tiering' && (
+            <TieringTab
+              settings={config.tierSettings}
+              setSettings={config.setTierSettings}
+              availableModels={config.availableModels}
+              currentModel={config.currentModel}
             />
           )}
         </div>
@@ -176,6 +230,10 @@ function ProvidersTab({ localKeys, setLocalKeys, selectedProvider, setSelectedPr
 
       <hr />
 
+      <LocalProviderSection config={config} />
+
+      <hr />
+
       {/* MCP Server Integration */}
       <div class="provider-section">
         <h4>MCP Server</h4>
@@ -189,6 +247,72 @@ function ProvidersTab({ localKeys, setLocalKeys, selectedProvider, setSelectedPr
   );
 }
 
+function LocalProviderSection({ config }) {
+  const [baseUrl, setBaseUrl] = useState(config.localProvider.baseUrl);
+  const [apiKey, setApiKey] = useState(config.localProvider.apiKey || '');
+  const [status, setStatus] = useState({ loading: false, error: null });
+
+  const handleDiscover = async () => {
+    setStatus({ loading: true, error: null });
+    try {
+      await config.discoverLocalModels(baseUrl.trim(), apiKey.trim());
+      setStatus({ loading: false, error: null });
+    } catch (error) {
+      setStatus({ loading: false, error: error.message });
+    }
+  };
+
+  return (
+    <div class="provider-section">
+      <h4>Local Models</h4>
+      <p class="provider-desc">
+        Run against Ollama, LM Studio, llama.cpp or any OpenAI-compatible server on this machine or your network. Page content never leaves it.
+      </p>
+      <div class="schedule-presets">
+        {LOCAL_PROVIDER.presets.map((preset) => (
+          <button key={preset.name} class="example-chip" onClick={() => setBaseUrl(preset.baseUrl)}>
+            {preset.name}
+          </button>
+        ))}
+      </div>
+      <div class="custom-model-form">
+        <input
+          type="text"
+          placeholder={`Server URL (e.g., ${LOCAL_PROVIDER.defaultBaseUrl})`}
+          value={baseUrl}
+          onInput={(e) => setBaseUrl(e.target.value)}
+        />
+        <input
+          type="password"
+          placeholder="API Key (optional)"
+          value={apiKey}
+          onInput={(e) => setApiKey(e.target.value)}
+        />
+        <button class="btn btn-primary" onClick={handleDiscover} disabled={status.loading || !baseUrl.trim()}>
+          {status.loading ? 'Discovering...' : 'Discover Models'}
+        </button>
+      </div>
+      {status.error && <p class="provider-desc local-error">{status.error}</p>}
+
+      {config.localProvider.models.length > 0 && (
+        <div class="custom-models-list">
+          {config.localProvider.models.map((model) => (
+            <div key={model.id} class="custom-model-item">
+              <div class="model-info">
+                <span class="model-name">{model.id}</span>
+                <span class="model-url">
+                  {model.supportsTools ? 'Native tool calling' : 'No tool calling - using text tool calls'}
+                </span>
+              </div>
+            </div>
+          ))}
+          <p class="provider-desc">Save to add these models to the model picker.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
 function CustomModelsTab({ customModels, newModel, setNewModel, onAdd, onRemove }) {
   return (
     <div class="tab-content">
@@ -240,54 +364,145 @@ function CustomModelsTab({ customModels, newModel, setNewModel, onAdd, onRemove
   );
 }
 
-function SkillsTab({ userSkills, builtInSkills, skillForm, setSkillForm, onAdd, onEdit, onRemove }) {
+const MATCH_TYPES = [
+  { value: 'domain', label: 'Domain', placeholder: 'github.com (subdomains match too)' },
+  { value: 'glob', label: 'URL glob', placeholder: '*.atlassian.net/browse/*' },
+  { value: 'regex', label: 'URL regex', placeholder: '^https://intranet\\.acme\\.com/(hr|it)/' },
+];
+
+const EMPTY_SKILL_FORM = { id: null, name: '', matchType: 'domain', pattern: '', skill: '', antiBot: false, enabled: true, isOpen: false };
+
+const describeMatch = (match) => (match.type === 'domain' ? match.pattern : `${match.type}: ${match.pattern}`);
+
+// Save the content as a file through a temporary download link
+const downloadFile = ({ content, filename }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: filename.endsWith('.md') ? 'text/markdown' : 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+function SkillsTab() {
+  const { skills, builtInSkills, saveSkill, deleteSkill, restoreVersion, importSkills, exportSkills, matchUrl } = useSkills();
+  const [form, setForm] = useState(EMPTY_SKILL_FORM);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Run a skills request, showing its error instead of throwing
+  const run = async (request) => {
+    setError('');
+    setNotice('');
+    try {
+      return await request();
+    } catch (e) {
+      setError(e.message);
+      return null;
+    }
+  };
+
+  const openForm = (fields) => {
+    setError('');
+    setForm({ ...EMPTY_SKILL_FORM, ...fields, isOpen: true });
+  };
+
+  const handleEdit = (skill) => {
+    openForm({ ...skill, matchType: skill.match.type, pattern: skill.match.pattern });
+  };
+
+  // A user skill for a built-in's domain replaces it
+  const handleCustomize = (builtIn) => {
+    openForm({ name: builtIn.domain, pattern: builtIn.domain, skill: builtIn.skill, antiBot: builtIn.antiBot });
+  };
+
+  const handleSave = async () => {
+    const { id, name, matchType, pattern, skill, antiBot, enabled } = form;
+    const saved = await run(() => saveSkill({ id, name, match: { type: matchType, pattern }, skill, antiBot, enabled }));
+    if (saved) setForm(EMPTY_SKILL_FORM);
+  };
+
+  const handleRestore = async (version) => {
+    const restored = await run(() => restoreVersion(form.id, version));
+    if (restored) handleEdit(restored);
+  };
+
+  const handleToggle = (skill) => {
+    run(() => saveSkill({ ...skill, enabled: skill.enabled === false }));
+  };
+
+  const handleDelete = (skill) => {
+    if (confirm(`Delete the skill "${skill.name}" and its history?`)) run(() => deleteSkill(skill.id));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const imported = await run(async () => importSkills(await file.text()));
+    if (imported) {
+      setNotice(`Imported ${file.name}: ${imported.added} added, ${imported.updated} updated, ${imported.unchanged} unchanged`);
+    }
+  };
+
+  const handleExport = async (format) => {
+    const file = await run(() => exportSkills(format));
+    if (file) downloadFile(file);
+  };
+
   return (
     <div class="tab-content">
-      <p class="tab-desc">Add domain-specific tips to help the AI navigate websites</p>
+      <p class="tab-desc">
+        Markdown guidance the agent gets on matching pages. Match by domain, a URL glob or a
+        regex. Every edit is kept as a version. Import and export packs to share skills with a team.
+      </p>
 
-      <button
-        class="btn btn-secondary"
-        onClick={() => setSkillForm({ ...skillForm, isOpen: true, editIndex: -1, domain: '', skill: '' })}
-      >
-        + Add Skill
-      </button>
+      <div class="skill-form-actions">
+        <button class="btn btn-secondary" onClick={() => openForm({})}>+ Add Skill</button>
+        <label class="btn btn-secondary">
+          Import
+          <input type="file" accept=".json,.md,.markdown,application/json,text/markdown" hidden onChange={handleImport} />
+        </label>
+        <button class="btn btn-secondary" disabled={skills.length === 0} onClick={() => handleExport('json')}>Export JSON</button>
+        <button class="btn btn-secondary" disabled={skills.length === 0} onClick={() => handleExport('markdown')}>Export Markdown</button>
+      </div>
 
-      {skillForm.isOpen && (
-        <div class="skill-form">
-          <input
-            type="text"
-            placeholder="Domain (e.g., github.com)"
-            value={skillForm.domain}
-            onInput={(e) => setSkillForm({ ...skillForm, domain: e.target.value })}
-          />
-          <textarea
-            placeholder="Tips and guidance for this domain..."
-            value={skillForm.skill}
-            onInput={(e) => setSkillForm({ ...skillForm, skill: e.target.value })}
-            rows={4}
-          />
-          <div class="skill-form-actions">
-            <button class="btn btn-secondary" onClick={() => setSkillForm({ ...skillForm, isOpen: false })}>
-              Cancel
-            </button>
-            <button class="btn btn-primary" onClick={onAdd}>
-              {skillForm.editIndex >= 0 ? 'Update' : 'Add'}
-            </button>
-          </div>
-        </div>
+      {error && <p class="provider-desc local-error">{error}</p>}
+      {notice && <p class="tab-desc">{notice}</p>}
+
+      {form.isOpen && (
+        <SkillEditor
+          form={form}
+          setForm={setForm}
+          history={skills.find(s => s.id === form.id)?.history || []}
+          onSave={handleSave}
+          onCancel={() => setForm(EMPTY_SKILL_FORM)}
+          onRestore={handleRestore}
+          matchUrl={matchUrl}
+        />
       )}
 
       <div class="skills-list">
-        {userSkills.length > 0 && (
+        {skills.length > 0 && (
           <>
             <h4>Your Skills</h4>
-            {userSkills.map((skill, i) => (
-              <div key={i} class="skill-item">
-                <div class="skill-domain">{skill.domain}</div>
-                <div class="skill-preview">{skill.skill.substring(0, 100)}...</div>
+            {skills.map((skill) => (
+              <div key={skill.id} class={`skill-item ${skill.enabled === false ? 'builtin' : ''}`}>
+                <div class="skill-info">
+                  <div class="skill-domain">
+                    {skill.name}
+                    <span class="builtin-badge">v{skill.version}</span>
+                    {skill.antiBot && <span class="builtin-badge">anti-bot</span>}
+                  </div>
+                  <div class="skill-preview">{describeMatch(skill.match)}</div>
+                  <div class="skill-preview">{skill.skill.substring(0, 100)}...</div>
+                </div>
                 <div class="skill-actions">
-                  <button class="btn btn-sm" onClick={() => onEdit(i)}>Edit</button>
-                  <button class="btn btn-sm btn-danger" onClick={() => onRemove(i)}>Delete</button>
+                  <button class="btn btn-sm" onClick={() => handleToggle(skill)}>
+                    {skill.enabled === false ? 'Enable' : 'Disable'}
+                  </button>
+                  <button class="btn btn-sm" onClick={() => handleEdit(skill)}>Edit</button>
+                  <button class="btn btn-sm btn-danger" onClick={() => handleDelete(skill)}>Delete</button>
                 </div>
               </div>
             ))}
@@ -297,10 +512,18 @@ function SkillsTab({ userSkills, builtInSkills, skillForm, setSkillForm, onAdd,
         {builtInSkills.length > 0 && (
           <>
             <h4>Built-in Skills</h4>
-            {builtInSkills.map((skill, i) => (
-              <div key={i} class="skill-item builtin">
-                <div class="skill-domain">{skill.domain}</div>
-                <div class="skill-preview">{skill.skill.substring(0, 100)}...</div>
+            {builtInSkills.map((skill) => (
+              <div key={skill.domain} class="skill-item builtin">
+                <div class="skill-info">
+                  <div class="skill-domain">
+                    {skill.domain}
+                    {skill.antiBot && <span class="builtin-badge">anti-bot</span>}
+                  </div>
+                  <div class="skill-preview">{skill.skill.substring(0, 100)}...</div>
+                </div>
+                <div class="skill-actions">
+                  <button class="btn btn-sm" onClick={() => handleCustomize(skill)}>Customize</button>
+                </div>
               </div>
             ))}
           </>
@@ -309,3 +532,790 @@ function SkillsTab({ userSkills, builtInSkills, skillForm, setSkillForm, onAdd,
     </div>
   );
 }
+
+function SkillEditor({ form, setForm, history, onSave, onCancel, onRestore, matchUrl }) {
+  const [isPreview, setIsPreview] = useState(false);
+  const [testUrl, setTestUrl] = useState('');
+  const [testResult, setTestResult] = useState('');
+  const matchType = MATCH_TYPES.find(t => t.value === form.matchType);
+
+  // Check the pattern being edited (saved or not) against a URL
+  const handleTest = async () => {
+    try {
+      const { patternMatches, matches } = await matchUrl(testUrl, { match: { type: form.matchType, pattern: form.pattern } });
+      const others = matches.filter(name => name !== form.name);
+      setTestResult(`${patternMatches ? 'Matches' : 'Does not match'}${others.length ? ` · also gets: ${others.join(', ')}` : ''}`);
+    } catch (e) {
+      setTestResult(e.message);
+    }
+  };
+
+  return (
+    <div class="skill-form">
+      <div class="skill-form-header">
+        {form.id ? `Edit skill (version ${form.version})` : 'New skill'}
+        <button class="btn btn-sm" onClick={() => setIsPreview(!isPreview)}>{isPreview ? 'Write' : 'Preview'}</button>
+      </div>
+      <input
+        type="text"
+        placeholder="Name (e.g., Jira)"
+        value={form.name}
+        onInput={(e) => setForm({ ...form, name: e.target.value })}
+      />
+      <select class="form-select" value={form.matchType} onChange={(e) => setForm({ ...form, matchType: e.target.value })}>
+        {MATCH_TYPES.map((t) => <option key={t.value} value={t.value}>{t.label}</option>)}
+      </select>
+      <input
+        type="text"
+        placeholder={matchType.placeholder}
+        value={form.pattern}
+        onInput={(e) => setForm({ ...form, pattern: e.target.value })}
+      />
+      {isPreview ? (
+        <div class="skill-markdown" dangerouslySetInnerHTML={{ __html: formatMarkdown(form.skill) }} />
+      ) : (
+        <textarea
+          placeholder="Tips and guidance in Markdown, e.g. - Open an issue's menu with the ... button"
+          value={form.skill}
+          onInput={(e) => setForm({ ...form, skill: e.target.value })}
+          rows={10}
+        />
+      )}
+      <label class="toggle-row">
+        <input type="checkbox" checked={form.antiBot} onChange={(e) => setForm({ ...form, antiBot: e.target.checked })} />
+        Human-like typing, clicking and scrolling on matching pages (for sites with bot detection)
+      </label>
+
+      <div class="skill-test-row">
+        <input type="text" placeholder="Test a URL" value={testUrl} onInput={(e) => setTestUrl(e.target.value)} />
+        <button class="btn btn-sm" disabled={!testUrl || !form.pattern} onClick={handleTest}>Test</button>
+      </div>
+      {testResult && <p class="tab-desc">{testResult}</p>}
+
+      {history.length > 0 && (
+        <div class="schedule-run-answer">
+          {history.map((previous) => (
+            <div key={previous.version} class="analytics-failure">
+              v{previous.version} · {new Date(previous.updatedAt).toLocaleString()} · {describeMatch(previous.match)}
+              <button class="btn-link" onClick={() => onRestore(previous.version)}>Restore</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div class="skill-form-actions">
+        <button class="btn btn-secondary" onClick={onCancel}>Cancel</button>
+        <button class="btn btn-primary" onClick={onSave}>{form.id ? 'Save Version' : 'Add'}</button>
+      </div>
+    </div>
+  );
+}
+
+const BUILT_IN_REDACTIONS = [
+  { key: 'creditCard', label: 'Credit card numbers' },
+  { key: 'ssn', label: 'US Social Security numbers' },
+  { key: 'apiKey', label: 'API keys and tokens' },
+  { key: 'email', label: 'Email addresses' },
+];
+
+function PrivacyTab({ settings, setSettings }) {
+  const [patternForm, setPatternForm] = useState({ name: '', pattern: '', isOpen: false, error: '' });
+  const [allowlistText, setAllowlistText] = useState((settings.allowlist || []).join('\n'));
+
+  const update = (changes) => setSettings({ ...settings, ...changes });
+
+  const handleAddPattern = () => {
+    if (!patternForm.name || !patternForm.pattern) {
+      setPatternForm({ ...patternForm, error: 'Please fill in both name and pattern' });
+      return;
+    }
+    try {
+      new RegExp(patternForm.pattern, 'g');
+    } catch (e) {
+      setPatternForm({ ...patternForm, error: `Invalid regex: ${e.message}` });
+      return;
+    }
+    update({ customPatterns: [...settings.customPatterns, { name: patternForm.name, pattern: patternForm.pattern }] });
+    setPatternForm({ name: '', pattern: '', isOpen: false, error: '' });
+  };
+
+  const handleAllowlistInput = (text) => {
+    setAllowlistText(text);
+    update({ allowlist: text.split('\n').map(d => d.trim()).filter(Boolean) });
+  };
+
+  return (
+    <div class="tab-content">
+      <p class="tab-desc">
+        Mask sensitive data in page content before it is sent to the model. Matches are replaced
+        with [REDACTED:type] and blurred in screenshots.
+      </p>
+
+      <label class="toggle-row">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Enable redaction
+      </label>
+
+      <h4>Built-in patterns</h4>
+      {BUILT_IN_REDACTIONS.map(({ key, label }) => (
+        <label key={key} class="toggle-row">
+          <input
+            type="checkbox"
+            checked={settings.builtIn[key]}
+            disabled={!settings.enabled}
+            onChange={(e) => update({ builtIn: { ...settings.builtIn, [key]: e.target.checked } })}
+          />
+          {label}
+        </label>
+      ))}
+      <label class="toggle-row">
+        <input
+          type="checkbox"
+          checked={settings.blurScreenshots}
+          disabled={!settings.enabled}
+          onChange={(e) => update({ blurScreenshots: e.target.checked })}
+        />
+        Blur matching regions and password fields in screenshots
+      </label>
+
+      <h4>Custom patterns</h4>
+      <div class="skills-list">
+        {settings.customPatterns.map((custom, i) => (
+          <div key={i} class="skill-item">
+            <div class="skill-domain">{custom.name}</div>
+            <div class="skill-preview"><code>{custom.pattern}</code></div>
+            <div class="skill-actions">
+              <button
+                class="btn btn-sm btn-danger"
+                onClick={() => update({ customPatterns: settings.customPatterns.filter((_, j) => j !== i) })}
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      {patternForm.isOpen ? (
+        <div class="skill-form">
+          <input
+            type="text"
+            placeholder="Name (e.g., employee_id)"
+            value={patternForm.name}
+            onInput={(e) => setPatternForm({ ...patternForm, name: e.target.value, error: '' })}
+          />
+          <input
+            type="text"
+            placeholder="Regex (e.g., EMP-\d{6})"
+            value={patternForm.pattern}
+            onInput={(e) => setPatternForm({ ...patternForm, pattern: e.target.value, error: '' })}
+          />
+          {patternForm.error && <p class="provider-desc local-error">{patternForm.error}</p>}
+          <div class="skill-form-actions">
+            <button class="btn btn-secondary" onClick={() => setPatternForm({ ...patternForm, isOpen: false, error: '' })}>
+              Cancel
+            </button>
+            <button class="btn btn-primary" onClick={handleAddPattern}>Add</button>
+          </div>
+        </div>
+      ) : (
+        <button class="btn btn-secondary" onClick={() => setPatternForm({ ...patternForm, isOpen: true })}>
+          + Add Pattern
+        </button>
+      )}
+
+      <h4>Allowlisted domains</h4>
+      <p class="tab-desc">Nothing is redacted on these domains or their subdomains. One per line.</p>
+      <div class="skill-form">
+        <textarea
+          placeholder={'intranet.example.com\nlocalhost'}
+          value={allowlistText}
+          onInput={(e) => handleAllowlistInput(e.target.value)}
+          rows={3}
+        />
+      </div>
+    </div>
+  );
+}
+
+const EMPTY_CREDENTIAL_FORM = { id: null, domain: '', username: '', password: '', totp: '', clearTotp: false, hasTotp: false, isOpen: false };
+
+function VaultTab() {
+  const { vault, createVault, unlockVault, lockVault, deleteVault, saveCredential, deleteCredential } = useVault();
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [form, setForm] = useState(EMPTY_CREDENTIAL_FORM);
+  const [error, setError] = useState('');
+
+  // Run a vault request, showing its error instead of throwing
+  const run = async (request) => {
+    setError('');
+    try {
+      await request();
+      return true;
+    } catch (e) {
+      setError(e.message);
+      return false;
+    }
+  };
+
+  const handleCreate = () => {
+    if (passphrase !== confirmPassphrase) {
+      setError('The passphrases do not match');
+      return;
+    }
+    run(() => createVault(passphrase)).then(ok => ok && setPassphrase(''));
+  };
+
+  const handleUnlock = () => {
+    run(() => unlockVault(passphrase)).then(ok => ok && setPassphrase(''));
+  };
+
+  const handleDeleteVault = () => {
+    if (confirm('Delete the vault and every login in it?')) run(deleteVault);
+  };
+
+  const handleSave = () => {
+    const { id, domain, username, password, totp, clearTotp } = form;
+    run(() => saveCredential({ id, domain, username, password, totp, clearTotp }))
+      .then(ok => ok && setForm(EMPTY_CREDENTIAL_FORM));
+  };
+
+  const handleEdit = (credential) => {
+    setError('');
+    setForm({ ...EMPTY_CREDENTIAL_FORM, ...credential, password: '', totp: '', isOpen: true });
+  };
+
+  const errorText = error && <p class="provider-desc local-error">{error}</p>;
+
+  if (!vault.exists || !vault.unlocked) {
+    return (
+      <div class="tab-content">
+        <p class="tab-desc">
+          Save logins so the agent can sign in and enter two-factor codes for you. Logins are
+          encrypted with a passphrase that is never stored, and the agent fills them into login
+          forms without ever seeing the password or code.
+        </p>
+        <div class="skill-form">
+          <input
+            type="password"
+            placeholder={vault.exists ? 'Passphrase' : 'New passphrase (8+ characters)'}
+            value={passphrase}
+            onInput={(e) => setPassphrase(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && vault.exists && handleUnlock()}
+          />
+          {!vault.exists && (
+            <input
+              type="password"
+              placeholder="Repeat passphrase"
+              value={confirmPassphrase}
+              onInput={(e) => setConfirmPassphrase(e.target.value)}
+            />
+          )}
+          {errorText}
+          <div class="skill-form-actions">
+            {vault.exists && <button class="btn btn-danger" onClick={handleDeleteVault}>Delete vault</button>}
+            {vault.exists
+              ? <button class="btn btn-primary" onClick={handleUnlock}>Unlock</button>
+              : <button class="btn btn-primary" onClick={handleCreate}>Create vault</button>}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div class="tab-content">
+      <p class="tab-desc">
+        Unlocked until {new Date(vault.expiresAt).toLocaleTimeString()} or until the browser closes.
+        The agent uses these logins through the get_credential tool.
+      </p>
+
+      {!form.isOpen && (
+        <div class="skill-form-actions">
+          <button class="btn btn-secondary" onClick={() => setForm({ ...EMPTY_CREDENTIAL_FORM, isOpen: true })}>
+            + Add Login
+          </button>
+          <button class="btn btn-secondary" onClick={() => run(lockVault)}>Lock</button>
+        </div>
+      )}
+
+      {form.isOpen && (
+        <div class="skill-form">
+          <input
+            type="text"
+            placeholder="Domain (e.g., github.com - also used for subdomains)"
+            value={form.domain}
+            onInput={(e) => setForm({ ...form, domain: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Username or email"
+            autocomplete="off"
+            value={form.username}
+            onInput={(e) => setForm({ ...form, username: e.target.value })}
+          />
+          <input
+            type="password"
+            placeholder={form.id ? 'Password (leave empty to keep)' : 'Password'}
+            autocomplete="new-password"
+            value={form.password}
+            onInput={(e) => setForm({ ...form, password: e.target.value })}
+          />
+          <input
+            type="password"
+            placeholder={form.hasTotp ? 'TOTP key or otpauth:// URI (leave empty to keep)' : 'TOTP key or otpauth:// URI (optional)'}
+            autocomplete="off"
+            value={form.totp}
+            onInput={(e) => setForm({ ...form, totp: e.target.value })}
+          />
+          {form.hasTotp && (
+            <label class="toggle-row">
+              <input
+                type="checkbox"
+                checked={form.clearTotp}
+                onChange={(e) => setForm({ ...form, clearTotp: e.target.checked })}
+              />
+              Remove the saved TOTP key
+            </label>
+          )}
+          {errorText}
+          <div class="skill-form-actions">
+            <button class="btn btn-secondary" onClick={() => setForm(EMPTY_CREDENTIAL_FORM)}>
+              Cancel
+            </button>
+            <button class="btn btn-primary" onClick={handleSave}>
+              {form.id ? 'Update' : 'Add'}
+            </button>
+          </div>
+        </div>
+      )}
+      {!form.isOpen && errorText}
+
+      <div class="skills-list">
+        {vault.credentials.map((credential) => (
+          <div key={credential.id} class="skill-item">
+            <div class="skill-domain">{credential.domain}</div>
+            <div class="skill-preview">
+              {credential.username || '(no username)'}
+              {credential.hasPassword && ' · password'}
+              {credential.hasTotp && ' · TOTP'}
+            </div>
+            <div class="skill-actions">
+              <button class="btn btn-sm" onClick={() => handleEdit(credential)}>Edit</button>
+              <button class="btn btn-sm btn-danger" onClick={() => run(() => deleteCredential(credential.id))}>
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const POLICY_MODES = [
+  { value: 'full', label: 'Full access' },
+  { value: 'ask', label: 'Ask before every action' },
+  { value: 'no_submit', label: 'No form submits' },
+  { value: 'read_only', label: 'Read-only' },
+];
+
+const EMPTY_POLICY_FORM = { domain: '', mode: 'full', confirmPattern: '', blockJavascript: false, isOpen: false, editIndex: -1, error: '' };
+
+function PermissionsTab({ policies, setPolicies }) {
+  const [form, setForm] = useState(EMPTY_POLICY_FORM);
+
+  const handleSave = () => {
+    if (!form.domain.trim()) {
+      setForm({ ...form, error: 'Please enter a domain (or * for all sites)' });
+      return;
+    }
+    if (form.confirmPattern) {
+      try {
+        new RegExp(form.confirmPattern, 'i');
+      } catch (e) {
+        setForm({ ...form, error: `Invalid regex: ${e.message}` });
+        return;
+      }
+    }
+    const policy = {
+      id: form.editIndex >= 0 ? policies[form.editIndex].id : `policy_${Date.now().toString(36)}`,
+      domain: form.domain.trim().toLowerCase(),
+      mode: form.mode,
+      confirmPattern: form.confirmPattern.trim(),
+      blockJavascript: form.blockJavascript,
+    };
+    setPolicies(form.editIndex >= 0
+      ? policies.map((p, i) => (i === form.editIndex ? policy : p))
+      : [...policies, policy]);
+    setForm(EMPTY_POLICY_FORM);
+  };
+
+  const handleEdit = (index) => {
+    const policy = policies[index];
+    setForm({ ...EMPTY_POLICY_FORM, ...policy, confirmPattern: policy.confirmPattern || '', isOpen: true, editIndex: index });
+  };
+
+  return (
+    <div class="tab-content">
+      <p class="tab-desc">
+        Limit what the agent may do per domain. Rules are checked before every action; "ask" rules
+        show a confirmation here. Use * for all sites - the most specific domain wins.
+      </p>
+
+      {!form.isOpen && (
+        <button class="btn btn-secondary" onClick={() => setForm({ ...EMPTY_POLICY_FORM, isOpen: true })}>
+          + Add Rule
+        </button>
+      )}
+
+      {form.isOpen && (
+        <div class="skill-form">
+          <input
+            type="text"
+            placeholder="Domain (e.g., mail.google.com or *)"
+            value={form.domain}
+            onInput={(e) => setForm({ ...form, domain: e.target.value, error: '' })}
+          />
+          <select
+            class="form-select"
+            value={form.mode}
+            onChange={(e) => setForm({ ...form, mode: e.target.value })}
+          >
+            {POLICY_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+          </select>
+          <input
+            type="text"
+            placeholder="Confirm clicks matching (e.g., Pay|Buy|Delete|Send)"
+            value={form.confirmPattern}
+            onInput={(e) => setForm({ ...form, confirmPattern: e.target.value, error: '' })}
+          />
+          <label class="toggle-row">
+            <input
+              type="checkbox"
+              checked={form.blockJavascript}
+              onChange={(e) => setForm({ ...form, blockJavascript: e.target.checked })}
+            />
+            Block javascript_tool
+          </label>
+          {form.error && <p class="provider-desc local-error">{form.error}</p>}
+          <div class="skill-form-actions">
+            <button class="btn btn-secondary" onClick={() => setForm(EMPTY_POLICY_FORM)}>
+              Cancel
+            </button>
+            <button class="btn btn-primary" onClick={handleSave}>
+              {form.editIndex >= 0 ? 'Update' : 'Add'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div class="skills-list">
+        {policies.map((policy, i) => (
+          <div key={policy.id} class="skill-item">
+            <div class="skill-domain">{policy.domain}</div>
+            <div class="skill-preview">
+              {POLICY_MODES.find(m => m.value === policy.mode)?.label || policy.mode}
+              {policy.confirmPattern && ` · confirm: ${policy.confirmPattern}`}
+              {policy.blockJavascript && ' · no JavaScript'}
+            </div>
+            <div class="skill-actions">
+              <button class="btn btn-sm" onClick={() => handleEdit(i)}>Edit</button>
+              <button class="btn btn-sm btn-danger" onClick={() => setPolicies(policies.filter((_, j) => j !== i))}>
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const BUDGET_LIMITS = [
+  { key: 'taskMaxTokens', label: 'Tokens per task', step: 1000 },
+  { key: 'taskMaxCost', label: 'Dollars per task', step: 0.1 },
+  { key: 'dayMaxTokens', label: 'Tokens per day', step: 1000 },
+  { key: 'dayMaxCost', label: 'Dollars per day', step: 0.1 },
+];
+
+// Price overrides <-> "model-prefix input output" lines
+function formatPrices(prices) {
+  return Object.entries(prices || {})
+    .map(([model, price]) => `${model} ${price.input} ${price.output}`)
+    .join('\n');
+}
+
+function parsePrices(text) {
+  const prices = {};
+  for (const line of text.split('\n')) {
+    const [model, input, output] = line.trim().split(/\s+/);
+    if (model && Number.isFinite(parseFloat(input)) && Number.isFinite(parseFloat(output))) {
+      prices[model] = { input: parseFloat(input), output: parseFloat(output) };
+    }
+  }
+  return prices;
+}
+
+function BudgetsTab({ settings, setSettings }) {
+  const [pricesText, setPricesText] = useState(formatPrices(settings.prices));
+
+  const update = (changes) => setSettings({ ...settings, ...changes });
+
+  const handlePricesInput = (text) => {
+    setPricesText(text);
+    update({ prices: parsePrices(text) });
+  };
+
+  return (
+    <div class="tab-content">
+      <p class="tab-desc">
+        Limit tokens and estimated spend per task and per day (all tasks, including MCP and
+        scheduled ones). The agent pauses at a limit and asks whether to continue. Leave a limit
+        at 0 for no limit.
+      </p>
+
+      <label class="toggle-row">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Enable budgets
+      </label>
+
+      <h4>Limits</h4>
+      <div class="skill-form">
+        {BUDGET_LIMITS.map(({ key, label, step }) => (
+          <label key={key} class="budget-row">
+            <span>{label}</span>
+            <input
+              type="number"
+              min="0"
+              step={step}
+              value={settings[key]}
+              disabled={!settings.enabled}
+              onInput={(e) => update({ [key]: Math.max(0, parseFloat(e.target.value) || 0) })}
+            />
+          </label>
+        ))}
+        <label class="budget-row">
+          <span>Warn at (% of a limit)</span>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={Math.round(settings.warnAt * 100)}
+            disabled={!settings.enabled}
+            onInput={(e) => update({ warnAt: Math.min(100, Math.max(1, parseFloat(e.target.value) || 80)) / 100 })}
+          />
+        </label>
+      </div>
+
+      <h4>Price overrides</h4>
+      <p class="tab-desc">
+        Costs are estimated from list prices per model. Override them (USD per 1M input and output
+        tokens) for custom or local models, one per line: model-prefix input output.
+      </p>
+      <div class="skill-form">
+        <textarea
+          placeholder={'llama 0 0\nmy-proxy-model 3 15'}
+          value={pricesText}
+          disabled={!settings.enabled}
+          onInput={(e) => handlePricesInput(e.target.value)}
+          rows={3}
+        />
+      </div>
+    </div>
+  );
+}
+
+const FAILOVER_ERRORS = [
+  { key: 'rate_limit', label: 'Rate limited (429)' },
+  { key: 'overloaded', label: 'Overloaded (529)' },
+  { key: 'server_error', label: 'Server error (5xx)' },
+  { key: 'timeout', label: 'Timeout / network' },
+  { key: 'auth', label: 'Auth failed (401/403)' },
+];
+
+const FAILOVER_RULES = [
+  { value: 'retry_then_next', label: 'Retry, then next model' },
+  { value: 'retry', label: 'Retry, then fail' },
+  { value: 'next', label: 'Next model' },
+  { value: 'fail', label: 'Fail' },
+];
+
+const sameModel = (a, b) => a.baseUrl === b.baseUrl && a.modelId === b.modelId;
+
+function FailoverTab({ settings, setSettings, availableModels }) {
+  const [pick, setPick] = useState('');
+
+  const update = (changes) => setSettings({ ...settings, ...changes });
+  const candidates = availableModels.filter(m => !settings.fallbacks.some(f => sameModel(f, m)));
+
+  const handleAdd = () => {
+    const model = candidates[parseInt(pick, 10)];
+    if (!model) return;
+    update({ fallbacks: [...settings.fallbacks, model] });
+    setPick('');
+  };
+
+  const move = (index, delta) => {
+    const fallbacks = [...settings.fallbacks];
+    const [model] = fallbacks.splice(index, 1);
+    fallbacks.splice(index + delta, 0, model);
+    update({ fallbacks });
+  };
+
+  return (
+    <div class="tab-content">
+      <p class="tab-desc">
+        When the selected model fails (rate limits, outages, timeouts), the agent retries with
+        backoff and then moves down this list, keeping the conversation. The selected model is
+        always tried first.
+      </p>
+
+      <label class="toggle-row">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Enable failover
+      </label>
+
+      <h4>Fallback models</h4>
+      <div class="skills-list">
+        {settings.fallbacks.map((model, i) => (
+          <div key={`${model.baseUrl}|${model.modelId}`} class="skill-item">
+            <div class="skill-domain">{i + 1}. {model.name}</div>
+            <div class="skill-preview">{model.modelId}</div>
+            <div class="skill-actions">
+              <button class="btn btn-sm" disabled={i === 0} onClick={() => move(i, -1)}>&uarr;</button>
+              <button class="btn btn-sm" disabled={i === settings.fallbacks.length - 1} onClick={() => move(i, 1)}>&darr;</button>
+              <button
+                class="btn btn-sm btn-danger"
+                onClick={() => update({ fallbacks: settings.fallbacks.filter((_, j) => j !== i) })}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div class="skill-form">
+        <select class="form-select" value={pick} onChange={(e) => setPick(e.target.value)}>
+          <option value="">Add a fallback model...</option>
+          {candidates.map((m, i) => <option key={`${m.baseUrl}|${m.modelId}`} value={i}>{m.name}</option>)}
+        </select>
+        <div class="skill-form-actions">
+          <button class="btn btn-secondary" disabled={pick === ''} onClick={handleAdd}>Add</button>
+        </div>
+      </div>
+
+      <h4>Rules</h4>
+      <div class="skill-form">
+        {FAILOVER_ERRORS.map(({ key, label }) => (
+          <label key={key} class="budget-row">
+            <span>{label}</span>
+            <select
+              class="form-select"
+              value={settings.rules[key]}
+              onChange={(e) => update({ rules: { ...settings.rules, [key]: e.target.value } })}
+            >
+              {FAILOVER_RULES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+            </select>
+          </label>
+        ))}
+        <label class="budget-row">
+          <span>Retries per model</span>
+          <input
+            type="number"
+            min="0"
+            max="5"
+            value={settings.maxRetries}
+            onInput={(e) => update({ maxRetries: Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0)) })}
+          />
+        </label>
+        <label class="budget-row">
+          <span>First retry after (seconds)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={settings.baseDelayMs / 1000}
+            onInput={(e) => update({ baseDelayMs: Math.max(0, parseFloat(e.target.value) || 0) * 1000 })}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+function TieringTab({ settings, setSettings, availableModels, currentModel }) {
+  const update = (changes) => setSettings({ ...settings, ...changes });
+  const fastIndex = settings.fastModel ? availableModels.findIndex(m => sameModel(m, settings.fastModel)) : -1;
+
+  return (
+    <div class="tab-content">
+      <p class="tab-desc">
+        Run routine steps (scrolling, waiting, simple clicks after a plan) on a cheaper fast model.
+        Planning, reading pages, errors and unclear results go to the selected model
+        {currentModel ? ` (${currentModel.name})` : ''}.
+      </p>
+
+      <label class="toggle-row">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        Enable tiering
+      </label>
+
+      <div class="skill-form">
+        <select
+          class="form-select"
+          value={fastIndex === -1 ? '' : fastIndex}
+          disabled={!settings.enabled}
+          onChange={(e) => update({ fastModel: availableModels[parseInt(e.target.value, 10)] || null })}
+        >
+          <option value="">Choose the fast model...</option>
+          {availableModels.map((m, i) => <option key={`${m.baseUrl}|${m.modelId}`} value={i}>{m.name}</option>)}
+        </select>
+        <label class="toggle-row">
+          <input
+            type="checkbox"
+            checked={settings.fastClicks}
+            disabled={!settings.enabled}
+            onChange={(e) => update({ fastClicks: e.target.checked })}
+          />
+          Clicks, typing and form input are routine
+        </label>
+        <label class="toggle-row">
+          <input
+            type="checkbox"
+            checked={settings.escalateOnAmbiguity}
+            disabled={!settings.enabled}
+            onChange={(e) => update({ escalateOnAmbiguity: e.target.checked })}
+          />
+          Use the selected model after "not found" or multiple-match results
+        </label>
+        <label class="budget-row">
+          <span>Stay on the selected model after N failed actions (0 = never)</span>
+          <input
+            type="number"
+            min="0"
+            value={settings.escalateAfterFailures}
+            disabled={!settings.enabled}
+            onInput={(e) => update({ escalateAfterFailures: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
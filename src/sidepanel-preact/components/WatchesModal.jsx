@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'preact/hooks';
+
+const EMPTY_FORM = { isOpen: false, id: null, name: '', url: '', targetType: 'description', target: '', intervalMinutes: 60 };
+
+const INTERVAL_OPTIONS = [
+  { label: 'Every 5 minutes', value: 5 },
+  { label: 'Every 15 minutes', value: 15 },
+  { label: 'Every hour', value: 60 },
+  { label: 'Every 6 hours', value: 360 },
+  { label: 'Daily', value: 1440 },
+];
+
+export function WatchesModal({ watches, onClose }) {
+  const [activeTab, setActiveTab] = useState('watches');
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [checkingId, setCheckingId] = useState(null);
+  const [expandedEventId, setExpandedEventId] = useState(null);
+
+  useEffect(() => {
+    watches.loadWatches();
+  }, []);
+
+  const handleEdit = (watch) => {
+    setForm({
+      isOpen: true,
+      id: watch.id,
+      name: watch.name,
+      url: watch.url,
+      targetType: watch.targetType,
+      target: watch.target,
+      intervalMinutes: watch.intervalMinutes,
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      await watches.saveWatch({ ...form, isOpen: undefined });
+      setForm(EMPTY_FORM);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleToggle = (watch) => {
+    watches.saveWatch({ ...watch, enabled: !watch.enabled }).catch(error => alert(error.message));
+  };
+
+  const handleCheckNow = async (watch) => {
+    setCheckingId(watch.id);
+    try {
+      await watches.checkNow(watch.id);
+    } catch (error) {
+      alert(error.message);
+    } finally {
+      setCheckingId(null);
+    }
+  };
+
+  return (
+    <div class="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div class="modal settings-modal">
+        <div class="modal-header">
+          <span>Page Watches</span>
+          <button class="close-btn" onClick={onClose}>&times;</button>
+        </div>
+
+        <div class="tabs">
+          <button
+            class={`tab ${activeTab === 'watches' ? 'active' : ''}`}
+            onClick={() => setActiveTab('watches')}
+          >
+            Watches
+          </button>
+          <button
+            class={`tab ${activeTab === 'changes' ? 'active' : ''}`}
+            onClick={() => setActiveTab('changes')}
+          >
+            Changes
+          </button>
+        </div>
+
+        <div class="modal-body">
+          {activeTab === 'watches' && (
+            <div class="tab-content">
+              <p class="tab-desc">Check pages in the background and get a notification when the watched content changes</p>
+
+              <button class="btn btn-secondary" onClick={() => setForm({ ...EMPTY_FORM, isOpen: true })}>
+                + Add Watch
+              </button>
+
+              {form.isOpen && <WatchForm form={form} setForm={setForm} onSave={handleSave} />}
+
+              <div class="skills-list">
+                {watches.watches.length === 0 ? (
+                  <div class="empty-skills">No page watches yet</div>
+                ) : (
+                  watches.watches.map((watch) => (
+                    <div key={watch.id} class={`skill-item ${watch.enabled ? '' : 'builtin'}`}>
+                      <div class="skill-info">
+                        <div class="skill-domain">{watch.name}</div>
+                        <div class="skill-preview">
+                          {watch.target ? <code>{watch.target}</code> : 'Whole page'}
+                          {` · every ${watch.intervalMinutes} min`}
+                          {watch.lastCheckedAt && ` · checked ${new Date(watch.lastCheckedAt).toLocaleString()}`}
+                          {watch.lastError && ` · error: ${watch.lastError}`}
+                        </div>
+                      </div>
+                      <div class="skill-actions">
+                        <button onClick={() => handleCheckNow(watch)} disabled={checkingId === watch.id}>
+                          {checkingId === watch.id ? 'Checking...' : 'Check'}
+                        </button>
+                        <button onClick={() => handleToggle(watch)}>{watch.enabled ? 'Pause' : 'Resume'}</button>
+                        <button onClick={() => handleEdit(watch)}>Edit</button>
+                        <button class="delete-btn" onClick={() => watches.deleteWatch(watch.id)}>Delete</button>
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'changes' && (
+            <div class="tab-content">
+              <div class="skills-list">
+                {watches.events.length === 0 ? (
+                  <div class="empty-skills">No changes detected yet</div>
+                ) : (
+                  watches.events.map((event) => (
+                    <div key={event.id} class="skill-item" onClick={() => setExpandedEventId(expandedEventId === event.id ? null : event.id)}>
+                      <div class="skill-info">
+                        <div class="skill-domain">{event.name}</div>
+                        <div class="skill-preview">
+                          {new Date(event.detectedAt).toLocaleString()} · {event.summary.split('\n')[0]}
+                        </div>
+                        {expandedEventId === event.id && (
+                          <div class="schedule-run-answer">
+                            {event.summary}
+                            {'\n\n'}
+                            <a href={event.url} target="_blank" rel="noreferrer">{event.url}</a>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div class="modal-footer">
+          <button class="btn btn-secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function WatchForm({ form, setForm, onSave }) {
+  return (
+    <div class="skill-form">
+      <input
+        type="text"
+        placeholder="Name (e.g., Laptop price)"
+        value={form.name}
+        onInput={(e) => setForm({ ...form, name: e.target.value })}
+      />
+      <input
+        type="text"
+        placeholder="URL (https://...)"
+        value={form.url}
+        onInput={(e) => setForm({ ...form, url: e.target.value })}
+      />
+      <select
+        class="form-select"
+        value={form.targetType}
+        onChange={(e) => setForm({ ...form, targetType: e.target.value })}
+      >
+        <option value="description">Describe what to watch</option>
+        <option value="css">CSS selector</option>
+      </select>
+      <input
+        type="text"
+        placeholder={form.targetType === 'css'
+          ? 'CSS selector (e.g., .price), empty for whole page'
+          : 'What to watch (e.g., the price of the 16GB model), empty for whole page'}
+        value={form.target}
+        onInput={(e) => setForm({ ...form, target: e.target.value })}
+      />
+      <select
+        class="form-select"
+        value={form.intervalMinutes}
+        onChange={(e) => setForm({ ...form, intervalMinutes: parseInt(e.target.value, 10) })}
+      >
+        {INTERVAL_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      <div class="skill-form-actions">
+        <button class="btn btn-secondary" onClick={() => setForm({ ...form, isOpen: false })}>
+          Cancel
+        </button>
+        <button class="btn btn-primary" onClick={onSave}>
+          {form.id ? 'Update' : 'Add'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState, useEffect } from 'preact/hooks';
+
+export function WorkflowsModal({ workflows, isRunning, onRun, onClose }) {
+  const [saveName, setSaveName] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [paramValues, setParamValues] = useState({});
+
+  useEffect(() => {
+    workflows.loadWorkflows();
+  }, []);
+
+  const selected = workflows.workflows.find(w => w.id === selectedId);
+
+  const handleSelect = (workflow) => {
+    setSelectedId(workflow.id === selectedId ? null : workflow.id);
+    setParamValues(Object.fromEntries(workflow.params.map(p => [p.name, p.default])));
+  };
+
+  const handleSave = async () => {
+    try {
+      await workflows.saveLastRun(saveName.trim());
+      setSaveName('');
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleRun = () => {
+    onRun(selected, paramValues);
+    onClose();
+  };
+
+  return (
+    <div class="modal-overlay" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div class="modal">
+        <div class="modal-header">
+          <span>Workflows</span>
+          <button class="close-btn" onClick={onClose}>&times;</button>
+        </div>
+
+        <div class="modal-body">
+          <p class="tab-desc">Replay a recorded run without calling the model for every step</p>
+
+          {workflows.lastRun && (
+            <div class="skill-form">
+              <div class="skill-form-header">
+                Save last run ({workflows.lastRun.trace.length} steps)
+              </div>
+              <div class="skill-preview">{workflows.lastRun.task.substring(0, 100)}</div>
+              <input
+                type="text"
+                placeholder="Workflow name"
+                value={saveName}
+                onInput={(e) => setSaveName(e.target.value)}
+              />
+              <div class="skill-form-actions">
+                <button class="btn btn-primary" onClick={handleSave}>Save as Workflow</button>
+              </div>
+            </div>
+          )}
+
+          <div class="skills-list">
+            <h4>Saved Workflows</h4>
+            {workflows.workflows.length === 0 ? (
+              <div class="empty-skills">No workflows yet. Complete a task, then save it here.</div>
+            ) : (
+              workflows.workflows.map((workflow) => (
+                <div
+                  key={workflow.id}
+                  class={`skill-item ${workflow.id === selectedId ? 'selected' : ''}`}
+                  onClick={() => handleSelect(workflow)}>
+                  <div class="skill-info">
+                    <div class="skill-domain">{workflow.name}</div>
+                    <div class="skill-preview">
+                      {workflow.steps.length} steps
+                      {workflow.params.length > 0 && ` · ${workflow.params.length} parameter(s)`}
+                    </div>
+                  </div>
+                  <div class="skill-actions">
+                    <button
+                      class="delete-btn"
+                      onClick={(e) => { e.stopPropagation(); workflows.deleteWorkflow(workflow.id); }}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+
+          {selected && selected.params.length > 0 && (
+            <div class="skill-form">
+              <div class="skill-form-header">Parameters</div>
+              {selected.params.map((param) => (
+                <div key={param.name} class="form-group">
+                  <label class="form-label">{param.label}</label>
+                  <input
+                    type="text"
+                    value={paramValues[param.name] ?? ''}
+                    onInput={(e) => setParamValues({ ...paramValues, [param.name]: e.target.value })}
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div class="modal-footer">
+          <button class="btn btn-secondary" onClick={onClose}>Close</button>
+          <button class="btn btn-primary" onClick={handleRun} disabled={!selected || isRunning}>
+            Run Workflow
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -49,3 +49,14 @@ export const CODEX_MODELS = [
   { id: 'gpt-5.1-codex', name: 'GPT-5.1 Codex' },
   { id: 'gpt-5-codex', name: 'GPT-5 Codex' },
 ];
+
+// Self-hosted OpenAI-compatible servers (models are discovered via /v1/models)
+export const LOCAL_PROVIDER = {
+  name: 'Local',
+  defaultBaseUrl: 'http://localhost:11434/v1',
+  presets: [
+    { name: 'Ollama', baseUrl: 'http://localhost:11434/v1' },
+    { name: 'LM Studio', baseUrl: 'http://localhost:1234/v1' },
+    { name: 'llama.cpp', baseUrl: 'http://localhost:8080/v1' },
+  ],
+};
@@ -0,0 +1,30 @@
+import { useState, useCallback } from 'preact/hooks';
+
+export function useAnalytics() {
+  const [analytics, setAnalytics] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const loadAnalytics = useCallback(async (days = 30) => {
+    setIsLoading(true);
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TOOL_ANALYTICS', payload: { days } });
+      setAnalytics(response?.analytics || null);
+    } catch (error) {
+      console.error('Failed to load tool analytics:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const clearAnalytics = useCallback(async () => {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_TOOL_ANALYTICS' });
+    setAnalytics(null);
+  }, []);
+
+  return {
+    analytics,
+    isLoading,
+    loadAnalytics,
+    clearAnalytics,
+  };
+}
@@ -6,6 +6,10 @@ export function useChat() {
   const [attachedImages, setAttachedImages] = useState([]);
   const [sessionTabGroupId, setSessionTabGroupId] = useState(null);
   const [pendingPlan, setPendingPlan] = useState(null);
+  // Action policy prompts, oldest first (parallel subtasks can queue several)
+  const [pendingPermissions, setPendingPermissions] = useState([]);
+  // Steps the agent handed to the user (request_human), oldest first
+  const [pendingHandoffs, setPendingHandoffs] = useState([]);
 
   // Steps tracking for current task
   const [pendingStep, setPendingStep] = useState(null);
@@ -28,9 +32,28 @@ export function useChat() {
         case 'TASK_ERROR':
           handleTaskError(message.error);
           break;
+        case 'TASK_RESUMED':
+          // Service worker restarted mid-task and picked the run back up
+          setIsRunning(true);
+          setMessages(prev => [...prev, {
+            id: Date.now(),
+            type: 'system',
+            text: `Extension restarted - resuming the task after step ${message.step}`,
+          }]);
+          break;
         case 'PLAN_APPROVAL_REQUIRED':
           setPendingPlan(message.plan);
           break;
+        case 'PERMISSION_REQUIRED':
+          setPendingPermissions(prev => [...prev, message.request]);
+          break;
+        case 'HUMAN_HANDOFF_REQUIRED':
+          setPendingHandoffs(prev => [...prev, message.handoff]);
+          break;
+        case 'HUMAN_HANDOFF_ENDED':
+          // Resumed from the page, timed out or stopped
+          setPendingHandoffs(prev => prev.filter(h => h.id !== message.id));
+          break;
         case 'SESSION_GROUP_UPDATE':
           setSessionTabGroupId(message.tabGroupId);
           break;
@@ -185,9 +208,56 @@ export function useChat() {
     }
   }, [isRunning, attachedImages, sessionTabGroupId]);
 
+  const runWorkflow = useCallback(async (workflow, params) => {
+    if (isRunning) return;
+
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      type: 'user',
+      text: `Run workflow: ${workflow.name}`,
+      images: [],
+    }]);
+    currentStepsRef.current = [];
+    setPendingStep(null);
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) {
+      setMessages(prev => [...prev, {
+        id: Date.now(),
+        type: 'error',
+        text: 'No active tab found',
+      }]);
+      return;
+    }
+
+    setIsRunning(true);
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'RUN_WORKFLOW',
+        payload: {
+          tabId: tab.id,
+          workflowId: workflow.id,
+          params,
+          tabGroupId: sessionTabGroupId,
+        },
+      });
+    } catch (error) {
+      setMessages(prev => [...prev, {
+        id: Date.now(),
+        type: 'error',
+        text: `Error: ${error.message}`,
+      }]);
+      setIsRunning(false);
+    }
+  }, [isRunning, sessionTabGroupId]);
+
   const stopTask = useCallback(() => {
     chrome.runtime.sendMessage({ type: 'STOP_TASK' }).catch(() => {});
     setIsRunning(false);
+    // The service worker denies this task's prompts and ends its handoffs; MCP task ones stay open
+    setPendingPermissions(prev => prev.filter(r => r.sessionId));
+    setPendingHandoffs(prev => prev.filter(h => h.sessionId));
   }, []);
 
   const clearChat = useCallback(() => {
@@ -210,6 +280,40 @@ export function useChat() {
     setPendingPlan(null);
   }, []);
 
+  // Show a conversation resumed from task history (runs from the history entry)
+  const loadConversation = useCallback((runs) => {
+    const restored = [];
+    let id = Date.now();
+    for (const run of runs) {
+      restored.push({ id: id++, type: 'user', text: run.prompt, images: [] });
+      let steps = [];
+      for (const turn of run.turns) {
+        steps = [...steps, ...turn.tools.map(tool => ({ tool: tool.name, input: tool.input, result: tool.result }))];
+        if (turn.ai_response) {
+          restored.push({ id: id++, type: 'assistant', text: turn.ai_response, steps });
+          steps = [];
+        }
+      }
+      if (run.error) {
+        restored.push({ id: id++, type: 'system', text: run.error });
+      }
+    }
+    setMessages(restored);
+    currentStepsRef.current = [];
+    setPendingStep(null);
+    setSessionTabGroupId(null);
+  }, []);
+
+  const respondToPermission = useCallback((id, approved) => {
+    chrome.runtime.sendMessage({ type: 'PERMISSION_RESPONSE', payload: { id, approved } });
+    setPendingPermissions(prev => prev.filter(r => r.id !== id));
+  }, []);
+
+  const resumeHandoff = useCallback((id, note) => {
+    chrome.runtime.sendMessage({ type: 'HUMAN_HANDOFF_RESUME', payload: { id, note } });
+    setPendingHandoffs(prev => prev.filter(h => h.id !== id));
+  }, []);
+
   const addImage = useCallback((dataUrl) => {
     setAttachedImages(prev => [...prev, dataUrl]);
   }, []);
@@ -229,13 +333,19 @@ export function useChat() {
     attachedImages,
     pendingStep,
     pendingPlan,
+    pendingPermissions,
+    pendingHandoffs,
 
     // Actions
     sendMessage,
+    runWorkflow,
     stopTask,
     clearChat,
+    loadConversation,
     approvePlan,
     cancelPlan,
+    respondToPermission,
+    resumeHandoff,
     addImage,
     removeImage,
     clearImages,
@@ -1,12 +1,62 @@
 import { useState, useEffect, useCallback } from 'preact/hooks';
-import { PROVIDERS, CODEX_MODELS } from '../config/providers';
+import { PROVIDERS, CODEX_MODELS, LOCAL_PROVIDER } from '../config/providers';
+
+// Mirrors DEFAULT_REDACTION_SETTINGS in background/modules/redaction.js
+const DEFAULT_REDACTION_SETTINGS = {
+  enabled: false,
+  builtIn: { creditCard: true, ssn: true, apiKey: true, email: true },
+  customPatterns: [],
+  allowlist: [],
+  blurScreenshots: true,
+};
+
+// Mirrors DEFAULT_BUDGET_SETTINGS in background/managers/budget-manager.js
+const DEFAULT_BUDGET_SETTINGS = {
+  enabled: false,
+  taskMaxTokens: 0,
+  taskMaxCost: 0,
+  dayMaxTokens: 0,
+  dayMaxCost: 0,
+  warnAt: 0.8,
+  prices: {},
+};
+
+// Mirrors DEFAULT_FAILOVER_SETTINGS in background/modules/provider-failover.js
+const DEFAULT_FAILOVER_SETTINGS = {
+  enabled: false,
+  fallbacks: [],
+  rules: {
+    rate_limit: 'retry_then_next',
+    overloaded: 'retry_then_next',
+    server_error: 'retry_then_next',
+    timeout: 'next',
+    auth: 'next',
+  },
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  cooldownMs: 60000,
+};
+
+// Mirrors DEFAULT_TIER_SETTINGS in background/modules/model-tiering.js
+const DEFAULT_TIER_SETTINGS = {
+  enabled: false,
+  fastModel: null,
+  fastClicks: true,
+  escalateOnAmbiguity: true,
+  escalateAfterFailures: 3,
+};
 
 export function useConfig() {
   const [providerKeys, setProviderKeys] = useState({});
   const [customModels, setCustomModels] = useState([]);
+  const [localProvider, setLocalProvider] = useState({ baseUrl: LOCAL_PROVIDER.defaultBaseUrl, apiKey: '', models: [] });
+  const [redactionSettings, setRedactionSettings] = useState(DEFAULT_REDACTION_SETTINGS);
+  const [actionPolicies, setActionPolicies] = useState([]);
+  const [budgetSettings, setBudgetSettings] = useState(DEFAULT_BUDGET_SETTINGS);
+  const [failoverSettings, setFailoverSettings] = useState(DEFAULT_FAILOVER_SETTINGS);
+  const [tierSettings, setTierSettings] = useState(DEFAULT_TIER_SETTINGS);
   const [currentModelIndex, setCurrentModelIndex] = useState(0);
-  const [userSkills, setUserSkills] = useState([]);
-  const [builtInSkills, setBuiltInSkills] = useState([]);
   const [availableModels, setAvailableModels] = useState([]);
   const [oauthStatus, setOauthStatus] = useState({ isOAuthEnabled: false, isAuthenticated: false });
   const [codexStatus, setCodexStatus] = useState({ isAuthenticated: false });
@@ -22,9 +72,25 @@ export function useConfig() {
       const config = await chrome.runtime.sendMessage({ type: 'GET_CONFIG' });
       setProviderKeys(config.providerKeys || {});
       setCustomModels(config.customModels || []);
+      if (config.localProvider) {
+        setLocalProvider(config.localProvider);
+      }
+      if (config.redactionSettings) {
+        setRedactionSettings({
+          ...DEFAULT_REDACTION_SETTINGS,
+          ...config.redactionSettings,
+          builtIn: { ...DEFAULT_REDACTION_SETTINGS.builtIn, ...config.redactionSettings.builtIn },
+        });
+      }
+      setActionPolicies(config.actionPolicies || []);
+      setBudgetSettings({ ...DEFAULT_BUDGET_SETTINGS, ...config.budgetSettings });
+      setFailoverSettings({
+        ...DEFAULT_FAILOVER_SETTINGS,
+        ...config.failoverSettings,
+        rules: { ...DEFAULT_FAILOVER_SETTINGS.rules, ...config.failoverSettings?.rules },
+      });
+      setTierSettings({ ...DEFAULT_TIER_SETTINGS, ...config.tierSettings });
       setCurrentModelIndex(config.currentModelIndex || 0);
-      setUserSkills(config.userSkills || []);
-      setBuiltInSkills(config.builtInSkills || []);
 
       // Get OAuth statuses
       const oauth = await chrome.runtime.sendMessage({ type: 'GET_OAUTH_STATUS' });
@@ -38,7 +104,8 @@ export function useConfig() {
         config.providerKeys || {},
         config.customModels || [],
         oauth,
-        codex
+        codex,
+        config.localProvider
       );
 
       setIsLoading(false);
@@ -48,7 +115,7 @@ export function useConfig() {
     }
   }, []);
 
-  const buildAvailableModels = useCallback(async (keys, custom, oauth, codex) => {
+  const buildAvailableModels = useCallback(async (keys, custom, oauth, codex, local) => {
     const models = [];
     const hasOAuth = oauth?.isOAuthEnabled && oauth?.isAuthenticated;
     const hasCodexOAuth = codex?.isAuthenticated;
@@ -124,6 +191,19 @@ export function useConfig() {
       });
     }
 
+    // Add discovered local models (text tool mode for models without function calling)
+    for (const localModel of local?.models || []) {
+      models.push({
+        name: `${localModel.id} (Local)`,
+        provider: 'local',
+        modelId: localModel.id,
+        baseUrl: local.baseUrl,
+        apiKey: local.apiKey || null,
+        authMethod: 'api_key',
+        toolMode: localModel.supportsTools ? 'native' : 'text',
+      });
+    }
+
     setAvailableModels(models);
   }, []);
 
@@ -134,10 +214,17 @@ export function useConfig() {
         providerKeys,
         customModels,
         currentModelIndex,
-        userSkills,
+        localProvider,
+        redactionSettings,
+        actionPolicies,
+        budgetSettings,
+        failoverSettings,
+        tierSettings,
       },
     });
-  }, [providerKeys, customModels, currentModelIndex, userSkills]);
+    // Rebuild the model list so newly configured providers show up
+    await loadConfig();
+  }, [providerKeys, customModels, currentModelIndex, localProvider, redactionSettings, actionPolicies, budgetSettings, failoverSettings, tierSettings, loadConfig]);
 
   const selectModel = useCallback(async (index) => {
     setCurrentModelIndex(index);
@@ -153,6 +240,7 @@ export function useConfig() {
           apiBaseUrl: model.baseUrl,
           apiKey: model.apiKey,
           authMethod: model.authMethod,
+          toolMode: model.toolMode || 'native',
         },
       });
     }
@@ -166,24 +254,20 @@ export function useConfig() {
     setCustomModels(prev => [...prev, model]);
   }, []);
 
-  const removeCustomModel = useCallback((index) => {
-    setCustomModels(prev => prev.filter((_, i) => i !== index));
-  }, []);
-
-  const addUserSkill = useCallback((skill) => {
-    setUserSkills(prev => {
-      const existingIndex = prev.findIndex(s => s.domain === skill.domain);
-      if (existingIndex >= 0) {
-        const updated = [...prev];
-        updated[existingIndex] = skill;
-        return updated;
-      }
-      return [...prev, skill];
+  const discoverLocalModels = useCallback(async (baseUrl, apiKey) => {
+    const response = await chrome.runtime.sendMessage({
+      type: 'DISCOVER_LOCAL_MODELS',
+      payload: { baseUrl, apiKey: apiKey || null },
     });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Model discovery failed');
+    }
+    setLocalProvider({ baseUrl, apiKey, models: response.models });
+    return response.models;
   }, []);
 
-  const removeUserSkill = useCallback((index) => {
-    setUserSkills(prev => prev.filter((_, i) => i !== index));
+  const removeCustomModel = useCallback((index) => {
+    setCustomModels(prev => prev.filter((_, i) => i !== index));
   }, []);
 
   const importCLI = useCallback(async () => {
@@ -218,9 +302,13 @@ export function useConfig() {
     // State
     providerKeys,
     customModels,
+    localProvider,
+    redactionSettings,
+    actionPolicies,
+    budgetSettings,
+    failoverSettings,
+    tierSettings,
     currentModelIndex,
-    userSkills,
-    builtInSkills,
     availableModels,
     currentModel,
     oauthStatus,
@@ -234,8 +322,13 @@ export function useConfig() {
     setProviderKey,
     addCustomModel,
     removeCustomModel,
-    addUserSkill,
-    removeUserSkill,
+    setLocalProvider,
+    discoverLocalModels,
+    setRedactionSettings,
+    setActionPolicies,
+    setBudgetSettings,
+    setFailoverSettings,
+    setTierSettings,
     importCLI,
     logoutCLI,
     importCodex,
@@ -0,0 +1,54 @@
+import { useState, useCallback } from 'preact/hooks';
+
+export function useHistory() {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const search = useCallback(async (text = '') => {
+    setQuery(text);
+    setIsLoading(true);
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_TASK_HISTORY', payload: { query: text } });
+      setEntries(response?.entries || []);
+    } catch (error) {
+      console.error('Failed to load task history:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const getEntry = useCallback(async (id) => {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_TASK_HISTORY_ENTRY', payload: { id } });
+    return response?.entry || null;
+  }, []);
+
+  const deleteEntry = useCallback(async (id) => {
+    await chrome.runtime.sendMessage({ type: 'DELETE_TASK_HISTORY_ENTRY', payload: { id } });
+    setEntries(prev => prev.filter(e => e.id !== id));
+  }, []);
+
+  const clearAll = useCallback(async () => {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_TASK_HISTORY' });
+    setEntries([]);
+  }, []);
+
+  const resume = useCallback(async (id) => {
+    const response = await chrome.runtime.sendMessage({ type: 'RESUME_TASK_HISTORY', payload: { id } });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to resume task');
+    }
+    return response.runs;
+  }, []);
+
+  return {
+    entries,
+    query,
+    isLoading,
+    search,
+    getEntry,
+    deleteEntry,
+    clearAll,
+    resume,
+  };
+}
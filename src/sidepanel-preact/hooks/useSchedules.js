@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+
+export function useSchedules() {
+  const [schedules, setSchedules] = useState([]);
+  const [runs, setRuns] = useState([]);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_SCHEDULES' });
+      setSchedules(response?.schedules || []);
+      setRuns(response?.runs || []);
+    } catch (error) {
+      console.error('Failed to load schedules:', error);
+    }
+  }, []);
+
+  // Refresh history when a scheduled run finishes
+  useEffect(() => {
+    const listener = (message) => {
+      if (message.type === 'SCHEDULE_RUN_COMPLETE') {
+        loadSchedules();
+      }
+    };
+    chrome.runtime.onMessage.addListener(listener);
+    return () => chrome.runtime.onMessage.removeListener(listener);
+  }, [loadSchedules]);
+
+  const saveSchedule = useCallback(async (schedule) => {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_SCHEDULE', payload: schedule });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to save schedule');
+    }
+    await loadSchedules();
+    return response.schedule;
+  }, [loadSchedules]);
+
+  const deleteSchedule = useCallback(async (id) => {
+    await chrome.runtime.sendMessage({ type: 'DELETE_SCHEDULE', payload: { id } });
+    await loadSchedules();
+  }, [loadSchedules]);
+
+  const runNow = useCallback(async (id) => {
+    const response = await chrome.runtime.sendMessage({ type: 'RUN_SCHEDULE_NOW', payload: { id } });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to start run');
+    }
+  }, []);
+
+  return {
+    schedules,
+    runs,
+    loadSchedules,
+    saveSchedule,
+    deleteSchedule,
+    runNow,
+  };
+}
@@ -0,0 +1,62 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+
+export function useSkills() {
+  const [skills, setSkills] = useState([]);
+  const [builtInSkills, setBuiltInSkills] = useState([]);
+
+  // Skill messages answer with the updated list
+  const send = useCallback(async (type, payload) => {
+    const response = await chrome.runtime.sendMessage({ type, payload });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Skills request failed');
+    }
+    if (response.skills) {
+      setSkills(response.skills);
+      setBuiltInSkills(response.builtInSkills || []);
+    }
+    return response;
+  }, []);
+
+  const loadSkills = useCallback(async () => {
+    try {
+      await send('GET_SKILLS');
+    } catch (error) {
+      console.error('Failed to load skills:', error);
+    }
+  }, [send]);
+
+  useEffect(() => {
+    loadSkills();
+  }, [loadSkills]);
+
+  // Skills change when an MCP server syncs its knowledge base
+  useEffect(() => {
+    const listener = (message) => {
+      if (message.type === 'SKILLS_SYNCED') loadSkills();
+    };
+    chrome.runtime.onMessage.addListener(listener);
+    return () => chrome.runtime.onMessage.removeListener(listener);
+  }, [loadSkills]);
+
+  const saveSkill = useCallback(async (skill) => (await send('SAVE_SKILL', skill)).skill, [send]);
+  const deleteSkill = useCallback((id) => send('DELETE_SKILL', { id }), [send]);
+  const restoreVersion = useCallback(
+    async (id, version) => (await send('RESTORE_SKILL_VERSION', { id, version })).skill,
+    [send],
+  );
+  const importSkills = useCallback(async (content) => (await send('IMPORT_SKILLS', { content })).imported, [send]);
+  const exportSkills = useCallback((format) => send('EXPORT_SKILLS', { format }), [send]);
+  const matchUrl = useCallback((url, skill) => send('MATCH_SKILLS', { url, skill }), [send]);
+
+  return {
+    skills,
+    builtInSkills,
+    loadSkills,
+    saveSkill,
+    deleteSkill,
+    restoreVersion,
+    importSkills,
+    exportSkills,
+    matchUrl,
+  };
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+
+const LOCKED = { exists: false, unlocked: false, credentials: [] };
+
+export function useVault() {
+  const [vault, setVault] = useState(LOCKED);
+
+  // Every vault message answers with the new vault status
+  const send = useCallback(async (type, payload) => {
+    const response = await chrome.runtime.sendMessage({ type, payload });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Vault request failed');
+    }
+    setVault({ ...LOCKED, ...response });
+    return response;
+  }, []);
+
+  const loadVault = useCallback(async () => {
+    try {
+      await send('GET_VAULT_STATUS');
+    } catch (error) {
+      console.error('Failed to load vault:', error);
+    }
+  }, [send]);
+
+  useEffect(() => {
+    loadVault();
+  }, [loadVault]);
+
+  const createVault = useCallback((passphrase) => send('CREATE_VAULT', { passphrase }), [send]);
+  const unlockVault = useCallback((passphrase) => send('UNLOCK_VAULT', { passphrase }), [send]);
+  const lockVault = useCallback(() => send('LOCK_VAULT'), [send]);
+  const deleteVault = useCallback(() => send('DELETE_VAULT'), [send]);
+  const saveCredential = useCallback((credential) => send('SAVE_CREDENTIAL', credential), [send]);
+  const deleteCredential = useCallback((id) => send('DELETE_CREDENTIAL', { id }), [send]);
+
+  return {
+    vault,
+    loadVault,
+    createVault,
+    unlockVault,
+    lockVault,
+    deleteVault,
+    saveCredential,
+    deleteCredential,
+  };
+}
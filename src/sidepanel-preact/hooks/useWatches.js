@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+
+export function useWatches() {
+  const [watches, setWatches] = useState([]);
+  const [events, setEvents] = useState([]);
+
+  const loadWatches = useCallback(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_WATCHES' });
+      setWatches(response?.watches || []);
+      setEvents(response?.events || []);
+    } catch (error) {
+      console.error('Failed to load watches:', error);
+    }
+  }, []);
+
+  // Refresh when a background check detects a change
+  useEffect(() => {
+    const listener = (message) => {
+      if (message.type === 'WATCH_CHANGE') {
+        loadWatches();
+      }
+    };
+    chrome.runtime.onMessage.addListener(listener);
+    return () => chrome.runtime.onMessage.removeListener(listener);
+  }, [loadWatches]);
+
+  const saveWatch = useCallback(async (watch) => {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_WATCH', payload: watch });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to save watch');
+    }
+    await loadWatches();
+    return response.watch;
+  }, [loadWatches]);
+
+  const deleteWatch = useCallback(async (id) => {
+    await chrome.runtime.sendMessage({ type: 'DELETE_WATCH', payload: { id } });
+    await loadWatches();
+  }, [loadWatches]);
+
+  const checkNow = useCallback(async (id) => {
+    const response = await chrome.runtime.sendMessage({ type: 'CHECK_WATCH_NOW', payload: { id } });
+    await loadWatches();
+    if (!response?.success) {
+      throw new Error(response?.error || 'Check failed');
+    }
+    return response;
+  }, [loadWatches]);
+
+  return {
+    watches,
+    events,
+    loadWatches,
+    saveWatch,
+    deleteWatch,
+    checkNow,
+  };
+}
@@ -0,0 +1,38 @@
+import { useState, useCallback } from 'preact/hooks';
+
+export function useWorkflows() {
+  const [workflows, setWorkflows] = useState([]);
+  const [lastRun, setLastRun] = useState(null);
+
+  const loadWorkflows = useCallback(async () => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_WORKFLOWS' });
+      setWorkflows(response?.workflows || []);
+      setLastRun(response?.lastRun || null);
+    } catch (error) {
+      console.error('Failed to load workflows:', error);
+    }
+  }, []);
+
+  const saveLastRun = useCallback(async (name) => {
+    const response = await chrome.runtime.sendMessage({ type: 'SAVE_WORKFLOW', payload: { name } });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to save workflow');
+    }
+    await loadWorkflows();
+    return response.workflow;
+  }, [loadWorkflows]);
+
+  const deleteWorkflow = useCallback(async (id) => {
+    await chrome.runtime.sendMessage({ type: 'DELETE_WORKFLOW', payload: { id } });
+    await loadWorkflows();
+  }, [loadWorkflows]);
+
+  return {
+    workflows,
+    lastRun,
+    loadWorkflows,
+    saveLastRun,
+    deleteWorkflow,
+  };
+}
@@ -106,6 +106,19 @@ export function getActionDescription(toolName, input) {
       return 'Reading console';
     case 'read_network_requests':
       return 'Reading network requests';
+    case 'capture_response_bodies':
+      return input.enabled === false ? 'Stopping response capture' : 'Capturing response bodies';
+    case 'get_response_body':
+      return `Reading response ${input.requestId}`;
+    case 'export_har':
+      return 'Exporting HAR';
+    case 'downloads':
+      if (input.action === 'wait') return 'Waiting for download';
+      return input.action === 'read' ? 'Reading download' : 'Listing downloads';
+    case 'get_credential':
+      return input.usernameRef || input.passwordRef || input.totpRef ? 'Filling saved login' : 'Checking saved logins';
+    case 'request_human':
+      return 'Waiting for you';
     default:
       return toolName;
   }
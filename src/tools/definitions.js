@@ -13,7 +13,7 @@ export const CLAUDE_ONLY_TOOLS = ['turn_answer_start', 'update_plan'];
 export const TOOL_DEFINITIONS = [
   {
     name: 'read_page',
-    description: `Get an accessibility tree representation of elements on the page. By default returns only interactive elements (buttons, links, inputs). IMPORTANT: Only use ref IDs that appear in the current output - do not use refs from previous calls as they may no longer be valid. If you don't have a valid tab ID, use tabs_context first.`,
+    description: `Get an accessibility tree representation of elements on the page. By default returns only interactive elements (buttons, links, inputs). Elements inside web components (open shadow roots) and iframes are included; refs of elements inside an iframe carry a frame prefix (f1:ref_5 for same-origin, x1:ref_3 for cross-origin iframes) and are used like any other ref. IMPORTANT: Only use ref IDs that appear in the current output - do not use refs from previous calls as they may no longer be valid. If you don't have a valid tab ID, use tabs_context first.`,
     input_schema: {
       type: 'object',
       properties: {
@@ -117,7 +117,7 @@ export const TOOL_DEFINITIONS = [
 * \`double_click\`: Double-click the left mouse button at the specified coordinates.
 * \`triple_click\`: Triple-click the left mouse button at the specified coordinates.
 * \`type\`: Type a string of text.
-* \`screenshot\`: Take a screenshot of the screen.
+* \`screenshot\`: Take a screenshot of the screen. With \`marks: true\`, interactive elements in view are outlined and numbered on the image, and the result lists each mark with its element.
 * \`wait\`: Wait for a specified number of seconds.
 * \`scroll\`: Scroll up, down, left, or right at the specified coordinates.
 * \`key\`: Press a specific keyboard key.
@@ -176,7 +176,16 @@ export const TOOL_DEFINITIONS = [
         },
         ref: {
           type: 'string',
-          description: 'Element reference ID from read_page or find tools (e.g., "ref_1", "ref_2"). Required for `scroll_to` action. Can be used as alternative to `coordinate` for click actions.',
+          description: 'Element reference ID from read_page or find tools (e.g., "ref_1", "ref_2"). Required for `scroll_to` action (or use `mark`). Can be used as alternative to `coordinate` for click actions.',
+        },
+        marks: {
+          type: 'boolean',
+          description: 'For `screenshot`: number the interactive elements on the image (set-of-marks). Use the numbers with `mark`.',
+        },
+        mark: {
+          type: 'integer',
+          minimum: 1,
+          description: 'Number of an element from the latest `screenshot` with `marks: true`. Alternative to `coordinate` or `ref` for click, hover and `scroll_to` actions - more reliable than reading coordinates off the image.',
         },
         modifiers: {
           type: 'string',
@@ -212,7 +221,7 @@ export const TOOL_DEFINITIONS = [
 
   {
     name: 'get_page_text',
-    description: `Extract raw text content from the page, prioritizing article content. Ideal for reading articles, blog posts, or other text-heavy pages. Returns plain text without HTML formatting. If you don't have a valid tab ID, use tabs_context first to get available tabs. Output is limited to 50000 characters by default. If the output exceeds this limit, you will receive an error suggesting alternatives.`,
+    description: `Extract raw text content from the page, prioritizing article content. Ideal for reading articles, blog posts, or other text-heavy pages. Returns plain text without HTML formatting. If you don't have a valid tab ID, use tabs_context first to get available tabs. Also reads PDFs open in the tab, returning the text of each page under a [Page N] heading; use pages to read part of a long PDF. Output is limited to 50000 characters by default. If the output exceeds this limit, you will receive an error suggesting alternatives.`,
     input_schema: {
       type: 'object',
       properties: {
@@ -224,6 +233,10 @@ export const TOOL_DEFINITIONS = [
           type: 'number',
           description: 'Maximum characters for output (default: 50000). Set to a higher value if your client can handle large outputs.',
         },
+        pages: {
+          type: 'string',
+          description: 'PDFs only: pages to read, e.g. "3", "1-5", "2,4,7-9" or "10-" (to the end). Default: all pages.',
+        },
       },
       required: ['tabId'],
     },
@@ -319,7 +332,7 @@ export const TOOL_DEFINITIONS = [
 
   {
     name: 'read_network_requests',
-    description: `Read HTTP network requests (XHR, Fetch, documents, images, etc.) from a specific tab. Useful for debugging API calls, monitoring network activity, or understanding what requests a page is making. Returns all network requests made by the current page, including cross-origin requests. Requests are automatically cleared when the page navigates to a different domain. If you don't have a valid tab ID, use tabs_context first to get available tabs.`,
+    description: `Read HTTP network requests (XHR, Fetch, documents, images, etc.) from a specific tab. Useful for debugging API calls, monitoring network activity, or understanding what requests a page is making. Returns the tab's requests, including cross-origin ones, with each request's ID and response MIME type. Requests are kept across navigations until you clear them or the conversation is cleared. To read what an API returned, turn on capture_response_bodies before the request is made, then pass the request ID to get_response_body. If you don't have a valid tab ID, use tabs_context first to get available tabs.`,
     input_schema: {
       type: 'object',
       properties: {
@@ -344,6 +357,143 @@ export const TOOL_DEFINITIONS = [
     },
   },
 
+  {
+    name: 'capture_response_bodies',
+    description: `Start (or stop) capturing response bodies of a tab's network requests, so you can read the data a page's API returns with get_response_body instead of scraping the rendered page. Only requests made after capture starts are captured, so reload the page or repeat the action that loads the data afterwards. By default JSON, text and XML responses are captured.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        tabId: {
+          type: 'number',
+          description: 'Tab ID to capture response bodies in. Must be a tab in the current group.',
+        },
+        enabled: {
+          type: 'boolean',
+          description: 'Set to false to stop capturing. Default is true.',
+        },
+        mimeTypes: {
+          type: 'array',
+          items: { type: 'string' },
+          description: "Capture responses whose MIME type contains one of these strings (e.g. ['json'] for JSON APIs). Defaults to ['json', 'text/', 'xml'].",
+        },
+        urlPattern: {
+          type: 'string',
+          description: "Only capture requests whose URL contains this string (e.g. '/api/').",
+        },
+      },
+      required: ['tabId'],
+    },
+  },
+
+  {
+    name: 'get_response_body',
+    description: `Get the response body of a network request, by the request ID shown by read_network_requests. Works for bodies captured with capture_response_bodies, and for recent requests whose body Chrome still holds.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        tabId: {
+          type: 'number',
+          description: 'Tab ID the request was made in.',
+        },
+        requestId: {
+          type: 'string',
+          description: 'Request ID from read_network_requests (the id= value).',
+        },
+        maxChars: {
+          type: 'number',
+          description: 'Maximum number of body characters to return. Defaults to 20000.',
+        },
+      },
+      required: ['tabId', 'requestId'],
+    },
+  },
+
+  {
+    name: 'export_har',
+    description: `Save the network traffic recorded in a tab during this session as a HAR 1.2 file in the Downloads folder, including captured response bodies. Use when the user asks for a HAR file or a record of the page's traffic.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        tabId: {
+          type: 'number',
+          description: 'Tab ID whose traffic to export.',
+        },
+        urlPattern: {
+          type: 'string',
+          description: 'Only export requests whose URL contains this string.',
+        },
+        includeBodies: {
+          type: 'boolean',
+          description: 'Include captured response bodies. Default is true.',
+        },
+      },
+      required: ['tabId'],
+    },
+  },
+
+  {
+    name: 'downloads',
+    description: `See and read the files downloaded during this task. Use after clicking a download link or button: "wait" waits for the download to finish and returns its filename, size and MIME type; "read" returns the text of a finished text, CSV, JSON or PDF file; "list" lists the task's downloads. For example, to get an invoice total: click the download link, wait, then read.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        action: {
+          type: 'string',
+          enum: ['list', 'wait', 'read'],
+          description: 'list: downloads started during this task, newest first. wait: wait until a download finishes (the newest one if still running, else the next one to start). read: the contents of a finished download.',
+        },
+        downloadId: {
+          type: 'number',
+          description: 'Download ID (the #number from list or wait). Defaults to the newest download.',
+        },
+        timeout: {
+          type: 'number',
+          description: 'Seconds to wait for action "wait". Defaults to 30, max 120.',
+        },
+        tabId: {
+          type: 'number',
+          description: 'Tab the download was started from. Lets "read" get files a page generated itself (blob: downloads).',
+        },
+        maxChars: {
+          type: 'number',
+          description: 'Maximum characters of file content to return for action "read". Defaults to 20000.',
+        },
+      },
+      required: ['action'],
+    },
+  },
+
+  {
+    name: 'get_credential',
+    description: `Log in with a login the user saved in the extension's vault. Fills the username, password and/or current two-factor (TOTP) code into the page's form fields by ref; the password and code are never shown to you. Use this on login and 2FA pages instead of asking the user for passwords. Call it with just tabId to see what is saved for the site, then again with the refs of the fields (from read_page or find), then submit the form.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        tabId: {
+          type: 'number',
+          description: 'Tab with the login form. The login is chosen by this tab\'s site.',
+        },
+        username: {
+          type: 'string',
+          description: 'Which account to use when several are saved for the site.',
+        },
+        usernameRef: {
+          type: 'string',
+          description: 'Ref of the username or email field to fill.',
+        },
+        passwordRef: {
+          type: 'string',
+          description: 'Ref of the password field to fill (an <input type="password"> on the page itself, not in a cross-origin frame).',
+        },
+        totpRef: {
+          type: 'string',
+          description: 'Ref of the one-time code field to fill with the current TOTP code.',
+        },
+      },
+      required: ['tabId'],
+    },
+  },
+
   {
     name: 'solve_captcha',
     description: `Solve a CAPTCHA on deckathon-concordia.com. This tool automatically uses the captured challenge data and brute-forces the solution. Returns the indices of images to click (0-indexed). After getting the indices, click those images and then click Verify.`,
@@ -524,6 +674,75 @@ The response will contain specific guidance on how to proceed.`,
       required: ['problem', 'what_i_need'],
     },
   },
+
+  {
+    name: 'request_human',
+    description: `Hand a step to the user and wait until they finish it. The tab is brought to the front with your instructions and a Resume button; the task pauses until the user clicks Resume (in the page or the side panel).
+
+Use this for steps only a person can do:
+- CAPTCHAs and "are you a robot" checks
+- Hardware security keys, passkeys or approving a login on their phone
+- Confirming a payment (3-D Secure, bank app)
+
+Write short instructions for the user, e.g. "Please solve the CAPTCHA, then click Resume". Do NOT use it for information you could ask for in your reply. After the user resumes, look at the page again before continuing.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        tabId: {
+          type: 'number',
+          description: 'Tab the user should act in. Must be a tab in the current group.',
+        },
+        instructions: {
+          type: 'string',
+          description: 'What the user should do, shown on the page, e.g. "Please tap your security key, then click Resume".',
+        },
+      },
+      required: ['tabId', 'instructions'],
+    },
+  },
+
+  {
+    name: 'spawn_subtasks',
+    description: `Split work into independent subtasks that run IN PARALLEL, each as a separate agent in its own new tab. Blocks until all subtasks finish and returns their results.
+
+Use this when the task has several independent parts that don't depend on each other, e.g.:
+- "Compare the price of X on these 5 sites" -> one subtask per site
+- "Summarize the top story on each of these news sites"
+
+Each subtask agent only sees its own task text and tab - include everything it needs (site, what to find, how to report it). Subtasks cannot spawn further subtasks. Do NOT use this for sequential steps or for a single site.`,
+    input_schema: {
+      type: 'object',
+      properties: {
+        subtasks: {
+          type: 'array',
+          description: 'Subtasks to run in parallel (max 8)',
+          items: {
+            type: 'object',
+            properties: {
+              task: {
+                type: 'string',
+                description: 'Self-contained instruction for the subtask agent, including what to report back',
+              },
+              url: {
+                type: 'string',
+                description: 'URL to open in the subtask\'s tab before it starts',
+              },
+              output_schema: {
+                type: 'object',
+                description: 'Optional JSON Schema the subtask\'s answer must match (returned as "data")',
+              },
+            },
+            required: ['task'],
+          },
+        },
+        keep_tabs: {
+          type: 'boolean',
+          description: 'Keep subtask tabs open afterwards (default: false, tabs are closed)',
+        },
+      },
+      required: ['subtasks'],
+    },
+  },
 ];
 
 /**
@@ -0,0 +1,100 @@
+/**
+ * Action policies
+ * Key presses and drags are checked against the element they act on, like
+ * clicks, so confirmPattern and no_submit can't be sidestepped with the keyboard.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './harness/index.js';
+
+const CHECKOUT_HTML = `<!DOCTYPE html>
+<html><body>
+  <form>
+    <input id="amount" name="amount" aria-label="Amount">
+    <button id="pay">Pay now</button>
+  </form>
+  <p id="note">Transfers arrive the same day.</p>
+  <button id="send">Send money</button>
+</body></html>`;
+
+let harness;
+let policies;
+let tabId;
+
+before(async () => {
+  harness = await createHarness({ serviceWorker: false });
+  policies = await import('../src/background/modules/action-policy.js');
+});
+
+beforeEach(() => {
+  tabId = harness.browser.openTab('https://bank.test/checkout', CHECKOUT_HTML).id;
+});
+
+/**
+ * Use a single policy for bank.test
+ * @param {Object} policy - Policy fields besides id and domain
+ */
+async function setPolicy(policy) {
+  await harness.chrome.storage.local.set({ actionPolicies: [{ id: 'p1', domain: 'bank.test', ...policy }] });
+}
+
+/**
+ * Viewport point inside an element
+ * @param {string} id - Element ID
+ * @returns {Array<number>} [x, y]
+ */
+function pointOf(id) {
+  const { document, layout } = harness.browser.page(tabId);
+  const rect = layout.rectOf(document.getElementById(id));
+  return [10, rect.y + 1];
+}
+
+/**
+ * Focus an element on the page
+ * @param {string} id - Element ID
+ */
+function focus(id) {
+  harness.browser.page(tabId).document.getElementById(id).focus();
+}
+
+test('asks before pressing space on a focused button that matches the confirm pattern', async () => {
+  await setPolicy({ mode: 'full', confirmPattern: 'Pay|Send' });
+
+  focus('send');
+  const spaced = await policies.evaluateAction('computer', { tabId, action: 'key', text: 'space' });
+  assert.equal(spaced.decision, 'ask');
+  assert.equal(spaced.target, 'Send money');
+  assert.equal((await policies.evaluateAction('computer', { tabId, action: 'key', text: ' ' })).decision, 'ask');
+
+  focus('amount');
+  assert.equal((await policies.evaluateAction('computer', { tabId, action: 'key', text: 'space' })).decision, 'allow');
+});
+
+test('blocks Enter on a focused submit button in no_submit mode', async () => {
+  await setPolicy({ mode: 'no_submit' });
+
+  focus('pay');
+  const entered = await policies.evaluateAction('computer', { tabId, action: 'key', text: 'Enter' });
+  assert.equal(entered.decision, 'deny');
+  assert.match(entered.reason, /form submits are blocked/);
+  assert.equal((await policies.evaluateAction('computer', { tabId, action: 'key', text: 'space' })).decision, 'deny');
+
+  focus('amount');
+  assert.equal((await policies.evaluateAction('computer', { tabId, action: 'key', text: 'space' })).decision, 'allow');
+});
+
+test('checks a drag against the element it ends on', async () => {
+  await setPolicy({ mode: 'full', confirmPattern: 'Pay|Send' });
+
+  const dragged = await policies.evaluateAction('computer', {
+    tabId, action: 'left_click_drag', start_coordinate: pointOf('send'), coordinate: pointOf('send'),
+  });
+  assert.equal(dragged.decision, 'ask');
+  assert.equal(dragged.reason, 'Drag onto "Send money"');
+
+  const onText = await policies.evaluateAction('computer', {
+    tabId, action: 'left_click_drag', start_coordinate: pointOf('send'), coordinate: pointOf('note'),
+  });
+  assert.equal(onText.decision, 'allow');
+});
@@ -0,0 +1,179 @@
+/**
+ * Agent loop end to end
+ * Runs side panel tasks through the real service worker (START_TASK) with a
+ * scripted LLM, checking what the model is sent and what the agent does.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, toolUse, reply, lastToolResult } from './harness/index.js';
+
+const LOGIN_HTML = `<!DOCTYPE html>
+<html><head><title>Sign in</title></head>
+<body>
+  <h1>Sign in to Example</h1>
+  <input name="email" placeholder="Email">
+  <button id="next">Next</button>
+  <p id="status"></p>
+</body></html>`;
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  await harness.chrome.storage.local.remove(['actionPolicies', 'budgetSettings']);
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Open the login page with a click handler on "Next"
+ * @returns {number} Tab ID
+ */
+function openLogin() {
+  const tab = harness.browser.openTab('https://example.test/login', LOGIN_HTML);
+  const { document } = harness.browser.page(tab.id);
+  document.getElementById('next').addEventListener('click', () => {
+    document.getElementById('status').textContent = `Continuing as ${document.querySelector('[name=email]').value}`;
+  });
+  return tab.id;
+}
+
+/**
+ * Approve or deny the next permission prompt
+ * @param {boolean} approved
+ * @returns {Promise<Object>} The prompt that was answered
+ */
+async function answerPermission(approved) {
+  const { request } = await harness.browser.waitForMessage('PERMISSION_REQUIRED');
+  await harness.sendMessage({ type: 'PERMISSION_RESPONSE', payload: { id: request.id, approved } });
+  return request;
+}
+
+test('runs tools and completes with the final answer', async () => {
+  const tabId = openLogin();
+  let pageSeen = '';
+  harness.llm.enqueue(
+    toolUse('read_page', { tabId, filter: 'interactive' }, 'Reading the page'),
+    (request) => {
+      pageSeen = lastToolResult(request);
+      return reply('The page asks for an email address.');
+    },
+  );
+
+  const response = await harness.startTask(tabId, 'What does this page ask for?');
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.success, true);
+  assert.match(pageSeen, /textbox \\"Email\\" \[ref_2\]/);
+  assert.equal(harness.llm.requests.length, 2);
+  assert.match(JSON.stringify(harness.llm.requests[0].messages[0]), /What does this page ask for\?/);
+  assert.ok(harness.llm.requests[0].tools.some(tool => tool.name === 'computer'));
+
+  const complete = await harness.browser.waitForMessage('TASK_COMPLETE');
+  assert.equal(complete.result.success, true);
+  const updates = harness.browser.sent.filter(m => m.type === 'TASK_UPDATE').map(m => m.update);
+  assert.ok(updates.some(u => u.status === 'executing' && u.tool === 'read_page'));
+  assert.ok(updates.some(u => u.status === 'message' && u.text === 'The page asks for an email address.'));
+});
+
+test('acts on the page across several tool calls', async () => {
+  const tabId = openLogin();
+  // Refs follow document order: ref_1 heading, ref_2 email field, ref_3 Next button
+  harness.llm.enqueue(
+    toolUse('read_page', { tabId, filter: 'interactive' }),
+    toolUse('computer', { tabId, action: 'left_click', ref: 'ref_2' }),
+    toolUse('computer', { tabId, action: 'type', text: 'ada@example.test' }),
+    toolUse('computer', { tabId, action: 'left_click', ref: 'ref_3' }),
+    reply('Submitted the email.'),
+  );
+
+  const response = await harness.startTask(tabId, 'Sign in as ada@example.test');
+
+  assert.equal(response.result.success, true);
+  assert.equal(response.result.steps, 5);
+  assert.equal(harness.browser.page(tabId).document.getElementById('status').textContent, 'Continuing as ada@example.test');
+  assert.match(lastToolResult(harness.llm.requests[3]), /Typed/);
+});
+
+test('asks before actions on "ask" domains and reports a denial to the model', async () => {
+  await harness.chrome.storage.local.set({ actionPolicies: [{ id: 'p1', domain: 'example.test', mode: 'ask' }] });
+  const tabId = openLogin();
+  let toolResult = '';
+  harness.llm.enqueue(
+    toolUse('read_page', { tabId, filter: 'interactive' }),
+    toolUse('computer', { tabId, action: 'left_click', ref: 'ref_3' }),
+    (request) => {
+      toolResult = lastToolResult(request);
+      return reply('The user did not allow the click.');
+    },
+  );
+
+  const [response, prompt] = await Promise.all([
+    harness.startTask(tabId, 'Click next'),
+    answerPermission(false),
+  ]);
+
+  assert.equal(prompt.domain, 'example.test');
+  assert.match(prompt.reason, /Click "Next"/);
+  assert.match(toolResult, /User denied permission/);
+  assert.equal(response.result.success, true);
+  assert.equal(harness.browser.page(tabId).document.getElementById('status').textContent, '');
+});
+
+test('pauses at the task token budget and stops when the user declines', async () => {
+  await harness.chrome.storage.local.set({ budgetSettings: { enabled: true, taskMaxTokens: 150 } });
+  const tabId = openLogin();
+  harness.llm.enqueue(
+    toolUse('read_page', { tabId }),
+    toolUse('read_page', { tabId }),
+    reply('Never reached'),
+  );
+
+  const [response, prompt] = await Promise.all([
+    harness.startTask(tabId, 'Read the page twice'),
+    answerPermission(false),
+  ]);
+
+  assert.equal(prompt.tool, null);
+  assert.match(prompt.reason, /Reached the task token limit/);
+  assert.equal(response.result.success, false);
+  assert.match(response.result.message, /^Stopped: Reached the task token limit/);
+  assert.equal(harness.llm.requests.length, 2);
+});
+
+test('counts a subtask\'s spending against its parent task\'s budget', async () => {
+  // Each scripted response uses 120 tokens: the parent alone stays under the limit
+  await harness.chrome.storage.local.set({ budgetSettings: { enabled: true, taskMaxTokens: 300 } });
+  const tabId = openLogin();
+  harness.llm.enqueue(
+    toolUse('spawn_subtasks', { subtasks: [{ task: 'Read the page' }] }),
+    toolUse('read_page', { tabId }),
+    reply('The page is blank.'),
+    reply('Never reached'),
+  );
+
+  const [response, prompt] = await Promise.all([
+    harness.startTask(tabId, 'Read a page in a subtask'),
+    answerPermission(false),
+  ]);
+
+  assert.match(prompt.reason, /Reached the task token limit \(360 of 300 tokens\)/);
+  assert.match(response.result.message, /^Stopped: Reached the task token limit/);
+  assert.equal(harness.llm.requests.length, 3);
+});
+
+test('reports API errors as a failed task', async () => {
+  const tabId = openLogin();
+  // No scripted responses: the provider answers with HTTP 500
+
+  const response = await harness.startTask(tabId, 'Anything');
+  const error = await harness.browser.waitForMessage('TASK_ERROR');
+
+  assert.equal(response.success, false);
+  assert.match(error.error, /Scripted LLM has no response left/);
+});
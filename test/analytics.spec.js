@@ -0,0 +1,95 @@
+/**
+ * Tool analytics
+ * Every tool call of a task is recorded with its site, outcome, latency and
+ * retries, aggregated per tool, action and site, and linked to the task's
+ * history entry.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, toolUse, reply } from './harness/index.js';
+
+const FORM_HTML = `<!DOCTYPE html>
+<html><head><title>Search</title></head>
+<body><label for="q">Query</label><input id="q" type="text"><button>Go</button></body></html>`;
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_TOOL_ANALYTICS' });
+  await harness.sendMessage({ type: 'CLEAR_TASK_HISTORY' });
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Get the dashboard data
+ * @returns {Promise<Object>}
+ */
+async function getAnalytics() {
+  const response = await harness.sendMessage({ type: 'GET_TOOL_ANALYTICS', payload: { days: 7 } });
+  assert.equal(response.success, true);
+  return response.analytics;
+}
+
+test('aggregates calls, errors and retries per tool and site, linked to the task', async () => {
+  const tab = harness.browser.openTab('https://search.example.test/', FORM_HTML);
+  harness.llm.enqueue(
+    toolUse('form_input', { tabId: tab.id, ref: 'ref_98', value: 'mugs' }),
+    toolUse('form_input', { tabId: tab.id, ref: 'ref_99', value: 'mugs' }),
+    toolUse('read_page', { tabId: tab.id, filter: 'interactive' }),
+    toolUse('computer', { tabId: tab.id, action: 'left_click', ref: 'ref_97' }),
+    toolUse('computer', { tabId: tab.id, action: 'scroll', coordinate: [100, 100], scroll_direction: 'down', scroll_amount: 3 }),
+    reply('Could not search.'),
+  );
+
+  await harness.startTask(tab.id, 'Search for mugs');
+  const { entries } = await harness.sendMessage({ type: 'GET_TASK_HISTORY', payload: { query: '' } });
+  const { totals, tools, domains } = await getAnalytics();
+
+  assert.equal(totals.calls, 5);
+  assert.equal(totals.tasks, 1);
+
+  const [formInput] = tools;
+  assert.equal(formInput.tool, 'form_input');
+  assert.deepEqual(
+    { calls: formInput.calls, errors: formInput.errors, retries: formInput.retries, errorRate: formInput.errorRate },
+    { calls: 2, errors: 2, retries: 1, errorRate: 1 },
+  );
+  assert.equal(formInput.topErrors.length, 1, 'errors differing only by ref are grouped');
+  assert.equal(formInput.topErrors[0].count, 2);
+  assert.equal(formInput.topErrors[0].message, 'No element found with reference: "…". The element may have been removed from the page.');
+  assert.deepEqual(formInput.recentFailures.map(f => [f.historyId, f.domain]), [
+    [entries[0].id, 'search.example.test'],
+    [entries[0].id, 'search.example.test'],
+  ]);
+
+  const computer = tools.find(t => t.tool === 'computer');
+  assert.deepEqual(computer.actions.map(a => [a.action, a.calls, a.errors]), [['left_click', 1, 1], ['scroll', 1, 0]]);
+  assert.equal(computer.retries, 0, 'a different action after a failure is not a retry');
+  assert.ok(tools.find(t => t.tool === 'read_page').avgMs >= 0);
+
+  assert.deepEqual(domains.map(d => [d.domain, d.calls, d.errors]), [['search.example.test', 5, 3]]);
+});
+
+test('links follow-up tasks to the same conversation and clears on request', async () => {
+  const tab = harness.browser.openTab('https://docs.example.test/', FORM_HTML);
+  harness.llm.enqueue(toolUse('get_page_text', { tabId: tab.id }), reply('Read it.'));
+  await harness.startTask(tab.id, 'Read the page');
+  harness.llm.enqueue(toolUse('navigate', { tabId: tab.id, url: 'https://other.example.test/' }), reply('Moved.'));
+  await harness.startTask(tab.id, 'Go elsewhere');
+
+  const { entries } = await harness.sendMessage({ type: 'GET_TASK_HISTORY', payload: { query: '' } });
+  const { totals, domains } = await getAnalytics();
+  assert.equal(entries.length, 1);
+  assert.equal(totals.tasks, 1);
+  assert.deepEqual(domains.map(d => d.domain).sort(), ['docs.example.test', 'other.example.test']);
+
+  await harness.sendMessage({ type: 'CLEAR_TOOL_ANALYTICS' });
+  assert.equal((await getAnalytics()).totals.calls, 0);
+});
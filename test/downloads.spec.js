@@ -0,0 +1,130 @@
+/**
+ * Downloads
+ * The downloads tool waiting for, listing and reading the files a task
+ * downloads, through the agent loop.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, toolUse, reply, lastToolResult } from './harness/index.js';
+import { handleDownloads } from '../src/background/tool-handlers/downloads-tool.js';
+
+const BILLING_HTML = `<!DOCTYPE html>
+<html><head><title>Billing</title></head>
+<body><h1>Invoices</h1><a href="/invoices/2026-09.csv">September invoice</a></body></html>`;
+
+const INVOICE_CSV = 'item,amount\nHosting,120.00\nSupport,80.50\nTotal,200.50\n';
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Script the agent's downloads calls, collecting each tool result
+ * @param {Array<Object|Function>} steps - Tool calls; a function step runs before its call is made
+ * @returns {Array<string>} Tool results, filled in as the task runs
+ */
+function scriptDownloadCalls(steps) {
+  const results = [];
+  harness.llm.enqueue(steps[0], ...steps.slice(1).map(step => (request) => {
+    results.push(lastToolResult(request));
+    return typeof step === 'function' ? step() : step;
+  }), (request) => {
+    results.push(lastToolResult(request));
+    return reply('Done.');
+  });
+  return results;
+}
+
+test('waits for a download started by the page and reads the file', async () => {
+  const tab = harness.browser.openTab('https://billing.test/', BILLING_HTML);
+  // Earlier downloads and the extension's own files are not the task's
+  harness.browser.startDownload({ url: 'https://billing.test/old.csv', filename: 'old.csv', startTime: new Date(Date.now() - 60000).toISOString() });
+  await harness.chrome.downloads.download({ url: 'data:application/json;base64,e30=', filename: 'browser-agent/log.json' });
+
+  const results = scriptDownloadCalls([
+    toolUse('computer', { tabId: tab.id, action: 'wait', duration: 0.1 }),
+    () => {
+      const item = harness.browser.startDownload({ url: 'https://billing.test/invoices/2026-09.csv', filename: 'invoice-2026-09.csv', mime: 'text/csv', content: INVOICE_CSV });
+      setTimeout(() => harness.browser.finishDownload(item.id), 100);
+      return toolUse('downloads', { action: 'wait', timeout: 5 });
+    },
+    toolUse('downloads', { action: 'read', tabId: tab.id }),
+    toolUse('downloads', { action: 'list' }),
+  ]);
+
+  const response = await harness.startTask(tab.id, "What's the total of September's invoice?");
+
+  assert.equal(response.result.success, true);
+  const [, waited, read, listed] = results;
+  assert.match(waited, /^Download finished:\n#\d+ invoice-2026-09\.csv - complete, 54 B, text\/csv\nSaved to: \/downloads\/invoice-2026-09\.csv/);
+  assert.match(read, /From: https:\/\/billing\.test\/invoices\/2026-09\.csv\n\nitem,amount\nHosting,120\.00/);
+  assert.match(read, /Total,200\.50/);
+  assert.match(listed, /^1 download\(s\) in this session, newest first:\n#\d+ invoice-2026-09\.csv - complete/);
+  assert.doesNotMatch(listed, /old\.csv|log\.json/);
+});
+
+test('reports downloads that are still running, failed or unreadable', async () => {
+  const tab = harness.browser.openTab('https://billing.test/', BILLING_HTML);
+  let slow;
+  let broken;
+
+  const results = scriptDownloadCalls([
+    toolUse('computer', { tabId: tab.id, action: 'wait', duration: 0.1 }),
+    () => {
+      slow = harness.browser.startDownload({ url: 'https://billing.test/export.json', filename: 'export.json', mime: 'application/json', content: '{"rows":[1,2]}' });
+      return toolUse('downloads', { action: 'wait', downloadId: slow.id, timeout: 1 });
+    },
+    () => toolUse('downloads', { action: 'read', downloadId: slow.id }),
+    () => {
+      harness.browser.finishDownload(slow.id, { readable: false });
+      return toolUse('downloads', { action: 'read', downloadId: slow.id });
+    },
+    () => {
+      broken = harness.browser.startDownload({ url: 'https://billing.test/big.zip', filename: 'big.zip', mime: 'application/zip' });
+      harness.browser.finishDownload(broken.id, { error: 'NETWORK_FAILED' });
+      return toolUse('downloads', { action: 'wait', downloadId: broken.id });
+    },
+    () => toolUse('downloads', { action: 'read', downloadId: 999 }),
+  ]);
+
+  await harness.startTask(tab.id, 'Export the report');
+
+  const [, running, notDone, unreadable, failed, unknown] = results;
+  assert.match(running, /^Still downloading after 1s:\n#\d+ export\.json - downloading, 0 B of 14 B, application\/json/);
+  assert.match(notDone, /is not complete .* Use action "wait" first/);
+  assert.match(unreadable, /Could not read \/downloads\/export\.json \(file on disk: Failed to fetch; source URL: Network access is disabled/);
+  assert.match(unreadable, /Allow access to file URLs/);
+  assert.match(failed, /^Error: Download failed:\n#\d+ big\.zip - failed \(NETWORK_FAILED\)/);
+  assert.match(unknown, /No download 999 in this session/);
+});
+
+test('waits for the next download after one that already finished, and needs a task', async () => {
+  const tab = harness.browser.openTab('https://billing.test/', BILLING_HTML);
+  const results = scriptDownloadCalls([
+    toolUse('computer', { tabId: tab.id, action: 'wait', duration: 0.1 }),
+    () => {
+      const first = harness.browser.startDownload({ url: 'https://billing.test/invoices/2026-08.csv', filename: 'invoice-2026-08.csv', mime: 'text/csv', content: 'a' });
+      harness.browser.finishDownload(first.id);
+      // The second link's download only registers after the agent starts waiting
+      setTimeout(() => {
+        const second = harness.browser.startDownload({ url: 'https://billing.test/invoices/2026-09.csv', filename: 'invoice-2026-09.csv', mime: 'text/csv', content: INVOICE_CSV });
+        harness.browser.finishDownload(second.id);
+      }, 200);
+      return toolUse('downloads', { action: 'wait', timeout: 5 });
+    },
+  ]);
+
+  await harness.startTask(tab.id, 'Download the September invoice');
+
+  assert.match(results[1], /^Download finished:\n#\d+ invoice-2026-09\.csv - complete/);
+  assert.equal(await handleDownloads({ action: 'list' }, {}), 'Error: The downloads tool only works in a running task.');
+});
@@ -0,0 +1,147 @@
+/**
+ * Shadow DOM and iframes
+ * read_page, find, form_input and computer clicks on elements inside open
+ * shadow roots, same-origin iframes and cross-origin iframes (over CDP).
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, reply } from './harness/index.js';
+
+const APP_HTML = `<!DOCTYPE html>
+<html><head><title>Console</title></head>
+<body>
+  <h1>Accounts</h1>
+  <account-form></account-form>
+  <p id="status"></p>
+</body></html>`;
+
+const CHECKOUT_HTML = `<!DOCTYPE html>
+<html><head><title>Checkout</title></head>
+<body>
+  <h1>Checkout</h1>
+  <iframe src="/address"></iframe>
+  <iframe src="https://pay.test/card"></iframe>
+  <p id="status"></p>
+</body></html>`;
+
+const ADDRESS_HTML = `<html><body>
+  <input name="street" placeholder="Street">
+  <button id="save">Save address</button>
+</body></html>`;
+
+const CARD_HTML = `<!DOCTYPE html>
+<html><head><title>Card</title></head>
+<body>
+  <input name="card" placeholder="Card number">
+  <button id="pay">Pay</button>
+</body></html>`;
+
+let harness;
+let executeToolHandler;
+
+before(async () => {
+  harness = await createHarness({ serviceWorker: false });
+  ({ executeToolHandler } = await import('../src/background/tool-handlers/index.js'));
+  const { initDebugger } = await import('../src/background/managers/debugger-manager.js');
+  initDebugger({ consoleMessages: [], networkRequests: [], capturedCaptchaData: new Map(), log: async () => {} });
+  harness.browser.route('https://shop.test/address', ADDRESS_HTML);
+  harness.browser.route('https://pay.test/card', CARD_HTML);
+});
+
+/**
+ * Open the console page and render its web component (an open shadow root)
+ * @returns {number} Tab ID
+ */
+function openApp() {
+  const tab = harness.browser.openTab('https://app.test/', APP_HTML);
+  const { document } = harness.browser.page(tab.id);
+  const shadow = document.querySelector('account-form').attachShadow({ mode: 'open' });
+  shadow.innerHTML = '<label for="owner">Owner</label><input id="owner"><button id="create">Create account</button>';
+  shadow.getElementById('create').addEventListener('click', () => {
+    document.getElementById('status').textContent = `Created for ${shadow.getElementById('owner').value}`;
+  });
+  return tab.id;
+}
+
+/**
+ * Find the ref on a read_page line
+ * @param {string} tree - read_page output
+ * @param {string} text - Text on the element's line
+ * @returns {string} ref ID, frame prefix included
+ */
+function refFor(tree, text) {
+  const line = tree.split('\n').find(l => l.includes(text));
+  assert.ok(line, `no element "${text}" in:\n${tree}`);
+  return line.match(/\[((?:[fx]\d+:)*ref_\d+)\]/)[1];
+}
+
+test('reads, fills and clicks elements inside an open shadow root', async () => {
+  const tabId = openApp();
+  const tree = (await executeToolHandler('read_page', { tabId, filter: 'interactive' })).output;
+
+  assert.match(tree, /textbox "Owner" \[ref_\d+\]/);
+  const filled = await executeToolHandler('form_input', { tabId, ref: refFor(tree, 'textbox "Owner"'), value: 'Ada' });
+  assert.match(filled.output, /Set text value to "Ada"/);
+
+  const clicked = await executeToolHandler('computer', { tabId, action: 'left_click', ref: refFor(tree, 'Create account') });
+  assert.match(clicked.output, /Clicked on element ref_\d+/);
+  assert.equal(harness.browser.page(tabId).document.getElementById('status').textContent, 'Created for Ada');
+});
+
+test('qualifies refs in same-origin iframes and acts on them in place', async () => {
+  const tab = harness.browser.openTab('https://shop.test/checkout', CHECKOUT_HTML);
+  const frameDoc = harness.browser.page(tab.id).document.querySelector('iframe').contentDocument;
+  frameDoc.getElementById('save').addEventListener('click', () => {
+    frameDoc.body.dataset.saved = frameDoc.querySelector('input').value;
+  });
+
+  const tree = (await executeToolHandler('read_page', { tabId: tab.id, filter: 'interactive' })).output;
+  assert.match(tree, /iframe \[\/address\]\n textbox "Street" \[f1:ref_\d+\]/);
+
+  await executeToolHandler('form_input', { tabId: tab.id, ref: refFor(tree, 'Street'), value: '1 Main St' });
+  const clicked = await executeToolHandler('computer', { tabId: tab.id, action: 'left_click', ref: refFor(tree, 'Save address') });
+
+  assert.match(clicked.output, /Clicked on element f1:ref_\d+/);
+  assert.equal(frameDoc.body.dataset.saved, '1 Main St');
+});
+
+test('reads cross-origin iframes over CDP and routes their refs back to the frame', async () => {
+  const tab = harness.browser.openTab('https://shop.test/checkout', CHECKOUT_HTML);
+  const cardDoc = harness.browser.page(tab.id).findFrame(
+    harness.browser.page(tab.id).frameTree().childFrames.find(f => f.frame.url === 'https://pay.test/card').frame.id,
+  ).document;
+  cardDoc.getElementById('pay').addEventListener('click', () => {
+    cardDoc.body.dataset.paid = cardDoc.querySelector('input').value;
+  });
+
+  const tree = (await executeToolHandler('read_page', { tabId: tab.id, filter: 'interactive' })).output;
+  assert.match(tree, /iframe \(cross-origin\) \[https:\/\/pay\.test\/card\]/);
+  assert.match(tree, /iframe \(cross-origin\) "https:\/\/pay\.test\/card" \[x1\]\n textbox "Card number" \[x1:ref_1\]/);
+
+  const filled = await executeToolHandler('form_input', { tabId: tab.id, ref: 'x1:ref_1', value: '4242' });
+  assert.match(filled.output, /Set text value to "4242"/);
+  const clicked = await executeToolHandler('computer', { tabId: tab.id, action: 'left_click', ref: refFor(tree, '"Pay"') });
+  assert.equal(clicked.output, 'Clicked on element x1:ref_2');
+  assert.equal(cardDoc.body.dataset.paid, '4242');
+
+  const subtree = await executeToolHandler('read_page', { tabId: tab.id, ref_id: 'x1:ref_2' });
+  assert.match(subtree.output, /button "Pay" \[x1:ref_2\]/);
+  const gone = await executeToolHandler('form_input', { tabId: tab.id, ref: 'x9:ref_1', value: '1' });
+  assert.match(gone.error, /Frame x9 is no longer on the page/);
+});
+
+test('find sees elements in shadow roots and frames', async () => {
+  const tab = harness.browser.openTab('https://shop.test/checkout', CHECKOUT_HTML);
+  let prompt = null;
+  const callLLMSimple = async ({ messages }) => {
+    prompt = messages[0].content;
+    return reply('FOUND: 1\nSHOWING: 1\n---\nx1:ref_2 | button | Pay | button | pays the order');
+  };
+
+  const result = await executeToolHandler('find', { tabId: tab.id, query: 'pay button' }, { callLLMSimple });
+
+  assert.match(prompt, /textbox "Street" \[f\d+:ref_\d+\]/);
+  assert.match(prompt, /button "Pay" \[x1:ref_2\]/);
+  assert.match(result.output, /- x1:ref_2: button "Pay"/);
+});
@@ -0,0 +1,99 @@
+/**
+ * Human handoff
+ * request_human pauses the task with the agent's instructions on the page,
+ * brings the tab to the front and resumes when the user clicks Resume;
+ * stopping the task ends the wait.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, toolUse, reply, lastToolResult } from './harness/index.js';
+
+const CAPTCHA_HTML = `<!DOCTYPE html>
+<html><head><title>Checkout</title></head>
+<body><div class="captcha">Select all images with traffic lights</div></body></html>`;
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Messages the service worker sent to a tab
+ * @param {number} tabId
+ * @param {string} type - Message type
+ * @returns {Array<Object>}
+ */
+function tabMessagesOf(tabId, type) {
+  return harness.browser.tabMessages.filter(m => m.tabId === tabId && m.message.type === type).map(m => m.message);
+}
+
+test('pauses on the tab with the instructions and resumes with the user\'s note', async () => {
+  const tab = harness.browser.openTab('https://shop.example.test/checkout', CAPTCHA_HTML);
+  const results = [];
+  harness.llm.enqueue(
+    toolUse('request_human', { tabId: tab.id, instructions: 'Please solve the CAPTCHA, then click Resume' }),
+    (request) => {
+      results.push(lastToolResult(request));
+      return reply('Order placed.');
+    },
+  );
+
+  const task = harness.startTask(tab.id, 'Buy the blue mug');
+  const { handoff } = await harness.browser.waitForMessage('HUMAN_HANDOFF_REQUIRED');
+  assert.equal(handoff.instructions, 'Please solve the CAPTCHA, then click Resume');
+  assert.equal(handoff.tabId, tab.id);
+  assert.deepEqual(tabMessagesOf(tab.id, 'SHOW_HUMAN_HANDOFF').map(m => m.handoff), [
+    { id: handoff.id, instructions: 'Please solve the CAPTCHA, then click Resume' },
+  ]);
+
+  // The user switched tabs meanwhile; the banner comes back after the page reloads
+  harness.browser.openTab('https://mail.example.test/', '<title>Mail</title>');
+  const current = await harness.chrome.tabs.get(tab.id);
+  harness.chrome.tabs.onUpdated.dispatch(tab.id, { status: 'complete' }, current);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(tabMessagesOf(tab.id, 'SHOW_HUMAN_HANDOFF').length, 2);
+
+  await harness.sendMessage({ type: 'HUMAN_HANDOFF_RESUME', payload: { id: handoff.id, note: ' Solved it, card confirmed ' } });
+  const response = await task;
+
+  assert.equal(response.result.success, true);
+  assert.equal(results[0], 'The user is done and resumed the task. Their note: "Solved it, card confirmed" ' +
+    'The page may have changed - take a screenshot or call read_page before continuing.');
+  assert.equal(tabMessagesOf(tab.id, 'HIDE_HUMAN_HANDOFF').length, 1);
+  assert.deepEqual(harness.browser.sent.filter(m => m.type === 'HUMAN_HANDOFF_ENDED'), [{ type: 'HUMAN_HANDOFF_ENDED', id: handoff.id }]);
+});
+
+test('brings the tab to the front and ends the wait when the task is stopped', async () => {
+  const tab = harness.browser.openTab('https://bank.example.test/confirm', CAPTCHA_HTML);
+  harness.browser.openTab('https://news.example.test/', '<title>News</title>');
+  const results = [];
+  harness.llm.enqueue(
+    toolUse('request_human', { tabId: tab.id, instructions: '  ' }),
+    (request) => {
+      results.push(lastToolResult(request));
+      return toolUse('request_human', { tabId: tab.id, instructions: 'Approve the payment in your bank app, then click Resume' });
+    },
+  );
+
+  const task = harness.startTask(tab.id, 'Pay the invoice');
+  await harness.browser.waitForMessage('HUMAN_HANDOFF_REQUIRED');
+  const focused = await harness.chrome.tabs.get(tab.id);
+  assert.equal(focused.active, true);
+  assert.equal((await harness.chrome.windows.get(focused.windowId)).focused, true);
+
+  await harness.sendMessage({ type: 'STOP_TASK' });
+  await task;
+
+  assert.match(results[0], /^Error: instructions cannot be empty/);
+  assert.equal(harness.llm.requests.length, 2, 'the stopped task asked the model again');
+  assert.equal(tabMessagesOf(tab.id, 'HIDE_HUMAN_HANDOFF').length, 1);
+  assert.ok(harness.browser.sent.some(m => m.type === 'HUMAN_HANDOFF_ENDED'));
+});
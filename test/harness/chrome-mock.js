@@ -0,0 +1,641 @@
+/**
+ * Mock Chrome extension APIs
+ * An in-memory browser (windows, tabs, tab groups, storage, debugger) whose
+ * tabs are jsdom pages. Covers the parts of chrome.* the service worker and
+ * tool handlers use; every function supports both promise and callback style,
+ * with chrome.runtime.lastError set during failing callbacks.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createPage } from './page.js';
+
+const REPO_ROOT = new URL('../../', import.meta.url);
+const BLANK_PAGE = '<!DOCTYPE html><html><head><title></title></head><body></body></html>';
+
+/**
+ * Create a chrome.events.Event
+ * @returns {Object} Event with addListener/removeListener/hasListener and dispatch() for the harness
+ */
+export function createEvent() {
+  const listeners = new Set();
+  return {
+    addListener: (listener) => listeners.add(listener),
+    removeListener: (listener) => listeners.delete(listener),
+    hasListener: (listener) => listeners.has(listener),
+    hasListeners: () => listeners.size > 0,
+    dispatch: (...args) => [...listeners].map(listener => listener(...args)),
+  };
+}
+
+/**
+ * Create a storage area (chrome.storage.local / session)
+ * @param {string} areaName - Area name reported to onChanged
+ * @param {Object} onChanged - chrome.storage.onChanged event
+ * @returns {Object} StorageArea
+ */
+function createStorageArea(areaName, onChanged) {
+  let data = {};
+
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return structuredClone(data);
+    if (typeof keys === 'string') keys = [keys];
+    const defaults = Array.isArray(keys) ? {} : keys;
+    const names = Array.isArray(keys) ? keys : Object.keys(keys);
+    const result = {};
+    for (const key of names) {
+      if (key in data) result[key] = structuredClone(data[key]);
+      else if (key in defaults) result[key] = defaults[key];
+    }
+    return result;
+  };
+
+  const change = (updates) => {
+    const changes = {};
+    for (const [key, newValue] of Object.entries(updates)) {
+      changes[key] = { oldValue: data[key], newValue };
+      if (newValue === undefined) delete data[key];
+      else data[key] = structuredClone(newValue);
+    }
+    if (Object.keys(changes).length > 0) onChanged.dispatch(changes, areaName);
+  };
+
+  return {
+    get: async (keys) => pick(keys),
+    set: async (items) => change(items),
+    remove: async (keys) => change(Object.fromEntries([keys].flat().map(key => [key, undefined]))),
+    clear: async () => change(Object.fromEntries(Object.keys(data).map(key => [key, undefined]))),
+    getBytesInUse: async () => JSON.stringify(data).length,
+  };
+}
+
+/**
+ * Create the mock browser
+ * @returns {Object} Browser with the chrome namespace and helpers to open pages,
+ *   route URLs to fixtures, message the service worker and inspect what it did
+ */
+export function createBrowser() {
+  const routes = new Map();
+  const windows = new Map();
+  const tabs = new Map();
+  const pages = new Map();
+  const groups = new Map();
+  const alarms = new Map();
+  const attached = new Set();
+  const history = new Map();   // tabId -> {entries, index}
+  const nextId = { window: 1, tab: 1, group: 1, download: 1 };
+
+  // Everything the service worker sent or did, for assertions
+  const sent = [];             // chrome.runtime.sendMessage
+  const tabMessages = [];      // chrome.tabs.sendMessage
+  const cdpCommands = [];      // chrome.debugger.sendCommand
+  const downloads = [];        // chrome.downloads.download
+  const downloadItems = new Map(); // downloadId -> chrome.downloads.DownloadItem
+  const diskFiles = new Map(); // Path -> contents of files on disk (read through file:// URLs)
+  const messageWaiters = [];
+
+  const runtime = {
+    id: 'harness-extension',
+    lastError: undefined,
+  };
+
+  /**
+   * Wrap an implementation as a chrome API function (promise or callback)
+   * @param {Function} impl - Async implementation
+   * @returns {Function}
+   */
+  const api = (impl) => (...args) => {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const promise = Promise.resolve().then(() => impl(...args));
+    if (!callback) return promise;
+    promise.then(
+      (result) => callback(result),
+      (error) => {
+        runtime.lastError = { message: error.message };
+        try {
+          callback();
+        } finally {
+          runtime.lastError = undefined;
+        }
+      },
+    );
+    return undefined;
+  };
+
+  const getTabRecord = (tabId) => {
+    const tab = tabs.get(tabId);
+    if (!tab) throw new Error(`No tab with id: ${tabId}.`);
+    return tab;
+  };
+
+  const getPage = (tabId) => {
+    getTabRecord(tabId);
+    return pages.get(tabId);
+  };
+
+  const describeTab = (tab) => ({ ...tab, title: pages.get(tab.id)?.title || tab.url });
+
+  const events = {
+    tabsCreated: createEvent(),
+    tabsRemoved: createEvent(),
+    tabsUpdated: createEvent(),
+    tabsActivated: createEvent(),
+    windowsCreated: createEvent(),
+    windowsRemoved: createEvent(),
+    storageChanged: createEvent(),
+    runtimeMessage: createEvent(),
+    debuggerEvent: createEvent(),
+    debuggerDetach: createEvent(),
+    alarm: createEvent(),
+  };
+
+  /**
+   * Load a URL into a tab (replacing its page)
+   * @param {number} tabId - Tab ID
+   * @param {string} url - URL to load; routed URLs get their fixture HTML, others a blank page
+   */
+  const loadUrl = (tabId, url) => {
+    pages.get(tabId)?.close();
+    pages.set(tabId, createPage(url, routes.get(url) ?? BLANK_PAGE, routes));
+    const tab = getTabRecord(tabId);
+    tab.url = url;
+    tab.status = 'complete';
+    attached.delete(tabId);
+    events.tabsUpdated.dispatch(tabId, { status: 'complete', url }, describeTab(tab));
+  };
+
+  const navigate = (tabId, url) => {
+    const entry = history.get(tabId);
+    entry.entries = [...entry.entries.slice(0, entry.index + 1), url];
+    entry.index = entry.entries.length - 1;
+    loadUrl(tabId, url);
+  };
+
+  const go = (tabId, delta) => {
+    const entry = history.get(tabId);
+    const index = entry.index + delta;
+    if (index < 0 || index >= entry.entries.length) return;
+    entry.index = index;
+    loadUrl(tabId, entry.entries[index]);
+  };
+
+  const activate = (tab) => {
+    for (const other of tabs.values()) {
+      if (other.windowId === tab.windowId) other.active = other.id === tab.id;
+    }
+    events.tabsActivated.dispatch({ tabId: tab.id, windowId: tab.windowId });
+  };
+
+  const createWindow = ({ focused = true, type = 'normal', state = 'normal' } = {}) => {
+    const window = { id: nextId.window++, focused, type, state, incognito: false, top: 0, left: 0, width: 1280, height: 800 };
+    if (focused) {
+      for (const other of windows.values()) other.focused = false;
+    }
+    windows.set(window.id, window);
+    return window;
+  };
+
+  const focusedWindowId = () => [...windows.values()].find(w => w.focused)?.id ?? [...windows.keys()][0];
+
+  const createTab = ({ url = 'about:blank', active = true, windowId, openerTabId } = {}) => {
+    const targetWindowId = windowId ?? focusedWindowId() ?? createWindow().id;
+    const index = [...tabs.values()].filter(t => t.windowId === targetWindowId).length;
+    const tab = {
+      id: nextId.tab++, windowId: targetWindowId, index, url, status: 'complete',
+      active: false, groupId: -1, openerTabId, pinned: false, incognito: false,
+    };
+    tabs.set(tab.id, tab);
+    history.set(tab.id, { entries: [], index: -1 });
+    navigate(tab.id, url);
+    if (active) activate(tab);
+    events.tabsCreated.dispatch(describeTab(tab));
+    return describeTab(tab);
+  };
+
+  const removeTab = (tabId) => {
+    const tab = getTabRecord(tabId);
+    pages.get(tabId)?.close();
+    pages.delete(tabId);
+    tabs.delete(tabId);
+    history.delete(tabId);
+    attached.delete(tabId);
+    events.tabsRemoved.dispatch(tabId, { windowId: tab.windowId, isWindowClosing: false });
+  };
+
+  const matchesQuery = (tab, query) => {
+    const inFocusedWindow = tab.windowId === focusedWindowId();
+    const checks = [
+      query.active === undefined || tab.active === query.active,
+      !(query.currentWindow || query.lastFocusedWindow) || inFocusedWindow,
+      query.windowId === undefined || tab.windowId === query.windowId,
+      query.groupId === undefined || tab.groupId === query.groupId,
+      query.status === undefined || tab.status === query.status,
+      typeof query.url !== 'string' || tab.url === query.url,
+    ];
+    return checks.every(Boolean);
+  };
+
+  const executeScript = async ({ target, func, args, files }) => {
+    const page = getPage(target.tabId);
+    const frame = { frameId: 0, documentId: `doc-${target.tabId}` };
+    if (files) {
+      for (const file of files) {
+        page.runFile(readFileSync(new URL(file.replace(/^\//, ''), REPO_ROOT), 'utf8'));
+      }
+      return [{ ...frame, result: null }];
+    }
+    try {
+      if (target.allFrames) {
+        return (await page.runInAllFrames(func, args)).map((result, frameId) => ({ ...frame, frameId, result }));
+      }
+      return [{ ...frame, result: await page.run(func, args) }];
+    } catch (error) {
+      return [{ ...frame, result: null, error: { message: error?.message || String(error) } }];
+    }
+  };
+
+  const sendCommand = async ({ tabId }, method, params) => {
+    if (!attached.has(tabId)) {
+      throw new Error(`Debugger is not attached to the tab with id: ${tabId}.`);
+    }
+    cdpCommands.push({ tabId, method, params });
+    return getPage(tabId).cdp(method, params);
+  };
+
+  const chrome = {
+    runtime: {
+      id: runtime.id,
+      get lastError() { return runtime.lastError; },
+      onMessage: events.runtimeMessage,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      onConnect: createEvent(),
+      getURL: (path) => `chrome-extension://${runtime.id}/${path.replace(/^\//, '')}`,
+      getManifest: () => JSON.parse(readFileSync(new URL('manifest.json', REPO_ROOT), 'utf8')),
+      sendMessage: api((message) => {
+        sent.push(message);
+        for (const waiter of [...messageWaiters]) {
+          if (waiter.predicate(message)) {
+            messageWaiters.splice(messageWaiters.indexOf(waiter), 1);
+            waiter.resolve(message);
+          }
+        }
+        return undefined;
+      }),
+      // No native host in the harness: ports disconnect right away with an error
+      connectNative: () => {
+        const port = { onMessage: createEvent(), onDisconnect: createEvent(), postMessage: () => {}, disconnect: () => {} };
+        setTimeout(() => {
+          runtime.lastError = { message: 'Specified native messaging host not found.' };
+          try {
+            port.onDisconnect.dispatch(port);
+          } finally {
+            runtime.lastError = undefined;
+          }
+        }, 0);
+        return port;
+      },
+      sendNativeMessage: api(() => {
+        throw new Error('Specified native messaging host not found.');
+      }),
+    },
+
+    storage: {
+      onChanged: events.storageChanged,
+      local: createStorageArea('local', events.storageChanged),
+      session: createStorageArea('session', events.storageChanged),
+      sync: createStorageArea('sync', events.storageChanged),
+    },
+
+    tabs: {
+      TAB_ID_NONE: -1,
+      onCreated: events.tabsCreated,
+      onRemoved: events.tabsRemoved,
+      onUpdated: events.tabsUpdated,
+      onActivated: events.tabsActivated,
+      get: api((tabId) => describeTab(getTabRecord(tabId))),
+      query: api((query = {}) => [...tabs.values()].filter(tab => matchesQuery(tab, query)).map(describeTab)),
+      create: api((props) => createTab(props)),
+      update: api((tabId, props = {}) => {
+        const tab = getTabRecord(tabId);
+        if (props.url) navigate(tabId, props.url);
+        if (props.active) activate(tab);
+        return describeTab(tab);
+      }),
+      remove: api((tabIds) => [tabIds].flat().forEach(removeTab)),
+      reload: api((tabId) => loadUrl(tabId, getTabRecord(tabId).url)),
+      goBack: api((tabId) => go(tabId, -1)),
+      goForward: api((tabId) => go(tabId, 1)),
+      group: api(({ tabIds, groupId }) => {
+        const id = groupId ?? nextId.group++;
+        const ids = [tabIds].flat();
+        if (!groups.has(id)) {
+          groups.set(id, { id, title: '', color: 'grey', collapsed: false, windowId: getTabRecord(ids[0]).windowId });
+        }
+        for (const tabId of ids) getTabRecord(tabId).groupId = id;
+        return id;
+      }),
+      ungroup: api((tabIds) => [tabIds].flat().forEach(tabId => { getTabRecord(tabId).groupId = -1; })),
+      sendMessage: api((tabId, message) => {
+        getTabRecord(tabId);
+        tabMessages.push({ tabId, message });
+        return undefined;
+      }),
+      captureVisibleTab: api(() => {
+        throw new Error('Screenshots are not available in the test harness (jsdom does not render)');
+      }),
+    },
+
+    tabGroups: {
+      TAB_GROUP_ID_NONE: -1,
+      onRemoved: createEvent(),
+      onUpdated: createEvent(),
+      get: api((groupId) => {
+        const group = groups.get(groupId);
+        if (!group) throw new Error(`No group with id: ${groupId}.`);
+        return { ...group };
+      }),
+      query: api(() => [...groups.values()].map(group => ({ ...group }))),
+      update: api((groupId, props) => {
+        const group = groups.get(groupId);
+        if (!group) throw new Error(`No group with id: ${groupId}.`);
+        Object.assign(group, props);
+        return { ...group };
+      }),
+    },
+
+    windows: {
+      WINDOW_ID_NONE: -1,
+      WINDOW_ID_CURRENT: -2,
+      onCreated: events.windowsCreated,
+      onRemoved: events.windowsRemoved,
+      onFocusChanged: createEvent(),
+      get: api((windowId, { populate } = {}) => {
+        const window = windows.get(windowId);
+        if (!window) throw new Error(`No window with id: ${windowId}.`);
+        return populate
+          ? { ...window, tabs: [...tabs.values()].filter(t => t.windowId === windowId).map(describeTab) }
+          : { ...window };
+      }),
+      getAll: api(({ populate } = {}) => [...windows.values()].map(window => (populate
+        ? { ...window, tabs: [...tabs.values()].filter(t => t.windowId === window.id).map(describeTab) }
+        : { ...window }))),
+      getCurrent: api(() => ({ ...windows.get(focusedWindowId()) })),
+      getLastFocused: api(() => ({ ...windows.get(focusedWindowId()) })),
+      create: api(({ url, focused = true, type, state } = {}) => {
+        const window = createWindow({ focused, type, state });
+        events.windowsCreated.dispatch({ ...window });
+        const tab = createTab({ url: [url].flat()[0] || 'about:blank', windowId: window.id });
+        return { ...window, tabs: [tab] };
+      }),
+      update: api((windowId, props) => {
+        const window = windows.get(windowId);
+        if (!window) throw new Error(`No window with id: ${windowId}.`);
+        Object.assign(window, props);
+        return { ...window };
+      }),
+      remove: api((windowId) => {
+        for (const tab of [...tabs.values()]) {
+          if (tab.windowId === windowId) removeTab(tab.id);
+        }
+        windows.delete(windowId);
+        events.windowsRemoved.dispatch(windowId);
+      }),
+    },
+
+    scripting: {
+      executeScript: api(executeScript),
+      insertCSS: api(() => undefined),
+      removeCSS: api(() => undefined),
+    },
+
+    debugger: {
+      onEvent: events.debuggerEvent,
+      onDetach: events.debuggerDetach,
+      attach: api(({ tabId }) => {
+        getTabRecord(tabId);
+        if (attached.has(tabId)) throw new Error(`Another debugger is already attached to the tab with id: ${tabId}.`);
+        attached.add(tabId);
+      }),
+      detach: api(({ tabId }) => {
+        if (!attached.delete(tabId)) throw new Error(`Debugger is not attached to the tab with id: ${tabId}.`);
+      }),
+      getTargets: api(() => [...tabs.values()].map(tab => ({
+        id: `target-${tab.id}`, tabId: tab.id, type: 'page', url: tab.url, title: describeTab(tab).title, attached: attached.has(tab.id),
+      }))),
+      sendCommand: api(sendCommand),
+    },
+
+    alarms: {
+      onAlarm: events.alarm,
+      create: api((name, info = {}) => {
+        alarms.set(name, { name, scheduledTime: info.when || Date.now() + (info.delayInMinutes || info.periodInMinutes || 0) * 60000, periodInMinutes: info.periodInMinutes });
+      }),
+      get: api((name) => alarms.get(name)),
+      getAll: api(() => [...alarms.values()]),
+      clear: api((name) => alarms.delete(name)),
+      clearAll: api(() => {
+        alarms.clear();
+        return true;
+      }),
+    },
+
+    notifications: {
+      onClicked: createEvent(),
+      onClosed: createEvent(),
+      onButtonClicked: createEvent(),
+      create: api((id) => id || `notification-${Date.now()}`),
+      clear: api(() => true),
+    },
+
+    downloads: {
+      onChanged: createEvent(),
+      download: api((options) => {
+        downloads.push(options);
+        const id = nextId.download++;
+        downloadItems.set(id, {
+          id, url: options.url, finalUrl: options.url, filename: `/downloads/${options.filename}`, mime: 'application/json',
+          state: 'complete', startTime: new Date().toISOString(), bytesReceived: 0, totalBytes: 0, fileSize: 0, byExtensionId: runtime.id,
+        });
+        return id;
+      }),
+      search: api((query = {}) => {
+        const items = [...downloadItems.values()].filter(item =>
+          (query.id === undefined || item.id === query.id) &&
+          (!query.startedAfter || new Date(item.startTime) > new Date(query.startedAfter)));
+        if (query.orderBy?.[0] === '-startTime') items.reverse();
+        return items.map(({ content: _content, ...item }) => item);
+      }),
+    },
+
+    sidePanel: {
+      open: api(() => undefined),
+      setOptions: api(() => undefined),
+      setPanelBehavior: api(() => undefined),
+    },
+
+    action: {
+      onClicked: createEvent(),
+      setBadgeText: api(() => undefined),
+      setBadgeBackgroundColor: api(() => undefined),
+      setTitle: api(() => undefined),
+      setIcon: api(() => undefined),
+    },
+  };
+
+  return {
+    chrome,
+    sent,
+    tabMessages,
+    cdpCommands,
+    downloads,
+    files: diskFiles,
+
+    /**
+     * Serve fixture HTML for a URL (used when a tab navigates to it, or an iframe shows it)
+     * @param {string} url - Absolute URL
+     * @param {string} html - Document HTML
+     */
+    route(url, html) {
+      routes.set(url, html);
+    },
+
+    /**
+     * Open a tab, optionally registering its HTML first
+     * @param {string} url - Page URL
+     * @param {string} [html] - Document HTML
+     * @returns {Object} Tab
+     */
+    openTab(url, html) {
+      if (html !== undefined) routes.set(url, html);
+      if (windows.size === 0) createWindow();
+      return createTab({ url });
+    },
+
+    /**
+     * Get the jsdom page shown in a tab
+     * @param {number} tabId - Tab ID
+     * @returns {Object} Page (see page.js)
+     */
+    page: getPage,
+
+    /**
+     * Deliver a message to the service worker's runtime.onMessage listeners
+     * @param {Object} message - Message
+     * @param {Object} [sender] - Sender
+     * @returns {Promise<*>} Value passed to sendResponse (undefined if nobody responds)
+     */
+    sendToServiceWorker(message, sender = { id: runtime.id }) {
+      return new Promise((resolve) => {
+        const results = events.runtimeMessage.dispatch(message, sender, resolve);
+        if (!results.includes(true)) resolve(undefined);
+      });
+    },
+
+    /**
+     * Wait for the service worker to send a runtime message
+     * @param {string|Function} match - Message type or predicate
+     * @param {number} [timeoutMs] - Maximum wait
+     * @returns {Promise<Object>} The message
+     */
+    waitForMessage(match, timeoutMs = 5000) {
+      const predicate = typeof match === 'function' ? match : (message) => message.type === match;
+      const existing = sent.find(predicate);
+      if (existing) return Promise.resolve(existing);
+      return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve: null };
+        const timer = setTimeout(() => {
+          messageWaiters.splice(messageWaiters.indexOf(waiter), 1);
+          reject(new Error(`Timed out waiting for message ${typeof match === 'string' ? match : ''}`.trim()));
+        }, timeoutMs);
+        waiter.resolve = (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        };
+        messageWaiters.push(waiter);
+      });
+    },
+
+    /**
+     * Forget recorded messages and debugger commands (between tests)
+     */
+    clearRecords() {
+      sent.length = 0;
+      tabMessages.length = 0;
+      cdpCommands.length = 0;
+      downloads.length = 0;
+    },
+
+    /**
+     * Fire an alarm as if its time had come
+     * @param {string} name - Alarm name
+     */
+    fireAlarm(name) {
+      events.alarm.dispatch(alarms.get(name) || { name, scheduledTime: Date.now() });
+    },
+
+    /**
+     * Emit a CDP event from a tab (e.g. Network.requestWillBeSent)
+     * @param {number} tabId - Tab ID
+     * @param {string} method - CDP event
+     * @param {Object} params - Event parameters
+     */
+    emitDebuggerEvent(tabId, method, params) {
+      events.debuggerEvent.dispatch({ tabId }, method, params);
+    },
+
+    /**
+     * Start a download as if the page had triggered one
+     * @param {Object} download - {url, filename, mime, content, startTime}
+     * @returns {Object} DownloadItem (in progress until finishDownload)
+     */
+    startDownload({ url, filename, mime = '', content = '', startTime = new Date().toISOString() }) {
+      const id = nextId.download++;
+      const item = {
+        id, url, finalUrl: url, filename: `/downloads/${filename}`, mime, state: 'in_progress', startTime,
+        bytesReceived: 0, totalBytes: Buffer.byteLength(content), fileSize: 0, content,
+      };
+      downloadItems.set(id, item);
+      return item;
+    },
+
+    /**
+     * Finish a download: write its file, or fail it
+     * @param {number} id - Download ID
+     * @param {Object} [options]
+     * @param {string} [options.error] - Interrupt reason (e.g. 'NETWORK_FAILED') instead of completing
+     * @param {boolean} [options.readable] - Whether the file can be read through file:// (default true)
+     */
+    finishDownload(id, { error = null, readable = true } = {}) {
+      const item = downloadItems.get(id);
+      if (error) {
+        Object.assign(item, { state: 'interrupted', error });
+        return;
+      }
+      Object.assign(item, { state: 'complete', bytesReceived: item.totalBytes, fileSize: item.totalBytes });
+      if (readable) diskFiles.set(item.filename, item.content);
+    },
+
+    /**
+     * Play a request/response exchange in a tab: the Network events Chrome
+     * would emit, with the body kept for Network.getResponseBody
+     * @param {number} tabId - Tab ID
+     * @param {Object} exchange - {requestId, url, method, status, mimeType, body, postData, type}
+     * @returns {Promise<void>} Resolves once listeners have handled loadingFinished
+     */
+    async networkExchange(tabId, exchange) {
+      const { requestId, url, method = 'GET', status = 200, mimeType = 'application/json', body = '', postData, type = 'Fetch' } = exchange;
+      const now = Date.now() / 1000;
+      getPage(tabId).responseBodies.set(requestId, body);
+      events.debuggerEvent.dispatch({ tabId }, 'Network.requestWillBeSent', {
+        requestId, type, wallTime: now, timestamp: 1,
+        request: { url, method, headers: { Accept: '*/*', ...(postData ? { 'Content-Type': 'application/json' } : {}) }, postData },
+      });
+      events.debuggerEvent.dispatch({ tabId }, 'Network.responseReceived', {
+        requestId, type,
+        response: { url, status, statusText: 'OK', mimeType, protocol: 'h2', headers: { 'content-type': mimeType } },
+      });
+      events.debuggerEvent.dispatch({ tabId }, 'Network.loadingFinished', { requestId, timestamp: 1.25, encodedDataLength: body.length });
+      await new Promise(resolve => setTimeout(resolve, 0));
+    },
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Headless test harness
+ * Installs the mock browser as the service worker's globals (chrome,
+ * indexedDB, WebSocket, fetch), checks the scripted LLM provider is hooked
+ * into the provider factory (see register.js) and loads the real service worker, so tests drive runAgentLoop through the
+ * same messages the side panel sends.
+ *
+ * One harness per test file: the service worker is an ES module and is only
+ * evaluated once per process (node --test runs each file in its own process).
+ *
+ * Set HARNESS_VERBOSE=1 to see the service worker's console output.
+ */
+
+import { readFileSync } from 'node:fs';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { createBrowser } from './chrome-mock.js';
+import { ScriptedLLM, SCRIPTED_API_URL, SCRIPTED_MODEL } from './scripted-provider.js';
+
+const REPO_ROOT = new URL('../../', import.meta.url);
+
+/**
+ * WebSocket that never connects by itself - the MCP relay is not running in
+ * tests; harness.relay opens the latest one to stand in for an MCP server
+ */
+class OfflineWebSocket {
+  static CONNECTING = 0;
+  static OPEN = 1;
+  static CLOSING = 2;
+  static CLOSED = 3;
+  static latest = null;
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = OfflineWebSocket.CONNECTING;
+    this.sent = [];
+    OfflineWebSocket.latest = this;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = OfflineWebSocket.CLOSED;
+  }
+}
+
+/**
+ * Route fetch() to the scripted LLM, serve the extension's own files and
+ * the mock browser's files on disk, and refuse everything else
+ * @param {ScriptedLLM} llm - Scripted LLM
+ * @param {Object} browser - Mock browser (for file:// URLs)
+ * @returns {Function} fetch replacement
+ */
+function createFetch(llm, browser) {
+  return async (url, init = {}) => {
+    const extensionFile = String(url).match(/^chrome-extension:\/\/[^/]+\/(.+)$/);
+    if (extensionFile) {
+      return new Response(readFileSync(new URL(extensionFile[1], REPO_ROOT), 'utf8'));
+    }
+    const localFile = String(url).match(/^file:\/\/(.+)$/);
+    if (localFile) {
+      const contents = browser.files.get(decodeURI(localFile[1]));
+      if (contents === undefined) throw new TypeError('Failed to fetch');
+      return new Response(contents);
+    }
+    if (String(url) !== SCRIPTED_API_URL) {
+      throw new TypeError(`Network access is disabled in the test harness: ${url}`);
+    }
+    init.signal?.throwIfAborted();
+    try {
+      const result = llm.respond(JSON.parse(init.body));
+      return result instanceof Response ? result : Response.json(result);
+    } catch (error) {
+      return Response.json({ error: { type: 'harness_error', message: error.message } }, { status: 500 });
+    }
+  };
+}
+
+/**
+ * Keep background intervals (MCP polling, keepalives) from holding the test process open
+ */
+function unrefIntervals() {
+  const setIntervalOriginal = globalThis.setInterval;
+  globalThis.setInterval = (...args) => {
+    const timer = setIntervalOriginal(...args);
+    timer.unref?.();
+    return timer;
+  };
+}
+
+/**
+ * Silence console output unless HARNESS_VERBOSE is set
+ */
+function quietConsole() {
+  if (process.env.HARNESS_VERBOSE) return;
+  for (const method of ['log', 'info', 'debug', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+}
+
+/**
+ * Create the harness and load the service worker
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - Extra chrome.storage.local contents (settings, policies, ...)
+ * @param {boolean} [options.serviceWorker] - Load the service worker (default true);
+ *   tool-handler tests can skip it and call handlers directly
+ * @returns {Promise<Object>} {browser, chrome, llm, startTask, sendMessage, relay}
+ */
+export async function createHarness({ storage = {}, serviceWorker = true } = {}) {
+  const browser = createBrowser();
+  const llm = new ScriptedLLM();
+
+  globalThis.chrome = browser.chrome;
+  globalThis.indexedDB = new IDBFactory();
+  globalThis.IDBKeyRange = IDBKeyRange;
+  globalThis.WebSocket = OfflineWebSocket;
+  globalThis.navigator ??= { platform: 'Linux x86_64', userAgent: 'Mozilla/5.0 (X11; Linux x86_64) Chrome/130.0.0.0', language: 'en-US' };
+  globalThis.fetch = createFetch(llm, browser);
+  unrefIntervals();
+  quietConsole();
+
+  await browser.chrome.storage.local.set({
+    apiBaseUrl: SCRIPTED_API_URL,
+    apiKey: 'harness-key',
+    model: SCRIPTED_MODEL,
+    ...storage,
+  });
+
+  const { detectProvider } = await import('../../src/background/modules/providers/provider-factory.js');
+  if (detectProvider(SCRIPTED_API_URL) !== 'scripted') {
+    throw new Error('The scripted provider is not hooked in: run the specs with node --import ./test/harness/register.js (npm test)');
+  }
+
+  if (serviceWorker) {
+    await import('../../src/background/service-worker.js');
+  }
+
+  return {
+    browser,
+    chrome: browser.chrome,
+    llm,
+
+    /**
+     * Send a message to the service worker like the side panel does
+     * @param {Object} message - {type, payload}
+     * @returns {Promise<*>} The service worker's response
+     */
+    sendMessage: (message) => browser.sendToServiceWorker(message),
+
+    /**
+     * The MCP relay as seen by the extension's bridge
+     */
+    relay: {
+      /** Open the bridge's socket as if the relay accepted it */
+      connect() {
+        const socket = OfflineWebSocket.latest;
+        socket.readyState = OfflineWebSocket.OPEN;
+        socket.onopen?.();
+      },
+
+      /** Messages the extension sent over the relay (after registering) */
+      get sent() {
+        return (OfflineWebSocket.latest?.sent || []).filter(m => m.type !== 'register');
+      },
+
+      /**
+       * Deliver a message from an MCP server
+       * @param {Object} message - Relay message, e.g. {type: 'mcp_knowledge_sync', ...}
+       */
+      receive(message) {
+        OfflineWebSocket.latest.onmessage?.({ data: JSON.stringify(message) });
+      },
+    },
+
+    /**
+     * Run a side panel task to completion
+     * @param {number} tabId - Tab the task starts in
+     * @param {string} task - Task text
+     * @param {Object} [options] - Extra START_TASK payload (askBeforeActing defaults to false)
+     * @returns {Promise<Object>} START_TASK response ({success, result})
+     */
+    startTask: (tabId, task, options = {}) => browser.sendToServiceWorker({
+      type: 'START_TASK',
+      payload: { tabId, task, askBeforeActing: false, ...options },
+    }),
+  };
+}
+
+export { toolUse, reply, httpError, lastToolResult, SCRIPTED_API_URL, SCRIPTED_MODEL } from './scripted-provider.js';
+export { ROW_HEIGHT } from './page.js';
@@ -0,0 +1,477 @@
+/**
+ * Test page
+ * A jsdom window standing in for a tab's document. The accessibility-tree
+ * content script is loaded like in a real tab, and a fixed layout replaces
+ * rendering so visibility checks, refs and coordinate clicks work:
+ * every visible element inside <body> occupies its own ROW_HEIGHT-tall,
+ * viewport-wide row, in document order.
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const CONTENT_SCRIPT = readFileSync(new URL('../../src/content/accessibility-tree.js', import.meta.url), 'utf8');
+
+export const ROW_HEIGHT = 20;
+
+/**
+ * Parent of an element across shadow boundaries
+ * @param {Element} element
+ * @returns {Element|null}
+ */
+const composedParent = (element) => element.parentElement || element.parentNode?.host || null;
+
+/**
+ * Lay out a page: every visible element gets a ROW_HEIGHT-tall, viewport-wide
+ * row in document order, walking into open shadow roots (before the light
+ * children, like the content script) and same-origin iframes. A cross-origin
+ * iframe takes as many rows as its own page has, so its content lines up
+ * with the point clicks land on.
+ * @param {Window} window - Top window
+ * @param {Map<Element, Object>} crossOriginFrames - iframe element -> child page
+ * @returns {Object} Layout
+ */
+function createLayout(window, crossOriginFrames) {
+  const { document } = window;
+
+  const isHidden = (element) => {
+    for (let el = element; el; el = composedParent(el)) {
+      const style = el.ownerDocument.defaultView.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') return true;
+    }
+    return false;
+  };
+
+  const frameDocument = (element) => {
+    if (!['IFRAME', 'FRAME'].includes(element.tagName) || crossOriginFrames.has(element)) return null;
+    return element.contentDocument?.body ? element.contentDocument : null;
+  };
+
+  const walk = (parent, out) => {
+    const children = [...(parent.shadowRoot?.children || []), ...parent.children];
+    for (const child of children) {
+      if (isHidden(child)) continue;
+      const childPage = crossOriginFrames.get(child);
+      const rowCount = childPage ? Math.max(1, childPage.layout.rows().length) : 1;
+      for (let i = 0; i < rowCount; i++) out.push(child);
+      const doc = frameDocument(child);
+      walk(doc ? doc.body : child, out);
+    }
+    return out;
+  };
+
+  const rows = () => walk(document.body, []);
+
+  const rect = (x, y, width, height) => ({
+    x, y, width, height, top: y, left: x, right: x + width, bottom: y + height,
+  });
+
+  // Top of an element's document in the top viewport (sum of same-origin iframe rows)
+  const documentTop = (doc, allRows) => {
+    const frame = doc.defaultView?.frameElement;
+    return doc === document || !frame ? 0 : allRows.indexOf(frame) * ROW_HEIGHT;
+  };
+
+  const rectOf = (element) => {
+    const doc = element.ownerDocument;
+    if (element === doc.documentElement || element === doc.body) {
+      return rect(0, 0, window.innerWidth, window.innerHeight);
+    }
+    const allRows = rows();
+    const row = allRows.indexOf(element);
+    if (row === -1) return rect(0, 0, 0, 0);
+    const height = allRows.lastIndexOf(element) - row + 1;
+    return rect(0, row * ROW_HEIGHT - documentTop(doc, allRows), window.innerWidth, height * ROW_HEIGHT);
+  };
+
+  /**
+   * Innermost element at a point in the top viewport
+   * @returns {Object|null} {element, y} with y relative to the element's row block, for child pages
+   */
+  const deepElementAt = (x, y) => {
+    if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) return null;
+    const allRows = rows();
+    const element = allRows[Math.floor(y / ROW_HEIGHT)];
+    return element ? { element, y: y - allRows.indexOf(element) * ROW_HEIGHT } : { element: document.body, y };
+  };
+
+  /**
+   * document.elementFromPoint for a document in the page: the hit, retargeted
+   * out of iframes and shadow roots below that document
+   */
+  const elementFromPoint = (doc, x, y) => {
+    const hit = deepElementAt(x, y + documentTop(doc, rows()));
+    if (!hit) return null;
+    let element = hit.element;
+    while (element && element.ownerDocument !== doc) element = element.ownerDocument.defaultView.frameElement;
+    while (element && element.getRootNode() !== doc) element = element.getRootNode().host;
+    return element || doc.body;
+  };
+
+  return { rows, rectOf, isHidden, deepElementAt, elementFromPoint };
+}
+
+/**
+ * Fill in what jsdom leaves out in a window (the top one or a same-origin
+ * iframe's): the fixed layout, innerText and CSS.escape
+ * @param {Window} window - jsdom window
+ * @param {Object} layout - Layout of the top page
+ */
+function installRendering(window, layout) {
+  const { document } = window;
+  const { rectOf, isHidden } = layout;
+
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetWidth', {
+    configurable: true,
+    get() { return rectOf(this).width; },
+  });
+  Object.defineProperty(window.HTMLElement.prototype, 'offsetHeight', {
+    configurable: true,
+    get() { return rectOf(this).height; },
+  });
+  window.Element.prototype.getBoundingClientRect = function () {
+    return rectOf(this);
+  };
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return isHidden(this) ? '' : this.textContent; },
+    set(value) { this.textContent = value; },
+  });
+  window.Element.prototype.scrollIntoView = function () {};
+  window.scrollBy = () => {};
+  window.scrollTo = () => {};
+
+  window.CSS = { escape: (value) => String(value).replace(/[^\w-]/g, ch => `\\${ch}`) };
+
+  document.elementFromPoint = (x, y) => layout.elementFromPoint(document, x, y);
+}
+
+/**
+ * Make an iframe look cross-origin to the page, like Chrome does
+ * @param {HTMLIFrameElement} iframe
+ */
+function blockFrameAccess(iframe) {
+  const SecurityError = iframe.ownerDocument.defaultView.DOMException;
+  const opaqueWindow = {
+    get document() {
+      throw new SecurityError('Blocked a frame from accessing a cross-origin frame.', 'SecurityError');
+    },
+  };
+  Object.defineProperty(iframe, 'contentDocument', { get: () => null });
+  Object.defineProperty(iframe, 'contentWindow', { get: () => opaqueWindow });
+}
+
+/**
+ * Copy a value out of the page the way Chrome serializes script results
+ * @param {*} value - Value from the page realm
+ * @returns {*} JSON-compatible copy (undefined becomes null)
+ */
+function serialize(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Describe a value as a CDP Runtime.RemoteObject (returnByValue)
+ * @param {Window} window - Page window
+ * @param {*} value - Evaluation result
+ * @returns {Object}
+ */
+function toRemoteObject(window, value) {
+  if (value === undefined) return { type: 'undefined' };
+  if (value === null) return { type: 'object', subtype: 'null', value: null };
+  if (typeof value === 'function') return { type: 'function', description: String(value) };
+  if (value instanceof window.Node) return { type: 'object', subtype: 'node', description: value.nodeName.toLowerCase() };
+  if (Array.isArray(value)) return { type: 'object', subtype: 'array', value: serialize(value) };
+  return { type: typeof value, value: serialize(value) };
+}
+
+let nextFrameId = 1;
+let nextNodeId = 1;
+let nextContextId = 1;
+
+/**
+ * Fill a tab's iframes whose src has fixture HTML. Same-origin frames get the
+ * HTML in place; cross-origin ones become pages of their own, reachable from
+ * the parent only over CDP.
+ * @param {Window} window - Window whose iframes to load
+ * @param {Object} context - {routes, layout, crossOriginFrames, parent}
+ */
+function loadFrames(window, context) {
+  for (const iframe of window.document.querySelectorAll('iframe[src]')) {
+    const src = new URL(iframe.getAttribute('src'), window.location.href).href;
+    const html = context.routes.get(src);
+    if (html === undefined) continue;
+
+    if (new URL(src).origin === window.location.origin) {
+      const doc = iframe.contentDocument;
+      if (!doc.documentElement) doc.appendChild(doc.createElement('html'));
+      doc.documentElement.innerHTML = html.replace(/<!DOCTYPE[^>]*>|<\/?html[^>]*>/gi, '');
+      installRendering(iframe.contentWindow, context.layout);
+      loadFrames(iframe.contentWindow, context);
+    } else {
+      const child = createPage(src, html, context.routes, { page: context.parent, iframe });
+      blockFrameAccess(iframe);
+      context.crossOriginFrames.set(iframe, child);
+    }
+  }
+}
+
+/**
+ * Create a page
+ * Iframes whose src is in routes are loaded too; cross-origin ones are child
+ * pages, listed by Page.getFrameTree and scriptable through isolated worlds.
+ * @param {string} url - Page URL
+ * @param {string} html - Document HTML (scripts in it are not run)
+ * @param {Map<string, string>} [routes] - Fixture HTML by URL, for iframes
+ * @param {Object} [owner] - {page, iframe} for a cross-origin iframe's page
+ * @returns {Object} Page with window, run() for chrome.scripting and cdp() for chrome.debugger
+ */
+export function createPage(url, html, routes = new Map(), owner = null) {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+  });
+  const { window } = dom;
+  const frameId = `frame-${nextFrameId++}`;
+  const crossOriginFrames = new Map();
+  const sameOriginFrameIds = new WeakMap();
+  const contexts = new Map();
+  const nodes = new Map();
+  const layout = createLayout(window, crossOriginFrames);
+  installRendering(window, layout);
+  window.eval(CONTENT_SCRIPT);
+  let focusedChild = null;
+
+  /**
+   * Insert text at the focused field like typing does
+   * @param {string} text
+   */
+  const insertText = (text) => {
+    if (focusedChild) {
+      focusedChild.cdp('Input.insertText', { text });
+      return;
+    }
+    const el = window.document.activeElement;
+    if (!el || !('value' in el)) return;
+    el.value += text;
+    el.dispatchEvent(new window.Event('input', { bubbles: true }));
+  };
+
+  /**
+   * Dispatch a mouse event from CDP at a point, to the innermost element there
+   * @param {Object} params - Input.dispatchMouseEvent parameters
+   */
+  const dispatchMouse = (params) => {
+    const { type, x, y, button = 'none', clickCount = 1 } = params;
+    const hit = layout.deepElementAt(x, y);
+    if (!hit) return;
+    const child = crossOriginFrames.get(hit.element);
+    if (child) {
+      if (type === 'mousePressed') focusedChild = child;
+      child.cdp('Input.dispatchMouseEvent', { ...params, y: hit.y });
+      return;
+    }
+    const target = hit.element;
+    const view = target.ownerDocument.defaultView;
+    const init = {
+      bubbles: true, cancelable: true, composed: true, clientX: x, clientY: y,
+      button: button === 'right' ? 2 : 0, detail: clickCount,
+    };
+    if (type === 'mouseMoved') {
+      target.dispatchEvent(new view.MouseEvent('mousemove', init));
+    } else if (type === 'mousePressed') {
+      focusedChild = null;
+      target.dispatchEvent(new view.MouseEvent('mousedown', init));
+      if (typeof target.focus === 'function') target.focus();
+    } else if (type === 'mouseReleased') {
+      target.dispatchEvent(new view.MouseEvent('mouseup', init));
+      if (button === 'left') target.click();
+    }
+  };
+
+  /**
+   * Dispatch a key event from CDP to the focused element
+   * @param {Object} params - Input.dispatchKeyEvent parameters
+   */
+  const dispatchKey = (params) => {
+    if (focusedChild) {
+      focusedChild.cdp('Input.dispatchKeyEvent', params);
+      return;
+    }
+    const { type, key, code, text } = params;
+    const target = window.document.activeElement || window.document.body;
+    const eventType = type === 'keyUp' ? 'keyup' : 'keydown';
+    target.dispatchEvent(new window.KeyboardEvent(eventType, { bubbles: true, cancelable: true, key, code }));
+    if (eventType === 'keydown' && text && text !== '\r') {
+      insertText(text);
+    }
+  };
+
+  const page = {
+    url,
+    window,
+    document: window.document,
+    frameId,
+    layout,
+    responseBodies: new Map(), // requestId -> body, for Network.getResponseBody
+
+    get title() {
+      return window.document.title;
+    },
+
+    /**
+     * Page.FrameTree for this page and its frames
+     * @returns {Object}
+     */
+    frameTree() {
+      const origin = window.location.origin;
+      const sameOrigin = [...window.document.querySelectorAll('iframe')]
+        .filter(iframe => !crossOriginFrames.has(iframe) && iframe.contentDocument?.body)
+        .map((iframe) => {
+          if (!sameOriginFrameIds.has(iframe)) sameOriginFrameIds.set(iframe, `frame-${nextFrameId++}`);
+          return { frame: { id: sameOriginFrameIds.get(iframe), url: iframe.contentDocument.URL, securityOrigin: origin } };
+        });
+      return {
+        frame: { id: frameId, url, securityOrigin: origin },
+        childFrames: [...sameOrigin, ...[...crossOriginFrames.values()].map(child => child.frameTree())],
+      };
+    },
+
+    /**
+     * Find this page or a cross-origin frame page below it
+     * @param {string} id - Frame ID
+     * @returns {Object|null}
+     */
+    findFrame(id) {
+      if (id === frameId) return page;
+      for (const child of crossOriginFrames.values()) {
+        const found = child.findFrame(id);
+        if (found) return found;
+      }
+      return null;
+    },
+
+    /**
+     * Top of this page's viewport in the tab's viewport
+     * @returns {number}
+     */
+    offsetTop() {
+      if (!owner) return 0;
+      return owner.page.offsetTop() + owner.page.layout.rows().indexOf(owner.iframe) * ROW_HEIGHT;
+    },
+
+    /**
+     * Run a chrome.scripting function in the page (serialized, like Chrome does)
+     * @param {Function} func - Injected function
+     * @param {Array} [args] - JSON-serializable arguments
+     * @returns {Promise<*>} Serialized result
+     */
+    async run(func, args = []) {
+      return serialize(await window.eval(`(${func})(...${JSON.stringify(args)})`));
+    },
+
+    /**
+     * Run a chrome.scripting function in the page and every frame below it
+     * (target.allFrames)
+     * @param {Function} func - Injected function
+     * @param {Array} [args] - JSON-serializable arguments
+     * @returns {Promise<Array<*>>} Serialized results, this page's first
+     */
+    async runInAllFrames(func, args = []) {
+      const windows = [];
+      const collect = (win) => {
+        windows.push(win);
+        for (const iframe of win.document.querySelectorAll('iframe')) {
+          if (!crossOriginFrames.has(iframe) && iframe.contentDocument?.body) collect(iframe.contentWindow);
+        }
+      };
+      collect(window);
+      const results = [];
+      for (const win of windows) {
+        results.push(serialize(await win.eval(`(${func})(...${JSON.stringify(args)})`)));
+      }
+      for (const child of crossOriginFrames.values()) {
+        results.push(...await child.runInAllFrames(func, args));
+      }
+      return results;
+    },
+
+    /**
+     * Run a script file in the page
+     * @param {string} source - Script source
+     */
+    runFile(source) {
+      window.eval(source);
+    },
+
+    /**
+     * Handle a chrome.debugger command
+     * Methods without a handler succeed with an empty result.
+     * @param {string} method - CDP method
+     * @param {Object} [params] - CDP parameters
+     * @returns {Promise<Object>}
+     */
+    async cdp(method, params = {}) {
+      const handler = cdpHandlers[method];
+      return (handler && await handler(params)) || {};
+    },
+
+    close() {
+      for (const child of crossOriginFrames.values()) child.close();
+      window.close();
+    },
+  };
+
+  const cdpHandlers = {
+    'Runtime.evaluate': async ({ expression, awaitPromise, contextId }) => {
+      const target = contextId ? contexts.get(contextId) : page;
+      if (!target) throw new Error('Cannot find context with specified id');
+      try {
+        let value = target.window.eval(expression);
+        if (awaitPromise) value = await value;
+        return { result: toRemoteObject(target.window, value) };
+      } catch (error) {
+        return { exceptionDetails: { exception: { description: error?.stack || String(error) } } };
+      }
+    },
+    'Page.getFrameTree': () => ({ frameTree: page.frameTree() }),
+    'Page.createIsolatedWorld': ({ frameId: id }) => {
+      // The world shares the frame's window, where the content script is already loaded
+      const target = page.findFrame(id);
+      if (!target) throw new Error('No frame for given id found');
+      const contextId = nextContextId++;
+      contexts.set(contextId, target);
+      return { executionContextId: contextId };
+    },
+    'DOM.getFrameOwner': ({ frameId: id }) => {
+      const frame = page.findFrame(id);
+      if (!frame || frame === page) throw new Error('Frame with the given id was not found.');
+      const backendNodeId = nextNodeId++;
+      nodes.set(backendNodeId, frame);
+      return { backendNodeId };
+    },
+    'DOM.getBoxModel': ({ backendNodeId }) => {
+      const frame = nodes.get(backendNodeId);
+      if (!frame) throw new Error('No node with given id found');
+      // Same-process frames: the box is in the tab's viewport
+      const top = frame.offsetTop();
+      const width = window.innerWidth;
+      return { model: { content: [0, top, width, top, width, top + ROW_HEIGHT, 0, top + ROW_HEIGHT], width, height: ROW_HEIGHT } };
+    },
+    'Network.getResponseBody': ({ requestId }) => {
+      if (!page.responseBodies.has(requestId)) throw new Error('No resource with given identifier found');
+      return { body: page.responseBodies.get(requestId), base64Encoded: false };
+    },
+    'Input.dispatchMouseEvent': dispatchMouse,
+    'Input.dispatchKeyEvent': dispatchKey,
+    'Input.insertText': ({ text }) => insertText(text),
+    'Page.captureScreenshot': () => {
+      throw new Error('Screenshots are not available in the test harness (jsdom does not render)');
+    },
+  };
+
+  loadFrames(window, { routes, layout, crossOriginFrames, parent: page });
+  return page;
+}
@@ -0,0 +1,32 @@
+/**
+ * Provider factory seen by the extension under test
+ * Same exports as src/background/modules/providers/provider-factory.js;
+ * requests to SCRIPTED_API_URL (or for the "scripted" provider) get a
+ * ScriptedProvider, everything else goes to the real factory.
+ */
+
+import * as factory from '../../src/background/modules/providers/provider-factory.js';
+import { ScriptedProvider } from './scripted-provider.js';
+
+/**
+ * Create a provider instance (see the real createProvider)
+ * @param {string} baseUrl - API base URL
+ * @param {Object} config - Configuration object
+ * @param {string} [providerName] - Optional explicit provider name
+ * @returns {BaseProvider} Provider instance
+ */
+export function createProvider(baseUrl, config, providerName = null) {
+  if (providerName ? providerName === 'scripted' : ScriptedProvider.matchesUrl(baseUrl)) {
+    return new ScriptedProvider(config);
+  }
+  return factory.createProvider(baseUrl, config, providerName);
+}
+
+/**
+ * Get provider name from base URL (see the real detectProvider)
+ * @param {string} baseUrl - API base URL
+ * @returns {string} Provider name
+ */
+export function detectProvider(baseUrl) {
+  return ScriptedProvider.matchesUrl(baseUrl) ? 'scripted' : factory.detectProvider(baseUrl);
+}
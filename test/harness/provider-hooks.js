@@ -0,0 +1,16 @@
+/**
+ * Resolve hook (see register.js): imports of the extension's provider
+ * factory resolve to the harness's factory instead, except the import the
+ * harness's factory makes of the real one.
+ */
+
+const REAL_FACTORY = new URL('../../src/background/modules/providers/provider-factory.js', import.meta.url).href;
+const HARNESS_FACTORY = new URL('./provider-factory.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url === REAL_FACTORY && context.parentURL !== HARNESS_FACTORY) {
+    return { ...resolved, url: HARNESS_FACTORY };
+  }
+  return resolved;
+}
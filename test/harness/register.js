@@ -0,0 +1,11 @@
+/**
+ * Module hooks for the test harness
+ * Loaded before the specs (npm test runs node with --import) so every import
+ * of the provider factory - by the specs and by the service worker - gets
+ * the harness's factory, which adds the scripted provider in front of the
+ * built-in ones. Production code is not changed for tests.
+ */
+
+import { register } from 'node:module';
+
+register('./provider-hooks.js', import.meta.url);
@@ -0,0 +1,150 @@
+/**
+ * Scripted LLM provider
+ * A BaseProvider whose "API" is a queue of canned Anthropic-format responses.
+ * The harness hooks ScriptedProvider into the provider factory and routes
+ * fetch() calls for SCRIPTED_API_URL to a ScriptedLLM, so callLLM runs its
+ * normal request/response path without a network.
+ */
+
+import { BaseProvider } from '../../src/background/modules/providers/base-provider.js';
+
+export const SCRIPTED_API_URL = 'https://scripted-llm.test/v1/messages';
+export const SCRIPTED_MODEL = 'scripted-model';
+
+const DEFAULT_USAGE = { input_tokens: 100, output_tokens: 20 };
+
+let toolUseCounter = 0;
+
+export class ScriptedProvider extends BaseProvider {
+  getName() {
+    return 'scripted';
+  }
+
+  getHeaders() {
+    return { 'Content-Type': 'application/json' };
+  }
+
+  buildUrl(_useStreaming) {
+    return this.config.apiBaseUrl;
+  }
+
+  buildRequestBody(messages, systemPrompt, tools, useStreaming) {
+    return {
+      model: this.config.model,
+      system: systemPrompt,
+      tools,
+      messages,
+      stream: useStreaming,
+    };
+  }
+
+  normalizeResponse(response) {
+    return response;
+  }
+
+  async handleStreaming(response, onTextChunk, _log) {
+    const result = this.normalizeResponse(await response.json());
+    for (const block of result.content) {
+      if (block.type === 'text' && onTextChunk) onTextChunk(block.text);
+    }
+    return result;
+  }
+
+  static matchesUrl(baseUrl) {
+    return baseUrl === SCRIPTED_API_URL;
+  }
+}
+
+/**
+ * Queue of scripted responses, consumed one per API call
+ * A step is a response object or a function (request) => response, which
+ * lets a step react to (or assert on) the tool results the agent sent.
+ * A step may also be a fetch Response (see httpError) to fail the call.
+ */
+export class ScriptedLLM {
+  constructor() {
+    this.steps = [];
+    this.requests = [];
+  }
+
+  /**
+   * Append steps to the script
+   * @param {...(Object|Function)} steps - Responses or response factories
+   * @returns {ScriptedLLM}
+   */
+  enqueue(...steps) {
+    this.steps.push(...steps);
+    return this;
+  }
+
+  /**
+   * Produce the response for one API request
+   * @param {Object} request - Request body built by ScriptedProvider
+   * @returns {Object|Response} Anthropic-format response, or an HTTP error
+   * @throws {Error} When the script has run out
+   */
+  respond(request) {
+    this.requests.push(request);
+    const step = this.steps.shift();
+    if (!step) {
+      throw new Error(`Scripted LLM has no response left for request #${this.requests.length}`);
+    }
+    return typeof step === 'function' ? step(request) : step;
+  }
+
+  /**
+   * Forget steps and recorded requests
+   */
+  reset() {
+    this.steps = [];
+    this.requests = [];
+  }
+}
+
+/**
+ * Response that calls one tool
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input
+ * @param {string} [text] - Text before the tool call
+ * @returns {Object}
+ */
+export function toolUse(name, input, text) {
+  const content = text ? [{ type: 'text', text }] : [];
+  content.push({ type: 'tool_use', id: `toolu_scripted_${++toolUseCounter}`, name, input });
+  return { role: 'assistant', content, stop_reason: 'tool_use', usage: { ...DEFAULT_USAGE } };
+}
+
+/**
+ * Response that ends the turn with a text answer
+ * @param {string} text - Answer
+ * @returns {Object}
+ */
+export function reply(text) {
+  return { role: 'assistant', content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: { ...DEFAULT_USAGE } };
+}
+
+/**
+ * Failed API call, in Anthropic's error format
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} [headers] - Response headers (e.g. {'retry-after': '1'})
+ * @returns {Response}
+ */
+export function httpError(status, message, headers = {}) {
+  const type = status === 429 ? 'rate_limit_error' : 'api_error';
+  return Response.json({ type: 'error', error: { type, message } }, { status, headers });
+}
+
+/**
+ * Text of the tool results in the last message of a request
+ * @param {Object} request - Request body
+ * @returns {string}
+ */
+export function lastToolResult(request) {
+  const last = request.messages[request.messages.length - 1];
+  const blocks = Array.isArray(last?.content) ? last.content : [];
+  const textOf = (content) => (Array.isArray(content)
+    ? content.filter(b => b.type === 'text').map(b => b.text).join('\n')
+    : String(content ?? ''));
+  return blocks.filter(b => b.type === 'tool_result').map(b => textOf(b.content)).join('\n');
+}
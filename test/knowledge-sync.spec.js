@@ -0,0 +1,113 @@
+/**
+ * Knowledge sync
+ * Domain skills sync with the MCP server's knowledge base over the relay:
+ * all of them when the relay connects, the changed ones after each edit, and
+ * knowledge files pushed by the server become new skill versions unless the
+ * extension's copy is newer.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, reply } from './harness/index.js';
+
+const LATER = '2999-01-01T00:00:00.000Z';
+const EARLIER = '2000-01-01T00:00:00.000Z';
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Save a skill, failing the test if it is rejected
+ * @param {Object} skill - Skill fields
+ * @returns {Promise<Object>} Saved skill
+ */
+async function saveSkill(skill) {
+  const response = await harness.sendMessage({ type: 'SAVE_SKILL', payload: skill });
+  assert.equal(response.success, true, response.error);
+  return response.skill;
+}
+
+/**
+ * Skills sync messages the extension sent over the relay
+ * @returns {Array<Object>}
+ */
+function skillSyncs() {
+  return harness.relay.sent.filter(m => m.type === 'skills_sync');
+}
+
+test('sends every domain skill on connect and the changed ones after an edit', async () => {
+  const intranet = await saveSkill({ match: { type: 'domain', pattern: 'intranet.acme.test' }, skill: 'Log in with SSO.' });
+  const jira = await saveSkill({ name: 'Jira', match: { type: 'glob', pattern: '*.atlassian.test/*' }, skill: 'Use the ... menu.' });
+  assert.deepEqual(skillSyncs(), [], 'nothing is sent while the relay is down');
+
+  harness.relay.connect();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(skillSyncs(), [{
+    type: 'skills_sync',
+    skills: [{ domain: 'intranet.acme.test', content: 'Log in with SSO.', updatedAt: intranet.updatedAt }],
+    deleted: [],
+    full: true,
+  }]);
+
+  const edited = await saveSkill({ ...intranet, skill: 'Log in with SSO, then pick the Acme tenant.' });
+  await saveSkill({ ...jira, skill: 'Glob skills have no knowledge file.' });
+  await saveSkill({ ...edited, enabled: false });
+  assert.deepEqual(skillSyncs().slice(1), [{
+    type: 'skills_sync',
+    skills: [{ domain: 'intranet.acme.test', content: 'Log in with SSO, then pick the Acme tenant.', updatedAt: edited.updatedAt }],
+    deleted: [],
+    full: false,
+  }]);
+
+  await saveSkill({ ...edited, match: { type: 'domain', pattern: 'portal.acme.test' } });
+  assert.deepEqual(skillSyncs().at(-1).skills.map(s => s.domain), ['portal.acme.test']);
+  assert.deepEqual(skillSyncs().at(-1).deleted, ['intranet.acme.test'], 'the old domain\'s knowledge file is removed');
+});
+
+test('keeps knowledge learned by the MCP server as skill versions the agent gets', async () => {
+  const portal = (await harness.sendMessage({ type: 'GET_SKILLS' })).skills.find(s => s.match.pattern === 'portal.acme.test');
+
+  harness.relay.receive({
+    type: 'mcp_knowledge_sync',
+    entries: [
+      { domain: 'shop.example.test', content: '# shop.example.test\n\n- The cart button is hidden until you scroll\n', updatedAt: LATER },
+      { domain: 'portal.acme.test', content: 'Stale notes from before the edit.', updatedAt: EARLIER },
+    ],
+    deleted: [],
+    full: true,
+  });
+  const synced = await harness.browser.waitForMessage('SKILLS_SYNCED');
+  assert.deepEqual(synced.counts, { added: 1, updated: 0, deleted: 0 }, 'the newer local skill is kept');
+
+  harness.relay.receive({
+    type: 'mcp_knowledge_sync',
+    entries: [{ domain: 'portal.acme.test', content: 'Learned: the tenant picker remembers your choice.', updatedAt: LATER }],
+    deleted: [],
+    full: false,
+  });
+  await harness.browser.waitForMessage(m => m.type === 'SKILLS_SYNCED' && m.counts.updated === 1);
+  const { skills } = await harness.sendMessage({ type: 'GET_SKILLS' });
+  const updated = skills.find(s => s.id === portal.id);
+  assert.deepEqual([updated.version, updated.skill], [portal.version + 1, 'Learned: the tenant picker remembers your choice.']);
+  assert.equal(updated.history[0].skill, portal.skill, 'a learned change can be rolled back');
+  assert.ok(!skillSyncs().some(m => m.skills.some(s => s.domain === 'shop.example.test')), 'synced knowledge is not echoed back');
+
+  const tab = harness.browser.openTab('https://shop.example.test/', '<title>Shop</title>');
+  harness.llm.enqueue(reply('Added.'));
+  await harness.startTask(tab.id, 'Add a mug to the cart');
+  assert.match(JSON.stringify(harness.llm.requests[0].messages[0]), /The cart button is hidden until you scroll/);
+
+  harness.relay.receive({ type: 'mcp_knowledge_sync', entries: [], deleted: ['shop.example.test'], full: false });
+  await harness.browser.waitForMessage(m => m.type === 'SKILLS_SYNCED' && m.counts.deleted === 1);
+  const remaining = (await harness.sendMessage({ type: 'GET_SKILLS' })).skills.map(s => s.match.pattern);
+  assert.ok(!remaining.includes('shop.example.test'));
+});
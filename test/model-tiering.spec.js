@@ -0,0 +1,110 @@
+/**
+ * Model tiering
+ * The tier router on its own, then routing of agent turns between the fast
+ * and the selected model.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, toolUse, reply, SCRIPTED_API_URL, SCRIPTED_MODEL } from './harness/index.js';
+import { createTierRouter } from '../src/background/modules/model-tiering.js';
+
+const FAST = { name: 'Fast', modelId: 'scripted-fast', baseUrl: SCRIPTED_API_URL, apiKey: 'fast-key', authMethod: 'api_key' };
+
+const FORM_HTML = `<!DOCTYPE html>
+<html><head><title>Newsletter</title></head>
+<body>
+  <h1>Newsletter</h1>
+  <input name="email" placeholder="Email">
+  <button>Subscribe</button>
+</body></html>`;
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  await harness.chrome.storage.local.set({ tierSettings: { enabled: true, fastModel: FAST } });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Outcome of one tool call, as runAgentLoop records it
+ * @param {string} name - Tool name
+ * @param {Object} input - Tool input
+ * @param {Object} [result] - {isError, text}
+ * @returns {Object}
+ */
+function outcome(name, input, { isError = false, text = 'ok' } = {}) {
+  return { toolUse: { name, input }, isError, text };
+}
+
+test('routes routine turns to the fast model and escalates otherwise', () => {
+  const router = createTierRouter({ enabled: true, fastModel: FAST, escalateAfterFailures: 2 });
+
+  assert.deepEqual(router.route(), { tier: 'smart', model: null, reason: 'first turn' });
+  router.recordTurn([outcome('read_page', {})]);
+  assert.equal(router.route().reason, 'after read_page');
+
+  router.recordTurn([outcome('computer', { action: 'left_click' })]);
+  assert.deepEqual(router.route(), { tier: 'fast', model: FAST, reason: 'routine step' });
+
+  router.recordTurn([outcome('computer', { action: 'left_click' }, { text: 'Element ref_9 not found' })]);
+  assert.equal(router.route().reason, 'ambiguous result');
+
+  router.recordTurn([outcome('computer', { action: 'scroll' })]);
+  assert.equal(router.route().tier, 'fast');
+
+  router.recordTurn([outcome('form_input', {}, { isError: true, text: 'Error: bad ref' })]);
+  assert.equal(router.route().reason, 'form_input failed');
+  router.recordTurn([outcome('computer', { action: 'type' }, { isError: true })]);
+  router.recordTurn([outcome('computer', { action: 'wait' })]);
+  assert.equal(router.route().reason, '2 failed actions', 'stays smart once failures reach the limit');
+});
+
+test('needs a fast model and can leave clicks to the selected model', () => {
+  assert.equal(createTierRouter({ enabled: true }).enabled, false);
+
+  const router = createTierRouter({ enabled: true, fastModel: FAST, fastClicks: false });
+  router.recordTurn([outcome('computer', { action: 'left_click' })]);
+  assert.equal(router.route().tier, 'smart');
+  router.recordTurn([outcome('computer', { action: 'scroll' })]);
+  assert.equal(router.route().tier, 'fast');
+});
+
+test('plans with the selected model and runs the follow-up steps on the fast one', async () => {
+  const tab = harness.browser.openTab('https://example.test/newsletter', FORM_HTML);
+  // Refs follow document order: ref_1 heading, ref_2 email field, ref_3 Subscribe
+  harness.llm.enqueue(
+    toolUse('read_page', { tabId: tab.id, filter: 'interactive' }),
+    toolUse('computer', { tabId: tab.id, action: 'left_click', ref: 'ref_2' }),
+    toolUse('computer', { tabId: tab.id, action: 'type', text: 'ada@example.test' }),
+    toolUse('computer', { tabId: tab.id, action: 'left_click', ref: 'ref_3' }),
+    reply('Subscribed.'),
+  );
+
+  const response = await harness.startTask(tab.id, 'Subscribe ada@example.test');
+
+  assert.equal(response.result.success, true);
+  assert.deepEqual(harness.llm.requests.map(r => r.model), [
+    SCRIPTED_MODEL, SCRIPTED_MODEL, 'scripted-fast', 'scripted-fast', 'scripted-fast',
+  ]);
+});
+
+test('escalates to the selected model after a failed action', async () => {
+  const tab = harness.browser.openTab('https://example.test/newsletter', FORM_HTML);
+  harness.llm.enqueue(
+    toolUse('computer', { tabId: tab.id, action: 'scroll', coordinate: [10, 10], scroll_direction: 'down' }),
+    toolUse('form_input', { tabId: tab.id, ref: 'ref_404', value: 'x' }),
+    reply('The field is gone.'),
+  );
+
+  const response = await harness.startTask(tab.id, 'Fill the form');
+
+  assert.equal(response.result.success, true);
+  assert.deepEqual(harness.llm.requests.map(r => r.model), [SCRIPTED_MODEL, 'scripted-fast', SCRIPTED_MODEL]);
+});
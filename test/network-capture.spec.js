@@ -0,0 +1,130 @@
+/**
+ * Network capture
+ * Opt-in response body capture, reading one response body and HAR export,
+ * driven through the agent loop with network traffic played into the tab.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, toolUse, reply, lastToolResult } from './harness/index.js';
+import { buildHar } from '../src/background/modules/har.js';
+
+const SHOP_HTML = `<!DOCTYPE html>
+<html><head><title>Products</title></head>
+<body><h1>Products</h1><ul id="list"></ul></body></html>`;
+
+const PRODUCTS = JSON.stringify({ items: [{ name: 'Kettle', price: 39 }, { name: 'Toaster', price: 25 }] });
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Decode a HAR saved through chrome.downloads
+ * @param {Object} download - chrome.downloads.download options
+ * @returns {Object} HAR
+ */
+function readHar(download) {
+  const base64 = download.url.replace('data:application/json;base64,', '');
+  return JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+}
+
+test('captures matching response bodies, reads one and exports the traffic as HAR', async () => {
+  const tab = harness.browser.openTab('https://shop.test/products', SHOP_HTML);
+  const results = [];
+  const step = (next) => (request) => {
+    results.push(lastToolResult(request));
+    return next;
+  };
+  harness.llm.enqueue(
+    toolUse('capture_response_bodies', { tabId: tab.id, mimeTypes: ['json'], urlPattern: '/api/' }),
+    (request) => {
+      results.push(lastToolResult(request));
+      harness.browser.networkExchange(tab.id, { requestId: '1000.1', url: 'https://shop.test/api/products?page=1', body: PRODUCTS });
+      harness.browser.networkExchange(tab.id, { requestId: '1000.2', url: 'https://shop.test/logo.svg', mimeType: 'image/svg+xml', body: '<svg/>', type: 'Image' });
+      return toolUse('read_network_requests', { tabId: tab.id });
+    },
+    step(toolUse('get_response_body', { tabId: tab.id, requestId: '1000.1' })),
+    step(toolUse('export_har', { tabId: tab.id })),
+    step(reply('Kettle costs 39.')),
+  );
+
+  const response = await harness.startTask(tab.id, 'What does the kettle cost?');
+
+  assert.equal(response.result.success, true);
+  const [capturing, listing, body, saved] = results;
+  assert.match(capturing, /Capturing json response bodies from URLs containing "\/api\/"/);
+  assert.match(listing, /\[GET\] https:\/\/shop\.test\/api\/products\?page=1 \(200\) application\/json id=1000\.1 \[body captured\]/);
+  assert.match(listing, /logo\.svg \(200\) image\/svg\+xml id=1000\.2$/m);
+  assert.match(body, /^\[GET\] https:\/\/shop\.test\/api\/products\?page=1 \(200\) application\/json\n\n\{"items"/);
+  assert.match(saved, /^Saved 2 requests \(1 with response bodies\) to Downloads\/browser-agent\/network-.*\.har$/);
+
+  const har = readHar(harness.browser.downloads[0]);
+  assert.equal(har.log.version, '1.2');
+  const [api, logo] = har.log.entries;
+  assert.deepEqual(api.request.queryString, [{ name: 'page', value: '1' }]);
+  assert.equal(api.response.httpVersion, 'HTTP/2.0');
+  assert.equal(api.response.content.text, PRODUCTS);
+  assert.equal(api.time, 250);
+  assert.equal(logo._resourceType, 'image');
+  assert.equal(logo.response.content.text, undefined);
+});
+
+test('reads bodies Chrome still holds without capture, and explains unknown requests', async () => {
+  const tab = harness.browser.openTab('https://shop.test/products', SHOP_HTML);
+  const results = [];
+  harness.llm.enqueue(
+    toolUse('read_network_requests', { tabId: tab.id }),
+    (request) => {
+      results.push(lastToolResult(request));
+      harness.browser.networkExchange(tab.id, { requestId: '2000.1', url: 'https://shop.test/api/products', body: PRODUCTS });
+      return toolUse('get_response_body', { tabId: tab.id, requestId: '2000.1', maxChars: 10 });
+    },
+    (request) => {
+      results.push(lastToolResult(request));
+      return toolUse('get_response_body', { tabId: tab.id, requestId: '404.1' });
+    },
+    (request) => {
+      results.push(lastToolResult(request));
+      return reply('Done.');
+    },
+  );
+
+  await harness.startTask(tab.id, 'Read the products API');
+
+  const [, partial, unknown] = results;
+  assert.match(partial, /Showing the first 10 of \d+ characters/);
+  assert.match(partial, /\n\n\{"items":\[$/);
+  assert.match(unknown, /No request 404\.1 in tab \d+\. Use read_network_requests/);
+});
+
+test('builds HAR entries for posts, failures and CDP timings', () => {
+  const har = buildHar([
+    {
+      requestId: '1', url: 'https://api.test/orders', method: 'POST', timestamp: Date.UTC(2026, 0, 1),
+      requestHeaders: { 'Content-Type': 'application/json' }, postData: '{"qty":1}',
+      status: 201, statusText: 'Created', mimeType: 'application/json', protocol: 'http/1.1',
+      responseHeaders: { 'Set-Cookie': 'a=1\nb=2' }, startTime: 10, endTime: 10.5, encodedDataLength: 120,
+      timing: { requestTime: 10, dnsStart: 0, dnsEnd: 20, connectStart: 20, connectEnd: 80, sslStart: 40, sslEnd: 80, sendStart: 80, sendEnd: 81, receiveHeadersEnd: 300 },
+    },
+    { requestId: '2', url: 'https://api.test/down', method: 'GET', timestamp: Date.UTC(2026, 0, 1), status: 0, error: 'net::ERR_CONNECTION_REFUSED' },
+  ], { creatorVersion: '0.3.0' });
+
+  const [post, failed] = har.log.entries;
+  assert.equal(post.startedDateTime, '2026-01-01T00:00:00.000Z');
+  assert.deepEqual(post.request.postData, { mimeType: 'application/json', text: '{"qty":1}' });
+  assert.deepEqual(post.response.headers, [{ name: 'Set-Cookie', value: 'a=1' }, { name: 'Set-Cookie', value: 'b=2' }]);
+  assert.deepEqual(post.timings, { blocked: -1, dns: 20, connect: 60, ssl: 40, send: 1, wait: 219, receive: 200 });
+  assert.equal(post.time, 500);
+  assert.equal(failed.response.status, 0);
+  assert.equal(failed._error, 'net::ERR_CONNECTION_REFUSED');
+  assert.equal(har.log.creator.version, '0.3.0');
+});
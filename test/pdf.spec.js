@@ -0,0 +1,164 @@
+/**
+ * PDFs
+ * get_page_text reading a PDF tab page by page and by page range, the
+ * downloads tool reading a downloaded PDF, and the extractor on the parts of
+ * the format it has to handle (compressed streams, object streams, fonts).
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { createHarness, toolUse, reply, lastToolResult } from './harness/index.js';
+import { extractPdfPages, parsePageRange } from '../src/background/modules/pdf-text.js';
+
+const CONTRACT_PATH = '/docs/contract.pdf';
+
+// Simple font with WinAnsi encoding: \200 is the euro sign, \223 \224 curly quotes
+const PAGE_ONE = 'BT /F1 12 Tf 72 720 Td [(Ser)-20(vice)-400(Agreement)] TJ 0 -14 Td (Monthly fee: \\200100, \\223net 30\\224) Tj ET';
+// Composite font whose two-byte codes map to text through its ToUnicode CMap
+const PAGE_TWO = 'BT /F2 12 Tf 1 0 0 1 72 700 Tm <0001000200030004> Tj 1 0 0 1 72 680 Tm <000500060007> Tj ET';
+const TO_UNICODE = `begincmap
+1 begincodespacerange <0000> <FFFF> endcodespacerange
+3 beginbfchar <0001> <0054> <0002> <0065> <0004> <006D> endbfchar
+2 beginbfrange <0003> <0003> <0072> <0005> <0007> [<0031> <0032> <0061>] endbfrange
+endcmap`;
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * A stream object's source
+ * @param {string} dict - Dictionary entries
+ * @param {string} data - Stream contents (compressed with FlateDecode)
+ * @returns {Buffer}
+ */
+function flateStream(dict, data) {
+  const compressed = deflateSync(Buffer.from(data, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`<< ${dict} /Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`),
+    compressed,
+    Buffer.from('\nendstream'),
+  ]);
+}
+
+/**
+ * Build a two-page PDF; its fonts live in a compressed object stream
+ * @param {Object} [options]
+ * @param {string} [options.trailer] - Extra trailer entries
+ * @returns {Buffer}
+ */
+function buildPdf({ trailer = '' } = {}) {
+  const helvetica = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  const composite = '<< /Type /Font /Subtype /Type0 /BaseFont /Arial /ToUnicode 9 0 R >>';
+  const header = `5 0 6 ${helvetica.length + 1} `;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 7 0 R >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 8 0 R >>',
+    null,
+    null,
+    flateStream('', PAGE_ONE),
+    flateStream('', PAGE_TWO),
+    flateStream('', TO_UNICODE),
+    flateStream(`/Type /ObjStm /N 2 /First ${header.length}`, `${header}${helvetica} ${composite}`),
+  ];
+  const parts = [Buffer.from('%PDF-1.7\n')];
+  objects.forEach((body, i) => {
+    if (body) parts.push(Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n'));
+  });
+  parts.push(Buffer.from(`trailer\n<< /Root 1 0 R ${trailer}>>\n%%EOF\n`));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Open a tab showing a PDF in Chrome's viewer
+ * @returns {Object} Tab
+ */
+function openPdfTab() {
+  harness.browser.files.set(CONTRACT_PATH, buildPdf());
+  const tab = harness.browser.openTab(`file://${CONTRACT_PATH}`, '<html><head><title>contract.pdf</title></head><body><embed type="application/pdf"></body></html>');
+  Object.defineProperty(harness.browser.page(tab.id).window.document, 'contentType', { value: 'application/pdf' });
+  return tab;
+}
+
+/**
+ * Script the agent's tool calls, collecting each tool result
+ * @param {Array<Object>} calls - Tool calls
+ * @returns {Array<string>} Tool results, filled in as the task runs
+ */
+function scriptCalls(calls) {
+  const results = [];
+  harness.llm.enqueue(calls[0], ...[...calls.slice(1), reply('Done.')].map(next => (request) => {
+    results.push(lastToolResult(request));
+    return next;
+  }));
+  return results;
+}
+
+test('reads a PDF tab page by page and by page range', async () => {
+  const tab = openPdfTab();
+  const results = scriptCalls([
+    toolUse('get_page_text', { tabId: tab.id }),
+    toolUse('get_page_text', { tabId: tab.id, pages: '2' }),
+    toolUse('get_page_text', { tabId: tab.id, pages: '2-5' }),
+    toolUse('get_page_text', { tabId: tab.id, max_chars: 40 }),
+  ]);
+
+  const response = await harness.startTask(tab.id, 'What is the monthly fee?');
+
+  assert.equal(response.result.success, true);
+  // Core handlers answer {output} or {error}, which reach the model as JSON
+  const [all, second, outside, tooLong] = results.map(result => JSON.parse(result));
+  assert.match(all.output, /Source: PDF \(2 pages\)\n---\n\[Page 1\]\nService Agreement\nMonthly fee: €100, “net 30”\n\n\[Page 2\]\nTerm\n12a$/);
+  assert.match(second.output, /Source: PDF \(2 pages, showing pages 2\)\n---\n\[Page 2\]\nTerm\n12a$/);
+  assert.match(outside.error, /Pages 2-5 are outside the document \(pages 1-2\)/);
+  assert.match(tooLong.error, /Output exceeds 40 character limit .* Use pages to read part of the document/);
+});
+
+test('reads a downloaded PDF with page numbers', async () => {
+  const tab = harness.browser.openTab('https://vendor.test/', '<html><body><a href="/contract.pdf">Contract</a></body></html>');
+  const item = harness.browser.startDownload({ url: 'https://vendor.test/contract.pdf', filename: 'contract.pdf', mime: 'application/pdf', content: buildPdf() });
+  harness.browser.finishDownload(item.id);
+  const results = scriptCalls([toolUse('downloads', { action: 'read', downloadId: item.id })]);
+
+  await harness.startTask(tab.id, 'Read the contract');
+
+  assert.match(results[0], /From: https:\/\/vendor\.test\/contract\.pdf\n\n\[Page 1\]\nService Agreement\n.*\n\n\[Page 2\]\nTerm\n12a$/);
+});
+
+test('refuses encrypted PDFs and malformed page ranges', async () => {
+  await assert.rejects(extractPdfPages(new Uint8Array(buildPdf({ trailer: '/Encrypt 11 0 R ' }))), /The PDF is encrypted/);
+  await assert.rejects(extractPdfPages(new Uint8Array(Buffer.from('<html></html>'))), /Not a PDF file/);
+  assert.deepEqual(parsePageRange('1-3, 2, 7-', 8), [1, 2, 3, 7, 8]);
+  assert.throws(() => parsePageRange('first', 8), /Invalid page range "first"/);
+});
+
+test('stops inflating a compression bomb at the per-document limit', async () => {
+  const font = '<< /Font << /F1 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >> >> >>';
+  // About 60 KB of compressed padding that inflates to 60 MB
+  const bomb = `BT /F1 12 Tf 72 720 Td (Before the padding) Tj ET ${' '.repeat(60 * 1024 * 1024)} BT (After it) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /Resources ${font} >>`,
+    '<< /Type /Page /Parent 2 0 R /Contents 5 0 R >>',
+    '<< /Type /Page /Parent 2 0 R /Contents 6 0 R >>',
+    flateStream('', bomb),
+    flateStream('', 'BT /F1 12 Tf 72 720 Td (Second page) Tj ET'),
+  ];
+  const parts = [Buffer.from('%PDF-1.7\n')];
+  objects.forEach((body, i) => parts.push(Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n')));
+  parts.push(Buffer.from('trailer\n<< /Root 1 0 R >>\n%%EOF\n'));
+
+  const pages = await extractPdfPages(new Uint8Array(Buffer.concat(parts)));
+  assert.deepEqual(pages, ['Before the padding', ''], 'text past the limit, and later streams, are dropped');
+});
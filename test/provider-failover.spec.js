@@ -0,0 +1,173 @@
+/**
+ * Provider failover
+ * Error classification and history adoption, then the failover chain end to
+ * end through the agent loop with scripted HTTP errors.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, reply, httpError, SCRIPTED_API_URL, SCRIPTED_MODEL } from './harness/index.js';
+import {
+  classifyError, nextStep, parseRetryAfter, getFailoverSettings, clearCooldowns,
+} from '../src/background/modules/provider-failover.js';
+import { callLLM, getConfig } from '../src/background/modules/api.js';
+import { AnthropicProvider } from '../src/background/modules/providers/anthropic-provider.js';
+import { OpenAIProvider } from '../src/background/modules/providers/openai-provider.js';
+
+const BACKUP = { name: 'Backup', modelId: 'scripted-backup', baseUrl: SCRIPTED_API_URL, apiKey: 'backup-key', authMethod: 'api_key' };
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  // Set rather than removed: loadConfig keeps keys that disappear from storage
+  await harness.chrome.storage.local.set({ failoverSettings: { enabled: false, fallbacks: [BACKUP] } });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+  clearCooldowns();
+});
+
+/**
+ * Turn on failover with fast backoff
+ * @param {Object} [changes] - Settings to override
+ */
+async function enableFailover(changes = {}) {
+  await harness.chrome.storage.local.set({
+    failoverSettings: { enabled: true, fallbacks: [BACKUP], baseDelayMs: 1, maxRetries: 1, ...changes },
+  });
+}
+
+/**
+ * Model of each API request so far
+ * @returns {string[]}
+ */
+function requestedModels() {
+  return harness.llm.requests.map(r => r.model);
+}
+
+test('classifies errors by status and message', () => {
+  const withStatus = (status) => Object.assign(new Error(`API error: ${status}`), { status });
+  assert.equal(classifyError(withStatus(429)), 'rate_limit');
+  assert.equal(classifyError(withStatus(529)), 'overloaded');
+  assert.equal(classifyError(new Error('API error: 500 - api_error: Overloaded')), 'overloaded');
+  assert.equal(classifyError(withStatus(503)), 'server_error');
+  assert.equal(classifyError(withStatus(401)), 'auth');
+  assert.equal(classifyError(new Error('Stream stalled - no data received for 60s')), 'timeout');
+  assert.equal(classifyError(withStatus(400)), null);
+  assert.equal(classifyError(Object.assign(new Error('aborted'), { name: 'AbortError' })), null);
+
+  assert.equal(parseRetryAfter('2'), 2000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.ok(parseRetryAfter(new Date(Date.now() + 60000).toUTCString()) > 50000);
+
+  const settings = getFailoverSettings({ maxRetries: 1, rules: { timeout: 'retry' } });
+  assert.equal(nextStep('rate_limit', 0, settings), 'retry');
+  assert.equal(nextStep('rate_limit', 1, settings), 'next');
+  assert.equal(nextStep('timeout', 1, settings), 'fail');
+  assert.equal(nextStep(null, 0, settings), 'fail');
+});
+
+test('adoptHistory drops fields and empty blocks the target provider cannot take', () => {
+  const history = [
+    { role: 'user', content: 'Find the price' },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'text', text: '' },
+        { type: 'tool_use', id: 'call_1', name: 'read_page', input: {}, reasoning: 'look first' },
+      ],
+      reasoning: 'look first',
+    },
+    { role: 'assistant', content: [{ type: 'text', text: '' }] },
+  ];
+
+  const forAnthropic = new AnthropicProvider({}).adoptHistory(history);
+  assert.deepEqual(forAnthropic[1], {
+    role: 'assistant',
+    content: [{ type: 'tool_use', id: 'call_1', name: 'read_page', input: {} }],
+  });
+  assert.deepEqual(forAnthropic[2].content, [{ type: 'text', text: '(empty)' }]);
+  assert.equal(history[1].content.length, 2, 'original history is left alone');
+
+  const forOpenAI = new OpenAIProvider({}).adoptHistory(history);
+  assert.equal(forOpenAI[1].content[0].reasoning, 'look first');
+});
+
+test('retries a rate-limited model, then continues the task on the next one', async () => {
+  await enableFailover();
+  const tab = harness.browser.openTab('https://example.test/', '<h1>Example</h1>');
+  harness.llm.enqueue(
+    httpError(429, 'Rate limited', { 'retry-after': '0' }),
+    httpError(429, 'Rate limited', { 'retry-after': '0' }),
+    reply('Answered by the backup model.'),
+  );
+
+  const response = await harness.startTask(tab.id, 'Say hi');
+
+  assert.equal(response.result.success, true);
+  assert.deepEqual(requestedModels(), [SCRIPTED_MODEL, SCRIPTED_MODEL, 'scripted-backup']);
+  const updates = harness.browser.sent.filter(m => m.type === 'TASK_UPDATE').map(m => m.update);
+  assert.ok(updates.some(u => u.status === 'message' && u.text === 'Switched to Backup (rate limit)'));
+  assert.ok(updates.some(u => u.status === 'message' && u.text === 'Answered by the backup model.'));
+});
+
+test('fails without switching when the rule for the error says so', async () => {
+  await enableFailover({ rules: { server_error: 'fail' } });
+  const tab = harness.browser.openTab('https://example.test/', '<h1>Example</h1>');
+  harness.llm.enqueue(httpError(503, 'Service unavailable'), reply('Never reached'));
+
+  const response = await harness.startTask(tab.id, 'Say hi');
+  const error = await harness.browser.waitForMessage('TASK_ERROR');
+
+  assert.equal(response.success, false);
+  assert.match(error.error, /API error: 503/);
+  assert.deepEqual(requestedModels(), [SCRIPTED_MODEL]);
+});
+
+test('does not retry or switch when failover is off', async () => {
+  const tab = harness.browser.openTab('https://example.test/', '<h1>Example</h1>');
+  harness.llm.enqueue(httpError(429, 'Rate limited'), reply('Never reached'));
+
+  const response = await harness.startTask(tab.id, 'Say hi');
+
+  assert.equal(response.success, false);
+  assert.equal(harness.llm.requests.length, 1);
+});
+
+test('never fails over from a local model to a cloud one', async () => {
+  await enableFailover();
+  const local = { modelId: 'llama3', baseUrl: 'http://localhost:11434/v1', authMethod: 'api_key' };
+  const { fetch } = globalThis;
+  globalThis.fetch = async (url, init) => String(url).startsWith('http://localhost:11434/')
+    ? Response.json({ error: { message: 'Service unavailable' } }, { status: 503 })
+    : fetch(url, init);
+  try {
+    await assert.rejects(callLLM([{ role: 'user', content: 'private page' }], null, undefined, null, local), /503/);
+  } finally {
+    globalThis.fetch = fetch;
+  }
+  assert.equal(harness.llm.requests.length, 0, 'the cloud backup was not sent the page');
+});
+
+test('keeps a per-call model to its own request', async () => {
+  const scheduled = { modelId: 'scripted-scheduled', baseUrl: SCRIPTED_API_URL, apiKey: 'scheduled-key', authMethod: 'api_key' };
+  harness.llm.enqueue(reply('1'), reply('2'), reply('3'));
+
+  await Promise.all([
+    callLLM([{ role: 'user', content: 'scheduled run' }], null, undefined, null, scheduled),
+    callLLM([{ role: 'user', content: 'side panel run' }]),
+    callLLM([{ role: 'user', content: 'second scheduled run' }], null, undefined, null, scheduled),
+  ]);
+
+  const models = Object.fromEntries(harness.llm.requests.map(r => [r.messages[0].content, r.model]));
+  assert.deepEqual(models, {
+    'scheduled run': 'scripted-scheduled',
+    'side panel run': SCRIPTED_MODEL,
+    'second scheduled run': 'scripted-scheduled',
+  });
+  assert.equal(getConfig().model, SCRIPTED_MODEL, 'the selected model is untouched');
+});
@@ -0,0 +1,52 @@
+/**
+ * Screenshot redaction
+ * Blurring sensitive page regions before a screenshot: text split across
+ * elements, open shadow roots and iframes from other sites.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './harness/index.js';
+
+const CARD = '4111 1111 1111 1111';
+const FRAME_URL = 'https://pay.other.test/card';
+
+const CHECKOUT_HTML = `<!DOCTYPE html>
+<html><body>
+  <p id="split"><span>4111</span> <span>1111</span> <span>1111</span> <span>1111</span></p>
+  <p id="plain">Delivery on Friday</p>
+  <div id="host"></div>
+  <iframe src="${FRAME_URL}"></iframe>
+</body></html>`;
+
+let harness;
+let redaction;
+
+before(async () => {
+  harness = await createHarness({ serviceWorker: false });
+  redaction = await import('../src/background/modules/redaction.js');
+  await harness.chrome.storage.local.set({ redactionSettings: { enabled: true } });
+});
+
+test('blurs card numbers split across elements, in shadow roots and in other sites\' frames', async () => {
+  harness.browser.route(FRAME_URL, `<p id="framed">Card ${CARD}</p>`);
+  const tab = harness.browser.openTab('https://shop.test/checkout', CHECKOUT_HTML);
+  const page = harness.browser.page(tab.id);
+  const { document } = page;
+  const shadow = document.getElementById('host').attachShadow({ mode: 'open' });
+  shadow.innerHTML = `<p id="shadowed">Card ${CARD}</p>`;
+  const frame = page.findFrame(page.frameTree().childFrames[0].frame.id);
+  const blurred = () => [
+    document.getElementById('split'),
+    document.getElementById('plain'),
+    shadow.getElementById('shadowed'),
+    frame.window.document.getElementById('framed'),
+  ].map(el => el.style.filter);
+
+  assert.equal(await redaction.blurSensitiveRegions(tab.id), true);
+  assert.deepEqual(blurred(), ['blur(8px)', '', 'blur(8px)', 'blur(8px)']);
+  assert.equal(document.querySelector('#split span').style.filter, '', 'the whole number is blurred, not a piece of it');
+
+  await redaction.restoreBlurredRegions(tab.id);
+  assert.deepEqual(blurred(), ['', '', '', '']);
+});
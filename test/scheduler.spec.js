@@ -0,0 +1,85 @@
+/**
+ * Scheduled tasks
+ * Checks that schedules finishing together keep each other's run results,
+ * that a run's saved usage counts only the tokens it spent, and that day of
+ * week 7 means Sunday.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './harness/index.js';
+import { reply } from './harness/scripted-provider.js';
+
+let harness;
+let history;
+let scheduler;
+
+before(async () => {
+  harness = await createHarness();
+  history = await import('../src/background/managers/history-manager.js');
+  scheduler = await import('../src/background/managers/scheduler-manager.js');
+});
+
+/**
+ * Save a schedule through the side panel message
+ * @param {string} name - Schedule name
+ * @returns {Promise<Object>} Saved schedule
+ */
+async function saveSchedule(name) {
+  const response = await harness.sendMessage({
+    type: 'SAVE_SCHEDULE',
+    payload: { name, prompt: `Report on ${name}`, recurrence: '@daily' },
+  });
+  assert.equal(response.success, true, response.error);
+  return response.schedule;
+}
+
+/**
+ * Wait for the scheduler to broadcast the end of a schedule's run
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} Run record
+ */
+async function runCompleted(scheduleId) {
+  const message = await harness.browser.waitForMessage(
+    m => m.type === 'SCHEDULE_RUN_COMPLETE' && m.run.scheduleId === scheduleId,
+  );
+  return message.run;
+}
+
+test('keeps both runs when two schedules finish at once', async () => {
+  const morning = await saveSchedule('morning');
+  const evening = await saveSchedule('evening');
+  const runTask = async (schedule) => ({ status: 'complete', answer: `${schedule.name} done`, steps: 1 });
+
+  await Promise.all([
+    scheduler.executeScheduledTask(morning, runTask),
+    scheduler.executeScheduledTask(evening, runTask),
+  ]);
+
+  const { schedules, runs } = await harness.sendMessage({ type: 'GET_SCHEDULES' });
+  assert.deepEqual(runs.map(r => r.scheduleId).sort(), [evening.id, morning.id].sort());
+  for (const schedule of schedules) {
+    assert.equal(schedule.lastStatus, 'complete', `${schedule.name} run is recorded on the schedule`);
+  }
+});
+
+test('saves only the tokens a scheduled run spent', async () => {
+  const schedule = await saveSchedule('weekly report');
+  harness.llm.enqueue(reply('Report ready.'));
+  harness.browser.clearRecords();
+
+  await harness.sendMessage({ type: 'RUN_SCHEDULE_NOW', payload: { id: schedule.id } });
+  await runCompleted(schedule.id);
+
+  const [summary] = await history.searchHistory('weekly report');
+  const entry = await history.getHistoryEntry(summary.id);
+  assert.equal(entry.runs[0].usage.inputTokens, 100, 'earlier runs are not counted');
+  assert.equal(entry.runs[0].usage.outputTokens, 20);
+});
+
+test('reads day of week 7 as Sunday', () => {
+  const monday = new Date(2026, 9, 19, 10, 0);
+  assert.equal(new Date(scheduler.getNextRunTime('0 9 * * 7', monday)).getDay(), 0);
+  const [, , , , weekdays] = scheduler.parseRecurrence('0 9 * * 5-7');
+  assert.deepEqual([...weekdays.values].sort(), [0, 5, 6]);
+});
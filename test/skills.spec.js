@@ -0,0 +1,138 @@
+/**
+ * Domain skills
+ * User skills match pages by domain, URL glob or regex, keep every edit as a
+ * version, and import from / export to JSON and Markdown packs. The flat
+ * skill list from older versions is moved over on first use.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, reply } from './harness/index.js';
+import { isAntiBotEnabled } from '../src/background/modules/domain-skills.js';
+
+let harness;
+
+before(async () => {
+  harness = await createHarness({
+    storage: { userSkills: [{ domain: 'intranet.acme.test', skill: 'Log in with the SSO button.' }] },
+  });
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Delete every user skill
+ * @returns {Promise<void>}
+ */
+async function clearSkills() {
+  const { skills } = await harness.sendMessage({ type: 'GET_SKILLS' });
+  for (const skill of skills) {
+    await harness.sendMessage({ type: 'DELETE_SKILL', payload: { id: skill.id } });
+  }
+}
+
+/**
+ * Save a skill, failing the test if it is rejected
+ * @param {Object} skill - Skill fields
+ * @returns {Promise<Object>} Saved skill
+ */
+async function saveSkill(skill) {
+  const response = await harness.sendMessage({ type: 'SAVE_SKILL', payload: skill });
+  assert.equal(response.success, true, response.error);
+  return response.skill;
+}
+
+test('moves old skills over and gives a task the skills its URL matches', async () => {
+  const { skills: migrated, builtInSkills } = await harness.sendMessage({ type: 'GET_SKILLS' });
+  assert.deepEqual(migrated.map(s => [s.name, s.match, s.version]), [
+    ['intranet.acme.test', { type: 'domain', pattern: 'intranet.acme.test' }, 1],
+  ]);
+  assert.equal((await harness.chrome.storage.local.get(['userSkills'])).userSkills, undefined);
+  assert.ok(builtInSkills.some(s => s.domain === 'github.com'));
+
+  await saveSkill({ name: 'Jira issues', match: { type: 'glob', pattern: '*.atlassian.test/browse/*' }, skill: 'Use the "..." menu to move an issue.' });
+  await saveSkill({ name: 'HR wiki', match: { type: 'regex', pattern: '^https://wiki\\.acme\\.test/(hr|it)/' }, skill: 'Pages are read-only.' });
+  await saveSkill({ name: 'Old Jira', match: { type: 'glob', pattern: 'https://*.atlassian.test/*' }, skill: 'Outdated tip.', enabled: false });
+  await saveSkill({ name: 'GitHub (team)', match: { type: 'domain', pattern: 'GitHub.com' }, skill: 'Our repos live under acme-corp.' });
+
+  const invalid = await harness.sendMessage({ type: 'SAVE_SKILL', payload: { match: { type: 'regex', pattern: '(' }, skill: 'x' } });
+  assert.equal(invalid.success, false);
+  assert.match(invalid.error, /^Invalid regex \(/);
+  const duplicate = await harness.sendMessage({ type: 'SAVE_SKILL', payload: { match: { type: 'domain', pattern: 'github.com' }, skill: 'x' } });
+  assert.match(duplicate.error, /"GitHub \(team\)" already matches github.com/);
+
+  const { matches } = await harness.sendMessage({ type: 'MATCH_SKILLS', payload: { url: 'https://wiki.acme.test/it/laptops' } });
+  assert.deepEqual(matches, ['HR wiki']);
+  const github = await harness.sendMessage({ type: 'MATCH_SKILLS', payload: { url: 'https://github.com/acme-corp' } });
+  assert.deepEqual(github.matches, ['GitHub (team)'], 'a user skill for a built-in domain replaces it');
+
+  const tab = harness.browser.openTab('https://acme.atlassian.test/browse/OPS-12', '<title>OPS-12</title>');
+  harness.llm.enqueue(reply('Moved.'));
+  await harness.startTask(tab.id, 'Move OPS-12 to Done');
+
+  const taskMessage = JSON.stringify(harness.llm.requests[0].messages[0]);
+  assert.match(taskMessage, /Jira issues/);
+  assert.match(taskMessage, /Use the \\+"...\\+" menu to move an issue/);
+  assert.doesNotMatch(taskMessage, /Outdated tip|Pages are read-only/);
+});
+
+test('keeps every edit as a version that can be restored', async () => {
+  await clearSkills();
+  const first = await saveSkill({ name: 'Billing', match: { type: 'domain', pattern: 'billing.acme.test' }, skill: 'Invoices are under Reports.' });
+  const edited = await saveSkill({ ...first, skill: 'Invoices moved to Finance → Invoices.', antiBot: true });
+  assert.equal(edited.version, 2);
+  assert.deepEqual(edited.history.map(h => [h.version, h.skill, h.antiBot]), [[1, 'Invoices are under Reports.', false]]);
+
+  const toggled = await saveSkill({ ...edited, enabled: false });
+  assert.equal(toggled.version, 2, 'disabling a skill is not a new version');
+
+  const { skill: restored } = await harness.sendMessage({ type: 'RESTORE_SKILL_VERSION', payload: { id: first.id, version: 1 } });
+  assert.deepEqual([restored.version, restored.skill, restored.antiBot], [3, 'Invoices are under Reports.', false]);
+  assert.deepEqual(restored.history.map(h => h.version), [2, 1]);
+});
+
+test('exports and imports JSON and Markdown skill packs', async () => {
+  await clearSkills();
+  await saveSkill({ name: 'Tickets', match: { type: 'glob', pattern: 'support.acme.test/tickets/*' }, skill: '# Tickets\n\nClose with the **Resolve** button.\n\n---\n\nNever delete a ticket.' });
+  await saveSkill({ name: 'Forum', match: { type: 'domain', pattern: 'forum.acme.test' }, skill: 'Rate limited.', antiBot: true });
+
+  const markdown = await harness.sendMessage({ type: 'EXPORT_SKILLS', payload: { format: 'markdown' } });
+  assert.equal(markdown.filename, 'llm-in-chrome-skills.md');
+  assert.match(markdown.content, /^---\nname: Tickets\nmatch: glob\npattern: support\.acme\.test\/tickets\/\*\nantiBot: false\nversion: 1\n---\n\n# Tickets/);
+
+  const same = await harness.sendMessage({ type: 'IMPORT_SKILLS', payload: { content: markdown.content } });
+  assert.deepEqual(same.imported, { added: 0, updated: 0, unchanged: 2 }, 'a --- rule inside a skill is kept');
+
+  const edited = markdown.content.replace('Rate limited.', 'Rate limited - wait between posts.');
+  const update = await harness.sendMessage({ type: 'IMPORT_SKILLS', payload: { content: `# Team skills\n\n${edited}` } });
+  assert.deepEqual(update.imported, { added: 0, updated: 1, unchanged: 1 });
+  const forum = update.skills.find(s => s.name === 'Forum');
+  assert.deepEqual([forum.version, forum.skill, forum.antiBot], [2, 'Rate limited - wait between posts.', true]);
+
+  const json = await harness.sendMessage({ type: 'EXPORT_SKILLS', payload: { format: 'json' } });
+  const pack = JSON.parse(json.content);
+  assert.equal(pack.type, 'llm-in-chrome-skills');
+  pack.skills.push({ name: 'Status page', match: { type: 'regex', pattern: '^https://status\\.' }, skill: 'Read only.' });
+  const added = await harness.sendMessage({ type: 'IMPORT_SKILLS', payload: { content: JSON.stringify(pack) } });
+  assert.deepEqual(added.imported, { added: 1, updated: 0, unchanged: 2 });
+
+  const invalid = await harness.sendMessage({ type: 'IMPORT_SKILLS', payload: { content: '{"skills": [{"domain": "x.test"}]}' } });
+  assert.equal(invalid.success, false);
+  assert.match(invalid.error, /The skill for x\.test has no text/);
+  assert.equal((await harness.sendMessage({ type: 'GET_SKILLS' })).skills.length, 3, 'an invalid pack imports nothing');
+});
+
+test('turns anti-bot input on per skill', () => {
+  const skills = [
+    { match: { type: 'domain', pattern: 'reddit.com' }, skill: 'Team notes', antiBot: false },
+    { match: { type: 'glob', pattern: 'shop.acme.test/checkout*' }, skill: 'Checkout', antiBot: true },
+  ];
+  assert.equal(isAntiBotEnabled('https://www.reddit.com/r/chrome', []), true, 'built-in Reddit skill');
+  assert.equal(isAntiBotEnabled('https://www.reddit.com/r/chrome', skills), false, 'the user skill replaces it');
+  assert.equal(isAntiBotEnabled('https://shop.acme.test/checkout?step=2', skills), true);
+  assert.equal(isAntiBotEnabled('https://shop.acme.test/cart', skills), false);
+});
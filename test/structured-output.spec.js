@@ -0,0 +1,64 @@
+/**
+ * Structured output
+ * The output_schema validator on the alternatives a schema allows, and an MCP
+ * task whose answer never matches its schema.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, reply } from './harness/index.js';
+import { validateAgainstSchema, MAX_OUTPUT_SCHEMA_RETRIES } from '../src/background/modules/output-schema.js';
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+/**
+ * Wait for the extension to send a message over the relay
+ * @param {Function} predicate - (message) => boolean
+ * @returns {Promise<Object>} The message
+ */
+async function waitForRelayMessage(predicate) {
+  for (let waited = 0; waited < 5000; waited += 10) {
+    const message = harness.relay.sent.find(predicate);
+    if (message) return message;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('No matching relay message');
+}
+
+test('accepts a oneOf answer only when exactly one alternative matches', () => {
+  const schema = {
+    oneOf: [
+      { type: 'object', properties: { price: { type: 'number' } }, required: ['price'] },
+      { type: 'object', properties: { soldOut: { const: true } }, required: ['soldOut'] },
+    ],
+  };
+
+  assert.deepEqual(validateAgainstSchema({ price: 12 }, schema), []);
+  assert.deepEqual(validateAgainstSchema({ label: 'n/a' }, schema), ['$: does not match any allowed schema']);
+  assert.deepEqual(validateAgainstSchema({ price: 12, soldOut: true }, schema), ['$: matches 2 of the oneOf schemas, must match exactly one']);
+
+  // anyOf keeps accepting a value several alternatives match
+  assert.deepEqual(validateAgainstSchema({ price: 12, soldOut: true }, { anyOf: schema.oneOf }), []);
+});
+
+test('reports an MCP task whose answer never matches the schema as an error', async () => {
+  harness.relay.connect();
+  const answers = Array.from({ length: MAX_OUTPUT_SCHEMA_RETRIES + 1 }, () => reply('The mug costs about ten dollars.'));
+  harness.llm.enqueue(...answers);
+
+  harness.relay.receive({
+    type: 'mcp_start_task',
+    sessionId: 'schema-miss',
+    task: 'Get the mug price',
+    outputSchema: { type: 'object', properties: { price: { type: 'number' } }, required: ['price'] },
+  });
+
+  const finished = await waitForRelayMessage(m => m.sessionId === 'schema-miss' && ['task_complete', 'task_error'].includes(m.type));
+  assert.equal(finished.type, 'task_error');
+  assert.match(finished.error, /^Final answer did not match output schema: /);
+  assert.equal(harness.llm.requests.length, MAX_OUTPUT_SCHEMA_RETRIES + 1);
+});
@@ -0,0 +1,199 @@
+/**
+ * Tool handlers against jsdom pages
+ * Calls the registered handlers directly, without the agent loop.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, reply } from './harness/index.js';
+
+const SHOP_HTML = `<!DOCTYPE html>
+<html><head><title>Shop</title></head>
+<body>
+  <h1>Deals</h1>
+  <p>Free shipping on orders over $50.</p>
+  <form id="search">
+    <input name="q" placeholder="Search products">
+    <select name="sort"><option value="price">Price</option><option value="rating">Rating</option></select>
+  </form>
+  <button id="buy">Buy now</button>
+  <div style="display:none"><button>Hidden action</button></div>
+  <p id="status"></p>
+</body></html>`;
+
+let harness;
+let executeToolHandler;
+
+before(async () => {
+  harness = await createHarness({ serviceWorker: false });
+  ({ executeToolHandler } = await import('../src/background/tool-handlers/index.js'));
+  // The service worker normally wires up the debugger manager
+  const { initDebugger } = await import('../src/background/managers/debugger-manager.js');
+  initDebugger({ consoleMessages: [], networkRequests: [], capturedCaptchaData: new Map(), log: async () => {} });
+});
+
+/**
+ * Open a fresh copy of the shop page
+ * @returns {number} Tab ID
+ */
+function openShop() {
+  return harness.browser.openTab('https://shop.test/', SHOP_HTML).id;
+}
+
+/**
+ * Find the ref the accessibility tree assigned to a line
+ * @param {string} tree - read_page output
+ * @param {string} text - Text on the element's line
+ * @returns {string} ref ID
+ */
+function refFor(tree, text) {
+  const line = tree.split('\n').find(l => l.includes(text));
+  assert.ok(line, `no element "${text}" in:\n${tree}`);
+  return line.match(/\[(ref_\d+)\]/)[1];
+}
+
+test('read_page lists visible interactive elements with refs', async () => {
+  const tabId = openShop();
+  const result = await executeToolHandler('read_page', { tabId, filter: 'interactive' });
+
+  assert.match(result.output, /button "Buy now" \[ref_\d+\]/);
+  assert.match(result.output, /textbox "Search products"/);
+  assert.match(result.output, /Viewport: 1024x768/);
+  assert.doesNotMatch(result.output, /Hidden action/);
+});
+
+test('read_page reports a closed tab', async () => {
+  await assert.rejects(executeToolHandler('read_page', { tabId: 999 }), /No tab with id: 999/);
+});
+
+test('form_input fills fields found by ref', async () => {
+  const tabId = openShop();
+  const tree = (await executeToolHandler('read_page', { tabId, filter: 'interactive' })).output;
+
+  const typed = await executeToolHandler('form_input', { tabId, ref: refFor(tree, 'Search products'), value: 'lamp' });
+  const selected = await executeToolHandler('form_input', { tabId, ref: refFor(tree, 'combobox'), value: 'rating' });
+
+  assert.ok(!typed.error, typed.error);
+  assert.match(selected.output, /Selected option "rating"/);
+  const { document } = harness.browser.page(tabId);
+  assert.equal(document.querySelector('[name=q]').value, 'lamp');
+  assert.equal(document.querySelector('[name=sort]').value, 'rating');
+});
+
+test('computer left_click on a ref clicks the element through the debugger', async () => {
+  const tabId = openShop();
+  const { document } = harness.browser.page(tabId);
+  document.getElementById('buy').addEventListener('click', () => {
+    document.getElementById('status').textContent = 'Added to cart';
+  });
+  const tree = (await executeToolHandler('read_page', { tabId, filter: 'interactive' })).output;
+
+  const result = await executeToolHandler('computer', { tabId, action: 'left_click', ref: refFor(tree, 'Buy now') });
+
+  assert.match(result.output, /Clicked on element ref_\d+/);
+  assert.equal(document.getElementById('status').textContent, 'Added to cart');
+  assert.ok(harness.browser.cdpCommands.some(c => c.tabId === tabId && c.method === 'Input.dispatchMouseEvent'));
+});
+
+test('computer screenshot fails cleanly without rendering', async () => {
+  const tabId = openShop();
+  const result = await executeToolHandler('computer', { tabId, action: 'screenshot' });
+  assert.match(result.error, /not available in the test harness/);
+});
+
+test('computer clicks a mark from a set-of-marks overlay', async () => {
+  const tabId = openShop();
+  const { window, document } = harness.browser.page(tabId);
+  document.getElementById('buy').addEventListener('click', () => {
+    document.getElementById('status').textContent = 'Added to cart';
+  });
+
+  const { marks } = window.__drawMarks();
+  const buy = marks.find(m => m.name === 'Buy now');
+  assert.ok(buy, JSON.stringify(marks));
+  assert.ok(!marks.some(m => m.name === 'Hidden action'));
+  assert.equal(document.querySelectorAll('#__llm_marks > div').length, marks.length);
+  window.__clearMarks();
+  assert.equal(document.getElementById('__llm_marks'), null);
+
+  const result = await executeToolHandler('computer', { tabId, action: 'left_click', mark: buy.mark });
+
+  assert.equal(result.output, `Clicked on element ${buy.ref}`);
+  assert.equal(document.getElementById('status').textContent, 'Added to cart');
+});
+
+test('computer rejects unknown marks and removes the overlay when a screenshot fails', async () => {
+  const tabId = openShop();
+
+  const click = await executeToolHandler('computer', { tabId, action: 'left_click', mark: 42 });
+  assert.match(click.error, /No mark 42 on this page/);
+
+  const shot = await executeToolHandler('computer', { tabId, action: 'screenshot', marks: true });
+  assert.match(shot.error, /not available in the test harness/);
+  assert.equal(harness.browser.page(tabId).document.getElementById('__llm_marks'), null);
+});
+
+test('javascript_tool evaluates in the page', async () => {
+  const tabId = openShop();
+  const result = await executeToolHandler('javascript_tool', {
+    tabId,
+    action: 'javascript_exec',
+    text: 'document.querySelectorAll("button").length',
+  });
+  assert.equal(result.output, '2');
+});
+
+test('get_page_text returns the page text', async () => {
+  const tabId = openShop();
+  const result = await executeToolHandler('get_page_text', { tabId });
+  const text = typeof result === 'string' ? result : result.output;
+  assert.match(text, /Free shipping on orders over \$50/);
+});
+
+test('find asks the LLM to pick matches from the tree', async () => {
+  const tabId = openShop();
+  let prompt = null;
+  const callLLMSimple = async ({ messages }) => {
+    prompt = messages[0].content;
+    return reply('FOUND: 1\nSHOWING: 1\n---\nref_2 | button | Buy now | button | buy button');
+  };
+
+  const result = await executeToolHandler('find', { tabId, query: 'buy button' }, { callLLMSimple });
+
+  assert.match(prompt, /button "Buy now"/);
+  assert.match(result.output, /Buy now/);
+});
+
+test('navigate loads routed pages and goes back', async () => {
+  const tabId = openShop();
+  harness.browser.route('https://shop.test/cart', '<html><head><title>Cart</title></head><body><h1>Your cart</h1></body></html>');
+
+  const forward = await executeToolHandler('navigate', { tabId, url: 'https://shop.test/cart' });
+  assert.equal(forward.output, 'Navigated to https://shop.test/cart');
+  assert.equal((await harness.chrome.tabs.get(tabId)).title, 'Cart');
+
+  const back = await executeToolHandler('navigate', { tabId, url: 'back' });
+  assert.equal(back.output, 'Navigated back to https://shop.test/');
+});
+
+test('tabs_create and tabs_close manage agent tabs', async () => {
+  const agentOpenedTabs = new Set();
+  const grouped = [];
+  const deps = {
+    sessionTabGroupId: null,
+    agentOpenedTabs,
+    isAnySessionActive: () => true,
+    addTabToGroup: async (tabId) => {
+      grouped.push(tabId);
+      agentOpenedTabs.add(tabId);
+    },
+  };
+
+  const created = await executeToolHandler('tabs_create', {}, deps);
+  const tabId = Number(created.match(/ID: (\d+)/)[1]);
+  assert.deepEqual(grouped, [tabId]);
+
+  assert.equal(await executeToolHandler('tabs_close', { tabId }, deps), `Successfully closed tab ${tabId}`);
+  assert.equal(agentOpenedTabs.has(tabId), false);
+  await assert.rejects(harness.chrome.tabs.get(tabId));
+});
@@ -0,0 +1,243 @@
+/**
+ * Credential vault
+ * Creating and unlocking the vault from the side panel, the agent logging in
+ * with get_credential without the password or code reaching the model, and
+ * TOTP codes against the RFC 6238 test vectors.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, toolUse, reply, lastToolResult } from './harness/index.js';
+import { generateTotp, parseTotpSecret } from '../src/background/modules/totp.js';
+
+const PASSWORD = 'correct horse battery staple';
+// Base32 of the RFC 6238 SHA-1 test key "12345678901234567890"
+const TOTP_KEY = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const LOGIN_HTML = `<!DOCTYPE html>
+<html><head><title>Sign in</title></head>
+<body><form>
+  <label for="email">Email</label><input id="email" type="email">
+  <label for="password">Password</label><input id="password" type="password">
+  <label for="code">Authentication code</label><input id="code" inputmode="numeric">
+  <button type="button">Sign in</button>
+</form></body></html>`;
+
+let harness;
+
+before(async () => {
+  harness = await createHarness();
+});
+
+beforeEach(async () => {
+  await harness.sendMessage({ type: 'DELETE_VAULT' });
+  await harness.sendMessage({ type: 'CLEAR_CONVERSATION' });
+  await harness.chrome.storage.local.remove(['actionPolicies']);
+  harness.browser.clearRecords();
+  harness.llm.reset();
+});
+
+/**
+ * Approve or deny the next permission prompt
+ * @param {boolean} approved
+ * @returns {Promise<Object>} The prompt that was answered
+ */
+async function answerPermission(approved) {
+  const { request } = await harness.browser.waitForMessage('PERMISSION_REQUIRED');
+  await harness.sendMessage({ type: 'PERMISSION_RESPONSE', payload: { id: request.id, approved } });
+  return request;
+}
+
+/**
+ * Find the ref on a read_page line
+ * @param {string} tree - read_page output
+ * @param {string} text - Text on the element's line
+ * @returns {string} ref ID
+ */
+function refFor(tree, text) {
+  const line = tree.split('\n').find(l => l.includes(text));
+  assert.ok(line, `no element "${text}" in:\n${tree}`);
+  return line.match(/\[(ref_\d+)\]/)[1];
+}
+
+test('logs in with a saved password and TOTP code the model never sees', async () => {
+  const created = await harness.sendMessage({ type: 'CREATE_VAULT', payload: { passphrase: 'vault passphrase' } });
+  assert.equal(created.unlocked, true);
+  const saved = await harness.sendMessage({
+    type: 'SAVE_CREDENTIAL',
+    payload: { domain: 'https://example.test/', username: 'ada@example.test', password: PASSWORD, totp: TOTP_KEY },
+  });
+  assert.deepEqual(saved.credentials.map(({ id: _id, ...c }) => c), [
+    { domain: 'example.test', username: 'ada@example.test', hasPassword: true, hasTotp: true },
+  ]);
+
+  const tab = harness.browser.openTab('https://accounts.example.test/login', LOGIN_HTML);
+  const results = [];
+  harness.llm.enqueue(
+    toolUse('read_page', { tabId: tab.id, filter: 'interactive' }),
+    (request) => {
+      results.push(lastToolResult(request));
+      return toolUse('get_credential', { tabId: tab.id });
+    },
+    (request) => {
+      results.push(lastToolResult(request));
+      const tree = JSON.parse(results[0]).output;
+      return toolUse('get_credential', {
+        tabId: tab.id,
+        usernameRef: refFor(tree, 'textbox "Email"'),
+        passwordRef: refFor(tree, 'textbox "Password"'),
+        totpRef: refFor(tree, 'textbox "Authentication code"'),
+      });
+    },
+    (request) => {
+      results.push(lastToolResult(request));
+      return toolUse('javascript_tool', { tabId: tab.id, action: 'javascript_exec', text: "[...document.querySelectorAll('input')].map(i => i.value).join(' | ')" });
+    },
+    (request) => {
+      results.push(lastToolResult(request));
+      return reply('Signed in.');
+    },
+  );
+
+  const [response, prompt] = await Promise.all([
+    harness.startTask(tab.id, 'Sign in to my account'),
+    answerPermission(true),
+  ]);
+
+  assert.equal(response.result.success, true);
+  assert.equal(prompt.reason, 'Run JavaScript on a page a saved password or code was filled into');
+  const [, described, filled, echoed] = results;
+  assert.equal(described, 'Saved login for example.test: username "ada@example.test", password, TOTP code. ' +
+    'Call get_credential again with usernameRef, passwordRef and/or totpRef to fill them in.');
+  assert.match(filled, /^Filled the username, password, TOTP code for example\.test \(ada@example\.test\)\./);
+
+  const { document } = harness.browser.page(tab.id).window;
+  const code = document.getElementById('code').value;
+  assert.equal(document.getElementById('email').value, 'ada@example.test');
+  assert.equal(document.getElementById('password').value, PASSWORD);
+  assert.match(code, /^\d{6}$/);
+  assert.match(echoed, /ada@example\.test \| \[REDACTED:credential\] \| \[REDACTED:credential\]/);
+
+  const sentToModel = JSON.stringify(harness.llm.requests);
+  assert.ok(!sentToModel.includes(PASSWORD), 'the password reached the model');
+  assert.ok(!sentToModel.includes(code), 'the TOTP code reached the model');
+});
+
+test('explains a locked vault, wrong passphrases and insecure pages', async () => {
+  await harness.sendMessage({ type: 'CREATE_VAULT', payload: { passphrase: 'vault passphrase' } });
+  await harness.sendMessage({ type: 'SAVE_CREDENTIAL', payload: { domain: 'example.test', username: 'ada', password: PASSWORD } });
+  await harness.sendMessage({ type: 'LOCK_VAULT' });
+
+  const wrong = await harness.sendMessage({ type: 'UNLOCK_VAULT', payload: { passphrase: 'not it at all' } });
+  assert.deepEqual(wrong, { success: false, error: 'Wrong passphrase' });
+  const again = await harness.sendMessage({ type: 'CREATE_VAULT', payload: { passphrase: 'short' } });
+  assert.equal(again.error, 'A credential vault already exists');
+
+  const secure = harness.browser.openTab('https://example.test/login', LOGIN_HTML);
+  const insecure = harness.browser.openTab('http://example.test/login', LOGIN_HTML);
+  const results = [];
+  const scriptCalls = (...calls) => harness.llm.enqueue(calls[0], ...[...calls.slice(1), reply('Done.')].map(next => (request) => {
+    results.push(lastToolResult(request));
+    return next;
+  }));
+
+  scriptCalls(toolUse('get_credential', { tabId: secure.id }));
+  await harness.startTask(secure.id, 'Sign in');
+  await harness.sendMessage({ type: 'UNLOCK_VAULT', payload: { passphrase: 'vault passphrase' } });
+  scriptCalls(toolUse('get_credential', { tabId: insecure.id, passwordRef: 'ref_4' }));
+  await harness.startTask(insecure.id, 'Sign in');
+  scriptCalls(toolUse('get_credential', { tabId: secure.id, totpRef: 'ref_6' }));
+  await harness.startTask(secure.id, 'Enter the code');
+
+  const [locked, notHttps, noTotp] = results;
+  assert.match(locked, /^Error: The credential vault is locked\. Ask the user to unlock it in Settings → Vault/);
+  assert.match(notHttps, /^Error: Refusing to fill secrets into http:\/\/example\.test\/login: the page is not HTTPS\./);
+  assert.equal(noTotp, 'Error: The login for example.test has no TOTP secret saved.');
+  assert.equal(harness.browser.page(insecure.id).window.document.getElementById('password').value, '');
+});
+
+test('fills only the right inputs on the page itself, as the site\'s action policy allows', async () => {
+  await harness.sendMessage({ type: 'CREATE_VAULT', payload: { passphrase: 'vault passphrase' } });
+  await harness.sendMessage({ type: 'SAVE_CREDENTIAL', payload: { domain: 'example.test', username: 'ada', password: PASSWORD } });
+  const tab = harness.browser.openTab('https://example.test/login', LOGIN_HTML);
+  let tree = '';
+  harness.llm.enqueue(toolUse('read_page', { tabId: tab.id, filter: 'interactive' }), (request) => {
+    tree = JSON.parse(lastToolResult(request)).output;
+    return reply('Read.');
+  });
+  await harness.startTask(tab.id, 'Read the form');
+
+  const getCredential = async (input) => {
+    let result = '';
+    harness.llm.enqueue(toolUse('get_credential', { tabId: tab.id, ...input }), (request) => {
+      result = lastToolResult(request);
+      return reply('Done.');
+    });
+    await harness.startTask(tab.id, 'Sign in');
+    return result;
+  };
+
+  assert.equal(await getCredential({ passwordRef: 'x1:ref_2' }),
+    'Error: Refusing to fill the password into x1:ref_2: it is in a frame from another site.');
+  const email = refFor(tree, 'textbox "Email"');
+  assert.equal(await getCredential({ usernameRef: email, passwordRef: email }),
+    `Error: Refusing to fill the password into ${email}: it is an input of type "email", not a password input.`);
+  const button = refFor(tree, 'button "Sign in"');
+  assert.match(await getCredential({ usernameRef: button }), /it is a <button>, not a text input\.$/);
+
+  await harness.chrome.storage.local.set({ actionPolicies: [{ id: 'p1', domain: 'example.test', mode: 'read_only' }] });
+  assert.match(await getCredential({}), /^Saved login for example\.test/, 'describing the login reads nothing from the page');
+  assert.match(await getCredential({ passwordRef: refFor(tree, 'textbox "Password"') }), /Blocked by action policy - example\.test is read-only/);
+
+  await harness.chrome.storage.local.set({ actionPolicies: [{ id: 'p1', domain: 'example.test', mode: 'no_submit' }] });
+  const [denied, prompt] = await Promise.all([
+    getCredential({ passwordRef: refFor(tree, 'textbox "Password"') }),
+    answerPermission(false),
+  ]);
+  assert.equal(prompt.reason, 'Fill a saved login from the vault');
+  assert.match(denied, /User denied permission/);
+
+  const { document } = harness.browser.page(tab.id).window;
+  assert.deepEqual([document.getElementById('email').value, document.getElementById('password').value], ['', '']);
+});
+
+test('asks before a script runs on a page a password was filled into', async () => {
+  await harness.sendMessage({ type: 'CREATE_VAULT', payload: { passphrase: 'vault passphrase' } });
+  await harness.sendMessage({ type: 'SAVE_CREDENTIAL', payload: { domain: 'example.test', username: 'ada', password: PASSWORD } });
+  const tab = harness.browser.openTab('https://example.test/login', LOGIN_HTML);
+  // Encoded, the password would get past the masking of tool results
+  const readBack = "btoa(document.getElementById('password').value)";
+  let result = '';
+  harness.llm.enqueue(
+    toolUse('read_page', { tabId: tab.id, filter: 'interactive' }),
+    (request) => toolUse('get_credential', {
+      tabId: tab.id, passwordRef: refFor(JSON.parse(lastToolResult(request)).output, 'textbox "Password"'),
+    }),
+    toolUse('javascript_tool', { tabId: tab.id, action: 'javascript_exec', text: readBack }),
+    (request) => {
+      result = lastToolResult(request);
+      return reply('Done.');
+    },
+  );
+
+  const [, prompt] = await Promise.all([
+    harness.startTask(tab.id, 'Sign in'),
+    answerPermission(false),
+  ]);
+
+  assert.equal(prompt.domain, 'example.test');
+  assert.match(result, /^Error: User denied permission for "Run JavaScript on a page a saved password or code was filled into"/);
+  assert.ok(!JSON.stringify(harness.llm.requests).includes(btoa(PASSWORD)), 'the encoded password reached the model');
+});
+
+test('generates RFC 6238 codes and reads otpauth:// URIs', async () => {
+  const sha1 = { ...parseTotpSecret(TOTP_KEY), digits: 8 };
+  assert.equal((await generateTotp(sha1, 59 * 1000)).code, '94287082');
+  assert.equal((await generateTotp(sha1, 1111111109 * 1000)).code, '07081804');
+  assert.deepEqual(await generateTotp(sha1, 20000000000 * 1000), { code: '65353130', expiresIn: 10 });
+
+  const uri = parseTotpSecret(`otpauth://totp/Example:ada?secret=${TOTP_KEY.toLowerCase()}&digits=8&period=60&algorithm=SHA256`);
+  assert.deepEqual(uri, { secret: TOTP_KEY, digits: 8, period: 60, algorithm: 'SHA-256' });
+  assert.throws(() => parseTotpSecret('not base32!'), /Invalid character "!" in the TOTP key/);
+  assert.throws(() => parseTotpSecret('otpauth://hotp/x?secret=ABC'), /Only time-based/);
+});
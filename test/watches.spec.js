@@ -0,0 +1,75 @@
+/**
+ * Page watches
+ * Checks that fail while the LLM judges a change are recorded on the watch,
+ * and edits made at the same time keep each other's results.
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './harness/index.js';
+
+const SHOP_URL = 'https://shop.test/mug';
+const NEWS_URL = 'https://news.test/';
+
+let harness;
+let watches;
+// What the LLM answers, by the start of the prompt
+let llm = {};
+
+before(async () => {
+  harness = await createHarness({ serviceWorker: false });
+  watches = await import('../src/background/managers/watch-manager.js');
+  await watches.initWatchManager({
+    callLLMSimple: async ({ messages }) => {
+      const prompt = messages[0].content;
+      const answer = Object.entries(llm).find(([start]) => prompt.startsWith(start))?.[1];
+      if (answer instanceof Error) throw answer;
+      return { content: [{ type: 'text', text: answer ?? '' }], usage: { input_tokens: 100, output_tokens: 20 } };
+    },
+    getPageText: async (tabId) => ({ output: harness.browser.page(tabId).document.body.textContent }),
+    sendWatchChange: () => {},
+    log: async () => {},
+  });
+});
+
+/**
+ * Stored watch by ID
+ * @param {string} id - Watch ID
+ * @returns {Promise<Object>}
+ */
+async function storedWatch(id) {
+  return (await watches.listWatches()).find(w => w.id === id);
+}
+
+test('records an LLM failure while judging a described change', async () => {
+  harness.browser.route(SHOP_URL, '<h1>Mug</h1><p>Price: $10</p>');
+  const watch = await watches.saveWatch({ url: SHOP_URL, targetType: 'description', target: 'the price', intervalMinutes: 60 });
+  llm = { 'Extract ONLY': 'Price: $10' };
+  assert.deepEqual(await watches.checkWatch(watch.id), { status: 'baseline' });
+
+  harness.browser.route(SHOP_URL, '<h1>Mug</h1><p>Price: $12</p>');
+  llm = { 'Extract ONLY': 'Price: $12', 'A user is watching': new Error('API error: 529 - Overloaded') };
+  assert.deepEqual(await watches.checkWatch(watch.id), { status: 'error', error: 'API error: 529 - Overloaded' });
+
+  const stored = await storedWatch(watch.id);
+  assert.equal(stored.lastError, 'API error: 529 - Overloaded');
+  const { usage_daily: daily } = await harness.chrome.storage.local.get(['usage_daily']);
+  assert.equal(daily.tokens, 240, 'both extractions count toward the daily budget');
+  assert.ok(stored.lastCheckedAt);
+  assert.equal(stored.snapshot, 'Price: $10', 'the next check judges the change again');
+});
+
+test('keeps both edits when watches are changed at the same time', async () => {
+  harness.browser.route(NEWS_URL, '<h1>Headlines</h1><ul><li id="top">Rates unchanged</li><li id="second">Rain tomorrow</li></ul>');
+  const top = await watches.saveWatch({ name: 'Top story', url: NEWS_URL, targetType: 'css', target: '#top', intervalMinutes: 60 });
+  await new Promise(resolve => setTimeout(resolve, 5)); // Watch IDs come from the clock
+  const second = await watches.saveWatch({ name: 'Second story', url: NEWS_URL, targetType: 'css', target: '#second', intervalMinutes: 60 });
+
+  await Promise.all([
+    watches.deleteWatch(top.id),
+    watches.saveWatch({ ...second, name: 'Second headline' }),
+  ]);
+
+  assert.equal(await storedWatch(top.id), undefined, 'the deleted watch stays deleted');
+  assert.equal((await storedWatch(second.id)).name, 'Second headline');
+});